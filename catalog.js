@@ -0,0 +1,94 @@
+/**
+ * Import / export the DSA problem catalog
+ *
+ * Same as POST /api/dsa/problems/import and GET /api/dsa/problems/export
+ * (src/services/catalogImportService.js). Importing adds and updates
+ * problems; it never deletes any.
+ *
+ * RUN:
+ *   npm run catalog:import -- problems.csv              (or .json)
+ *   npm run catalog:import -- problems.csv --dry-run    (report only)
+ *   npm run catalog:export                              (blaezi-problems-YYYY-MM-DD.csv)
+ *   npm run catalog:export -- --format json --out catalog.json --include-inactive
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const catalogImportService = require('./src/services/catalogImportService');
+
+const USAGE = [
+  'Usage:',
+  '  node catalog.js import <file.csv|file.json> [--dry-run]',
+  '  node catalog.js export [--format csv|json] [--out <file>] [--include-inactive]'
+].join('\n');
+
+const option = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? null : process.argv[index + 1];
+};
+
+async function importFile(file) {
+  const format = path.extname(file).slice(1).toLowerCase();
+  const dryRun = process.argv.includes('--dry-run');
+
+  const problems = catalogImportService.parseProblems(fs.readFileSync(file, 'utf8'), format);
+  const report = await catalogImportService.importProblems(problems, { dryRun });
+
+  report.added.forEach(problem => console.log(`   ✅ Add #${problem.index}: ${problem.title}`));
+  report.changed.forEach(problem => console.log(`   ✏️  Change #${problem.index}: ${problem.title} (${problem.fields.join(', ')})`));
+  report.duplicates.forEach(problem => console.log(`   ⏭️  Duplicate #${problem.index}: ${problem.title} (same as #${problem.duplicateOf})`));
+  report.failed.forEach(problem => console.log(`   ❌ Failed #${problem.index}: ${problem.title || '(no title)'} - ${problem.error}`));
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`📊 Import ${dryRun ? '(dry run - nothing saved)' : 'complete'}`);
+  console.log(`   Problems in file: ${report.total}`);
+  console.log(`   ✅ Added: ${report.added.length}`);
+  console.log(`   ✏️  Changed: ${report.changed.length}`);
+  console.log(`   💤 Unchanged: ${report.unchanged}`);
+  console.log(`   ⏭️  Duplicates: ${report.duplicates.length}`);
+  console.log(`   ❌ Failed: ${report.failed.length}`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  return report.failed.length === 0;
+}
+
+async function exportFile() {
+  const format = option('--format') || 'csv';
+  const includeInactive = process.argv.includes('--include-inactive');
+
+  const file = await catalogImportService.exportProblems(format, { includeInactive });
+  const out = option('--out') || file.filename;
+  const body = format === 'json' ? JSON.stringify(file.body, null, 2) : file.body;
+
+  fs.writeFileSync(out, body);
+  console.log(`✅ Exported ${file.count} problems to ${out}`);
+
+  return true;
+}
+
+async function main() {
+  const [command, file] = process.argv.slice(2);
+
+  if (command !== 'export' && !(command === 'import' && file)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    const ok = command === 'import' ? await importFile(file) : await exportFile();
+
+    await mongoose.connection.close();
+    process.exit(ok ? 0 : 1);
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,47 @@
+/**
+ * Grant or revoke the admin role
+ * 
+ * RUN:
+ *   node makeAdmin.js user@example.com            (grant)
+ *   node makeAdmin.js user@example.com --revoke   (back to regular user)
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('./src/models/User');
+
+async function makeAdmin() {
+  const email = process.argv[2];
+  const role = process.argv.includes('--revoke') ? 'user' : 'admin';
+
+  if (!email) {
+    console.error('Usage: node makeAdmin.js <email> [--revoke]');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected\n');
+
+    const user = await User.findOneAndUpdate(
+      { email: email.toLowerCase().trim() },
+      { role },
+      { new: true }
+    );
+
+    if (!user) {
+      console.error(`❌ No user with email ${email}`);
+      process.exit(1);
+    }
+
+    console.log(`✅ ${user.email} is now "${user.role}"`);
+    await mongoose.connection.close();
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+}
+
+makeAdmin();
@@ -0,0 +1,85 @@
+/**
+ * Express App
+ *
+ * Middleware, routes and error handling - no side effects (no DB
+ * connection, no listening, no timers), so tests can run requests
+ * against it directly. src/index.js starts the real server.
+ */
+
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const healthService = require('./services/healthService');
+const requestLogger = require('./middleware/requestLogger');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+
+const routes = require('./routes');
+
+const app = express();
+
+// Behind a proxy (nginx, Render, ...) req.ip must come from X-Forwarded-For,
+// otherwise every client shares the proxy's IP in the rate limiter.
+// TRUST_PROXY: "true", a hop count ("1") or addresses ("loopback, 10.0.0.0/8")
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
+// Request ID + access log (first, so every later log line has the requestId)
+app.use(requestLogger);
+
+// While shutting down, tell keep-alive clients to reconnect elsewhere
+app.use((req, res, next) => {
+  if (healthService.isShuttingDown()) res.set('Connection', 'close');
+  next();
+});
+
+// 🔴 THESE TWO MUST COME BEFORE ROUTES
+app.use(cors({
+  origin: '*', // Allow all origins for development
+  credentials: true,
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
+}));
+// Export bundles / catalog files are much larger than normal request bodies
+app.use('/api/account/import', express.json({ limit: '10mb' }));
+app.use('/api/dsa/problems/import', express.json({ limit: '10mb' }), express.text({ type: 'text/csv', limit: '10mb' }));
+app.use(express.json());   // 👈 THIS WAS THE SILENT KILLER
+
+// Routes (src/routes/index.js - also the source of the OpenAPI docs at /api/docs)
+routes.forEach(({ path: mountPath, router }) => app.use(mountPath, router));
+
+// Legacy health check (kept for existing monitors)
+app.get('/ping', (req, res) => {
+  res.send('SERVER ALIVE');
+});
+
+// Serve static files from frontend build (if exists)
+// Uncomment these lines if you have a frontend build folder
+/*
+const frontendPath = path.join(__dirname, '../frontend/build'); // adjust path as needed
+app.use(express.static(frontendPath));
+
+// Catch-all route to serve frontend's index.html for any non-API routes
+app.get('*', (req, res) => {
+  // Only serve index.html if it's not an API route
+  if (!req.path.startsWith('/api')) {
+    res.sendFile(path.join(frontendPath, 'index.html'));
+  } else {
+    res.status(404).json({
+      success: false,
+      message: `API route not found: ${req.method} ${req.url}`,
+      code: 'NOT_FOUND'
+    });
+  }
+});
+*/
+
+// 404 handler - catch all undefined routes
+app.use(notFound);
+
+// Error handler - MUST be last (turns thrown errors into JSON responses)
+app.use(errorHandler);
+
+module.exports = app;
@@ -1,13 +1,71 @@
 const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+/**
+ * MongoDB connection
+ *
+ * connectDB retries with exponential backoff (1s, 2s, 4s, ... capped at
+ * 30s) instead of giving up on the first failure, so the API survives
+ * MongoDB starting a little later than the server. /health/ready reports
+ * "not ready" until the connection is up.
+ *
+ * CONFIG (.env):
+ * - MONGO_URI
+ * - DB_CONNECT_RETRIES: attempts before giving up (default 10, 0 = forever)
+ */
+
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Set by disconnectDB so a pending retry doesn't reconnect during shutdown
+let closing = false;
+
+// Log connection changes after the first connect (driver reconnects by itself)
+mongoose.connection.on('disconnected', () => logger.warn('MongoDB disconnected'));
+mongoose.connection.on('reconnected', () => logger.info('MongoDB reconnected'));
 
 const connectDB = async () => {
-  try {
-    const conn = await mongoose.connect(process.env.MONGO_URI);
-    console.log(`MongoDB Connected`);
-  } catch (error) {
-    console.error(`Error: ${error.message}`);
-    process.exit(1); // Stop the server if connection fails
+  const configured = parseInt(process.env.DB_CONNECT_RETRIES);
+  const maxAttempts = Number.isNaN(configured) ? 10 : configured;
+
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      const conn = await mongoose.connect(process.env.MONGO_URI);
+      logger.info('MongoDB connected', { host: conn.connection.host, attempt });
+      return conn;
+    } catch (error) {
+      if (closing) return null;
+
+      if (maxAttempts > 0 && attempt >= maxAttempts) {
+        logger.error('MongoDB connection failed, giving up', { attempt, err: error });
+        throw error;
+      }
+
+      const delayMs = Math.min(BASE_DELAY_MS * 2 ** (attempt - 1), MAX_DELAY_MS);
+      logger.warn('MongoDB connection failed, retrying', { attempt, retryInMs: delayMs, message: error.message });
+      await sleep(delayMs);
+      if (closing) return null;
+    }
   }
 };
 
-module.exports = connectDB;
\ No newline at end of file
+/**
+ * Close the connection (graceful shutdown)
+ */
+const disconnectDB = async () => {
+  closing = true;
+
+  // Still connecting: close() would wait for the attempt to time out
+  // (30s), and there's nothing to flush anyway
+  if (mongoose.connection.readyState !== mongoose.STATES.connected) return;
+
+  await mongoose.connection.close();
+  logger.info('MongoDB connection closed');
+};
+
+module.exports = {
+  connectDB,
+  disconnectDB
+};
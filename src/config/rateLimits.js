@@ -0,0 +1,72 @@
+/**
+ * Rate Limit Policies
+ *
+ * PURPOSE: Every rate limit in the API, in one place
+ *
+ * A policy is a list of limits; a request must pass ALL of them.
+ * Each limit counts hits per key:
+ * - ip:    client IP (set TRUST_PROXY when running behind a proxy)
+ * - email: email in the request body (per-account, before login)
+ * - user:  authenticated user id (route must use auth first)
+ *
+ * Routes opt in with the middleware:
+ *   router.post('/login', rateLimit('login'), ...);
+ *
+ * CONFIG (.env):
+ * - RATE_LIMIT_ENABLED=false  Turn all limits off (local dev / tests)
+ * - RATE_LIMIT_STORE          memory (default) or mongo (see services/rateLimitStore.js)
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+module.exports = {
+  enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+
+  policies: {
+    login: [
+      { by: 'ip', max: 20, windowMs: 15 * MINUTE },
+      { by: 'email', max: 10, windowMs: 15 * MINUTE }
+    ],
+    register: [
+      { by: 'ip', max: 5, windowMs: HOUR }
+    ],
+    forgotPassword: [
+      { by: 'ip', max: 10, windowMs: HOUR },
+      { by: 'email', max: 3, windowMs: HOUR }
+    ],
+    resendVerification: [
+      { by: 'user', max: 3, windowMs: HOUR }
+    ],
+    // Unauthenticated GitHub proxy - spends our GitHub API quota
+    githubTest: [
+      { by: 'ip', max: 10, windowMs: HOUR }
+    ],
+    // GitHub sign-in redirect + callback, link completion (each spends GitHub API calls)
+    githubOAuth: [
+      { by: 'ip', max: 30, windowMs: 15 * MINUTE }
+    ],
+    // Authenticated GitHub fetch / sync / project refresh / token check
+    githubSync: [
+      { by: 'user', max: 30, windowMs: HOUR }
+    ],
+    // LeetCode / Codeforces submission sync (their public APIs throttle us)
+    platformSync: [
+      { by: 'user', max: 30, windowMs: HOUR }
+    ]
+  },
+
+  /**
+   * Progressive login lockout (per email)
+   *
+   * After maxFailures failed logins the account is locked for baseLockMs,
+   * doubling with every further failure up to maxLockMs. Failures are
+   * remembered for failureWindowMs; a successful login clears them.
+   */
+  lockout: {
+    maxFailures: 5,
+    baseLockMs: MINUTE,
+    maxLockMs: HOUR,
+    failureWindowMs: 24 * HOUR
+  }
+};
@@ -0,0 +1,62 @@
+/**
+ * Account Controller
+ * 
+ * PURPOSE: Export / import a user's full data set
+ * 
+ * ENDPOINTS:
+ * - GET  /api/account/export - Download everything as a versioned JSON bundle
+ * - POST /api/account/import - Load a bundle (merge or replace)
+ */
+
+const accountExportService = require('../services/accountExportService');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * GET /api/account/export
+ * 
+ * Download all of the user's data as one JSON file
+ * (DSA problems referenced by title/URL, not ObjectId)
+ */
+exports.exportAccount = async (req, res) => {
+  // Get userId from verified JWT token
+  const userId = req.user.id;
+  
+  const bundle = await accountExportService.exportAccount(userId);
+  const filename = `blaezi-export-${bundle.exportedAt.slice(0, 10)}.json`;
+  
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.json(bundle);
+};
+
+/**
+ * POST /api/account/import
+ * 
+ * Import a bundle produced by /export
+ * 
+ * QUERY PARAMS:
+ * - mode: merge (default) | replace
+ * 
+ * BODY: The export bundle as-is
+ */
+exports.importAccount = async (req, res) => {
+  const userId = req.user.id;
+  const { mode } = req.query;
+  const bundle = req.body;
+  
+  const errors = accountExportService.validateBundle(bundle);
+  if (errors.length > 0) {
+    throw new ValidationError(
+      'Invalid export bundle',
+      errors.map(message => ({ location: 'body', message })),
+      'INVALID_BUNDLE'
+    );
+  }
+  
+  const result = await accountExportService.importAccount(userId, bundle, mode);
+  
+  res.json({
+    success: true,
+    message: `Import complete (${mode})`,
+    data: result
+  });
+};
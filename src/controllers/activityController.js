@@ -0,0 +1,39 @@
+/**
+ * Activity Controller
+ * 
+ * PURPOSE: Unified activity heatmap and streaks
+ * 
+ * ENDPOINTS:
+ * - GET /api/activity/heatmap - Yearly heatmap + current/longest streak
+ */
+
+const activityService = require('../services/activityService');
+const { BadRequestError } = require('../utils/errors');
+
+/**
+ * GET /api/activity/heatmap
+ * 
+ * Get GitHub-style contribution heatmap across DSA, planner,
+ * goal steps and career preparation steps
+ * 
+ * QUERY PARAMS:
+ * - year: Calendar year (default: last 365 days)
+ * - timezone: IANA timezone for day boundaries (default: UTC)
+ */
+exports.getHeatmap = async (req, res) => {
+  // Get userId from verified JWT token
+  const userId = req.user.id;
+  
+  const { year = null, timezone } = req.query;
+  
+  if (!activityService.isValidTimezone(timezone)) {
+    throw new BadRequestError(`Invalid timezone "${timezone}"`, 'INVALID_TIMEZONE');
+  }
+  
+  const heatmap = await activityService.getHeatmap(userId, { year, timezone });
+  
+  res.json({
+    success: true,
+    data: heatmap
+  });
+};
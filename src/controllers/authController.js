@@ -1,194 +1,501 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const tokenService = require('../services/tokenService');
+const mailService = require('../services/mailService');
+const accountService = require('../services/accountService');
+const loginLockoutService = require('../services/loginLockoutService');
+const githubTokenService = require('../services/githubTokenService');
+const githubOAuthService = require('../services/githubOAuthService');
+const logger = require('../utils/logger');
+const {
+  AppError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError
+} = require('../utils/errors');
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: '30d'
-  });
-};
+// Public user fields returned by auth endpoints
+const formatUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  githubUsername: user.githubUsername,
+  platformUsernames: {
+    leetcode: user.platformUsernames.leetcode,
+    codeforces: user.platformUsernames.codeforces
+  },
+  avatar: user.avatar,
+  role: user.role,
+  emailVerified: user.emailVerified,
+  hasPassword: Boolean(user.password),
+  githubLinked: Boolean(user.githubId),
+  githubTokenSaved: githubTokenService.toStatus(user).saved
+});
 
-// Register user
-exports.register = async (req, res) => {
+// Email a fresh verification link (failures are logged, not fatal)
+const sendVerification = async (user) => {
   try {
-    const { name, email, password } = req.body;
-
-    // Validation
-    if (!name || !email || !password) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Please provide name, email, and password' 
-      });
-    }
+    const { token } = await tokenService.createUserToken(user._id, 'email-verification');
+    await mailService.sendVerificationEmail(user, token);
+  } catch (error) {
+    logger.error('Verification email failed', { err: error });
+  }
+};
 
-    if (password.length < 6) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Password must be at least 6 characters' 
-      });
+// Checks shared by password and GitHub login. Account scheduled for
+// deletion: purge if the grace period is over, otherwise logging back in
+// cancels the deletion. Returns whether a deletion was cancelled.
+const checkCanLogIn = async (user) => {
+  let deletionCancelled = false;
+  if (user.deletionScheduledAt) {
+    if (user.deletionScheduledAt <= new Date()) {
+      await accountService.deleteUserData(user._id);
+      throw new UnauthorizedError('Invalid email or password', 'INVALID_CREDENTIALS');
     }
+    await accountService.cancelDeletion(user);
+    deletionCancelled = true;
+  }
 
-    // Check if user exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(409).json({ 
-        success: false, 
-        message: 'Email already registered. Please use a different email.' 
-      });
-    }
+  // Optionally block unverified accounts
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !user.emailVerified) {
+    throw new ForbiddenError('Please verify your email before logging in', 'EMAIL_NOT_VERIFIED');
+  }
 
-    // Create user
-    const user = await User.create({
-      name,
-      email,
-      password
-    });
+  return deletionCancelled;
+};
 
-    // Generate token
-    const token = generateToken(user._id);
+// Register user
+exports.register = async (req, res) => {
+  const { name, email, password } = req.body;
 
-    res.status(201).json({
-      success: true,
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        githubUsername: user.githubUsername,
-        avatar: user.avatar
-      }
-    });
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error during registration',
-      error: error.message 
-    });
+  // Check if user exists
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    throw new ConflictError('Email already registered. Please use a different email.', 'EMAIL_TAKEN');
   }
+
+  // Create user
+  const user = await User.create({
+    name,
+    email,
+    password
+  });
+
+  await sendVerification(user);
+
+  // Start session (access + refresh token)
+  const tokens = await tokenService.createSession(user._id, req);
+
+  res.status(201).json({
+    success: true,
+    ...tokens,
+    user: formatUser(user)
+  });
 };
 
 // Login user
 exports.login = async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    // Validation
-    if (!email || !password) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Please provide email and password' 
-      });
-    }
+  const { email, password } = req.body;
 
-    // Find user
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Invalid email or password' 
-      });
-    }
+  // Locked after too many failed attempts (429 + Retry-After)
+  await loginLockoutService.assertNotLocked(email);
 
-    // Check password
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Invalid email or password' 
-      });
-    }
-
-    // Generate token
-    const token = generateToken(user._id);
+  // Find user
+  const user = await User.findOne({ email });
+  if (!user) {
+    await loginLockoutService.recordFailure(email);
+    throw new UnauthorizedError('Invalid email or password', 'INVALID_CREDENTIALS');
+  }
 
-    res.json({
-      success: true,
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        githubUsername: user.githubUsername,
-        avatar: user.avatar
-      }
-    });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error during login' 
-    });
+  // Check password
+  const isMatch = await user.comparePassword(password);
+  if (!isMatch) {
+    await loginLockoutService.recordFailure(email);
+    throw new UnauthorizedError('Invalid email or password', 'INVALID_CREDENTIALS');
   }
+
+  await loginLockoutService.recordSuccess(email);
+
+  const deletionCancelled = await checkCanLogIn(user);
+
+  // Start session (access + refresh token)
+  const tokens = await tokenService.createSession(user._id, req);
+
+  res.json({
+    success: true,
+    ...tokens,
+    user: formatUser(user),
+    deletionCancelled: deletionCancelled || undefined
+  });
 };
 
 // Get current user
 exports.getMe = async (req, res) => {
+  const user = await User.findById(req.user.id).select('-password');
+  
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  res.json({
+    success: true,
+    user: formatUser(user)
+  });
+};
+
+// Update profile
+exports.updateProfile = async (req, res) => {
+  const { name, githubUsername, avatar } = req.body;
+
+  const user = await User.findById(req.user.id);
+  
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  // Update fields
+  if (name) user.name = name;
+  if (githubUsername !== undefined) user.githubUsername = githubUsername;
+  if (avatar !== undefined) user.avatar = avatar;
+
+  await user.save();
+
+  res.json({
+    success: true,
+    user: formatUser(user)
+  });
+};
+
+// GitHub token status (never the token itself)
+exports.getGitHubToken = async (req, res) => {
+  const githubToken = await githubTokenService.getStatus(req.user.id);
+
+  res.json({
+    success: true,
+    githubToken
+  });
+};
+
+// Save a GitHub personal access token (checked against GitHub, stored encrypted)
+exports.saveGitHubToken = async (req, res) => {
+  // Throws 400 GITHUB_TOKEN_INVALID / GITHUB_TOKEN_SCOPES
+  const githubToken = await githubTokenService.saveToken(req.user.id, req.body.token.trim());
+
+  res.json({
+    success: true,
+    message: 'GitHub token saved',
+    githubToken
+  });
+};
+
+// Remove the saved GitHub token
+exports.deleteGitHubToken = async (req, res) => {
+  await githubTokenService.removeToken(req.user.id);
+
+  res.json({
+    success: true,
+    message: 'GitHub token removed'
+  });
+};
+
+// Value of a request cookie (no cookie parser mounted, only the OAuth flow uses one)
+const readCookie = (req, name) => {
+  const pair = (req.get('cookie') || '')
+    .split(';')
+    .map(part => part.trim().split('='))
+    .find(([key]) => key === name);
+
+  if (!pair) return null;
+  try {
+    return decodeURIComponent(pair.slice(1).join('='));
+  } catch (error) {
+    return null;
+  }
+};
+
+// GitHub sign-in: send the browser to GitHub (with the nonce cookie the
+// callback checks, see githubOAuthService)
+exports.githubSignIn = async (req, res) => {
+  const { url, nonce } = githubOAuthService.getAuthorizeUrl(req);
+
+  res.cookie(githubOAuthService.NONCE_COOKIE, nonce, githubOAuthService.NONCE_COOKIE_OPTIONS);
+  res.redirect(url);
+};
+
+// Link GitHub to the current account: URL to send the browser to
+// (a redirect can't carry the Authorization header, so the client navigates)
+exports.githubLink = async (req, res) => {
+  const { url } = githubOAuthService.getAuthorizeUrl(req, { userId: req.user.id });
+
+  res.json({
+    success: true,
+    url
+  });
+};
+
+// Finish linking with the code + state the callback handed to the frontend
+exports.githubLinkComplete = async (req, res) => {
+  // Throws 400 OAUTH_STATE_INVALID when the link was started by another user
+  const user = await githubOAuthService.completeLink(req, req.user.id, req.body);
+
+  res.json({
+    success: true,
+    message: 'GitHub account linked',
+    user: formatUser(user)
+  });
+};
+
+// Unlink GitHub (also removes the saved GitHub token)
+exports.githubUnlink = async (req, res) => {
+  await githubOAuthService.unlink(req.user.id);
+
+  res.json({
+    success: true,
+    message: 'GitHub account unlinked'
+  });
+};
+
+// GitHub OAuth callback: finish sign-in and redirect back to the frontend
+// with the result in the URL fragment (never sent to servers):
+//   APP_URL/auth/github/callback#token=...&refreshToken=...&expiresIn=...&mode=signed-in|created
+//   APP_URL/auth/github/callback#mode=link&code=...&state=...  (POST them to /github/link/complete)
+//   APP_URL/auth/github/callback#error=CODE&message=...
+exports.githubCallback = async (req, res) => {
+  const appUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+  const finish = (params) => res.redirect(`${appUrl}/auth/github/callback#${new URLSearchParams(params)}`);
+  const cookieNonce = readCookie(req, githubOAuthService.NONCE_COOKIE);
+
+  // One attempt per nonce
+  if (cookieNonce) {
+    res.clearCookie(githubOAuthService.NONCE_COOKIE, githubOAuthService.NONCE_COOKIE_OPTIONS);
+  }
+
+  // The user declined on GitHub's authorize page
+  if (req.query.error) {
+    return finish({ error: 'GITHUB_ACCESS_DENIED', message: req.query.error_description || 'GitHub sign-in was cancelled' });
+  }
+
   try {
-    const user = await User.findById(req.user.id).select('-password');
-    
-    if (!user) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'User not found' 
-      });
+    // Linking finishes as the logged-in user, which only the frontend can prove
+    if (githubOAuthService.isLinkState(req.query.state)) {
+      return finish({ mode: 'link', code: req.query.code || '', state: req.query.state });
     }
 
-    res.json({
-      success: true,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        githubUsername: user.githubUsername,
-        avatar: user.avatar
-      }
-    });
+    const { user, mode } = await githubOAuthService.completeSignIn(req, req.query, cookieNonce);
+
+    const deletionCancelled = await checkCanLogIn(user);
+    const tokens = await tokenService.createSession(user._id, req);
+
+    finish({ ...tokens, mode, ...(deletionCancelled ? { deletionCancelled: 'true' } : {}) });
   } catch (error) {
-    console.error('Get user error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error' 
-    });
+    if (!(error instanceof AppError)) {
+      logger.error('GitHub sign-in failed', { err: error });
+    }
+    finish(error instanceof AppError
+      ? { error: error.code, message: error.message }
+      : { error: 'INTERNAL_ERROR', message: 'GitHub sign-in failed, please try again' });
   }
 };
 
-// Update profile
-exports.updateProfile = async (req, res) => {
-  try {
-    const { name, githubUsername, avatar } = req.body;
-
-    const user = await User.findById(req.user.id);
-    
-    if (!user) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'User not found' 
-      });
+// Refresh tokens (rotates the refresh token)
+exports.refresh = async (req, res) => {
+  const { refreshToken } = req.body;
+
+  // Throws 401 REFRESH_TOKEN_INVALID / REFRESH_TOKEN_REUSED
+  const tokens = await tokenService.rotateRefreshToken(refreshToken);
+
+  res.json({
+    success: true,
+    ...tokens
+  });
+};
+
+// Logout (revoke current session)
+exports.logout = async (req, res) => {
+  await tokenService.revokeSession(req.user.sessionId, 'logout');
+
+  res.json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+};
+
+// Logout everywhere (revoke all sessions)
+exports.logoutAll = async (req, res) => {
+  const result = await tokenService.revokeAllSessions(req.user.id, 'logout-all');
+
+  res.json({
+    success: true,
+    message: 'Logged out from all devices',
+    revokedSessions: result.modifiedCount
+  });
+};
+
+// Forgot password (email a reset link)
+exports.forgotPassword = async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+
+  // Same response whether or not the account exists (no email enumeration)
+  if (user) {
+    const { token, expiresInMinutes } = await tokenService.createUserToken(user._id, 'password-reset');
+    await mailService.sendPasswordResetEmail(user, token, expiresInMinutes);
+  }
+
+  res.json({
+    success: true,
+    message: 'If an account exists for that email, a reset link has been sent'
+  });
+};
+
+// Reset password with emailed token
+exports.resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+
+  const userToken = await tokenService.consumeUserToken(token, 'password-reset');
+  if (!userToken) {
+    throw new BadRequestError('Reset link is invalid or has expired', 'INVALID_TOKEN');
+  }
+
+  const user = await User.findById(userToken.userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  user.password = password;
+  // Receiving the email proves ownership of the address
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+
+  // Log out everywhere - whoever had the old password loses access
+  await tokenService.revokeAllSessions(user._id, 'password-reset');
+
+  res.json({
+    success: true,
+    message: 'Password has been reset. Please log in again.'
+  });
+};
+
+// Verify email with emailed token
+exports.verifyEmail = async (req, res) => {
+  const { token } = req.body;
+
+  const userToken = await tokenService.consumeUserToken(token, 'email-verification');
+  if (!userToken) {
+    throw new BadRequestError('Verification link is invalid or has expired', 'INVALID_TOKEN');
+  }
+
+  const user = await User.findByIdAndUpdate(
+    userToken.userId,
+    { emailVerified: true, emailVerifiedAt: new Date() },
+    { new: true }
+  );
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  res.json({
+    success: true,
+    message: 'Email verified successfully',
+    user: formatUser(user)
+  });
+};
+
+// Resend verification email
+exports.resendVerification = async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (user.emailVerified) {
+    throw new BadRequestError('Email is already verified', 'ALREADY_VERIFIED');
+  }
+
+  await sendVerification(user);
+
+  res.json({
+    success: true,
+    message: 'Verification email sent'
+  });
+};
+
+// Confirm it's really the user before a sensitive change: their password, or
+// for accounts without one (GitHub sign-in), a login in the last few minutes
+const confirmIdentity = async (req, user, password, wrongPasswordMessage) => {
+  if (!user.password) {
+    if (!(await tokenService.isFreshLogin(req.user.sessionId))) {
+      throw new ForbiddenError(
+        `Sign in with GitHub again to confirm (within ${tokenService.FRESH_LOGIN_MINUTES} minutes)`,
+        'FRESH_LOGIN_REQUIRED'
+      );
     }
+    return;
+  }
+
+  if (!password || !(await user.comparePassword(password))) {
+    throw new UnauthorizedError(wrongPasswordMessage, 'INVALID_CREDENTIALS');
+  }
+};
+
+// Change password (requires current password, or a fresh login without one)
+exports.changePassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
 
-    // Update fields
-    if (name) user.name = name;
-    if (githubUsername !== undefined) user.githubUsername = githubUsername;
-    if (avatar !== undefined) user.avatar = avatar;
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
 
-    await user.save();
+  await confirmIdentity(req, user, currentPassword, 'Current password is incorrect');
+
+  user.password = newPassword;
+  await user.save();
+
+  // Keep this device logged in, log out every other session
+  const result = await tokenService.revokeAllSessions(user._id, 'password-change', req.user.sessionId);
+
+  res.json({
+    success: true,
+    message: 'Password changed successfully',
+    revokedSessions: result.modifiedCount
+  });
+};
 
-    res.json({
+// Delete account (immediately, or after a grace period)
+exports.deleteAccount = async (req, res) => {
+  const { password, gracePeriod } = req.body;
+
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  await confirmIdentity(req, user, password, 'Password is incorrect');
+
+  // Soft delete: purge later, logging in before then cancels it
+  if (gracePeriod) {
+    const scheduledFor = await accountService.scheduleDeletion(user);
+
+    return res.json({
       success: true,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        githubUsername: user.githubUsername,
-        avatar: user.avatar
-      }
-    });
-  } catch (error) {
-    console.error('Update profile error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error' 
+      message: `Account scheduled for deletion. Log in before ${scheduledFor.toISOString()} to cancel.`,
+      deletionScheduledAt: scheduledFor
     });
   }
+
+  const deleted = await accountService.deleteUserData(user._id);
+
+  res.json({
+    success: true,
+    message: 'Account and all data deleted',
+    deleted
+  });
 };
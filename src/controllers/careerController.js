@@ -17,48 +17,44 @@
  */
 
 const CareerEvent = require('../models/CareerEvent');
+const listQuery = require('../utils/listQuery');
+const { NotFoundError } = require('../utils/errors');
 
 /**
  * GET /api/career
  * 
  * Get all events with optional filters
+ * 
+ * QUERY PARAMS:
+ * - type, status, starred, includeArchived
+ * - limit, page / cursor, sort, fields (see utils/listQuery.js)
+ * - date[gte], date[lt], ... (gt/gte/lt/lte)
  */
 exports.getAllEvents = async (req, res) => {
-  try {
-    // Get userId from verified JWT token
-    const userId = req.user.id;
-    
-    const { type, status, starred, includeArchived } = req.query;
-    
-    let events;
-    
-    if (type) {
-      events = await CareerEvent.getEventsByType(userId, type);
-    } else if (starred === 'true') {
-      events = await CareerEvent.getStarredEvents(userId);
-    } else {
-      events = await CareerEvent.getUserEvents(userId, includeArchived === 'true');
-    }
-    
-    // Filter by status if provided
-    if (status && events) {
-      events = events.filter(e => e.status === status);
-    }
-    
-    res.json({
-      success: true,
-      count: events.length,
-      data: events
-    });
-    
-  } catch (error) {
-    console.error('Error fetching events:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch events',
-      error: error.message
-    });
-  }
+  // Get userId from verified JWT token
+  const userId = req.user.id;
+  
+  const { type, status, starred, includeArchived } = req.query;
+  
+  const filter = { userId };
+  if (!includeArchived) filter.isArchived = false;
+  if (type) filter.type = type;
+  if (status) filter.status = status;
+  if (starred !== undefined) filter.starred = starred;
+  
+  const { data: events, pagination } = await listQuery.run(CareerEvent, filter, req.query, {
+    sortable: ['date', 'title', 'createdAt', 'updatedAt'],
+    selectable: ['title', 'description', 'type', 'date', 'status', 'priority', 'company', 'location', 'url', 'starred', 'isArchived', 'createdAt', 'updatedAt'],
+    rangeFields: { date: 'date', createdAt: 'date', updatedAt: 'date' },
+    defaultSort: 'date'
+  });
+  
+  res.json({
+    success: true,
+    count: events.length,
+    data: events,
+    pagination
+  });
 };
 
 /**
@@ -67,28 +63,18 @@ exports.getAllEvents = async (req, res) => {
  * Get upcoming events
  */
 exports.getUpcomingEvents = async (req, res) => {
-  try {
-    // Get userId from verified JWT token
-    const userId = req.user.id;
-    
-    const limit = req.query.limit ? parseInt(req.query.limit) : null;
-    
-    const events = await CareerEvent.getUpcomingEvents(userId, limit);
-    
-    res.json({
-      success: true,
-      count: events.length,
-      data: events
-    });
-    
-  } catch (error) {
-    console.error('Error fetching upcoming events:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch upcoming events',
-      error: error.message
-    });
-  }
+  // Get userId from verified JWT token
+  const userId = req.user.id;
+  
+  const { limit = null } = req.query;
+  
+  const events = await CareerEvent.getUpcomingEvents(userId, limit);
+  
+  res.json({
+    success: true,
+    count: events.length,
+    data: events
+  });
 };
 
 /**
@@ -97,26 +83,16 @@ exports.getUpcomingEvents = async (req, res) => {
  * Get past events
  */
 exports.getPastEvents = async (req, res) => {
-  try {
-    // Get userId from verified JWT token
-    const userId = req.user.id;
-    
-    const events = await CareerEvent.getPastEvents(userId);
-    
-    res.json({
-      success: true,
-      count: events.length,
-      data: events
-    });
-    
-  } catch (error) {
-    console.error('Error fetching past events:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch past events',
-      error: error.message
-    });
-  }
+  // Get userId from verified JWT token
+  const userId = req.user.id;
+  
+  const events = await CareerEvent.getPastEvents(userId);
+  
+  res.json({
+    success: true,
+    count: events.length,
+    data: events
+  });
 };
 
 /**
@@ -125,25 +101,15 @@ exports.getPastEvents = async (req, res) => {
  * Get event statistics
  */
 exports.getEventStats = async (req, res) => {
-  try {
-    // Get userId from verified JWT token
-    const userId = req.user.id;
-    
-    const stats = await CareerEvent.getUserStats(userId);
-    
-    res.json({
-      success: true,
-      data: stats
-    });
-    
-  } catch (error) {
-    console.error('Error fetching stats:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch statistics',
-      error: error.message
-    });
-  }
+  // Get userId from verified JWT token
+  const userId = req.user.id;
+  
+  const stats = await CareerEvent.getUserStats(userId);
+  
+  res.json({
+    success: true,
+    data: stats
+  });
 };
 
 /**
@@ -167,84 +133,67 @@ exports.getEventStats = async (req, res) => {
  * }
  */
 exports.createEvent = async (req, res) => {
-  try {
-    // Get userId from verified JWT token
-    const userId = req.user.id;
-    
-    const {
-      title,
-      description,
-      type,
-      date,
-      status,
-      completed,  // Frontend might send boolean 'completed'
-      priority,
-      company,
-      location,
-      url,
-      preparationSteps,
-      preparation,  // Frontend might send 'preparation' instead of 'preparationSteps'
-      notes,
-      starred
-    } = req.body;
-    
-    if (!title || !date) {
-      return res.status(400).json({
-        success: false,
-        message: 'Title and date are required'
-      });
-    }
-    
-    // Handle completed boolean -> status conversion
-    let eventStatus = status;
-    if (completed !== undefined && !status) {
-      eventStatus = completed ? 'completed' : 'upcoming';
-    }
-    
-    // Handle preparation vs preparationSteps
-    const steps = preparationSteps || preparation || [];
-    
-    // Validate and normalize event type
-    const validTypes = ['interview', 'deadline', 'goal', 'milestone', 'networking', 'other'];
-    let eventType = type ? type.toLowerCase() : 'other';
-    if (!validTypes.includes(eventType)) {
-      // Map common variations
-      if (['exam', 'test', 'assessment'].includes(eventType)) {
-        eventType = 'milestone';
-      } else {
-        eventType = 'other';
-      }
+  // Get userId from verified JWT token
+  const userId = req.user.id;
+  
+  const {
+    title,
+    description,
+    type,
+    date,
+    status,
+    completed,  // Frontend might send boolean 'completed'
+    priority,
+    company,
+    location,
+    url,
+    preparationSteps,
+    preparation,  // Frontend might send 'preparation' instead of 'preparationSteps'
+    notes,
+    starred
+  } = req.body;
+  
+  // Handle completed boolean -> status conversion
+  let eventStatus = status;
+  if (completed !== undefined && !status) {
+    eventStatus = completed ? 'completed' : 'upcoming';
+  }
+  
+  // Handle preparation vs preparationSteps
+  const steps = preparationSteps || preparation || [];
+  
+  // Validate and normalize event type
+  const validTypes = ['interview', 'deadline', 'goal', 'milestone', 'networking', 'other'];
+  let eventType = type ? type.toLowerCase() : 'other';
+  if (!validTypes.includes(eventType)) {
+    // Map common variations
+    if (['exam', 'test', 'assessment'].includes(eventType)) {
+      eventType = 'milestone';
+    } else {
+      eventType = 'other';
     }
-    
-    const event = await CareerEvent.create({
-      userId,
-      title,
-      description,
-      type: eventType,
-      date,
-      status: eventStatus,
-      priority,
-      company,
-      location,
-      url,
-      preparationSteps: steps,
-      notes,
-      starred
-    });
-    
-    res.status(201).json({
-      success: true,
-      data: event
-    });
-    
-  } catch (error) {
-    console.error('Error creating event:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to create event',
-      error: error.message
-    });
   }
+  
+  const event = await CareerEvent.create({
+    userId,
+    title,
+    description,
+    type: eventType,
+    date,
+    status: eventStatus,
+    priority,
+    company,
+    location,
+    url,
+    preparationSteps: steps,
+    notes,
+    starred
+  });
+  
+  res.status(201).json({
+    success: true,
+    data: event
+  });
 };
 
 /**
@@ -253,29 +202,16 @@ exports.createEvent = async (req, res) => {
  * Get single event by ID
  */
 exports.getEventById = async (req, res) => {
-  try {
-    const event = await CareerEvent.findById(req.params.id);
-    
-    if (!event) {
-      return res.status(404).json({
-        success: false,
-        message: 'Event not found'
-      });
-    }
-    
-    res.json({
-      success: true,
-      data: event
-    });
-    
-  } catch (error) {
-    console.error('Error fetching event:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch event',
-      error: error.message
-    });
+  const event = await CareerEvent.findOne({ _id: req.params.id, userId: req.user.id });
+  
+  if (!event) {
+    throw new NotFoundError('Event not found');
   }
+  
+  res.json({
+    success: true,
+    data: event
+  });
 };
 
 /**
@@ -284,61 +220,48 @@ exports.getEventById = async (req, res) => {
  * Update event
  */
 exports.updateEvent = async (req, res) => {
-  try {
-    const event = await CareerEvent.findById(req.params.id);
-    
-    if (!event) {
-      return res.status(404).json({
-        success: false,
-        message: 'Event not found'
-      });
-    }
-    
-    const {
-      title,
-      description,
-      type,
-      date,
-      status,
-      priority,
-      company,
-      location,
-      url,
-      notes,
-      outcome,
-      starred,
-      isArchived
-    } = req.body;
-    
-    if (title) event.title = title;
-    if (description !== undefined) event.description = description;
-    if (type) event.type = type;
-    if (date) event.date = date;
-    if (status) event.status = status;
-    if (priority) event.priority = priority;
-    if (company !== undefined) event.company = company;
-    if (location !== undefined) event.location = location;
-    if (url !== undefined) event.url = url;
-    if (notes !== undefined) event.notes = notes;
-    if (outcome !== undefined) event.outcome = outcome;
-    if (starred !== undefined) event.starred = starred;
-    if (isArchived !== undefined) event.isArchived = isArchived;
-    
-    await event.save();
-    
-    res.json({
-      success: true,
-      data: event
-    });
-    
-  } catch (error) {
-    console.error('Error updating event:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update event',
-      error: error.message
-    });
+  const event = await CareerEvent.findOne({ _id: req.params.id, userId: req.user.id });
+  
+  if (!event) {
+    throw new NotFoundError('Event not found');
   }
+  
+  const {
+    title,
+    description,
+    type,
+    date,
+    status,
+    priority,
+    company,
+    location,
+    url,
+    notes,
+    outcome,
+    starred,
+    isArchived
+  } = req.body;
+  
+  if (title) event.title = title;
+  if (description !== undefined) event.description = description;
+  if (type) event.type = type;
+  if (date) event.date = date;
+  if (status) event.status = status;
+  if (priority) event.priority = priority;
+  if (company !== undefined) event.company = company;
+  if (location !== undefined) event.location = location;
+  if (url !== undefined) event.url = url;
+  if (notes !== undefined) event.notes = notes;
+  if (outcome !== undefined) event.outcome = outcome;
+  if (starred !== undefined) event.starred = starred;
+  if (isArchived !== undefined) event.isArchived = isArchived;
+  
+  await event.save();
+  
+  res.json({
+    success: true,
+    data: event
+  });
 };
 
 /**
@@ -347,39 +270,18 @@ exports.updateEvent = async (req, res) => {
  * Delete event
  */
 exports.deleteEvent = async (req, res) => {
-  try {
-    const event = await CareerEvent.findById(req.params.id);
-    
-    if (!event) {
-      return res.status(404).json({
-        success: false,
-        message: 'Event not found'
-      });
-    }
-    
-    // Check if user owns this event
-    if (event.userId.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to delete this event'
-      });
-    }
-    
-    await CareerEvent.findByIdAndDelete(req.params.id);
-    
-    res.json({
-      success: true,
-      message: 'Event deleted successfully'
-    });
-    
-  } catch (error) {
-    console.error('Error deleting event:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to delete event',
-      error: error.message
-    });
+  const event = await CareerEvent.findOne({ _id: req.params.id, userId: req.user.id });
+  
+  if (!event) {
+    throw new NotFoundError('Event not found');
   }
+  
+  await CareerEvent.findByIdAndDelete(req.params.id);
+  
+  res.json({
+    success: true,
+    message: 'Event deleted successfully'
+  });
 };
 
 /**
@@ -394,41 +296,21 @@ exports.deleteEvent = async (req, res) => {
  * }
  */
 exports.addPreparationStep = async (req, res) => {
-  try {
-    const event = await CareerEvent.findById(req.params.id);
-    
-    if (!event) {
-      return res.status(404).json({
-        success: false,
-        message: 'Event not found'
-      });
-    }
-    
-    const { title, description } = req.body;
-    
-    if (!title) {
-      return res.status(400).json({
-        success: false,
-        message: 'Step title is required'
-      });
-    }
-    
-    event.addPreparationStep(title, description);
-    await event.save();
-    
-    res.json({
-      success: true,
-      data: event
-    });
-    
-  } catch (error) {
-    console.error('Error adding step:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to add step',
-      error: error.message
-    });
+  const event = await CareerEvent.findOne({ _id: req.params.id, userId: req.user.id });
+  
+  if (!event) {
+    throw new NotFoundError('Event not found');
   }
+  
+  const { title, description } = req.body;
+  
+  event.addPreparationStep(title, description);
+  await event.save();
+  
+  res.json({
+    success: true,
+    data: event
+  });
 };
 
 /**
@@ -442,39 +324,26 @@ exports.addPreparationStep = async (req, res) => {
  * }
  */
 exports.toggleStepCompletion = async (req, res) => {
-  try {
-    const event = await CareerEvent.findById(req.params.id);
-    
-    if (!event) {
-      return res.status(404).json({
-        success: false,
-        message: 'Event not found'
-      });
-    }
-    
-    const { isCompleted } = req.body;
-    
-    if (isCompleted) {
-      event.completeStep(req.params.stepId);
-    } else {
-      event.uncompleteStep(req.params.stepId);
-    }
-    
-    await event.save();
-    
-    res.json({
-      success: true,
-      data: event
-    });
-    
-  } catch (error) {
-    console.error('Error toggling step:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to toggle step',
-      error: error.message
-    });
+  const event = await CareerEvent.findOne({ _id: req.params.id, userId: req.user.id });
+  
+  if (!event) {
+    throw new NotFoundError('Event not found');
+  }
+  
+  const { isCompleted } = req.body;
+  
+  if (isCompleted) {
+    event.completeStep(req.params.stepId);
+  } else {
+    event.uncompleteStep(req.params.stepId);
   }
+  
+  await event.save();
+  
+  res.json({
+    success: true,
+    data: event
+  });
 };
 
 /**
@@ -483,51 +352,27 @@ exports.toggleStepCompletion = async (req, res) => {
  * Delete a preparation step from an event
  */
 exports.deletePreparationStep = async (req, res) => {
-  try {
-    const event = await CareerEvent.findById(req.params.id);
-    
-    if (!event) {
-      return res.status(404).json({
-        success: false,
-        message: 'Event not found'
-      });
-    }
-    
-    // Check if user owns this event
-    if (event.userId.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to modify this event'
-      });
-    }
-    
-    // Find and remove the step
-    const stepIndex = event.preparationSteps.findIndex(
-      step => step._id.toString() === req.params.stepId
-    );
-    
-    if (stepIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        message: 'Preparation step not found'
-      });
-    }
-    
-    event.preparationSteps.splice(stepIndex, 1);
-    await event.save();
-    
-    res.json({
-      success: true,
-      message: 'Preparation step deleted successfully',
-      data: event
-    });
-    
-  } catch (error) {
-    console.error('Error deleting preparation step:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to delete preparation step',
-      error: error.message
-    });
+  const event = await CareerEvent.findOne({ _id: req.params.id, userId: req.user.id });
+  
+  if (!event) {
+    throw new NotFoundError('Event not found');
+  }
+  
+  // Find and remove the step
+  const stepIndex = event.preparationSteps.findIndex(
+    step => step._id.toString() === req.params.stepId
+  );
+  
+  if (stepIndex === -1) {
+    throw new NotFoundError('Preparation step not found');
   }
+  
+  event.preparationSteps.splice(stepIndex, 1);
+  await event.save();
+  
+  res.json({
+    success: true,
+    message: 'Preparation step deleted successfully',
+    data: event
+  });
 };
@@ -7,16 +7,27 @@
  * Routes → Controller → Model → Database
  * 
  * CONTROLLER RESPONSIBILITIES:
- * - Validate request data
  * - Call model methods
- * - Handle errors
  * - Format responses
+ * 
+ * Request shapes are validated by schemas (src/schemas/dsaSchemas.js)
+ * and thrown errors are answered by the global error handler.
  */
 
 const mongoose = require('mongoose');
 const MasterProblem = require('../models/MasterProblem');
 const UserProgress = require('../models/UserProgress');
+const ProblemAttempt = require('../models/ProblemAttempt');
+const Sheet = require('../models/Sheet');
+const User = require('../models/User');
+const sheetService = require('../services/sheetService');
+const sheetSyncService = require('../services/sheetSyncService');
+const catalogImportService = require('../services/catalogImportService');
+const submissionSyncService = require('../services/submissionSyncService');
 const striverSheetService = require('../services/striverSheetService');
+const listQuery = require('../utils/listQuery');
+const logger = require('../utils/logger');
+const { NotFoundError, ConflictError, BadRequestError } = require('../utils/errors');
 
 /**
  * GET /api/dsa/problems
@@ -26,79 +37,64 @@ const striverSheetService = require('../services/striverSheetService');
  * QUERY PARAMS:
  * - difficulty: Easy/Medium/Hard
  * - topic: Array, Linked List, etc.
- * - sheet: Striver SDE Sheet, etc.
+ * - sheet: Sheet name or slug ("Blind 75", "blind-75") - problems in that sheet
  * - platform: LeetCode, GeeksforGeeks, etc.
  * - search: Text search in title/description
- * - source: "striver" (fetch from Striver sheet) or "database" (default)
+ * - source: "striver" (same as sheet=Striver SDE Sheet) or "database" (default)
+ *
+ * Database results are paginated (see utils/listQuery.js) when limit,
+ * page or cursor is given; otherwise every matching problem is returned
+ * (a whole sheet, as clients loading ?source=striver expect):
+ * - limit, page / cursor, sort (e.g. "difficulty,-acceptance"), fields
+ * - problemNumber[gte], acceptance[gte], likes[gte], createdAt[gte] (and gt/lt/lte)
  */
 exports.getAllProblems = async (req, res) => {
-  try {
-    const { difficulty, topic, sheet, platform, search, source } = req.query;
-    
-    // If source is "striver", fetch directly from Striver sheet service
-    if (source === 'striver') {
-      let result;
-      
-      if (difficulty) {
-        result = await striverSheetService.getProblemsByDifficulty(difficulty);
-      } else if (topic) {
-        result = await striverSheetService.getProblemsByTopic(topic);
-      } else if (search) {
-        result = await striverSheetService.searchProblems(search);
-      } else {
-        result = await striverSheetService.getStriverSDESheetProblems();
-      }
-      
-      return res.json({
-        success: true,
-        count: result.count,
-        data: result.data,
-        source: 'Striver SDE Sheet'
-      });
-    }
-    
-    // Otherwise, fetch from database (existing functionality)
-    // Build filter object
-    let filter = { isActive: true };
-    
-    if (difficulty) filter.difficulty = difficulty;
-    if (topic) filter.topic = topic;
-    if (sheet) filter.sheet = sheet;
-    if (platform) filter.platform = platform;
-    
-    let problems;
-    
-    // Text search if provided
-    if (search) {
-      problems = await MasterProblem.searchProblems(search).lean();
+  const { difficulty, topic, sheet, platform, search, source } = req.query;
+  
+  // Build filter object
+  const filter = { isActive: true };
+  
+  if (difficulty) filter.difficulty = difficulty;
+  if (topic) filter.topic = topic;
+  if (platform) filter.platform = platform;
+  
+  // Sheet membership (models/Sheet.js); catalogs seeded before sheets
+  // existed only have the problem's own sheet field
+  const sheetName = source === 'striver' ? striverSheetService.SHEET_NAME : sheet;
+  if (sheetName) {
+    const sheetDoc = await Sheet.findByName(sheetName);
+    if (sheetDoc) {
+      filter._id = { $in: sheetDoc.problems.map(entry => entry.problemId) };
     } else {
-      problems = await MasterProblem.find(filter)
-        .select('+_id')  // Explicitly include _id
-        .sort({ problemNumber: 1 })
-        .lean();  // Convert to plain JS objects for proper JSON serialization
+      filter.sheet = sheetName;
     }
-    
-    // Add 'id' alias for frontend compatibility (some frameworks expect 'id' instead of '_id')
-    const problemsWithId = problems.map(problem => ({
-      ...problem,
-      id: problem._id.toString()  // Add 'id' field as string version of _id
-    }));
-    
-    res.json({
-      success: true,
-      count: problemsWithId.length,
-      data: problemsWithId,
-      source: 'Database'
-    });
-    
-  } catch (error) {
-    console.error('Error fetching problems:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch problems',
-      error: error.message
-    });
   }
+  
+  // Text search if provided (sorted by relevance unless ?sort= is given)
+  if (search) filter.$text = { $search: search };
+  
+  const { data: problems, pagination } = await listQuery.run(MasterProblem, filter, req.query, {
+    sortable: ['problemNumber', 'title', 'difficulty', 'topic', 'acceptance', 'likes', 'createdAt'],
+    selectable: ['title', 'problemNumber', 'difficulty', 'topic', 'subtopics', 'platform', 'url', 'sheet', 'companies', 'acceptance', 'likes'],
+    rangeFields: { problemNumber: 'number', acceptance: 'number', likes: 'number', createdAt: 'date' },
+    defaultSort: 'problemNumber',
+    defaultLimit: null,
+    lean: true  // Convert to plain JS objects for proper JSON serialization
+  });
+  
+  // Add 'id' alias for frontend compatibility (some frameworks expect 'id' instead of '_id')
+  const problemsWithId = problems.map(problem => ({
+    ...problem,
+    id: problem._id.toString()  // Add 'id' field as string version of _id
+  }));
+  
+  res.json({
+    success: true,
+    count: problemsWithId.length,
+    data: problemsWithId,
+    pagination,
+    source: source === 'striver' ? striverSheetService.SHEET_NAME : 'Database'
+  });
 };
 
 /**
@@ -107,38 +103,279 @@ exports.getAllProblems = async (req, res) => {
  * Get single problem by ID
  */
 exports.getProblemById = async (req, res) => {
-  try {
-    const problem = await MasterProblem.findById(req.params.id)
-      .select('+_id')  // Explicitly include _id
-      .populate('similarProblems')
-      .lean();  // Convert to plain JS object for proper JSON serialization
-    
-    if (!problem) {
-      return res.status(404).json({
-        success: false,
-        message: 'Problem not found'
-      });
+  const problem = await MasterProblem.findById(req.params.id)
+    .select('+_id')  // Explicitly include _id
+    .populate('similarProblems')
+    .lean();  // Convert to plain JS object for proper JSON serialization
+  
+  if (!problem) {
+    throw new NotFoundError('Problem not found');
+  }
+  
+  // Add 'id' alias for frontend compatibility
+  const problemWithId = {
+    ...problem,
+    id: problem._id.toString()
+  };
+  
+  res.json({
+    success: true,
+    data: problemWithId
+  });
+};
+
+// ═══════════════════════════════════════════════════════════
+// SHEETS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * GET /api/dsa/sheets
+ * 
+ * List problem sheets with the user's progress on each
+ * 
+ * RETURNS:
+ * [{ "name": "Blind 75", "slug": "blind-75", "sections": [...],
+ *    "progress": { "total": 75, "solved": 20, "revising": 5, "weak": 3, "none": 47 } }]
+ */
+exports.getSheets = async (req, res) => {
+  const sheets = await sheetService.listSheets(req.user.id);
+  
+  res.json({
+    success: true,
+    count: sheets.length,
+    data: sheets
+  });
+};
+
+/**
+ * GET /api/dsa/sheets/:slug
+ * 
+ * Get a sheet's problems in order, grouped by section, with the
+ * user's progress on each problem and per-section counts
+ */
+exports.getSheetBySlug = async (req, res) => {
+  const sheet = await sheetService.getSheet(req.params.slug, req.user.id);
+  
+  res.json({
+    success: true,
+    data: sheet
+  });
+};
+
+// ═══════════════════════════════════════════════════════════
+// ADMIN: CATALOG MANAGEMENT
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Catalog fields an admin may set
+ */
+const PROBLEM_FIELDS = [
+  'title', 'problemNumber', 'difficulty', 'topic', 'subtopics', 'platform',
+  'url', 'sheet', 'companies', 'description', 'hints', 'similarProblems',
+  'acceptance', 'likes', 'isActive'
+];
+
+/**
+ * Copy only catalog fields from a request body
+ */
+const pickProblemFields = (body = {}) => {
+  const fields = {};
+  PROBLEM_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+/**
+ * Turn a duplicate-title error into a 409 with a clear message
+ */
+const rethrowDuplicateTitle = (error) => {
+  if (error.code === 11000) {
+    throw new ConflictError('A problem with this title already exists');
+  }
+  throw error;
+};
+
+/**
+ * POST /api/dsa/problems
+ * 
+ * Add a problem to the master catalog (admin only)
+ */
+exports.createProblem = async (req, res) => {
+  const problem = await MasterProblem.create(pickProblemFields(req.body))
+    .catch(rethrowDuplicateTitle);
+  
+  res.status(201).json({
+    success: true,
+    data: problem
+  });
+};
+
+/**
+ * POST /api/dsa/problems/bulk
+ * 
+ * Bulk import problems (admin only)
+ * Problems are matched by title: existing ones are updated, new ones inserted
+ * 
+ * BODY:
+ * {
+ *   "problems": [{ "title": "Two Sum", "difficulty": "Easy", "topic": "Array", ... }]
+ * }
+ */
+exports.bulkImportProblems = async (req, res) => {
+  const { problems } = req.body;
+  
+  // Validate every entry up front; bulkWrite upserts skip schema validation
+  const operations = [];
+  const errors = [];
+  
+  problems.forEach((raw, index) => {
+    const fields = pickProblemFields(raw);
+    const validationError = new MasterProblem(fields).validateSync();
+    
+    if (validationError) {
+      errors.push({ index, title: raw && raw.title, error: validationError.message });
+      return;
     }
     
-    // Add 'id' alias for frontend compatibility
-    const problemWithId = {
-      ...problem,
-      id: problem._id.toString()
-    };
-    
-    res.json({
-      success: true,
-      data: problemWithId
-    });
-    
-  } catch (error) {
-    console.error('Error fetching problem:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch problem',
-      error: error.message
+    operations.push({
+      updateOne: {
+        filter: { title: String(fields.title).trim() },
+        update: { $set: fields },
+        upsert: true
+      }
     });
+  });
+  
+  const result = operations.length > 0
+    ? await MasterProblem.bulkWrite(operations, { ordered: false })
+    : { upsertedCount: 0, modifiedCount: 0, matchedCount: 0 };
+  
+  res.status(errors.length > 0 && operations.length === 0 ? 400 : 200).json({
+    success: operations.length > 0,
+    inserted: result.upsertedCount,
+    updated: result.modifiedCount,
+    unchanged: result.matchedCount - result.modifiedCount,
+    failed: errors.length,
+    errors: errors.length > 0 ? errors : undefined
+  });
+};
+
+/**
+ * POST /api/dsa/problems/import
+ * 
+ * Import problems from a CSV or JSON file (admin only)
+ * See services/catalogImportService.js
+ * 
+ * BODY: The file as-is
+ * - Content-Type: text/csv → CSV with a header row
+ * - Content-Type: application/json → [...] or { "problems": [...] }
+ * 
+ * QUERY PARAMS:
+ * - dryRun: true → report what would change, write nothing
+ */
+exports.importProblems = async (req, res) => {
+  const format = req.is('text/csv') ? 'csv' : 'json';
+  const { dryRun = false } = req.query;
+  
+  const problems = catalogImportService.parseProblems(req.body, format);
+  const report = await catalogImportService.importProblems(problems, { dryRun });
+  
+  res.json({
+    success: report.failed.length === 0,
+    data: report
+  });
+};
+
+/**
+ * GET /api/dsa/problems/export
+ * 
+ * Download the catalog as CSV or JSON (admin only)
+ * Both can be imported again with POST /api/dsa/problems/import
+ * 
+ * QUERY PARAMS:
+ * - format: csv (default) | json
+ * - includeInactive: true → deactivated problems too
+ */
+exports.exportProblems = async (req, res) => {
+  const { format = 'csv', includeInactive = false } = req.query;
+  
+  const file = await catalogImportService.exportProblems(format, { includeInactive });
+  
+  res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+  if (format === 'json') {
+    return res.json(file.body);
   }
+  
+  res.type(file.contentType).send(file.body);
+};
+
+/**
+ * POST /api/dsa/sheets/sync
+ * 
+ * Sync the catalog and sheets with the bundled sheet data (admin only)
+ * See services/sheetSyncService.js
+ * 
+ * RETURNS:
+ * {
+ *   "added": [{ "title", "url" }], "changed": [{ "title", "url", "fields" }],
+ *   "retired": [{ "title", "url" }], "unchanged": 140, "failed": [],
+ *   "progressMigrated": 3, "sheets": [{ "name", "slug", "problems" }]
+ * }
+ */
+exports.syncSheets = async (req, res) => {
+  const report = await sheetSyncService.syncSheets();
+  
+  res.json({
+    success: report.failed.length === 0,
+    data: report
+  });
+};
+
+/**
+ * PATCH /api/dsa/problems/:id
+ * 
+ * Update a catalog problem (admin only)
+ * Send { "isActive": true } to reactivate a deactivated problem
+ */
+exports.updateProblem = async (req, res) => {
+  const problem = await MasterProblem.findById(req.params.id);
+  
+  if (!problem) {
+    throw new NotFoundError('Problem not found');
+  }
+  
+  problem.set(pickProblemFields(req.body));
+  await problem.save().catch(rethrowDuplicateTitle);
+  
+  res.json({
+    success: true,
+    data: problem
+  });
+};
+
+/**
+ * DELETE /api/dsa/problems/:id
+ * 
+ * Deactivate a catalog problem (admin only)
+ * Soft delete: isActive = false, so user progress keeps its reference
+ */
+exports.deactivateProblem = async (req, res) => {
+  const problem = await MasterProblem.findByIdAndUpdate(
+    req.params.id,
+    { $set: { isActive: false }, $unset: { retiredAt: 1 } },
+    { new: true }
+  );
+  
+  if (!problem) {
+    throw new NotFoundError('Problem not found');
+  }
+  
+  res.json({
+    success: true,
+    message: 'Problem deactivated',
+    data: problem
+  });
 };
 
 /**
@@ -149,34 +386,33 @@ exports.getProblemById = async (req, res) => {
  * QUERY PARAMS:
  * - status: none/weak/revising/solved
  * - starred: true/false
+ * - limit, page / cursor, sort, fields (see utils/listQuery.js)
+ * - updatedAt[gte], lastSolvedAt[gte], nextReviewAt[lte] (and gt/lt)
  */
 exports.getUserProgress = async (req, res) => {
-  try {
-    // Get userId from verified JWT token (set by auth middleware)
-    const userId = req.user.id;
-    
-    const { status, starred } = req.query;
-    
-    let filter = {};
-    if (status) filter.status = status;
-    if (starred !== undefined) filter.starred = starred === 'true';
-    
-    const progress = await UserProgress.getUserProgress(userId, filter);
-    
-    res.json({
-      success: true,
-      count: progress.length,
-      data: progress
-    });
-    
-  } catch (error) {
-    console.error('Error fetching user progress:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch progress',
-      error: error.message
-    });
-  }
+  // Get userId from verified JWT token (set by auth middleware)
+  const userId = req.user.id;
+  
+  const { status, starred } = req.query;
+  
+  const filter = { userId };
+  if (status) filter.status = status;
+  if (starred !== undefined) filter.starred = starred;
+  
+  const { data: progress, pagination } = await listQuery.run(UserProgress, filter, req.query, {
+    sortable: ['updatedAt', 'createdAt', 'lastSolvedAt', 'nextReviewAt', 'status'],
+    selectable: ['problemId', 'status', 'notes', 'approach', 'starred', 'lastSolvedAt', 'nextReviewAt', 'updatedAt', 'createdAt'],
+    rangeFields: { updatedAt: 'date', lastSolvedAt: 'date', nextReviewAt: 'date' },
+    defaultSort: '-updatedAt',  // Newest first
+    populate: 'problemId'  // Fill in problem details from MasterProblem
+  });
+  
+  res.json({
+    success: true,
+    count: progress.length,
+    data: progress,
+    pagination
+  });
 };
 
 /**
@@ -194,73 +430,44 @@ exports.getUserProgress = async (req, res) => {
  * }
  */
 exports.createOrUpdateProgress = async (req, res) => {
-  try {
-    // Get userId from verified JWT token
-    const userId = req.user.id;
-    
-    const { problemId, status, notes, approach, starred } = req.body;
-    
-    if (!problemId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Problem ID required'
-      });
-    }
-    
-    // Verify problem exists (only for MongoDB ObjectIds)
-    // For custom string IDs, we skip this check and let UserProgress creation handle it
-    if (mongoose.Types.ObjectId.isValid(problemId)) {
-      const problem = await MasterProblem.findById(problemId);
-      if (!problem) {
-        return res.status(404).json({
-          success: false,
-          message: 'Problem not found'
-        });
-      }
-    }
-    // For custom string IDs (like "striver-1"), we allow progress without verification
-    
-    // Create or update progress
-    const updates = {};
-    if (status) updates.status = status;
-    if (notes !== undefined) updates.notes = notes;
-    if (approach !== undefined) updates.approach = approach;
-    if (starred !== undefined) updates.starred = starred;
-    
-    const progress = await UserProgress.createOrUpdate(userId, problemId, updates);
-    
-    // Populate problem details for response (only works for ObjectIds)
-    if (mongoose.Types.ObjectId.isValid(problemId)) {
-      try {
-        await progress.populate('problemId');
-      } catch (err) {
-        // If populate fails, continue without it
-        console.log('Could not populate problemId:', err.message);
-      }
+  // Get userId from verified JWT token
+  const userId = req.user.id;
+  
+  const { problemId, status, notes, approach, starred } = req.body;
+  
+  // Verify problem exists (only for MongoDB ObjectIds)
+  // For custom string IDs, we skip this check and let UserProgress creation handle it
+  if (mongoose.Types.ObjectId.isValid(problemId)) {
+    const problem = await MasterProblem.findById(problemId);
+    if (!problem) {
+      throw new NotFoundError('Problem not found');
     }
-    
-    res.json({
-      success: true,
-      data: progress
-    });
-    
-  } catch (error) {
-    console.error('Error updating progress:', error);
-    
-    // Handle duplicate error (should not happen with createOrUpdate)
-    if (error.code === 11000) {
-      return res.status(409).json({
-        success: false,
-        message: 'Progress already exists for this problem'
-      });
+  }
+  // For custom string IDs (like "striver-1"), we allow progress without verification
+  
+  // Create or update progress
+  const updates = {};
+  if (status) updates.status = status;
+  if (notes !== undefined) updates.notes = notes;
+  if (approach !== undefined) updates.approach = approach;
+  if (starred !== undefined) updates.starred = starred;
+  
+  const progress = await UserProgress.createOrUpdate(userId, problemId, updates);
+  
+  // Populate problem details for response (only works for ObjectIds)
+  if (mongoose.Types.ObjectId.isValid(problemId)) {
+    try {
+      await progress.populate('problemId');
+    } catch (err) {
+      // If populate fails, continue without it
+      logger.debug('Could not populate problemId', { problemId, message: err.message });
     }
-    
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update progress',
-      error: error.message
-    });
   }
+  
+  res.json({
+    success: true,
+    data: progress
+  });
 };
 
 /**
@@ -269,44 +476,78 @@ exports.createOrUpdateProgress = async (req, res) => {
  * Update specific progress fields
  */
 exports.updateProgress = async (req, res) => {
-  try {
-    // Get userId from verified JWT token
-    const userId = req.user.id;
-    const { problemId } = req.params;
-    
-    const progress = await UserProgress.findOne({ userId, problemId });
-    
-    if (!progress) {
-      return res.status(404).json({
-        success: false,
-        message: 'Progress not found'
-      });
-    }
-    
-    // Update fields
-    const { status, notes, approach, starred } = req.body;
-    
-    if (status) progress.status = status;
-    if (notes !== undefined) progress.notes = notes;
-    if (approach !== undefined) progress.approach = approach;
-    if (starred !== undefined) progress.starred = starred;
-    
-    await progress.save();
-    await progress.populate('problemId');
-    
-    res.json({
-      success: true,
-      data: progress
-    });
-    
-  } catch (error) {
-    console.error('Error updating progress:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update progress',
-      error: error.message
-    });
+  // Get userId from verified JWT token
+  const userId = req.user.id;
+  const { problemId } = req.params;
+  
+  const progress = await UserProgress.findOne({ userId, problemId });
+  
+  if (!progress) {
+    throw new NotFoundError('Progress not found');
   }
+  
+  // Update fields
+  const { status, notes, approach, starred } = req.body;
+  
+  if (status) progress.status = status;
+  if (notes !== undefined) progress.notes = notes;
+  if (approach !== undefined) progress.approach = approach;
+  if (starred !== undefined) progress.starred = starred;
+  
+  await progress.save();
+  await progress.populate('problemId');
+  
+  res.json({
+    success: true,
+    data: progress
+  });
+};
+
+/**
+ * POST /api/dsa/progress/sync
+ * 
+ * Mark problems solved from the user's accepted submissions on LeetCode /
+ * Codeforces (see services/submissionSyncService.js)
+ * 
+ * BODY:
+ * {
+ *   "platform": "leetcode",      // leetcode / codeforces
+ *   "username": "alice"          // optional after the first sync (saved on the user)
+ * }
+ * 
+ * RETURNS:
+ * {
+ *   "platform": "leetcode", "username": "alice", "submissions": 20,
+ *   "added": [{ "problemId", "title", "solvedAt" }],
+ *   "updated": [{ "problemId", "title", "solvedAt", "previousStatus" }],
+ *   "unchanged": 4, "kept": [{ "problemId", "title", "status" }],
+ *   "unmatched": [{ "title", "url" }]
+ * }
+ */
+exports.syncSubmissions = async (req, res) => {
+  // Get userId from verified JWT token
+  const userId = req.user.id;
+  const { platform } = req.body;
+  
+  const user = await User.findById(userId).select('platformUsernames');
+  const username = req.body.username ? req.body.username.trim() : user.platformUsernames[platform];
+  
+  if (!username) {
+    throw new BadRequestError(`No ${submissionSyncService.PLATFORMS[platform].name} username saved yet - send "username"`, 'PLATFORM_USERNAME_REQUIRED');
+  }
+  
+  const report = await submissionSyncService.syncSubmissions(userId, platform, username);
+  
+  // Remember the username for the next sync
+  if (user.platformUsernames[platform] !== username) {
+    user.platformUsernames[platform] = username;
+    await user.save();
+  }
+  
+  res.json({
+    success: true,
+    data: report
+  });
 };
 
 /**
@@ -321,63 +562,210 @@ exports.updateProgress = async (req, res) => {
  *   "revising": 12,
  *   "weak": 8,
  *   "none": 85,
- *   "staleCount": 5
+ *   "staleCount": 5,
+ *   "attempts": {
+ *     "problemsAttempted": 60,
+ *     "totalAttempts": 91,
+ *     "firstTrySolveRate": 58,
+ *     "byDifficulty": { "Easy": { "avgAttempts": 1.2, ... }, ... }
+ *   }
  * }
  */
 exports.getUserStats = async (req, res) => {
-  try {
-    // Get userId from verified JWT token
-    const userId = req.user.id;
-    
-    // Get basic stats
-    const stats = await UserProgress.getUserStats(userId);
-    
-    // Get stale problems count
-    const staleProblems = await UserProgress.getStaleProblems(userId);
-    stats.staleCount = staleProblems.length;
-    
-    res.json({
-      success: true,
-      data: stats
-    });
-    
-  } catch (error) {
-    console.error('Error fetching stats:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch statistics',
-      error: error.message
-    });
-  }
+  // Get userId from verified JWT token
+  const userId = req.user.id;
+  
+  // Get basic stats
+  const stats = await UserProgress.getUserStats(userId);
+  
+  // Get stale problems count
+  const staleProblems = await UserProgress.getStaleProblems(userId);
+  stats.staleCount = staleProblems.length;
+  
+  // Get attempt history stats (first-try rate, attempts per difficulty)
+  stats.attempts = await ProblemAttempt.getAttemptStats(userId);
+  
+  res.json({
+    success: true,
+    data: stats
+  });
+};
+
+/**
+ * GET /api/dsa/analytics/topics
+ * 
+ * Coverage and mastery per topic, subtopic and difficulty, and the
+ * weakest topics (see UserProgress.getTopicAnalytics)
+ * 
+ * QUERY PARAMS:
+ * - weakest: How many weakest topics to return (default 5)
+ * 
+ * RETURNS:
+ * {
+ *   "summary": { "total": 150, "solved": 45, ..., "coverage": 43, "mastery": 36 },
+ *   "topics": [{ "topic": "Arrays", "total": 25, "solved": 12, "revising": 3, "weak": 2,
+ *                "none": 1, "untracked": 7, "stale": 2, "coverage": 68, "mastery": 54,
+ *                "difficulty": { "Easy": { "total": 8, "solved": 6, ... }, ... } }],
+ *   "subtopics": [{ "subtopic": "Two Pointers", ... }],
+ *   "difficulty": { "Easy": { "total": 40, ..., "mastery": 61 }, ... },
+ *   "weakest": [{ "topic": "Graphs", "mastery": 8, "weak": 3, ... }]
+ * }
+ */
+exports.getTopicAnalytics = async (req, res) => {
+  // Get userId from verified JWT token
+  const userId = req.user.id;
+  const { weakest = 5 } = req.query;
+  
+  const analytics = await UserProgress.getTopicAnalytics(userId, { weakest });
+  
+  res.json({
+    success: true,
+    data: analytics
+  });
 };
 
 /**
  * GET /api/dsa/stale
  * 
- * Get problems that need revision (> 7 days old)
+ * Get problems that need revision (SM-2 review due)
  */
 exports.getStaleProblems = async (req, res) => {
-  try {
-    // Get userId from verified JWT token
-    const userId = req.user.id;
-    const days = parseInt(req.query.days) || 7;
-    
-    const staleProblems = await UserProgress.getStaleProblems(userId);
-    
-    res.json({
-      success: true,
-      count: staleProblems.length,
-      data: staleProblems
-    });
-    
-  } catch (error) {
-    console.error('Error fetching stale problems:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch stale problems',
-      error: error.message
-    });
+  // Get userId from verified JWT token
+  const userId = req.user.id;
+  
+  const staleProblems = await UserProgress.getStaleProblems(userId);
+  
+  res.json({
+    success: true,
+    count: staleProblems.length,
+    data: staleProblems
+  });
+};
+
+/**
+ * GET /api/dsa/progress/:problemId/attempts
+ * 
+ * Get attempt history for a problem (newest first)
+ */
+exports.getAttempts = async (req, res) => {
+  // Get userId from verified JWT token
+  const userId = req.user.id;
+  const { problemId } = req.params;
+  
+  const attempts = await ProblemAttempt.getHistory(userId, problemId);
+  
+  res.json({
+    success: true,
+    count: attempts.length,
+    data: attempts
+  });
+};
+
+/**
+ * POST /api/dsa/progress/:problemId/attempts
+ * 
+ * Log a new attempt at a problem
+ * 
+ * BODY:
+ * {
+ *   "outcome": "solved",          // solved/partial/failed (required)
+ *   "timeSpentMinutes": 25,
+ *   "approach": "Hash Map",
+ *   "language": "C++",
+ *   "notes": "Forgot the empty array case first",
+ *   "attemptedAt": "2026-01-10T10:00:00Z"   // optional, defaults to now
+ * }
+ */
+exports.createAttempt = async (req, res) => {
+  // Get userId from verified JWT token
+  const userId = req.user.id;
+  const { problemId } = req.params;
+  
+  const { outcome, timeSpentMinutes, approach, language, notes, attemptedAt } = req.body;
+  
+  // Verify problem exists (only for MongoDB ObjectIds)
+  if (mongoose.Types.ObjectId.isValid(problemId)) {
+    const problem = await MasterProblem.findById(problemId);
+    if (!problem) {
+      throw new NotFoundError('Problem not found');
+    }
+  }
+  
+  const attempt = await ProblemAttempt.create({
+    userId,
+    problemId,
+    outcome,
+    timeSpentMinutes,
+    approach,
+    language,
+    notes,
+    attemptedAt: attemptedAt ? new Date(attemptedAt) : undefined
+  });
+  
+  res.status(201).json({
+    success: true,
+    data: attempt
+  });
+};
+
+/**
+ * GET /api/dsa/review/due
+ * 
+ * Get the spaced-repetition review queue (most overdue first)
+ * 
+ * QUERY PARAMS:
+ * - limit: Max number of problems to return
+ */
+exports.getDueReviews = async (req, res) => {
+  // Get userId from verified JWT token
+  const userId = req.user.id;
+  const { limit = null } = req.query;
+  
+  const dueReviews = await UserProgress.getDueReviews(userId, { limit });
+  
+  res.json({
+    success: true,
+    count: dueReviews.length,
+    data: dueReviews
+  });
+};
+
+/**
+ * POST /api/dsa/progress/:problemId/review
+ * 
+ * Record a revision with a recall-quality grade (SM-2)
+ * 
+ * BODY:
+ * {
+ *   "quality": 4   // 0-5 (5 = perfect recall, < 3 = forgot)
+ * }
+ */
+exports.reviewProgress = async (req, res) => {
+  // Get userId from verified JWT token
+  const userId = req.user.id;
+  const { problemId } = req.params;
+  const { quality } = req.body;
+  
+  const progress = await UserProgress.findOne({ userId, problemId });
+  
+  if (!progress) {
+    throw new NotFoundError('Progress not found');
+  }
+  
+  progress.recordReview(quality);
+  
+  // Successful recall counts as practice
+  if (quality >= 3) {
+    progress.lastSolvedAt = progress.lastReviewedAt;
   }
+  
+  await progress.save();
+  await progress.populate('problemId');
+  
+  res.json({
+    success: true,
+    data: progress
+  });
 };
 
 /**
@@ -386,31 +774,18 @@ exports.getStaleProblems = async (req, res) => {
  * Remove a problem from tracking
  */
 exports.deleteProgress = async (req, res) => {
-  try {
-    // Get userId from verified JWT token
-    const userId = req.user.id;
-    const { problemId } = req.params;
-    
-    const result = await UserProgress.findOneAndDelete({ userId, problemId });
-    
-    if (!result) {
-      return res.status(404).json({
-        success: false,
-        message: 'Progress not found'
-      });
-    }
-    
-    res.json({
-      success: true,
-      message: 'Progress removed successfully'
-    });
-    
-  } catch (error) {
-    console.error('Error deleting progress:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to delete progress',
-      error: error.message
-    });
+  // Get userId from verified JWT token
+  const userId = req.user.id;
+  const { problemId } = req.params;
+  
+  const result = await UserProgress.findOneAndDelete({ userId, problemId });
+  
+  if (!result) {
+    throw new NotFoundError('Progress not found');
   }
+  
+  res.json({
+    success: true,
+    message: 'Progress removed successfully'
+  });
 };
@@ -0,0 +1,35 @@
+/**
+ * Health Controller
+ *
+ * PURPOSE: Liveness / readiness probes (load balancers, Docker, Kubernetes)
+ *
+ * ENDPOINTS:
+ * - GET /health/live  - Process is up (always 200 while it runs)
+ * - GET /health/ready - Ready for traffic (200) or not (503)
+ */
+
+const healthService = require('../services/healthService');
+
+/**
+ * GET /health/live
+ *
+ * No dependencies are checked: restarting the process wouldn't fix them
+ */
+exports.live = (req, res) => {
+  res.json({
+    status: 'ok',
+    build: healthService.getBuildInfo()
+  });
+};
+
+/**
+ * GET /health/ready
+ *
+ * 503 while MongoDB is unreachable or the server is shutting down.
+ * GitHub problems show up as status "degraded" but stay 200.
+ */
+exports.ready = async (req, res) => {
+  const { ready, ...report } = await healthService.getReadiness();
+
+  res.status(ready ? 200 : 503).json(report);
+};
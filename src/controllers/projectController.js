@@ -6,6 +6,7 @@
  * ENDPOINTS:
  * - GET /api/projects          - Get user's projects
  * - POST /api/projects/sync    - Sync from GitHub (now uses GitHub username)
+ * - GET /api/projects/sync/status - Background re-sync status
  * - GET /api/projects/github/:username - Fetch projects directly from GitHub
  * - GET /api/projects/:id      - Get single project
  * - PATCH /api/projects/:id    - Update project tracking
@@ -15,72 +16,65 @@
 
 const Project = require('../models/Project');
 const githubService = require('../services/githubService');
+const githubTokenService = require('../services/githubTokenService');
+const projectSyncService = require('../services/projectSyncService');
 const User = require('../models/User');
+const listQuery = require('../utils/listQuery');
+const logger = require('../utils/logger');
+const { AppError, NotFoundError } = require('../utils/errors');
 
 /**
  * GET /api/projects
  * 
  * Get all projects for user with optional filters
+ * 
+ * QUERY PARAMS:
+ * - status, starred, language
+ * - limit, page / cursor, sort, fields (see utils/listQuery.js)
+ * - stars[gte], progress[gte], githubUpdatedAt[gte], lastSyncedAt[gte] (and gt/lt/lte)
  */
 exports.getUserProjects = async (req, res) => {
-  try {
-    // Get userId from verified JWT token
-    const userId = req.user.id;
-    
-    const { status, starred, language } = req.query;
-    
-    let filters = {};
-    if (status) filters.status = status;
-    if (starred !== undefined) filters.starred = starred === 'true';
-    if (language) filters.language = language;
-    
-    const projects = await Project.getUserProjects(userId, filters);
-    
-    res.json({
-      success: true,
-      count: projects.length,
-      data: projects
-    });
-    
-  } catch (error) {
-    console.error('Error fetching projects:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch projects',
-      error: error.message
-    });
-  }
+  // Get userId from verified JWT token
+  const userId = req.user.id;
+  
+  const { status, starred, language } = req.query;
+  
+  const filter = { userId, isActive: true };
+  if (status) filter.status = status;
+  if (starred !== undefined) filter.starred = starred;
+  if (language) filter.language = language;
+  
+  const { data: projects, pagination } = await listQuery.run(Project, filter, req.query, {
+    sortable: ['updatedAt', 'createdAt', 'name', 'stars', 'forks', 'progress', 'githubUpdatedAt', 'lastSyncedAt'],
+    selectable: ['name', 'fullName', 'description', 'url', 'homepage', 'status', 'progress', 'starred', 'stars', 'forks', 'programmingLanguage', 'languages', 'topics', 'techStack', 'githubUpdatedAt', 'lastSyncedAt', 'updatedAt'],
+    rangeFields: { stars: 'number', progress: 'number', githubUpdatedAt: 'date', lastSyncedAt: 'date', updatedAt: 'date' },
+    defaultSort: '-updatedAt'
+  });
+  
+  res.json({
+    success: true,
+    count: projects.length,
+    data: projects,
+    pagination
+  });
 };
 
 /**
  * GET /api/projects/:id
  * 
- * Get single project by ID
+ * Get single project by ID (with its README, left out of lists)
  */
 exports.getProjectById = async (req, res) => {
-  try {
-    const project = await Project.findById(req.params.id);
-    
-    if (!project) {
-      return res.status(404).json({
-        success: false,
-        message: 'Project not found'
-      });
-    }
-    
-    res.json({
-      success: true,
-      data: project
-    });
-    
-  } catch (error) {
-    console.error('Error fetching project:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch project',
-      error: error.message
-    });
+  const project = await Project.findOne({ _id: req.params.id, userId: req.user.id }).select('+readme');
+  
+  if (!project) {
+    throw new NotFoundError('Project not found');
   }
+  
+  res.json({
+    success: true,
+    data: project
+  });
 };
 
 /**
@@ -88,6 +82,7 @@ exports.getProjectById = async (req, res) => {
  * 
  * Fetch repositories directly from GitHub for a given username
  * This returns live data from GitHub API without saving to database
+ * Uses the user's saved GitHub token, if any (private repos of its owner)
  * 
  * QUERY PARAMS:
  * - language: Filter by programming language
@@ -96,49 +91,38 @@ exports.getProjectById = async (req, res) => {
  * - onlyPublic: true/false
  */
 exports.fetchFromGitHub = async (req, res) => {
-  try {
-    const { username } = req.params;
-    const { language, minStars, excludeForks, onlyPublic } = req.query;
-    
-    if (!username) {
-      return res.status(400).json({
-        success: false,
-        message: 'GitHub username is required'
-      });
-    }
-    
-    // Build filters
-    const filters = {};
-    if (language) filters.language = language;
-    if (minStars) filters.minStars = parseInt(minStars);
-    if (excludeForks) filters.excludeForks = excludeForks === 'true';
-    if (onlyPublic) filters.onlyPublic = onlyPublic === 'true';
-    
-    // Fetch from GitHub
-    const result = await githubService.searchUserRepositories(username, filters);
-    
-    res.json({
-      success: true,
-      count: result.count,
-      data: result.data,
-      username: result.username,
-      source: 'GitHub API'
-    });
-    
-  } catch (error) {
-    console.error('Error fetching from GitHub:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message || 'Failed to fetch repositories from GitHub',
-      error: error.message
-    });
-  }
+  const { username } = req.params;
+  const { language, minStars, excludeForks, onlyPublic } = req.query;
+  
+  // Build filters
+  const filters = {};
+  if (language) filters.language = language;
+  if (minStars) filters.minStars = minStars;
+  if (excludeForks !== undefined) filters.excludeForks = excludeForks;
+  if (onlyPublic !== undefined) filters.onlyPublic = onlyPublic;
+  
+  // Fetch from GitHub
+  const { token, options } = await githubTokenService.getRequestAuth(req.user.id, username);
+  const result = await githubService.searchUserRepositories(username, filters, token, options);
+  
+  res.json({
+    success: true,
+    count: result.count,
+    data: result.data,
+    username: result.username,
+    source: 'GitHub API'
+  });
 };
 
 /**
  * POST /api/projects/sync
  * 
  * Sync projects from GitHub by username and save to database
+ * Uses the user's saved GitHub token, if any: higher rate limit, and
+ * private repositories when the token belongs to githubUsername
+ * Incremental (services/projectSyncService.js): summary has the
+ * created / updated / unchanged / removed counts; notModified = GitHub
+ * said nothing changed since the last sync
  * 
  * BODY:
  * {
@@ -151,135 +135,92 @@ exports.fetchFromGitHub = async (req, res) => {
  * }
  */
 exports.syncFromGitHub = async (req, res) => {
-  try {
-    // Get userId from verified JWT token
-    const userId = req.user.id;
-    
-    const { githubUsername, filters } = req.body;
-    
-    // Validate GitHub username
-    if (!githubUsername || githubUsername.trim() === '') {
-      return res.status(400).json({
-        success: false,
-        message: 'GitHub username is required. Please provide your GitHub username in the request body.'
-      });
-    }
-    
-    // Trim and validate username format
-    const cleanUsername = githubUsername.trim();
-    
-    // Basic validation: GitHub usernames can only contain alphanumeric chars and hyphens
-    if (!/^[a-zA-Z0-9-]+$/.test(cleanUsername)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid GitHub username format. Usernames can only contain letters, numbers, and hyphens.'
-      });
-    }
-    
-    console.log('===== GitHub Sync Request =====');
-    console.log('User ID:', userId);
-    console.log('GitHub Username:', cleanUsername);
-    console.log('Filters:', filters);
-    console.log('===============================');
-    
-    // Fetch repositories from GitHub
-    const result = await githubService.searchUserRepositories(
-      cleanUsername, 
-      filters || {}
-    );
-    
-    console.log('Fetched repos count:', result.count);
-    const githubRepos = result.data;
-    
-    if (githubRepos.length === 0) {
-      console.log('No repos found for username:', githubUsername);
-      return res.status(404).json({
-        success: false,
-        message: `No public repositories found for GitHub user "${githubUsername}". Make sure the username is correct and the user has public repositories.`,
-        count: 0,
-        data: [],
-        username: githubUsername
-      });
-    }
-    
-    const syncedProjects = [];
-    const errors = [];
-    
-    // Save each repository to database
-    for (const repo of githubRepos) {
-      try {
-        console.log('Processing repo:', repo.name);
-        console.log('Repo data:', JSON.stringify(repo, null, 2));
-        
-        // Convert our camelCase format to GitHub API format for the model
-        const githubApiFormat = {
-          id: repo.githubId,
-          name: repo.name,
-          full_name: repo.fullName,
-          description: repo.description,
-          html_url: repo.url,
-          homepage: repo.homepage,
-          language: repo.language,
-          stargazers_count: repo.stars,
-          forks_count: repo.forks,
-          private: repo.isPrivate,
-          topics: repo.topics,
-          created_at: repo.createdAt,
-          updated_at: repo.updatedAt,
-          pushed_at: repo.pushedAt  // Use pushed_at for last commit time
-        };
-        
-        console.log('GitHub API format:', JSON.stringify(githubApiFormat, null, 2));
-        console.log('Calling Project.syncFromGitHub with userId:', userId);
-        
-        const project = await Project.syncFromGitHub(userId, githubApiFormat);
-        console.log('✅ Successfully synced:', repo.name);
-        syncedProjects.push(project);
-      } catch (repoError) {
-        console.error('❌ Error syncing repo:', repo.name);
-        console.error('Error details:', repoError);
-        console.error('Error stack:', repoError.stack);
-        errors.push({ 
-          repo: repo.name, 
-          error: repoError.message,
-          stack: repoError.stack 
-        });
-      }
-    }
-    
-    // Update user's GitHub username if not already set
-    await User.findByIdAndUpdate(userId, { githubUsername: cleanUsername }, { new: true });
-    
-    console.log('Successfully synced', syncedProjects.length, 'projects');
-    
-    if (syncedProjects.length === 0) {
-      return res.status(500).json({
-        success: false,
-        message: 'All repositories failed to sync. Check backend logs for details.',
-        count: 0,
-        data: [],
-        errors: errors,
-        username: cleanUsername
-      });
-    }
-    
-    res.json({
-      success: true,
-      message: `Successfully synced ${syncedProjects.length} projects from GitHub`,
-      count: syncedProjects.length,
-      data: syncedProjects,
-      errors: errors.length > 0 ? errors : undefined,
-      username: cleanUsername
-    });
-    
-  } catch (error) {
-    console.error('Error syncing projects:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message || 'Failed to sync projects from GitHub',
-      error: error.message
+  // Get userId from verified JWT token
+  const userId = req.user.id;
+  
+  const { githubUsername, filters } = req.body;
+  
+  // Format already checked by the schema (letters, numbers, hyphens)
+  const cleanUsername = githubUsername.trim();
+  
+  logger.info('GitHub sync started', { githubUsername: cleanUsername, filters });
+  
+  const result = await projectSyncService.syncUserProjects(userId, cleanUsername, { filters: filters || {} });
+  
+  if (result.fetched === 0) {
+    throw new NotFoundError(`No repositories found for GitHub user "${githubUsername}". Make sure the username is correct and the user has public repositories.`, 'NO_REPOSITORIES');
+  }
+  
+  const { projects: syncedProjects, errors } = result;
+  
+  // Update user's GitHub username if not already set
+  await User.findByIdAndUpdate(userId, { githubUsername: cleanUsername }, { new: true });
+  
+  logger.info('GitHub sync finished', {
+    githubUsername: cleanUsername,
+    fetched: result.fetched,
+    notModified: result.notModified,
+    ...result.summary,
+    failed: errors.length
+  });
+  
+  if (syncedProjects.length === 0) {
+    throw new AppError('All repositories failed to sync. Check backend logs for details.', {
+      statusCode: 500,
+      code: 'SYNC_FAILED',
+      details: errors
     });
   }
+  
+  res.json({
+    success: true,
+    message: `Successfully synced ${syncedProjects.length} projects from GitHub`,
+    count: syncedProjects.length,
+    data: syncedProjects,
+    summary: result.summary,
+    notModified: result.notModified,
+    errors: errors.length > 0 ? errors : undefined,
+    username: cleanUsername
+  });
+};
+
+/**
+ * POST /api/projects/:id/refresh
+ * 
+ * Refresh one project's details, languages, recent commits and README
+ * from GitHub (conditional requests, see projectSyncService.refreshProject)
+ */
+exports.refreshProject = async (req, res) => {
+  const { project, refreshed, notModified, failed } = await projectSyncService.refreshProject(req.user.id, req.params.id);
+
+  // Only the ETags' owner needs them
+  const data = project.toJSON();
+  delete data.githubEtags;
+
+  res.json({
+    success: true,
+    message: refreshed.length > 0 ? `Refreshed ${refreshed.join(', ')} from GitHub` : 'Project is up to date with GitHub',
+    data,
+    refreshed,
+    notModified,
+    failed: failed.length > 0 ? failed : undefined
+  });
+};
+
+/**
+ * GET /api/projects/sync/status
+ * 
+ * Background re-sync status (services/projectSyncService.js): when the
+ * job runs next, how its last run went for this user, and when the
+ * user's projects were last synced
+ */
+exports.getSyncStatus = async (req, res) => {
+  const status = await projectSyncService.getSyncStatus(req.user.id);
+  
+  res.json({
+    success: true,
+    data: status
+  });
 };
 
 /**
@@ -297,39 +238,26 @@ exports.syncFromGitHub = async (req, res) => {
  * }
  */
 exports.updateProject = async (req, res) => {
-  try {
-    const project = await Project.findById(req.params.id);
-    
-    if (!project) {
-      return res.status(404).json({
-        success: false,
-        message: 'Project not found'
-      });
-    }
-    
-    const { status, progress, notes, techStack, starred } = req.body;
-    
-    if (status) project.status = status;
-    if (progress !== undefined) project.progress = progress;
-    if (notes !== undefined) project.notes = notes;
-    if (techStack) project.techStack = techStack;
-    if (starred !== undefined) project.starred = starred;
-    
-    await project.save();
-    
-    res.json({
-      success: true,
-      data: project
-    });
-    
-  } catch (error) {
-    console.error('Error updating project:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update project',
-      error: error.message
-    });
+  const project = await Project.findOne({ _id: req.params.id, userId: req.user.id });
+  
+  if (!project) {
+    throw new NotFoundError('Project not found');
   }
+  
+  const { status, progress, notes, techStack, starred } = req.body;
+  
+  if (status) project.status = status;
+  if (progress !== undefined) project.progress = progress;
+  if (notes !== undefined) project.notes = notes;
+  if (techStack) project.techStack = techStack;
+  if (starred !== undefined) project.starred = starred;
+  
+  await project.save();
+  
+  res.json({
+    success: true,
+    data: project
+  });
 };
 
 /**
@@ -338,33 +266,21 @@ exports.updateProject = async (req, res) => {
  * Remove project from tracking (soft delete)
  */
 exports.deleteProject = async (req, res) => {
-  try {
-    const project = await Project.findById(req.params.id);
-    
-    if (!project) {
-      return res.status(404).json({
-        success: false,
-        message: 'Project not found'
-      });
-    }
-    
-    // Soft delete: set isActive to false
-    project.isActive = false;
-    await project.save();
-    
-    res.json({
-      success: true,
-      message: 'Project removed from tracking'
-    });
-    
-  } catch (error) {
-    console.error('Error deleting project:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to delete project',
-      error: error.message
-    });
+  const project = await Project.findOne({ _id: req.params.id, userId: req.user.id });
+  
+  if (!project) {
+    throw new NotFoundError('Project not found');
   }
+  
+  // Soft delete: set isActive to false (and keep syncs from tracking it again)
+  project.isActive = false;
+  project.removedFromGitHubAt = undefined;
+  await project.save();
+  
+  res.json({
+    success: true,
+    message: 'Project removed from tracking'
+  });
 };
 
 /**
@@ -373,25 +289,15 @@ exports.deleteProject = async (req, res) => {
  * Get project statistics
  */
 exports.getProjectStats = async (req, res) => {
-  try {
-    // Get userId from verified JWT token
-    const userId = req.user.id;
-    
-    const stats = await Project.getUserStats(userId);
-    
-    res.json({
-      success: true,
-      data: stats
-    });
-    
-  } catch (error) {
-    console.error('Error fetching stats:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch statistics',
-      error: error.message
-    });
-  }
+  // Get userId from verified JWT token
+  const userId = req.user.id;
+  
+  const stats = await Project.getUserStats(userId);
+  
+  res.json({
+    success: true,
+    data: stats
+  });
 };
 
 /**
@@ -400,24 +306,14 @@ exports.getProjectStats = async (req, res) => {
  * Get starred/favorite projects
  */
 exports.getStarredProjects = async (req, res) => {
-  try {
-    // Get userId from verified JWT token
-    const userId = req.user.id;
-    
-    const projects = await Project.getUserProjects(userId, { starred: true });
-    
-    res.json({
-      success: true,
-      count: projects.length,
-      data: projects
-    });
-    
-  } catch (error) {
-    console.error('Error fetching starred projects:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch starred projects',
-      error: error.message
-    });
-  }
+  // Get userId from verified JWT token
+  const userId = req.user.id;
+  
+  const projects = await Project.getUserProjects(userId, { starred: true });
+  
+  res.json({
+    success: true,
+    count: projects.length,
+    data: projects
+  });
 };
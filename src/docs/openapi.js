@@ -0,0 +1,253 @@
+/**
+ * OpenAPI Generator
+ *
+ * PURPOSE: Build the OpenAPI 3 document from the code that serves the API,
+ * so the docs can't drift from the routes
+ *
+ * WHERE EACH PART COMES FROM:
+ * - paths + methods:   the route table (src/routes/index.js) and each router
+ * - parameters / body: the validate() schemas on the route (src/schemas)
+ * - security / 401:    auth middleware on the route (or router.use(auth))
+ * - 403:               requireRole()
+ * - 429:               rateLimit() (limits read from config/rateLimits.js)
+ * - summary / text:    src/docs/operations.js (written by hand)
+ *
+ * Served at GET /api/docs/openapi.json (UI at /api/docs).
+ */
+
+const auth = require('../middleware/auth');
+const rateLimits = require('../config/rateLimits');
+const operations = require('./operations');
+const { version } = require('../../package.json');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * "/api/career" + "/:id/steps" → "/api/career/{id}/steps"
+ */
+const toOpenApiPath = (mountPath, routePath) => {
+  const fullPath = routePath === '/' ? mountPath : `${mountPath}${routePath}`;
+  return fullPath.replace(/:(\w+)/g, '{$1}');
+};
+
+/**
+ * Every route the API serves
+ *
+ * @returns {Array<Object>} [{ method, path, tag, handlers }]
+ *   handlers = router-level middleware before the route + the route's own
+ */
+const listRoutes = () => {
+  // Required lazily: docsRoutes (in the table) requires this module
+  const routeTable = require('../routes');
+  const routes = [];
+
+  routeTable.forEach(({ path: mountPath, router, tag }) => {
+    const routerMiddleware = [];
+
+    router.stack.forEach(layer => {
+      if (!layer.route) {
+        routerMiddleware.push(layer.handle);
+        return;
+      }
+
+      Object.keys(layer.route.methods)
+        .filter(method => HTTP_METHODS.includes(method))
+        .forEach(method => {
+          routes.push({
+            method,
+            path: toOpenApiPath(mountPath, layer.route.path),
+            tag,
+            handlers: [...routerMiddleware, ...layer.route.stack.map(routeLayer => routeLayer.handle)]
+          });
+        });
+    });
+  });
+
+  return routes;
+};
+
+const operationKey = (method, path) => `${method.toUpperCase()} ${path}`;
+
+// Schemas are shared objects (and enum arrays come from the models) - copy them
+const copy = (schema) => JSON.parse(JSON.stringify(schema));
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+
+const describeLimit = ({ by, max, windowMs }) => {
+  const minutes = windowMs / 60000;
+  const window = minutes % 60 === 0 ? `${minutes / 60} h` : `${minutes} min`;
+  return `${max} per ${window} per ${by}`;
+};
+
+/**
+ * Build one operation object from a route
+ */
+const buildOperation = (route) => {
+  const { method, path, tag, handlers } = route;
+  const doc = operations[operationKey(method, path)] || {};
+
+  const schemas = Object.assign({}, ...handlers.filter(handler => handler.schemas).map(handler => handler.schemas));
+  const requiresAuth = handlers.includes(auth);
+  const roles = handlers.find(handler => handler.roles)?.roles;
+  const rateLimitPolicy = handlers.find(handler => handler.rateLimitPolicy)?.rateLimitPolicy;
+
+  const pathParams = [...path.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+  const querySchema = schemas.query || { properties: {} };
+
+  const parameters = [
+    ...pathParams.map(name => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: copy(schemas.params?.properties?.[name] || { type: 'string' })
+    })),
+    ...Object.entries(querySchema.properties).map(([name, schema]) => ({
+      name,
+      in: 'query',
+      required: (querySchema.required || []).includes(name),
+      schema: copy(schema)
+    }))
+  ];
+
+  const notes = [];
+  if (doc.description) notes.push(doc.description);
+  if (querySchema.properties.cursor) {
+    notes.push('Paginated: the response has `pagination: { total, limit, page, hasMore, nextCursor }`. ' +
+      'Range filters such as `date[gte]=2026-01-01` are accepted on some fields (gt, gte, lt, lte).');
+  }
+  if (roles) notes.push(`Requires role: ${roles.join(' or ')}.`);
+  if (rateLimitPolicy) {
+    notes.push(`Rate limited: ${rateLimits.policies[rateLimitPolicy].map(describeLimit).join(', ')}.`);
+  }
+
+  const successStatus = String(doc.status || 200);
+  const responses = {
+    [successStatus]: successStatus.startsWith('3')
+      ? { description: 'Redirect', headers: { Location: { schema: { type: 'string' } } } }
+      : { description: 'Success', content: jsonContent({ $ref: '#/components/schemas/Success' }) }
+  };
+  if (schemas.params || schemas.query || schemas.body) responses['400'] = { $ref: '#/components/responses/ValidationError' };
+  if (requiresAuth) responses['401'] = { $ref: '#/components/responses/Unauthorized' };
+  if (roles) responses['403'] = { $ref: '#/components/responses/Forbidden' };
+  if (pathParams.length > 0) responses['404'] = { $ref: '#/components/responses/NotFound' };
+  if (rateLimitPolicy) responses['429'] = { $ref: '#/components/responses/TooManyRequests' };
+
+  const operation = {
+    tags: [tag],
+    summary: doc.summary,
+    description: notes.join('\n\n') || undefined,
+    parameters: parameters.length > 0 ? parameters : undefined,
+    security: requiresAuth ? [{ bearerAuth: [] }] : undefined,
+    responses
+  };
+
+  if (schemas.body) {
+    operation.requestBody = {
+      required: true,
+      content: jsonContent(copy(schemas.body))
+    };
+  }
+
+  // Drop undefined keys so the JSON stays clean
+  return JSON.parse(JSON.stringify(operation));
+};
+
+const errorResponse = (description, headers) => ({
+  description,
+  headers,
+  content: jsonContent({ $ref: '#/components/schemas/Error' })
+});
+
+/**
+ * Build the full OpenAPI document
+ */
+const buildSpec = () => {
+  const routeTable = require('../routes');
+  const paths = {};
+
+  listRoutes().forEach(route => {
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method] = buildOperation(route);
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Blaezi API',
+      version,
+      description: 'DSA practice, GitHub projects, career events and planner tracking. ' +
+        'Errors always have the shape of `Error` (see the `code` values in API_COMPLETE.md).'
+    },
+    servers: [{ url: '/' }],
+    tags: routeTable.map(({ tag }) => ({ name: tag })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Access token from /api/auth/login (expires; renew with /api/auth/refresh)'
+        }
+      },
+      schemas: {
+        Success: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', enum: [true] },
+            data: {}
+          }
+        },
+        Error: {
+          type: 'object',
+          required: ['success', 'code', 'message'],
+          properties: {
+            success: { type: 'boolean', enum: [false] },
+            code: { type: 'string', example: 'VALIDATION_ERROR' },
+            message: { type: 'string' },
+            details: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  location: { type: 'string', enum: ['params', 'query', 'body'] },
+                  field: { type: 'string' },
+                  message: { type: 'string' }
+                }
+              }
+            },
+            requestId: { type: 'string' }
+          }
+        }
+      },
+      responses: {
+        ValidationError: errorResponse('Request failed validation (VALIDATION_ERROR)'),
+        Unauthorized: errorResponse('Missing, invalid or expired token (NO_TOKEN, INVALID_TOKEN, TOKEN_EXPIRED, SESSION_REVOKED)'),
+        Forbidden: errorResponse('Authenticated but not allowed (FORBIDDEN)'),
+        NotFound: errorResponse('Resource not found (NOT_FOUND)'),
+        TooManyRequests: errorResponse('Rate limit hit or account locked (RATE_LIMITED, ACCOUNT_LOCKED)', {
+          'Retry-After': { description: 'Seconds to wait', schema: { type: 'integer' } }
+        })
+      }
+    }
+  };
+};
+
+let cachedSpec = null;
+
+/**
+ * The OpenAPI document (built once - routes don't change at runtime)
+ */
+const getSpec = () => {
+  if (!cachedSpec) {
+    cachedSpec = buildSpec();
+  }
+  return cachedSpec;
+};
+
+module.exports = {
+  listRoutes,
+  operationKey,
+  buildSpec,
+  getSpec
+};
@@ -0,0 +1,230 @@
+/**
+ * Operation Docs
+ *
+ * Human-written part of the OpenAPI document: one entry per route,
+ * keyed "METHOD /path" (OpenAPI path syntax, {param}).
+ *
+ * Everything else (parameters, request bodies, auth, error responses)
+ * is derived from the route definitions and src/schemas by
+ * src/docs/openapi.js. `npm run test:openapi` fails when a route has no
+ * entry here, or an entry has no route.
+ *
+ * Fields:
+ * - summary:     one line (required)
+ * - description: longer explanation (optional, markdown)
+ * - status:      success status code (default 200; 3xx = redirect)
+ */
+
+module.exports = {
+  // ─── Auth ───────────────────────────────────────────────
+  'GET /api/auth/test': { summary: 'Auth router smoke test' },
+  'POST /api/auth/register': {
+    summary: 'Register a new account',
+    description: 'Returns an access token and a refresh token and emails a verification link.',
+    status: 201
+  },
+  'POST /api/auth/login': {
+    summary: 'Log in with email and password',
+    description: 'Locked (429 `ACCOUNT_LOCKED`) after repeated failures; logging in cancels a scheduled account deletion.'
+  },
+  'POST /api/auth/refresh': {
+    summary: 'Exchange a refresh token for new tokens',
+    description: 'Refresh tokens rotate: reusing an old one revokes the whole session.'
+  },
+  'POST /api/auth/forgot-password': {
+    summary: 'Email a password reset link',
+    description: 'Always succeeds, so it can\'t be used to find out which emails are registered.'
+  },
+  'POST /api/auth/reset-password': { summary: 'Set a new password with a reset token' },
+  'POST /api/auth/verify-email': { summary: 'Verify an email address with a token' },
+  'GET /api/auth/github': {
+    summary: 'Sign in with GitHub',
+    description: 'Redirects the browser to GitHub\'s authorize page. Needs GITHUB_CLIENT_ID / GITHUB_CLIENT_SECRET (503 `GITHUB_OAUTH_NOT_CONFIGURED`).',
+    status: 302
+  },
+  'GET /api/auth/github/callback': {
+    summary: 'GitHub OAuth callback',
+    description: 'Called by GitHub. Signs in or creates the user and redirects to `APP_URL/auth/github/callback` with the result in the URL fragment: ' +
+      '`token`, `refreshToken`, `expiresIn`, `mode` (signed-in / created), or `error` + `message`. ' +
+      'Sign-in needs the nonce cookie set by `GET /api/auth/github` (400 `OAUTH_STATE_INVALID` without it). ' +
+      'For linking it redirects with `mode=link`, `code` and `state` for `POST /api/auth/github/link/complete`.',
+    status: 302
+  },
+  'GET /api/auth/me': { summary: 'Get the current user' },
+  'PATCH /api/auth/profile': { summary: 'Update the current user\'s profile' },
+  'PUT /api/auth/profile': { summary: 'Update the current user\'s profile (PUT alias)' },
+  'POST /api/auth/logout': { summary: 'Log out of this session' },
+  'POST /api/auth/logout-all': { summary: 'Log out of every session' },
+  'POST /api/auth/resend-verification': { summary: 'Resend the verification email' },
+  'PATCH /api/auth/password': {
+    summary: 'Change password',
+    description: 'Every other session is logged out. Accounts without a password (GitHub sign-in) leave out `currentPassword` and need a login within FRESH_LOGIN_MINUTES (403 `FRESH_LOGIN_REQUIRED`).'
+  },
+  'DELETE /api/auth/account': {
+    summary: 'Delete the account and all its data',
+    description: 'With `gracePeriod: true` the account is purged after ACCOUNT_DELETION_GRACE_DAYS instead. ' +
+      'Accounts without a password (GitHub sign-in) leave out `password` and need a login within FRESH_LOGIN_MINUTES (403 `FRESH_LOGIN_REQUIRED`).'
+  },
+  'GET /api/auth/github-token': {
+    summary: 'Get the saved GitHub token\'s status',
+    description: 'Login, scopes and when it was saved - never the token itself.'
+  },
+  'PUT /api/auth/github-token': {
+    summary: 'Save a GitHub personal access token',
+    description: 'Checked against GitHub first: 400 `GITHUB_TOKEN_INVALID` if rejected, `GITHUB_TOKEN_SCOPES` without the `repo` scope. Stored encrypted and used for all of this user\'s GitHub calls.'
+  },
+  'DELETE /api/auth/github-token': { summary: 'Remove the saved GitHub token' },
+  'POST /api/auth/github/link': {
+    summary: 'Start linking GitHub to this account',
+    description: 'Returns `url`: send the browser there. The callback redirects with `mode=link`, `code` and `state`; send those to `POST /api/auth/github/link/complete`.'
+  },
+  'POST /api/auth/github/link/complete': {
+    summary: 'Finish linking GitHub to this account',
+    description: 'With the `code` and `state` from the callback. 400 `OAUTH_STATE_INVALID` if another user started the link, 409 `GITHUB_ACCOUNT_IN_USE` if the GitHub account is linked to someone else.'
+  },
+  'DELETE /api/auth/github/link': {
+    summary: 'Unlink GitHub',
+    description: 'Also removes the saved GitHub token. 400 `PASSWORD_REQUIRED` if GitHub is the only way to log in.'
+  },
+
+  // ─── DSA ────────────────────────────────────────────────
+  'GET /api/dsa/problems': {
+    summary: 'List catalog problems',
+    description: 'Paginated only when `limit`, `page` or `cursor` is given; otherwise every matching problem is returned. `sheet` takes a sheet name or slug; `source=striver` is the same as `sheet=Striver SDE Sheet`.'
+  },
+  'GET /api/dsa/problems/{id}': { summary: 'Get a catalog problem' },
+  'GET /api/dsa/sheets': {
+    summary: 'List problem sheets',
+    description: 'Each sheet with the user\'s solved / revising / weak / none counts (untracked problems count as none).'
+  },
+  'GET /api/dsa/sheets/{slug}': {
+    summary: 'Get a problem sheet',
+    description: 'Problems in sheet order, grouped by section, each with the user\'s progress (null if untracked) and per-section counts.'
+  },
+  'POST /api/dsa/problems': { summary: 'Add a catalog problem (admin)', status: 201 },
+  'POST /api/dsa/problems/bulk': { summary: 'Bulk upsert catalog problems by title (admin)' },
+  'POST /api/dsa/sheets/sync': {
+    summary: 'Sync the catalog with the bundled sheet data (admin)',
+    description: 'Matches problems by canonical URL. Reports added, changed (with field names), retired (deactivated), restored (reactivated) and unchanged problems, and progress moved from old `striver-N` ids.'
+  },
+  'POST /api/dsa/problems/import': {
+    summary: 'Import catalog problems from CSV or JSON (admin)',
+    description: 'Send the file as the body (`text/csv` with a header row, or JSON `[...]` / `{ "problems": [...] }`). Platforms and difficulties are normalized, duplicates in the file skipped, existing problems (same URL, then title) updated. `dryRun=true` reports without writing.'
+  },
+  'GET /api/dsa/problems/export': {
+    summary: 'Download the catalog as CSV or JSON (admin)',
+    description: 'Attachment; the file can be imported again.'
+  },
+  'PATCH /api/dsa/problems/{id}': { summary: 'Update a catalog problem (admin)' },
+  'DELETE /api/dsa/problems/{id}': {
+    summary: 'Deactivate a catalog problem (admin)',
+    description: 'The problem is hidden from the catalog; progress pointing at it is kept.'
+  },
+  'GET /api/dsa/progress': { summary: 'List the user\'s problem progress' },
+  'POST /api/dsa/progress': { summary: 'Create or update progress on a problem' },
+  'POST /api/dsa/progress/sync': {
+    summary: 'Mark problems solved from LeetCode / Codeforces submissions',
+    description: 'Reads recent accepted submissions, matches them to catalog problems by URL and marks those solved with `lastSolvedAt` = submission time. ' +
+      'The username is saved for the next sync. 404 `PLATFORM_USER_NOT_FOUND`, 502 when the platform can\'t be reached.'
+  },
+  'PATCH /api/dsa/progress/{problemId}': { summary: 'Update progress on a problem' },
+  'DELETE /api/dsa/progress/{problemId}': { summary: 'Delete progress on a problem' },
+  'GET /api/dsa/progress/{problemId}/attempts': { summary: 'List attempts on a problem' },
+  'POST /api/dsa/progress/{problemId}/attempts': { summary: 'Log an attempt on a problem', status: 201 },
+  'POST /api/dsa/progress/{problemId}/review': {
+    summary: 'Record a spaced-repetition review',
+    description: 'quality 0-5 (SM-2); schedules the next review.'
+  },
+  'GET /api/dsa/review/due': { summary: 'List problems due for review' },
+  'GET /api/dsa/stats': { summary: 'Get DSA statistics' },
+  'GET /api/dsa/analytics/topics': {
+    summary: 'Get topic and subtopic mastery analytics',
+    description: 'Per topic, subtopic and difficulty: counts over the active catalog, `coverage` (% worked on) and `mastery` (0-100: solved 1, revising 0.6, weak 0.2, half for stale problems). ' +
+      '`weakest`: topics with progress, lowest mastery first.'
+  },
+  'GET /api/dsa/stale': { summary: 'List problems not solved in a while' },
+
+  // ─── Projects ───────────────────────────────────────────
+  'GET /api/projects/starred': { summary: 'List starred projects' },
+  'GET /api/projects/stats': { summary: 'Get project statistics' },
+  'GET /api/projects/github/{username}': { summary: 'Fetch a user\'s repositories live from GitHub' },
+  'GET /api/projects/test-github/{username}': {
+    summary: 'Test the GitHub connection (no auth)',
+    description: 'Rate limited per IP - it spends the server\'s GitHub API quota.'
+  },
+  'GET /api/projects': { summary: 'List the user\'s projects' },
+  'POST /api/projects/sync': {
+    summary: 'Sync repositories from GitHub into projects',
+    description: 'Incremental: `notModified: true` when GitHub reports the repository list unchanged since the last sync (ETag). ' +
+      '`summary` has the created / updated / unchanged / removed counts; removed = repository gone from GitHub, project no longer tracked.'
+  },
+  'GET /api/projects/sync/status': {
+    summary: 'Get the background GitHub re-sync status',
+    description: 'The job re-syncs projects not synced in 24 hours, every GITHUB_RESYNC_INTERVAL_MINUTES. ' +
+      'Returns its schedule, the last run (`result` = this user\'s entry, null if their projects were up to date) and `lastSyncedAt` of the user\'s projects.'
+  },
+  'GET /api/projects/{id}': { summary: 'Get a project', description: 'Includes `readme` (left out of project lists).' },
+  'POST /api/projects/{id}/refresh': {
+    summary: 'Refresh a project\'s details, languages, commits and README from GitHub',
+    description: 'Each is requested with the ETag of the last refresh (If-None-Match); `notModified` lists what GitHub reported unchanged, ' +
+      '`refreshed` what was updated, `failed` what couldn\'t be loaded (kept as stored). 404 GITHUB_REPO_NOT_FOUND when the repository is gone.'
+  },
+  'PATCH /api/projects/{id}': { summary: 'Update project tracking fields' },
+  'DELETE /api/projects/{id}': { summary: 'Remove a project' },
+
+  // ─── Career ─────────────────────────────────────────────
+  'GET /api/career/upcoming': { summary: 'List upcoming events' },
+  'GET /api/career/past': { summary: 'List past events' },
+  'GET /api/career/stats': { summary: 'Get career event statistics' },
+  'GET /api/career': { summary: 'List career events' },
+  'POST /api/career': { summary: 'Create a career event', status: 201 },
+  'GET /api/career/{id}': { summary: 'Get a career event' },
+  'PATCH /api/career/{id}': { summary: 'Update a career event' },
+  'DELETE /api/career/{id}': { summary: 'Delete a career event' },
+  'POST /api/career/{id}/steps': { summary: 'Add a preparation step' },
+  'PATCH /api/career/{id}/steps/{stepId}': { summary: 'Complete or reopen a preparation step' },
+  'DELETE /api/career/{id}/steps/{stepId}': { summary: 'Delete a preparation step' },
+
+  // ─── Planner ────────────────────────────────────────────
+  'GET /api/planner/tasks': { summary: 'List planner tasks' },
+  'GET /api/planner/tasks/{id}': { summary: 'Get a planner task' },
+  'POST /api/planner/tasks': { summary: 'Create a planner task', status: 201 },
+  'PATCH /api/planner/tasks/{id}': { summary: 'Update a planner task' },
+  'DELETE /api/planner/tasks/{id}': { summary: 'Delete a planner task' },
+  'POST /api/planner/tasks/bulk-update': { summary: 'Update several tasks at once (e.g. reorder)' },
+  'GET /api/planner/goals': { summary: 'List goals' },
+  'POST /api/planner/goals': { summary: 'Create a goal', status: 201 },
+  'PATCH /api/planner/goals/{id}': { summary: 'Update a goal' },
+  'DELETE /api/planner/goals/{id}': { summary: 'Delete a goal' },
+  'GET /api/planner/events': { summary: 'List calendar events' },
+  'POST /api/planner/events': { summary: 'Create a calendar event', status: 201 },
+  'PUT /api/planner/events/{id}': { summary: 'Update a calendar event' },
+  'DELETE /api/planner/events/{id}': { summary: 'Delete a calendar event' },
+  'GET /api/planner/stats': { summary: 'Get planner statistics' },
+  'GET /api/planner/activity': { summary: 'Get planner activity data' },
+
+  // ─── Activity ───────────────────────────────────────────
+  'GET /api/activity/heatmap': { summary: 'Get the activity heatmap and streaks' },
+
+  // ─── Account ────────────────────────────────────────────
+  'GET /api/account/export': {
+    summary: 'Download all of the user\'s data',
+    description: 'Returned as a `blaezi-export-YYYY-MM-DD.json` attachment.'
+  },
+  'POST /api/account/import': {
+    summary: 'Import an export bundle',
+    description: '`mode=merge` (default) adds to existing data, skipping records the account already has (`skipped`); `mode=replace` deletes it first. ' +
+      '400 INVALID_BUNDLE for a malformed bundle; records their model rejects are left out and listed in `failed` ({ section, index, error }).'
+  },
+
+  // ─── Docs ───────────────────────────────────────────────
+  'GET /api/docs': { summary: 'Interactive API docs (HTML)' },
+  'GET /api/docs/openapi.json': { summary: 'This OpenAPI document' },
+
+  // ─── Health ─────────────────────────────────────────────
+  'GET /health/live': { summary: 'Liveness probe' },
+  'GET /health/ready': {
+    summary: 'Readiness probe',
+    description: '503 while MongoDB is unreachable or the server is shutting down. GitHub is reported from the last check, without waiting for it.'
+  }
+};
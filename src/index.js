@@ -1,88 +1,67 @@
-console.log("🔥 THIS IS THE ACTIVE INDEX.JS");
-
 require('dotenv').config();
 
-const express = require('express');
-const cors = require('cors');
-const path = require('path');
-const connectDB = require('./config/db');
-
-const authRoutes = require('./routes/authRoutes');
-const dsaRoutes = require('./routes/dsaRoutes');
-const projectRoutes = require('./routes/projectRoutes');
-const careerRoutes = require('./routes/careerRoutes');
-const plannerRoutes = require('./routes/plannerRoutes');
-
-const app = express();
+const app = require('./app');
+const { connectDB, disconnectDB } = require('./config/db');
+const healthService = require('./services/healthService');
+const accountService = require('./services/accountService');
+const projectSyncService = require('./services/projectSyncService');
+const scheduler = require('./services/schedulerService');
+const logger = require('./utils/logger');
 
-// 🔴 THESE TWO MUST COME BEFORE ROUTES
-app.use(cors({
-  origin: '*', // Allow all origins for development
-  credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
-}));
-app.use(express.json());   // 👈 THIS WAS THE SILENT KILLER
+// Connect DB (retries with backoff; /health/ready is 503 until connected)
+connectDB().catch(() => process.exit(1));
 
-// Request logger - Log all incoming requests
-app.use((req, res, next) => {
-  console.log(`📥 ${req.method} ${req.url}`);
-  if (req.headers.authorization) {
-    console.log('   Auth: Bearer token present');
-  }
-  if (req.body && Object.keys(req.body).length > 0) {
-    console.log('   Body:', JSON.stringify(req.body, null, 2));
-  }
-  next();
+// Purge accounts whose deletion grace period has ended (every 6 hours)
+scheduler.schedule('account-purge', 6 * 60 * 60 * 1000, async () => {
+  const count = await accountService.purgeExpiredAccounts();
+  if (count) logger.info('Purged deleted accounts', { count });
 });
 
-// Connect DB
-connectDB();
+// Re-sync stale GitHub projects (GITHUB_RESYNC_INTERVAL_MINUTES, off with GITHUB_RESYNC_ENABLED=false)
+projectSyncService.scheduleResync();
 
-// Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/dsa', dsaRoutes);
-app.use('/api/projects', projectRoutes);
-app.use('/api/career', careerRoutes);
-app.use('/api/planner', plannerRoutes);
-
-// Health check (IMPORTANT)
-app.get('/ping', (req, res) => {
-  res.send('SERVER ALIVE');
+const PORT = process.env.PORT || 4000;
+const server = app.listen(PORT, () => {
+  logger.info(`Blaezi Server running on ${PORT}`, { port: Number(PORT) });
 });
 
-// Serve static files from frontend build (if exists)
-// Uncomment these lines if you have a frontend build folder
-/*
-const frontendPath = path.join(__dirname, '../frontend/build'); // adjust path as needed
-app.use(express.static(frontendPath));
+/**
+ * Graceful shutdown (SIGTERM from Docker/Kubernetes/PM2, SIGINT = Ctrl+C)
+ *
+ * 1. /health/ready starts answering 503 so the load balancer stops routing here,
+ *    background jobs stop being scheduled
+ * 2. Stop accepting connections, close idle keep-alive ones
+ * 3. Let in-flight requests finish
+ * 4. Close the MongoDB connection and exit
+ *
+ * If that takes longer than SHUTDOWN_TIMEOUT_MS (default 10s) the process
+ * exits anyway, cutting off whatever is still running.
+ */
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 10 * 1000;
 
-// Catch-all route to serve frontend's index.html for any non-API routes
-app.get('*', (req, res) => {
-  // Only serve index.html if it's not an API route
-  if (!req.path.startsWith('/api')) {
-    res.sendFile(path.join(frontendPath, 'index.html'));
-  } else {
-    res.status(404).json({
-      success: false,
-      message: `API route not found: ${req.method} ${req.url}`,
-      code: 'NOT_FOUND'
-    });
-  }
-});
-*/
+const shutdown = (signal) => {
+  if (healthService.isShuttingDown()) return;
+  healthService.setShuttingDown();
+  scheduler.stopAll();
+  logger.info('Shutting down', { signal, timeoutMs: SHUTDOWN_TIMEOUT_MS });
+
+  setTimeout(() => {
+    logger.warn('Shutdown timeout reached, forcing exit');
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
 
-// 404 handler - catch all undefined routes
-app.use((req, res) => {
-  console.log(`❌ 404 - Route not found: ${req.method} ${req.url}`);
-  res.status(404).json({
-    success: false,
-    message: `Route not found: ${req.method} ${req.url}`,
-    code: 'NOT_FOUND'
+  server.close(async () => {
+    try {
+      await disconnectDB();
+      logger.info('Shutdown complete');
+      process.exit(0);
+    } catch (error) {
+      logger.error('Error during shutdown', { err: error });
+      process.exit(1);
+    }
   });
-});
+  server.closeIdleConnections();
+};
 
-const PORT = process.env.PORT || 4000;
-app.listen(PORT, () => {
-  console.log(`Blaezi Server running on ${PORT}`);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
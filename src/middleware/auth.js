@@ -1,33 +1,40 @@
 const jwt = require('jsonwebtoken');
+const tokenService = require('../services/tokenService');
+const logger = require('../utils/logger');
+const { UnauthorizedError } = require('../utils/errors');
 
 const auth = async (req, res, next) => {
-  try {
-    // Get token from header
-    const authHeader = req.header('Authorization');
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'No token, authorization denied' 
-      });
-    }
+  // Get token from header
+  const authHeader = req.header('Authorization');
+  
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new UnauthorizedError('No token, authorization denied', 'NO_TOKEN');
+  }
 
-    const token = authHeader.replace('Bearer ', '');
+  const token = authHeader.replace('Bearer ', '');
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Attach user to request
-    req.user = { id: decoded.id };
-    
-    next();
+  // Verify token
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
-    console.error('Auth middleware error:', error);
-    res.status(401).json({ 
-      success: false, 
-      message: 'Token is not valid' 
-    });
+    // Expired access token → client should call /api/auth/refresh
+    if (error.name === 'TokenExpiredError') {
+      throw new UnauthorizedError('Token has expired', 'TOKEN_EXPIRED');
+    }
+    throw new UnauthorizedError('Token is not valid', 'INVALID_TOKEN');
+  }
+  
+  // Token must belong to a live session (not logged out / revoked)
+  if (!decoded.sid || !(await tokenService.isSessionActive(decoded.sid))) {
+    throw new UnauthorizedError('Session has expired or been revoked', 'SESSION_REVOKED');
   }
+  
+  // Attach user to request
+  req.user = { id: decoded.id, sessionId: decoded.sid };
+  logger.addContext({ userId: decoded.id });
+  
+  next();
 };
 
 module.exports = auth;
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const { AppError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Error Handler Middleware
+ *
+ * Every error thrown in a route (Express 5 forwards rejected promises
+ * from async handlers automatically) ends up here and is sent as:
+ *
+ * {
+ *   "success": false,
+ *   "code": "VALIDATION_ERROR",
+ *   "message": "Invalid request: status must be one of: ...",
+ *   "details": [{ "location": "body", "field": "status", "message": "..." }]
+ * }
+ *
+ * In production (NODE_ENV=production) unexpected errors only return a
+ * generic message; elsewhere the real message and stack are included.
+ * Every error response carries the requestId so a report can be matched
+ * to the server logs.
+ */
+
+/**
+ * Convert known library errors (Mongoose, body parser) into AppErrors
+ */
+const normalizeError = (err) => {
+  if (err instanceof AppError) {
+    return err;
+  }
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    const details = Object.values(err.errors).map(error => ({
+      location: 'body',
+      field: error.path,
+      message: error.message
+    }));
+    return new AppError('Validation failed', { statusCode: 400, code: 'VALIDATION_ERROR', details });
+  }
+
+  if (err instanceof mongoose.Error.CastError) {
+    return new AppError(`Invalid ${err.path}: ${JSON.stringify(err.value)}`, {
+      statusCode: 400,
+      code: 'INVALID_ID'
+    });
+  }
+
+  if (err.code === 11000) {
+    return new AppError('Resource already exists', {
+      statusCode: 409,
+      code: 'DUPLICATE_KEY',
+      details: Object.keys(err.keyValue || {}).map(field => ({ field, message: 'must be unique' }))
+    });
+  }
+
+  if (err.type === 'entity.parse.failed') {
+    return new AppError('Request body is not valid JSON', { statusCode: 400, code: 'INVALID_JSON' });
+  }
+
+  if (err.type === 'entity.too.large') {
+    return new AppError('Request body is too large', { statusCode: 413, code: 'PAYLOAD_TOO_LARGE' });
+  }
+
+  return null;
+};
+
+/**
+ * 404 for routes nothing matched
+ */
+const notFound = (req, res, next) => {
+  next(new NotFoundError(`Route not found: ${req.method} ${req.originalUrl}`));
+};
+
+/**
+ * Global error handler (must be registered LAST, with 4 arguments)
+ */
+const errorHandler = (err, req, res, next) => {
+  const isProduction = process.env.NODE_ENV === 'production';
+  const known = normalizeError(err);
+
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (known) {
+    if (known.statusCode >= 500) {
+      logger.error('Request failed', { code: known.code, err });
+    }
+
+    const body = {
+      success: false,
+      code: known.code,
+      message: known.message,
+      requestId: req.id
+    };
+    if (known.details) body.details = known.details;
+    if (known.retryAfter) res.set('Retry-After', String(known.retryAfter));
+
+    return res.status(known.statusCode).json(body);
+  }
+
+  // Unexpected error: log everything, reveal nothing in production
+  logger.error('Unhandled error', { err });
+
+  const body = {
+    success: false,
+    code: 'INTERNAL_ERROR',
+    message: isProduction ? 'Something went wrong' : err.message,
+    requestId: req.id
+  };
+  if (!isProduction) body.stack = err.stack;
+
+  res.status(500).json(body);
+};
+
+module.exports = {
+  notFound,
+  errorHandler
+};
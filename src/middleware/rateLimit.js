@@ -0,0 +1,82 @@
+const rateLimits = require('../config/rateLimits');
+const { getStore } = require('../services/rateLimitStore');
+const logger = require('../utils/logger');
+const { TooManyRequestsError } = require('../utils/errors');
+
+/**
+ * rateLimit - Apply a named policy from config/rateLimits.js
+ *
+ * Counts the request against every limit in the policy and answers
+ * 429 RATE_LIMITED (with Retry-After) once any of them is exceeded.
+ * The tightest limit is reported in RateLimit-Limit / -Remaining / -Reset.
+ *
+ * If the store is unreachable the request is let through (a broken
+ * rate limiter must not take the API down with it).
+ *
+ * Usage:
+ *   router.post('/login', rateLimit('login'), validate(authSchemas.login), authController.login);
+ *
+ * Limits keyed by "user" need auth to run first.
+ */
+
+const KEY_SOURCES = {
+  ip: (req) => req.ip,
+  email: (req) => (typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : null),
+  user: (req) => req.user?.id
+};
+
+const secondsUntil = (date) => Math.max(Math.ceil((date - Date.now()) / 1000), 1);
+
+const rateLimit = (policyName) => {
+  const policy = rateLimits.policies[policyName];
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy "${policyName}"`);
+  }
+
+  const middleware = async (req, res, next) => {
+    if (!rateLimits.enabled) return next();
+
+    let results;
+    try {
+      results = await Promise.all(
+        policy
+          .map(limit => ({ limit, id: KEY_SOURCES[limit.by](req) }))
+          .filter(({ id }) => id)
+          .map(async ({ limit, id }) => ({
+            limit,
+            ...(await getStore().hit(`${policyName}:${limit.by}:${id}`, limit.windowMs))
+          }))
+      );
+    } catch (error) {
+      logger.error('Rate limit store error', { policy: policyName, err: error });
+      return next();
+    }
+
+    if (results.length === 0) return next();
+
+    const tightest = results.reduce((min, result) =>
+      (result.limit.max - result.count < min.limit.max - min.count ? result : min)
+    );
+
+    res.set({
+      'RateLimit-Limit': String(tightest.limit.max),
+      'RateLimit-Remaining': String(Math.max(tightest.limit.max - tightest.count, 0)),
+      'RateLimit-Reset': String(secondsUntil(tightest.resetAt))
+    });
+
+    const exceeded = results.filter(result => result.count > result.limit.max);
+    if (exceeded.length > 0) {
+      // Blocked until the longest exceeded window resets
+      const retryAfter = Math.max(...exceeded.map(result => secondsUntil(result.resetAt)));
+      throw new TooManyRequestsError('Too many requests, please try again later', 'RATE_LIMITED', retryAfter);
+    }
+
+    next();
+  };
+
+  // Read by the OpenAPI generator (src/docs/openapi.js)
+  middleware.rateLimitPolicy = policyName;
+  return middleware;
+};
+
+module.exports = rateLimit;
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * requestLogger - Request IDs + one access log line per request
+ *
+ * - Reuses a sane incoming X-Request-Id (from a proxy / the frontend),
+ *   otherwise generates one; it's echoed back in the X-Request-Id header
+ *   and in error responses
+ * - Everything logged while handling the request carries the requestId
+ *   (see utils/logger.js), so controllers/services just call logger.*
+ * - When the response is sent, logs method, path, status and latency
+ *   (warn for 4xx, error for 5xx) and the query string; with
+ *   LOG_LEVEL=debug the request body is included. One-time credentials
+ *   (OAuth code / state) are redacted from both, on top of the logger's
+ *   own redaction
+ *
+ * Must be registered FIRST so body parser errors are logged too.
+ */
+
+const INCOMING_ID = /^[\w.:-]{1,100}$/;
+
+/**
+ * Query parameters that are credentials but don't look like it to the
+ * logger's SENSITIVE_KEY (which can't match "code": error codes are logged)
+ */
+const SENSITIVE_PARAMS = new Set(['code', 'state']);
+
+const redactParams = (params) => {
+  if (typeof params !== 'object' || Array.isArray(params)) return params;
+
+  return Object.fromEntries(
+    Object.entries(params).map(([key, value]) => [key, SENSITIVE_PARAMS.has(key) ? logger.REDACTED : value])
+  );
+};
+
+const requestLogger = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && INCOMING_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const startedAt = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    let level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+
+    // Health probes run every few seconds - only log them when something's wrong
+    if (level === 'info' && req.originalUrl.startsWith('/health')) level = 'debug';
+
+    // Set explicitly: 'finish' may fire outside the request's async context
+    const fields = {
+      requestId: req.id,
+      userId: req.user?.id,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      contentLength: Number(res.get('Content-Length')) || undefined,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    if (req.query && Object.keys(req.query).length > 0) {
+      fields.query = redactParams(req.query);
+    }
+
+    if (logger.isLevelEnabled('debug') && req.body && Object.keys(req.body).length > 0) {
+      fields.body = redactParams(req.body);
+    }
+
+    logger[level]('Request completed', fields);
+  });
+
+  logger.runWithContext({ requestId: req.id }, next);
+};
+
+module.exports = requestLogger;
@@ -0,0 +1,30 @@
+const User = require('../models/User');
+const { ForbiddenError } = require('../utils/errors');
+
+/**
+ * requireRole - Allow only users with one of the given roles
+ * 
+ * Must run AFTER auth (needs req.user.id).
+ * Role is read from the database so demotions apply immediately.
+ * 
+ * Usage:
+ *   router.post('/problems', auth, requireRole('admin'), controller.createProblem);
+ */
+const requireRole = (...roles) => {
+  const middleware = async (req, res, next) => {
+    const user = await User.findById(req.user.id).select('role');
+
+    if (!user || !roles.includes(user.role)) {
+      throw new ForbiddenError();
+    }
+
+    req.user.role = user.role;
+    next();
+  };
+
+  // Read by the OpenAPI generator (src/docs/openapi.js)
+  middleware.roles = roles;
+  return middleware;
+};
+
+module.exports = requireRole;
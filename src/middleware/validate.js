@@ -0,0 +1,107 @@
+const Ajv = require('ajv');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * validate - Check req.params / req.query / req.body against JSON Schemas
+ *
+ * Schemas live in src/schemas/ (one file per domain) and are plain
+ * JSON Schema objects, so the same definitions can document the API.
+ *
+ * - params/query: strings are coerced ("10" → 10, "true" → true)
+ * - body: types are NOT coerced (JSON already has types)
+ * - defaults from the schema are filled in
+ * - all problems are reported at once in `details`
+ *
+ * Usage:
+ *   router.patch('/:id', auth, validate(careerSchemas.updateEvent), careerController.updateEvent);
+ *
+ * where careerSchemas.updateEvent = { params: {...}, body: {...} }
+ */
+
+const formats = {
+  objectId: /^[a-f\d]{24}$/i,
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  'date-time': (value) => !isNaN(Date.parse(value)),
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+};
+
+const createAjv = (options) => {
+  const ajv = new Ajv({ allErrors: true, useDefaults: true, strict: false, ...options });
+  Object.entries(formats).forEach(([name, format]) => ajv.addFormat(name, format));
+  return ajv;
+};
+
+const bodyAjv = createAjv({ coerceTypes: false });
+const stringAjv = createAjv({ coerceTypes: 'array' });
+
+const LOCATIONS = {
+  params: stringAjv,
+  query: stringAjv,
+  body: bodyAjv
+};
+
+/**
+ * Turn Ajv errors into readable { location, field, message } entries
+ */
+const formatErrors = (location, errors) => {
+  return errors.map(error => {
+    const path = error.instancePath.replace(/^\//, '').replace(/\//g, '.');
+    const field = error.keyword === 'required'
+      ? [path, error.params.missingProperty].filter(Boolean).join('.')
+      : path;
+
+    let message = error.message;
+    if (error.keyword === 'enum') {
+      message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+    } else if (error.keyword === 'required') {
+      message = 'is required';
+    } else if (error.keyword === 'format') {
+      message = `must be a valid ${error.params.format}`;
+    } else if (error.keyword === 'additionalProperties') {
+      message = `has unknown field "${error.params.additionalProperty}"`;
+    } else if (error.keyword === 'pattern' && error.params.pattern === '\\S') {
+      message = 'must not be blank';
+    }
+
+    return { location, field: field || location, message };
+  });
+};
+
+const validate = (schemas) => {
+  const validators = Object.entries(schemas)
+    .filter(([location]) => LOCATIONS[location])
+    .map(([location, schema]) => [location, LOCATIONS[location].compile(schema)]);
+
+  const middleware = (req, res, next) => {
+    const details = [];
+
+    validators.forEach(([location, check]) => {
+      // Copy query: Express 5 recomputes req.query on every access
+      const data = location === 'query' ? { ...req.query } : req[location] ?? {};
+
+      if (!check(data)) {
+        details.push(...formatErrors(location, check.errors));
+        return;
+      }
+
+      if (location === 'query') {
+        Object.defineProperty(req, 'query', { value: data, writable: true, configurable: true, enumerable: true });
+      } else {
+        req[location] = data;
+      }
+    });
+
+    if (details.length > 0) {
+      const summary = details.map(detail => `${detail.field} ${detail.message}`).join('; ');
+      return next(new ValidationError(`Invalid request: ${summary}`, details));
+    }
+
+    next();
+  };
+
+  // Read by the OpenAPI generator (src/docs/openapi.js)
+  middleware.schemas = schemas;
+  return middleware;
+};
+
+module.exports = validate;
@@ -0,0 +1,92 @@
+/**
+ * GitHubSyncState Model
+ *
+ * PURPOSE: Remember what GitHub last sent for a user's repository list,
+ * so the next sync can ask "changed since?" (services/projectSyncService.js)
+ *
+ * KEY CONCEPTS:
+ * - One document per user + GitHub username
+ * - etag / lastModified go back to GitHub as If-None-Match /
+ *   If-Modified-Since; a 304 answer means nothing changed (and, with a
+ *   token, costs no rate limit)
+ * - Only valid for the same kind of request: same includePrivate and
+ *   filters, otherwise the sync asks unconditionally
+ * - repoIds: the repositories that sync saved, for answering a 304
+ */
+
+const mongoose = require('mongoose');
+
+const GitHubSyncStateSchema = new mongoose.Schema({
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  /**
+   * githubUsername - Lowercase (GitHub usernames are case-insensitive)
+   */
+  githubUsername: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+
+  /**
+   * includePrivate / filters - What the stored response was for
+   * (filters as a stable JSON string)
+   */
+  includePrivate: {
+    type: Boolean,
+    default: false
+  },
+
+  filters: {
+    type: String,
+    default: '{}'
+  },
+
+  etag: {
+    type: String,
+    default: null
+  },
+
+  lastModified: {
+    type: String,
+    default: null
+  },
+
+  repoIds: {
+    type: [Number],
+    default: []
+  }
+
+}, {
+  timestamps: true,
+  collection: 'github_sync_states'
+});
+
+// ═══════════════════════════════════════════════════════════
+// INDEXES
+// ═══════════════════════════════════════════════════════════
+
+GitHubSyncStateSchema.index({ userId: 1, githubUsername: 1 }, { unique: true });
+
+// ═══════════════════════════════════════════════════════════
+// STATIC METHODS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * filtersKey() - Same filters → same string, whatever the key order
+ */
+GitHubSyncStateSchema.statics.filtersKey = function(filters = {}) {
+  const sorted = Object.keys(filters)
+    .filter(key => filters[key] !== undefined)
+    .sort()
+    .reduce((result, key) => ({ ...result, [key]: filters[key] }), {});
+
+  return JSON.stringify(sorted);
+};
+
+module.exports = mongoose.model('GitHubSyncState', GitHubSyncStateSchema);
@@ -7,6 +7,7 @@
  * - userId: Reference to User who owns the goal
  * - name: Goal name/title (max 200 chars)
  * - deadline: Target completion date
+ * - steps: Checklist of steps (completedAt set automatically)
  */
 
 const mongoose = require('mongoose');
@@ -42,10 +43,25 @@ const goalSchema = new mongoose.Schema({
     completed: {
       type: Boolean,
       default: false
+    },
+    completedAt: {
+      type: Date,
+      default: null
     }
   }]
 }, {
   timestamps: true
 });
 
+// Keep step completedAt in sync with the completed flag
+goalSchema.pre('save', async function() {
+  this.steps.forEach(step => {
+    if (step.completed && !step.completedAt) {
+      step.completedAt = new Date();
+    } else if (!step.completed) {
+      step.completedAt = null;
+    }
+  });
+});
+
 module.exports = mongoose.model('Goal', goalSchema);
@@ -14,6 +14,7 @@
  */
 
 const mongoose = require('mongoose');
+const { canonicalUrl } = require('../utils/problemUrl');
 
 /**
  * STEP 1: Define the Schema (Blueprint)
@@ -124,10 +125,12 @@ const MasterProblemSchema = new mongoose.Schema({
   },
 
   /**
-   * sheet - Which curated list is this from?
+   * sheet - Which curated list was this added for?
    * 
    * Examples: "Striver SDE Sheet", "Blind 75", "NeetCode 150"
-   * Why? Users follow specific sheets
+   * Why only one? It's where the problem came from. Which sheets it's
+   * IN (with position and section) is kept in the Sheet model, so
+   * "Two Sum" can be in Striver SDE Sheet AND Blind 75
    */
   sheet: {
     type: String,
@@ -213,6 +216,16 @@ const MasterProblemSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+
+  /**
+   * retiredAt - When the sheet sync deactivated the problem because it
+   * left the sheet data (unset when an admin deactivated it)
+   * 
+   * Why? A retired problem that comes back is reactivated by the next sync
+   */
+  retiredAt: {
+    type: Date
   }
 
 }, {
@@ -397,6 +410,55 @@ MasterProblemSchema.statics.searchProblems = function(searchTerm) {
   .lean();  // Return plain JS objects with _id included
 };
 
+/**
+ * findMatches() - Which catalog problem is each incoming problem?
+ * 
+ * Used by imports and the sheet sync so the same problem isn't added twice
+ * 
+ * HOW:
+ * 1. Same canonical URL ("http://www.leetcode.com/problems/two-sum/"
+ *    and "https://leetcode.com/problems/two-sum" are the same)
+ * 2. Otherwise same title, ignoring case - but only if that problem's own
+ *    URL isn't claimed by another incoming problem
+ * Each catalog problem is matched at most once (first come, first served)
+ * 
+ * @param {Array} candidates - [{ url, title }]
+ * @returns {Promise<Array>} Catalog problem (plain object) or null, per candidate
+ */
+MasterProblemSchema.statics.findMatches = async function(candidates) {
+  const catalog = await this.find().lean();
+  
+  const byUrl = new Map();
+  const byTitle = new Map();
+  catalog.forEach(problem => {
+    const url = canonicalUrl(problem.url);
+    if (url && !byUrl.has(url)) byUrl.set(url, problem);
+    byTitle.set(problem.title.toLowerCase(), problem);
+  });
+  
+  const candidateUrls = new Set(candidates.map(candidate => canonicalUrl(candidate.url)).filter(Boolean));
+  const claimed = new Set();
+  const claim = (problem) => {
+    if (!problem || claimed.has(String(problem._id))) return null;
+    claimed.add(String(problem._id));
+    return problem;
+  };
+  
+  // URL matches first, so a title match can't take a problem another candidate links to
+  const matches = candidates.map(candidate => claim(byUrl.get(canonicalUrl(candidate.url))));
+  
+  return matches.map((match, index) => {
+    if (match) return match;
+    
+    const { title } = candidates[index];
+    const problem = title ? byTitle.get(String(title).trim().toLowerCase()) : null;
+    const problemUrl = problem && canonicalUrl(problem.url);
+    if (problemUrl && candidateUrls.has(problemUrl)) return null;
+    
+    return claim(problem);
+  });
+};
+
 // ═══════════════════════════════════════════════════════════
 // CREATE AND EXPORT THE MODEL
 // ═══════════════════════════════════════════════════════════
@@ -63,5 +63,19 @@ const plannerTaskSchema = new mongoose.Schema({
 // Compound indexes for efficient queries
 plannerTaskSchema.index({ userId: 1, archived: 1, completed: 1 });
 plannerTaskSchema.index({ userId: 1, dueDate: 1 });
+plannerTaskSchema.index({ userId: 1, completedAt: 1 });
+
+// Stamp completedAt when a task is completed (unless the client sent one)
+plannerTaskSchema.pre('save', async function() {
+  if (!this.isModified('completed')) {
+    return;
+  }
+
+  if (this.completed && !this.completedAt) {
+    this.completedAt = new Date();
+  } else if (!this.completed) {
+    this.completedAt = null;
+  }
+});
 
 module.exports = mongoose.model('PlannerTask', plannerTaskSchema);
@@ -0,0 +1,217 @@
+/**
+ * ProblemAttempt Model
+ *
+ * PURPOSE: Log EVERY attempt you make at a DSA problem
+ *
+ * KEY CONCEPTS:
+ * - UserProgress = your CURRENT state (overwritten on every update)
+ * - ProblemAttempt = your HISTORY (append-only, one doc per attempt)
+ *
+ * RELATIONSHIP:
+ * One UserProgress (user + problem) → Many ProblemAttempts
+ *
+ * EXAMPLES:
+ * - "Two Sum" - failed, 40 min, brute force, C++
+ * - "Two Sum" - solved, 15 min, hash map, C++
+ */
+
+const mongoose = require('mongoose');
+
+const ProblemAttemptSchema = new mongoose.Schema({
+
+  // ═══════════════════════════════════════════════════════════
+  // RELATIONSHIP FIELDS
+  // ═══════════════════════════════════════════════════════════
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+
+  /**
+   * problemId - Same format as UserProgress.problemId
+   *
+   * Mixed so custom IDs ("striver-1") work alongside ObjectIds; ObjectIds
+   * are stored as their string, like UserProgress.problemId
+   */
+  problemId: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Problem ID is required'],
+    set: (value) => (value instanceof mongoose.Types.ObjectId ? String(value) : value)
+  },
+
+  // ═══════════════════════════════════════════════════════════
+  // ATTEMPT DETAILS
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * attemptedAt - When the attempt happened
+   */
+  attemptedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  /**
+   * outcome - How did it go?
+   *
+   * "solved"  = Accepted / fully working solution
+   * "partial" = Some test cases pass, or needed hints
+   * "failed"  = Could not solve
+   */
+  outcome: {
+    type: String,
+    enum: {
+      values: ['solved', 'partial', 'failed'],
+      message: '{VALUE} is not a valid outcome'
+    },
+    required: [true, 'Outcome is required']
+  },
+
+  /**
+   * timeSpentMinutes - How long the attempt took
+   */
+  timeSpentMinutes: {
+    type: Number,
+    min: 0,
+    max: 1440
+  },
+
+  /**
+   * approach - Approach used in THIS attempt
+   * Example: "Brute Force", "Two Pointers"
+   */
+  approach: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+
+  /**
+   * language - Programming language used
+   * Example: "C++", "Python", "Java"
+   */
+  language: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+
+  /**
+   * notes - What went right / wrong this time
+   */
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  }
+
+}, {
+  timestamps: true,
+  collection: 'problem_attempts'
+});
+
+// ═══════════════════════════════════════════════════════════
+// INDEXES
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Attempt history for one problem, newest first
+ */
+ProblemAttemptSchema.index({ userId: 1, problemId: 1, attemptedAt: -1 });
+
+// ═══════════════════════════════════════════════════════════
+// STATIC METHODS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * getHistory() - All attempts for a user + problem (newest first)
+ */
+ProblemAttemptSchema.statics.getHistory = function(userId, problemId) {
+  return this.find({ userId, problemId }).sort({ attemptedAt: -1 });
+};
+
+/**
+ * getAttemptStats() - First-try solve rate and attempts per difficulty
+ *
+ * PIPELINE:
+ * 1. Group attempts per problem (count + outcome of FIRST attempt)
+ * 2. Join MasterProblem for difficulty (custom IDs → "Unknown")
+ * 3. Group per difficulty
+ *
+ * Returns:
+ * {
+ *   problemsAttempted: 20,
+ *   totalAttempts: 34,
+ *   firstTrySolveRate: 55,          // % of problems solved on attempt #1
+ *   byDifficulty: {
+ *     Easy: { problems: 8, attempts: 10, avgAttempts: 1.25, firstTrySolveRate: 75 },
+ *     ...
+ *   }
+ * }
+ */
+ProblemAttemptSchema.statics.getAttemptStats = async function(userId) {
+  const groups = await this.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+    { $sort: { attemptedAt: 1 } },
+    { $group: {
+        _id: '$problemId',
+        attempts: { $sum: 1 },
+        firstOutcome: { $first: '$outcome' }
+      }
+    },
+    { $lookup: {
+        from: 'master_problems',
+        let: { problemId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: [
+            '$_id',
+            { $convert: { input: '$$problemId', to: 'objectId', onError: null, onNull: null } }
+          ] } } },
+          { $project: { difficulty: 1 } }
+        ],
+        as: 'problem'
+      }
+    },
+    { $group: {
+        _id: { $ifNull: [{ $arrayElemAt: ['$problem.difficulty', 0] }, 'Unknown'] },
+        problems: { $sum: 1 },
+        attempts: { $sum: '$attempts' },
+        firstTrySolved: { $sum: { $cond: [{ $eq: ['$firstOutcome', 'solved'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const percent = (part, whole) => whole > 0 ? Math.round((part / whole) * 100) : 0;
+
+  const result = {
+    problemsAttempted: 0,
+    totalAttempts: 0,
+    firstTrySolveRate: 0,
+    byDifficulty: {}
+  };
+
+  let firstTrySolved = 0;
+
+  groups.forEach(group => {
+    result.byDifficulty[group._id] = {
+      problems: group.problems,
+      attempts: group.attempts,
+      avgAttempts: Number((group.attempts / group.problems).toFixed(2)),
+      firstTrySolveRate: percent(group.firstTrySolved, group.problems)
+    };
+    result.problemsAttempted += group.problems;
+    result.totalAttempts += group.attempts;
+    firstTrySolved += group.firstTrySolved;
+  });
+
+  result.firstTrySolveRate = percent(firstTrySolved, result.problemsAttempted);
+
+  return result;
+};
+
+const ProblemAttempt = mongoose.model('ProblemAttempt', ProblemAttemptSchema);
+
+module.exports = ProblemAttempt;
@@ -157,6 +157,56 @@ const ProjectSchema = new mongoose.Schema({
     type: Date
   },
 
+  /**
+   * recentCommits - Latest commits on the default branch
+   * Filled by a refresh (POST /api/projects/:id/refresh), not by the sync
+   */
+  recentCommits: {
+    type: [{
+      _id: false,
+      sha: String,
+      message: String,
+      author: String,
+      date: Date,
+      url: String
+    }],
+    default: []
+  },
+
+  /**
+   * readme - README content (Markdown), '' if the repo has none
+   * Filled by a refresh; not selected by default (can be large)
+   */
+  readme: {
+    type: String,
+    default: '',
+    select: false
+  },
+
+  /**
+   * githubEtags - ETags of the last refresh's GitHub responses, sent back
+   * as If-None-Match so unchanged data isn't downloaded again
+   * Not selected by default: only valid together with the data they
+   * describe (an export without the README mustn't bring its ETag along)
+   */
+  githubEtags: {
+    type: new mongoose.Schema({
+      details: String,
+      languages: String,
+      commits: String,
+      readme: String
+    }, { _id: false }),
+    default: () => ({}),
+    select: false
+  },
+
+  /**
+   * detailsRefreshedAt - When languages / commits / README were last refreshed
+   */
+  detailsRefreshedAt: {
+    type: Date
+  },
+
   // ═══════════════════════════════════════════════════════════
   // USER TRACKING FIELDS
   // ═══════════════════════════════════════════════════════════
@@ -215,6 +265,14 @@ const ProjectSchema = new mongoose.Schema({
     default: true
   },
 
+  /**
+   * removedFromGitHubAt - When a sync stopped tracking the project because
+   * its repository was gone (unset when the user removed it themselves)
+   */
+  removedFromGitHubAt: {
+    type: Date
+  },
+
   /**
    * lastSyncedAt - When did we last sync with GitHub?
    */
@@ -297,6 +355,42 @@ ProjectSchema.index({ userId: 1, isActive: 1 });
  */
 ProjectSchema.index({ name: 'text', description: 'text' }, { default_language: 'none' });
 
+// ═══════════════════════════════════════════════════════════
+// GITHUB DATA MAPPING
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * fieldsFromGitHub() - The project fields GitHub owns, from a repository
+ * in GitHub API format (tracking fields are never touched)
+ */
+const fieldsFromGitHub = (githubData) => ({
+  name: githubData.name,
+  fullName: githubData.full_name,
+  description: githubData.description || '',
+  url: githubData.html_url,
+  homepage: githubData.homepage || '',
+  programmingLanguage: githubData.language || 'Unknown',
+  stars: githubData.stargazers_count || 0,
+  forks: githubData.forks_count || 0,
+  isPrivate: githubData.private,
+  topics: githubData.topics || [],
+  githubCreatedAt: githubData.created_at,
+  githubUpdatedAt: githubData.pushed_at || githubData.updated_at  // Use pushed_at for commit time
+});
+
+/**
+ * sameValue() - Stored field vs fresh GitHub value (dates may be strings)
+ */
+const sameValue = (stored, value) => {
+  if (stored instanceof Date || value instanceof Date) {
+    return Boolean(stored && value) && new Date(stored).getTime() === new Date(value).getTime();
+  }
+  if (Array.isArray(value)) {
+    return JSON.stringify(stored || []) === JSON.stringify(value);
+  }
+  return (stored ?? null) === (value ?? null);
+};
+
 // ═══════════════════════════════════════════════════════════
 // INSTANCE METHODS
 // ═══════════════════════════════════════════════════════════
@@ -314,18 +408,7 @@ ProjectSchema.methods.needsSync = function() {
  * updateFromGitHub() - Update project with fresh GitHub data
  */
 ProjectSchema.methods.updateFromGitHub = function(githubData) {
-  this.name = githubData.name;
-  this.fullName = githubData.full_name;
-  this.description = githubData.description || '';
-  this.url = githubData.html_url;
-  this.homepage = githubData.homepage || '';
-  this.programmingLanguage = githubData.language || 'Unknown';
-  this.stars = githubData.stargazers_count || 0;
-  this.forks = githubData.forks_count || 0;
-  this.isPrivate = githubData.private;
-  this.topics = githubData.topics || [];
-  this.githubCreatedAt = githubData.created_at;
-  this.githubUpdatedAt = githubData.pushed_at || githubData.updated_at;  // Use pushed_at for commit time
+  Object.assign(this, fieldsFromGitHub(githubData));
   this.lastSyncedAt = new Date();
   
   return this;
@@ -377,23 +460,82 @@ ProjectSchema.statics.syncFromGitHub = async function(userId, githubRepoData) {
     return await this.create({
       userId,
       githubId: githubRepoData.id,
-      name: githubRepoData.name,
-      fullName: githubRepoData.full_name,
-      description: githubRepoData.description || '',
-      url: githubRepoData.html_url,
-      homepage: githubRepoData.homepage || '',
-      programmingLanguage: githubRepoData.language || 'Unknown',
-      stars: githubRepoData.stargazers_count || 0,
-      forks: githubRepoData.forks_count || 0,
-      isPrivate: githubRepoData.private,
-      topics: githubRepoData.topics || [],
-      githubCreatedAt: githubRepoData.created_at,
-      githubUpdatedAt: githubRepoData.pushed_at || githubRepoData.updated_at,  // Use pushed_at for commit time
+      ...fieldsFromGitHub(githubRepoData),
       lastSyncedAt: new Date()
     });
   }
 };
 
+/**
+ * bulkSyncFromGitHub() - syncFromGitHub for many repositories in one bulkWrite
+ *
+ * Projects whose GitHub data didn't change only get lastSyncedAt bumped.
+ * Projects a sync stopped tracking (removedFromGitHubAt) are tracked again
+ * once their repository is listed again.
+ * Returns { created, updated, unchanged, failed: [{ githubId, name, error }] }
+ */
+ProjectSchema.statics.bulkSyncFromGitHub = async function(userId, githubRepos) {
+  const existing = await this.find({ userId, githubId: { $in: githubRepos.map(repo => repo.id) } }).lean();
+  const byGithubId = new Map(existing.map(project => [project.githubId, project]));
+  const now = new Date();
+
+  // created / updated / unchanged per repository (failed after the write)
+  const outcomes = [];
+
+  const operations = githubRepos.map(repo => {
+    const fields = fieldsFromGitHub(repo);
+    const project = byGithubId.get(repo.id);
+
+    let outcome = 'created';
+    if (project) {
+      outcome = Object.keys(fields).every(key => sameValue(project[key], fields[key])) ? 'unchanged' : 'updated';
+    }
+    const restored = Boolean(project && project.removedFromGitHubAt);
+    if (restored) outcome = 'updated';
+    outcomes.push(outcome);
+
+    const update = { $set: { ...(outcome === 'unchanged' ? {} : fields), lastSyncedAt: now } };
+    if (restored) {
+      update.$set.isActive = true;
+      update.$unset = { removedFromGitHubAt: 1 };
+    }
+
+    return {
+      updateOne: {
+        filter: { userId, githubId: repo.id },
+        update,
+        upsert: true
+      }
+    };
+  });
+
+  const failed = [];
+
+  if (operations.length > 0) {
+    try {
+      await this.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+      if (!error.writeErrors) throw error;
+
+      // The other operations still went through
+      [].concat(error.writeErrors).forEach(writeError => {
+        const repo = githubRepos[writeError.index];
+        outcomes[writeError.index] = 'failed';
+        failed.push({ githubId: repo.id, name: repo.name, error: writeError.errmsg });
+      });
+    }
+  }
+
+  const count = (outcome) => outcomes.filter(item => item === outcome).length;
+
+  return {
+    created: count('created'),
+    updated: count('updated'),
+    unchanged: count('unchanged'),
+    failed
+  };
+};
+
 /**
  * getUserStats() - Project statistics
  */
@@ -0,0 +1,77 @@
+/**
+ * RateLimit Model
+ *
+ * PURPOSE: Shared counters for the MongoDB rate limit store
+ * (used when RATE_LIMIT_STORE=mongo, so limits hold across server instances)
+ *
+ * KEY CONCEPTS:
+ * - One document per key ("login:ip:1.2.3.4", "lockout:lock:a@b.com", ...)
+ * - count resets when the window (expiresAt) has passed
+ * - Expired documents are cleaned up by MongoDB (TTL index)
+ */
+
+const mongoose = require('mongoose');
+
+const RateLimitSchema = new mongoose.Schema({
+
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  count: {
+    type: Number,
+    default: 0
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+
+}, {
+  collection: 'rate_limits'
+});
+
+// ═══════════════════════════════════════════════════════════
+// INDEXES
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * TTL index: finished windows are cleaned up by MongoDB
+ */
+RateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ═══════════════════════════════════════════════════════════
+// STATIC METHODS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * hit() - Atomically count one hit in the current window
+ *
+ * Starts a new window (count = 1) if there is none or it has expired,
+ * otherwise increments. The TTL monitor only runs every ~60s, so the
+ * expiry is checked here as well.
+ *
+ * Returns the updated document ({ count, expiresAt })
+ */
+RateLimitSchema.statics.hit = function(key, windowMs) {
+  const now = new Date();
+  const isActive = { $gt: ['$expiresAt', now] };
+
+  return this.findOneAndUpdate(
+    { key },
+    [{
+      $set: {
+        count: { $cond: [isActive, { $add: ['$count', 1] }, 1] },
+        expiresAt: { $cond: [isActive, '$expiresAt', new Date(now.getTime() + windowMs)] }
+      }
+    }],
+    { upsert: true, new: true, updatePipeline: true }
+  );
+};
+
+const RateLimit = mongoose.model('RateLimit', RateLimitSchema);
+
+module.exports = RateLimit;
@@ -0,0 +1,150 @@
+/**
+ * Session Model
+ *
+ * PURPOSE: Server-side record of a login (one per device / refresh-token family)
+ *
+ * KEY CONCEPTS:
+ * - Access token (JWT, short-lived) carries the session id (sid)
+ * - Refresh token (random, long-lived) is stored ONLY as a SHA-256 hash
+ * - Every refresh ROTATES the token; the old hash moves to previousTokenHashes
+ * - Presenting an old (rotated) token = reuse → whole session is revoked
+ *
+ * WORKFLOW:
+ * login → session created → refresh → refresh → ... → logout (revoked)
+ */
+
+const mongoose = require('mongoose');
+
+const SessionSchema = new mongoose.Schema({
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  /**
+   * refreshTokenHash - Hash of the CURRENT refresh token
+   */
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  /**
+   * previousTokenHashes - Hashes of already-rotated refresh tokens
+   *
+   * Kept only for reuse detection; the latest MAX_PREVIOUS_TOKEN_HASHES
+   * (tokenService)
+   */
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    index: true
+  },
+
+  /**
+   * expiresAt - When the refresh token stops working
+   *
+   * Sliding: pushed forward on every refresh
+   */
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  /**
+   * revokedAt / revokedReason - Set on logout, reuse detection,
+   * password change or account deletion
+   */
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  revokedReason: {
+    type: String,
+    enum: {
+      values: ['logout', 'logout-all', 'reuse-detected', 'password-reset', 'password-change', 'account-deleted'],
+      message: '{VALUE} is not a valid revoke reason'
+    },
+    default: null
+  },
+
+  userAgent: {
+    type: String,
+    default: ''
+  },
+
+  ip: {
+    type: String,
+    default: ''
+  }
+
+}, {
+  timestamps: true,
+  collection: 'sessions'
+});
+
+// ═══════════════════════════════════════════════════════════
+// INDEXES
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * TTL index: MongoDB deletes sessions once they expire
+ * (revoked sessions stay until then so reuse is still detected)
+ */
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ═══════════════════════════════════════════════════════════
+// INSTANCE METHODS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * isActive() - Not revoked and not expired
+ */
+SessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+/**
+ * revoke() - Kill this session
+ */
+SessionSchema.methods.revoke = function(reason = 'logout') {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+  return this;
+};
+
+// ═══════════════════════════════════════════════════════════
+// STATIC METHODS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * revokeAllForUser() - Kill every active session of a user
+ *
+ * @param {string} userId
+ * @param {string} reason - Revoke reason
+ * @param {string} exceptSessionId - Optional session to keep alive
+ */
+SessionSchema.statics.revokeAllForUser = function(userId, reason = 'logout-all', exceptSessionId = null) {
+  const query = { userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  return this.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+};
+
+const Session = mongoose.model('Session', SessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,153 @@
+/**
+ * Sheet Model
+ *
+ * PURPOSE: A curated problem list (Striver SDE Sheet, Blind 75,
+ * NeetCode 150) as an ordered list of catalog problems
+ *
+ * KEY CONCEPTS:
+ * - Membership lives here, not on the problem: the same MasterProblem
+ *   can be in any number of sheets, with its own position and section
+ *   in each (MasterProblem.sheet is only the sheet it was first added for)
+ * - sections: the sheet's chapters in order ("Arrays", "Linked List", ...)
+ * - slug: URL name (GET /api/dsa/sheets/:slug)
+ * - Users don't track sheets: progress stays per problem (UserProgress)
+ *   and is overlaid when a sheet is read (services/sheetService.js)
+ */
+
+const mongoose = require('mongoose');
+
+const SheetEntrySchema = new mongoose.Schema({
+
+  problemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MasterProblem',
+    required: true
+  },
+
+  /**
+   * section - One of the sheet's sections (null: unsectioned)
+   */
+  section: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  /**
+   * position - Order within the sheet (1, 2, 3...)
+   */
+  position: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+
+}, { _id: false });
+
+const SheetSchema = new mongoose.Schema({
+
+  name: {
+    type: String,
+    required: [true, 'Sheet name is required'],
+    unique: true,
+    trim: true
+  },
+
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Slug may only contain letters, digits and dashes']
+  },
+
+  description: {
+    type: String,
+    trim: true
+  },
+
+  /**
+   * url - Where the original sheet lives
+   */
+  url: {
+    type: String,
+    trim: true
+  },
+
+  sections: {
+    type: [String],
+    default: []
+  },
+
+  problems: {
+    type: [SheetEntrySchema],
+    default: []
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+
+}, {
+  timestamps: true,
+  collection: 'sheets'
+});
+
+// ═══════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * A problem appears once per sheet, in one of its sections
+ */
+SheetSchema.pre('validate', function() {
+  const seen = new Set();
+
+  this.problems.forEach((entry, index) => {
+    const key = String(entry.problemId);
+    if (seen.has(key)) {
+      this.invalidate(`problems.${index}.problemId`, 'Problem is already in this sheet', key);
+    }
+    seen.add(key);
+
+    if (entry.section && !this.sections.includes(entry.section)) {
+      this.invalidate(`problems.${index}.section`, `"${entry.section}" is not a section of this sheet`, entry.section);
+    }
+  });
+});
+
+// ═══════════════════════════════════════════════════════════
+// INDEXES
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * "Which sheets is this problem in?"
+ */
+SheetSchema.index({ 'problems.problemId': 1 });
+
+// ═══════════════════════════════════════════════════════════
+// STATIC METHODS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * slugify() - "Striver SDE Sheet" → "striver-sde-sheet"
+ */
+SheetSchema.statics.slugify = function(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+/**
+ * findByName() - Look a sheet up by name or slug (?sheet= filters)
+ */
+SheetSchema.statics.findByName = function(nameOrSlug) {
+  return this.findOne({
+    isActive: true,
+    $or: [{ name: nameOrSlug }, { slug: this.slugify(nameOrSlug) }]
+  });
+};
+
+module.exports = mongoose.model('Sheet', SheetSchema);
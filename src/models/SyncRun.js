@@ -0,0 +1,162 @@
+/**
+ * SyncRun Model
+ *
+ * PURPOSE: Record of one scheduled GitHub re-sync run
+ * (services/projectSyncService.js)
+ *
+ * KEY CONCEPTS:
+ * - One document per run: when, how it ended, counts, GitHub quota left
+ * - results holds one entry per user the run tried to sync
+ *   (users whose projects were still fresh are only counted)
+ * - Runs are cleaned up by MongoDB after 30 days (TTL index)
+ */
+
+const mongoose = require('mongoose');
+
+const SyncResultSchema = new mongoose.Schema({
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  githubUsername: String,
+
+  /**
+   * status - synced / skipped (GitHub quota kept for users) / failed
+   */
+  status: {
+    type: String,
+    enum: ['synced', 'skipped', 'failed'],
+    required: true
+  },
+
+  /**
+   * updated / unchanged / removed - Projects whose GitHub data changed,
+   * didn't, or whose repository is gone from GitHub
+   */
+  updated: {
+    type: Number,
+    default: 0
+  },
+
+  unchanged: {
+    type: Number,
+    default: 0
+  },
+
+  removed: {
+    type: Number,
+    default: 0
+  },
+
+  /**
+   * error / message - Error code and message when status is failed
+   * (or why it was skipped)
+   */
+  error: String,
+  message: String
+
+}, { _id: false });
+
+const SyncRunSchema = new mongoose.Schema({
+
+  /**
+   * trigger - schedule (the job) or manual (resyncProjects.js)
+   */
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+
+  /**
+   * status - running → completed, rate-limited (some users skipped to
+   * keep GitHub quota) or failed (the run itself broke)
+   */
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'rate-limited', 'failed'],
+    default: 'running'
+  },
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+
+  /**
+   * summary - Users checked / synced / still fresh / skipped / failed,
+   * and projects updated / removed in total
+   */
+  summary: {
+    checked: { type: Number, default: 0 },
+    synced: { type: Number, default: 0 },
+    upToDate: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    projectsUpdated: { type: Number, default: 0 },
+    projectsRemoved: { type: Number, default: 0 }
+  },
+
+  /**
+   * rateLimit - Shared (tokenless) GitHub quota after the run
+   */
+  rateLimit: {
+    limit: Number,
+    remaining: Number,
+    resetAt: Date
+  },
+
+  results: {
+    type: [SyncResultSchema],
+    default: []
+  },
+
+  error: {
+    type: String,
+    default: null
+  }
+
+}, {
+  collection: 'sync_runs'
+});
+
+// ═══════════════════════════════════════════════════════════
+// INDEXES
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Latest run first (status endpoint); old runs expire after 30 days
+ */
+SyncRunSchema.index({ startedAt: -1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// ═══════════════════════════════════════════════════════════
+// STATIC METHODS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * getLatest() - Most recent run, with only this user's result
+ * (projections aren't cast, so the userId is made an ObjectId here)
+ */
+SyncRunSchema.statics.getLatest = function(userId) {
+  userId = new mongoose.Types.ObjectId(userId);
+  return this.findOne({}, {
+    trigger: 1,
+    status: 1,
+    startedAt: 1,
+    finishedAt: 1,
+    summary: 1,
+    rateLimit: 1,
+    error: 1,
+    results: { $elemMatch: { userId } }
+  }).sort({ startedAt: -1 });
+};
+
+module.exports = mongoose.model('SyncRun', SyncRunSchema);
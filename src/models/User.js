@@ -15,19 +15,65 @@ const userSchema = new mongoose.Schema({
     trim: true,
     match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
   },
+  // Accounts created through GitHub sign-in have no password until they
+  // set one with the password reset flow
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    required: [function() { return !this.githubId; }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters']
   },
   githubUsername: {
     type: String,
     default: ''
   },
+  // Numeric GitHub user id from OAuth (logins can be renamed, ids can't)
+  githubId: {
+    type: Number,
+    unique: true,
+    sparse: true
+  },
   avatar: {
     type: String,
     default: ''
   },
+  // Personal access token used for this user's GitHub calls
+  // (services/githubTokenService.js). Only the encrypted value is stored
+  // and it's never selected unless asked for.
+  githubToken: {
+    encrypted: { type: String, default: null, select: false },
+    login: { type: String, default: null },
+    scopes: { type: [String], default: undefined },
+    savedAt: { type: Date, default: null }
+  },
+  // Usernames on coding platforms, saved by the submission sync
+  // (POST /api/dsa/progress/sync, services/submissionSyncService.js)
+  platformUsernames: {
+    leetcode: { type: String, default: '' },
+    codeforces: { type: String, default: '' }
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Grace-period deletion: account is purged once deletionScheduledAt passes
+  deletionRequestedAt: {
+    type: Date,
+    default: null
+  },
+  deletionScheduledAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -46,6 +92,7 @@ userSchema.pre('save', async function() {
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
@@ -17,6 +17,7 @@
  */
 
 const mongoose = require('mongoose');
+const MasterProblem = require('./MasterProblem');
 
 /**
  * STEP 1: Define the Schema
@@ -59,10 +60,15 @@ const UserProgressSchema = new mongoose.Schema({
    * 
    * OR custom IDs:
    * UserProgress:  { userId: "user1", problemId: "striver-1", status: "solved" }
+   * 
+   * ObjectIds are stored as their string, the form the routes query with
+   * (PATCH /progress/:problemId) - otherwise the same problem could get a
+   * second progress record. Older records may still hold an ObjectId.
    */
   problemId: {
     type: mongoose.Schema.Types.Mixed,  // Changed from ObjectId to Mixed to support strings
     required: [true, 'Problem ID is required'],
+    set: (value) => (value instanceof mongoose.Types.ObjectId ? String(value) : value),
     index: true   // Index for fast lookups
   },
 
@@ -157,6 +163,78 @@ const UserProgressSchema = new mongoose.Schema({
   starred: {
     type: Boolean,
     default: false
+  },
+
+
+
+  // ═══════════════════════════════════════════════════════════
+  // SPACED REPETITION (SM-2 SCHEDULE)
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * easeFactor - How "easy" this problem is for YOU
+   * 
+   * Starts at 2.5 and moves after every review:
+   * - Good recall → grows (intervals stretch faster)
+   * - Poor recall → shrinks (never below 1.3)
+   */
+  easeFactor: {
+    type: Number,
+    default: 2.5,
+    min: 1.3
+  },
+
+  /**
+   * interval - Days between the last review and the next one
+   * 
+   * Example: 1 → 6 → 15 → 38 ... (grows by easeFactor)
+   */
+  interval: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  /**
+   * repetitions - Successful reviews in a row
+   * 
+   * Reset to 0 when you fail to recall the problem
+   */
+  repetitions: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  /**
+   * nextReviewAt - When this problem is due for revision
+   * 
+   * null = no schedule yet (never reviewed)
+   * Replaces the old flat "7 days" staleness rule
+   */
+  nextReviewAt: {
+    type: Date,
+    default: null
+  },
+
+  /**
+   * lastReviewedAt - When the schedule was last updated
+   */
+  lastReviewedAt: {
+    type: Date,
+    default: null
+  },
+
+  /**
+   * lastQuality - Last recall grade (0-5, SM-2 scale)
+   * 
+   * 5 = perfect recall, 3 = recalled with effort, 0-2 = failed
+   */
+  lastQuality: {
+    type: Number,
+    min: 0,
+    max: 5,
+    default: null
   }
 
 }, {
@@ -213,6 +291,64 @@ UserProgressSchema.index({ userId: 1, lastSolvedAt: -1 });
  */
 UserProgressSchema.index({ userId: 1, starred: 1 });
 
+/**
+ * Index on userId + nextReviewAt
+ * 
+ * WHY?
+ * Review queue query: "Show me problems due for revision, oldest first"
+ */
+UserProgressSchema.index({ userId: 1, nextReviewAt: 1 });
+
+// ═══════════════════════════════════════════════════════════
+// SPACED REPETITION CONSTANTS
+// ═══════════════════════════════════════════════════════════
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE_FACTOR = 1.3;
+
+/**
+ * Legacy staleness window (days)
+ * 
+ * Only used for records that were solved before the SM-2 schedule
+ * existed (nextReviewAt is null)
+ */
+const LEGACY_STALE_DAYS = 7;
+
+/**
+ * Implied recall grade when status changes
+ * 
+ * Marking a problem solved/revising/weak counts as a review:
+ * - solved   → 4 (correct after some thought)
+ * - revising → 3 (correct, but with real difficulty)
+ * - weak     → 1 (failed to recall)
+ */
+const STATUS_QUALITY = {
+  solved: 4,
+  revising: 3,
+  weak: 1
+};
+
+// ═══════════════════════════════════════════════════════════
+// MASTERY CONSTANTS (topic analytics)
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * How much one problem counts towards mastery, by status
+ * 
+ * Untracked / "none" problems count 0. Mastery of a topic is the
+ * average over ALL its catalog problems, so solving 2 of 50 is low.
+ */
+const MASTERY_WEIGHTS = {
+  solved: 1,
+  revising: 0.6,
+  weak: 0.2
+};
+
+/**
+ * Solved / revising problems whose review is due count half
+ */
+const STALE_MASTERY_FACTOR = 0.5;
+
 // ═══════════════════════════════════════════════════════════
 // INSTANCE METHODS
 // ═══════════════════════════════════════════════════════════
@@ -234,6 +370,25 @@ UserProgressSchema.methods.markAsSolved = function() {
   return this;
 };
 
+/**
+ * markSolvedAt() - Mark solved at a known time (e.g. an accepted
+ * submission on LeetCode / Codeforces)
+ * 
+ * Counts as a review at that time, unless the schedule was already
+ * updated after it
+ * 
+ * @param {Date} solvedAt
+ */
+UserProgressSchema.methods.markSolvedAt = function(solvedAt) {
+  this.status = 'solved';
+  this.lastSolvedAt = solvedAt;
+  
+  if (!this.lastReviewedAt || this.lastReviewedAt < solvedAt) {
+    this.recordReview(STATUS_QUALITY.solved, solvedAt);
+  }
+  return this;
+};
+
 /**
  * markAsWeak() - Mark problem as weak (struggled with it)
  */
@@ -261,10 +416,71 @@ UserProgressSchema.methods.markAsRevising = function() {
  * - Used for "decay" in DSA score calculation
  */
 UserProgressSchema.methods.isStale = function() {
+  // Scheduled records: stale once the next review is due
+  if (this.nextReviewAt) {
+    return this.nextReviewAt <= new Date();
+  }
+  
+  // Legacy records without a schedule: fall back to flat rule
   if (!this.lastSolvedAt) return false;
   
-  const daysSince = Math.floor((Date.now() - this.lastSolvedAt) / (1000 * 60 * 60 * 24));
-  return daysSince > 7;
+  const daysSince = Math.floor((Date.now() - this.lastSolvedAt) / DAY_MS);
+  return daysSince > LEGACY_STALE_DAYS;
+};
+
+/**
+ * recordReview() - Update the SM-2 schedule with a recall grade
+ * 
+ * SM-2 ALGORITHM:
+ * - quality >= 3 (recalled):
+ *     1st review → 1 day, 2nd → 6 days, then interval × easeFactor
+ * - quality < 3 (forgot):
+ *     repetitions reset, review again tomorrow
+ * - easeFactor adjusted every time (min 1.3)
+ * 
+ * @param {number} quality - Recall grade 0-5
+ * @param {Date} reviewedAt - When the review happened (default: now)
+ * 
+ * Usage:
+ *   progress.recordReview(5);
+ *   await progress.save();
+ */
+UserProgressSchema.methods.recordReview = function(quality, reviewedAt = new Date()) {
+  if (quality >= 3) {
+    if (this.repetitions === 0) {
+      this.interval = 1;
+    } else if (this.repetitions === 1) {
+      this.interval = 6;
+    } else {
+      this.interval = Math.round(this.interval * this.easeFactor);
+    }
+    this.repetitions += 1;
+  } else {
+    this.repetitions = 0;
+    this.interval = 1;
+  }
+  
+  const easeFactor = this.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+  this.easeFactor = Math.max(MIN_EASE_FACTOR, Number(easeFactor.toFixed(2)));
+  
+  this.lastQuality = quality;
+  this.lastReviewedAt = reviewedAt;
+  this.nextReviewAt = new Date(reviewedAt.getTime() + this.interval * DAY_MS);
+  
+  return this;
+};
+
+/**
+ * resetSchedule() - Clear the SM-2 schedule (back to untracked)
+ */
+UserProgressSchema.methods.resetSchedule = function() {
+  this.easeFactor = 2.5;
+  this.interval = 0;
+  this.repetitions = 0;
+  this.nextReviewAt = null;
+  this.lastReviewedAt = null;
+  this.lastQuality = null;
+  return this;
 };
 
 /**
@@ -275,7 +491,7 @@ UserProgressSchema.methods.isStale = function() {
 UserProgressSchema.methods.getDaysSinceLastSolved = function() {
   if (!this.lastSolvedAt) return null;
   
-  return Math.floor((Date.now() - this.lastSolvedAt) / (1000 * 60 * 60 * 24));
+  return Math.floor((Date.now() - this.lastSolvedAt) / DAY_MS);
 };
 
 // ═══════════════════════════════════════════════════════════
@@ -311,20 +527,49 @@ UserProgressSchema.statics.getProgressByStatus = function(userId, status) {
 };
 
 /**
- * getStaleProblems() - Get problems that need revision (> 7 days)
+ * getStaleProblems() - Get problems that need revision
  * 
  * CRITICAL for your "decay" feature!
+ * 
+ * A problem is stale when:
+ * - Its SM-2 review is due (nextReviewAt <= now), OR
+ * - It has no schedule yet and was last solved > 7 days ago (legacy data)
  */
 UserProgressSchema.statics.getStaleProblems = function(userId) {
-  const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  const now = new Date();
+  const legacyCutoff = new Date(now.getTime() - LEGACY_STALE_DAYS * DAY_MS);
   
   return this.find({
     userId,
     status: { $in: ['solved', 'revising'] },  // Only solved/revising can be stale
-    lastSolvedAt: { $lt: sevenDaysAgo }  // Last solved > 7 days ago
+    $or: [
+      { nextReviewAt: { $lte: now } },
+      { nextReviewAt: null, lastSolvedAt: { $lt: legacyCutoff } }
+    ]
   }).populate('problemId');
 };
 
+/**
+ * getDueReviews() - Get the user's revision queue
+ * 
+ * Returns problems whose SM-2 review is due, most overdue first
+ * 
+ * @param {string} userId
+ * @param {Object} options - { before: Date (default now), limit: Number }
+ */
+UserProgressSchema.statics.getDueReviews = function(userId, options = {}) {
+  const { before = new Date(), limit = null } = options;
+  
+  const query = this.find({
+    userId,
+    nextReviewAt: { $ne: null, $lte: before }
+  })
+    .populate('problemId')
+    .sort({ nextReviewAt: 1 });  // Most overdue first
+  
+  return limit ? query.limit(limit) : query;
+};
+
 /**
  * getUserStats() - Calculate user's DSA statistics
  * 
@@ -359,6 +604,159 @@ UserProgressSchema.statics.getUserStats = async function(userId) {
   return result;
 };
 
+/**
+ * getTopicAnalytics() - Coverage and mastery per topic / subtopic / difficulty
+ * 
+ * PIPELINE (one aggregation over the active catalog):
+ * 1. Join each problem with this user's progress (problemId stored as
+ *    ObjectId or string) → status ("untracked" without progress), stale
+ *    (same rule as getStaleProblems) and its mastery score
+ * 2. $facet: per topic (with difficulty split), per subtopic, per
+ *    difficulty, overall, and the weakest topics
+ * 
+ * - coverage: % of the catalog problems worked on (solved / revising / weak)
+ * - mastery:  0-100, average of MASTERY_WEIGHTS over all catalog problems,
+ *             stale ones × STALE_MASTERY_FACTOR
+ * - weakest:  topics with at least one problem worked on, lowest mastery
+ *             first (ties: more weak, then more stale problems first)
+ * 
+ * @param {string} userId
+ * @param {Object} options - { weakest: how many weakest topics (default 5) }
+ * 
+ * Returns:
+ * {
+ *   summary: { total, solved, revising, weak, none, untracked, stale, coverage, mastery },
+ *   topics: [{ topic, ...counts, coverage, mastery,
+ *              difficulty: { Easy: { total, solved, revising, weak }, ... } }],  // best mastery first
+ *   subtopics: [{ subtopic, ...counts, coverage, mastery }],
+ *   difficulty: { Easy: { ...counts, coverage, mastery }, ... },
+ *   weakest: [{ topic, ...counts, coverage, mastery }]
+ * }
+ */
+UserProgressSchema.statics.getTopicAnalytics = async function(userId, { weakest = 5 } = {}) {
+  const now = new Date();
+  const legacyCutoff = new Date(now.getTime() - LEGACY_STALE_DAYS * DAY_MS);
+  
+  const countOf = (status) => ({ $sum: { $cond: [{ $eq: ['$status', status] }, 1, 0] } });
+  const sumOf = (field) => ({ $sum: `$${field}` });
+  const percentOf = (part) => ({ $round: [{ $multiply: [{ $divide: [part, '$total'] }, 100] }, 0] });
+  
+  const counts = {
+    total: { $sum: 1 },
+    solved: countOf('solved'),
+    revising: countOf('revising'),
+    weak: countOf('weak'),
+    none: countOf('none'),
+    stale: { $sum: { $cond: ['$stale', 1, 0] } },
+    score: sumOf('score')
+  };
+  const summedCounts = Object.fromEntries(Object.keys(counts).map(field => [field, sumOf(field)]));
+  
+  // _id → name field, counts → untracked / coverage / mastery
+  const finish = (nameField) => [
+    { $addFields: {
+        untracked: { $subtract: ['$total', { $add: ['$solved', '$revising', '$weak', '$none'] }] },
+        coverage: percentOf({ $add: ['$solved', '$revising', '$weak'] }),
+        mastery: percentOf('$score')
+      }
+    },
+    ...(nameField ? [{ $addFields: { [nameField]: '$_id' } }] : []),
+    { $project: { _id: 0, score: 0 } }
+  ];
+  
+  const byTopic = [
+    { $group: { _id: { topic: '$topic', difficulty: '$difficulty' }, ...counts } },
+    { $group: {
+        _id: '$_id.topic',
+        ...summedCounts,
+        difficulty: { $push: { k: '$_id.difficulty', v: { total: '$total', solved: '$solved', revising: '$revising', weak: '$weak' } } }
+      }
+    },
+    { $addFields: { difficulty: { $arrayToObject: '$difficulty' } } },
+    ...finish('topic')
+  ];
+  
+  const [result] = await MasterProblem.aggregate([
+    { $match: { isActive: true } },
+    { $lookup: {
+        from: this.collection.name,
+        let: { problemId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $and: [
+            { $eq: ['$userId', new mongoose.Types.ObjectId(userId)] },
+            { $in: ['$problemId', ['$$problemId', { $toString: '$$problemId' }]] }
+          ] } } },
+          { $project: { status: 1, nextReviewAt: 1, lastSolvedAt: 1 } },
+          { $limit: 1 }
+        ],
+        as: 'progress'
+      }
+    },
+    { $project: {
+        topic: 1,
+        subtopics: { $ifNull: ['$subtopics', []] },
+        difficulty: 1,
+        progress: { $arrayElemAt: ['$progress', 0] }
+      }
+    },
+    { $addFields: {
+        status: { $ifNull: ['$progress.status', 'untracked'] },
+        nextReviewAt: { $ifNull: ['$progress.nextReviewAt', null] },
+        lastSolvedAt: { $ifNull: ['$progress.lastSolvedAt', null] }
+      }
+    },
+    { $addFields: {
+        stale: { $and: [
+          { $in: ['$status', ['solved', 'revising']] },
+          { $or: [
+            { $and: [{ $ne: ['$nextReviewAt', null] }, { $lte: ['$nextReviewAt', now] }] },
+            { $and: [{ $eq: ['$nextReviewAt', null] }, { $ne: ['$lastSolvedAt', null] }, { $lt: ['$lastSolvedAt', legacyCutoff] }] }
+          ] }
+        ] }
+      }
+    },
+    { $addFields: {
+        score: { $multiply: [
+          { $switch: {
+              branches: Object.entries(MASTERY_WEIGHTS).map(([status, weight]) => ({ case: { $eq: ['$status', status] }, then: weight })),
+              default: 0
+            }
+          },
+          { $cond: ['$stale', STALE_MASTERY_FACTOR, 1] }
+        ] }
+      }
+    },
+    { $facet: {
+        summary: [{ $group: { _id: null, ...counts } }, ...finish(null)],
+        topics: [...byTopic, { $sort: { mastery: -1, topic: 1 } }],
+        subtopics: [
+          { $unwind: '$subtopics' },
+          { $group: { _id: '$subtopics', ...counts } },
+          ...finish('subtopic'),
+          { $sort: { mastery: -1, subtopic: 1 } }
+        ],
+        difficulty: [{ $group: { _id: '$difficulty', ...counts } }, ...finish('difficulty')],
+        weakest: [
+          ...byTopic,
+          { $match: { $expr: { $gt: [{ $add: ['$solved', '$revising', '$weak'] }, 0] } } },
+          { $sort: { mastery: 1, weak: -1, stale: -1, topic: 1 } },
+          { $limit: weakest }
+        ]
+      }
+    }
+  ]);
+  
+  const emptySummary = { total: 0, solved: 0, revising: 0, weak: 0, none: 0, untracked: 0, stale: 0, coverage: 0, mastery: 0 };
+  
+  return {
+    summary: result.summary[0] || emptySummary,
+    topics: result.topics,
+    subtopics: result.subtopics,
+    difficulty: Object.fromEntries(result.difficulty.map(({ difficulty, ...stats }) => [difficulty, stats])),
+    weakest: result.weakest.map(({ difficulty, ...stats }) => stats)
+  };
+};
+
 /**
  * createOrUpdate() - Find existing progress or create new
  * 
@@ -367,21 +765,31 @@ UserProgressSchema.statics.getUserStats = async function(userId) {
  * - If progress exists → Update it
  * - If no progress → Create new document
  * 
- * This method handles both cases!
+ * This method handles both cases - also when two requests create the
+ * same progress at once (the loser updates the winner's record instead
+ * of failing with a duplicate key / 409)
  */
 UserProgressSchema.statics.createOrUpdate = async function(userId, problemId, updates) {
-  return this.findOneAndUpdate(
-    { userId, problemId },  // Find by userId + problemId
-    { 
-      $set: updates,         // Update fields
-      $setOnInsert: { userId, problemId }  // Set these only if creating new
-    },
-    { 
-      new: true,             // Return updated document
-      upsert: true,          // Create if doesn't exist
-      runValidators: true    // Validate updates
+  // Load + save (instead of findOneAndUpdate) so the pre-save hook
+  // can update the SM-2 schedule when status changes
+  for (let attempt = 1; ; attempt++) {
+    let progress = await this.findOne({ userId, problemId });
+    const creating = !progress;
+    
+    if (creating) {
+      progress = new this({ userId, problemId });
+    }
+    
+    progress.set(updates);
+    try {
+      return await progress.save();
+    } catch (error) {
+      // Two first saves raced and the other one created the record
+      // (unique index) - load and update that one instead
+      if (error.code === 11000 && creating && attempt === 1) continue;
+      throw error;
     }
-  );
+  }
 };
 
 // ═══════════════════════════════════════════════════════════
@@ -399,13 +807,34 @@ UserProgressSchema.statics.createOrUpdate = async function(userId, problemId, up
 UserProgressSchema.pre('save', async function() {
   // If status was changed to 'solved' or 'revising'
   if (this.isModified('status') && (this.status === 'solved' || this.status === 'revising')) {
-    // Auto-update lastSolvedAt
-    if (!this.lastSolvedAt || this.isNew) {
+    // Auto-update lastSolvedAt (new records: unless it was set, see markSolvedAt)
+    if (!this.lastSolvedAt || (this.isNew && !this.isModified('lastSolvedAt'))) {
       this.lastSolvedAt = new Date();
     }
   }
 });
 
+/**
+ * Pre-save hook: Treat status changes as an implied review
+ * 
+ * solved/revising/weak → recordReview() with STATUS_QUALITY grade
+ * none                 → schedule cleared
+ * 
+ * Skipped if recordReview() was already called explicitly
+ * (e.g. POST /api/dsa/progress/:problemId/review)
+ */
+UserProgressSchema.pre('save', async function() {
+  if (!this.isModified('status') || this.isModified('lastReviewedAt')) {
+    return;
+  }
+  
+  if (this.status === 'none') {
+    this.resetSchedule();
+  } else if (STATUS_QUALITY[this.status] !== undefined) {
+    this.recordReview(STATUS_QUALITY[this.status]);
+  }
+});
+
 
 
 // ═══════════════════════════════════════════════════════════
@@ -433,7 +862,7 @@ UserProgressSchema.virtual('daysSinceLastSolved').get(function() {
 /**
  * Virtual: needsRevision
  * 
- * Returns true if problem is stale
+ * Returns true if problem is stale (SM-2 review due)
  */
 UserProgressSchema.virtual('needsRevision').get(function() {
   return this.isStale();
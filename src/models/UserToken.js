@@ -0,0 +1,101 @@
+/**
+ * UserToken Model
+ *
+ * PURPOSE: Single-use tokens sent by email (password reset, email verification)
+ *
+ * KEY CONCEPTS:
+ * - Only the SHA-256 hash is stored (a DB leak can't be used to reset passwords)
+ * - Each token has a purpose and an expiry
+ * - usedAt is set on first use → second use fails
+ */
+
+const mongoose = require('mongoose');
+
+const UserTokenSchema = new mongoose.Schema({
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  /**
+   * purpose - What the token is allowed to do
+   */
+  purpose: {
+    type: String,
+    enum: {
+      values: ['password-reset', 'email-verification'],
+      message: '{VALUE} is not a valid token purpose'
+    },
+    required: true
+  },
+
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  usedAt: {
+    type: Date,
+    default: null
+  }
+
+}, {
+  timestamps: true,
+  collection: 'user_tokens'
+});
+
+// ═══════════════════════════════════════════════════════════
+// INDEXES
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * TTL index: expired tokens are cleaned up by MongoDB
+ */
+UserTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ═══════════════════════════════════════════════════════════
+// STATIC METHODS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * consume() - Atomically mark a valid token as used
+ *
+ * Returns the token document, or null if unknown / expired / already used
+ */
+UserTokenSchema.statics.consume = function(tokenHash, purpose) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash,
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+/**
+ * invalidateForUser() - Expire all unused tokens of a purpose
+ *
+ * Called before issuing a new token so only the latest email works
+ */
+UserTokenSchema.statics.invalidateForUser = function(userId, purpose) {
+  return this.updateMany(
+    { userId, purpose, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+};
+
+const UserToken = mongoose.model('UserToken', UserTokenSchema);
+
+module.exports = UserToken;
@@ -0,0 +1,59 @@
+/**
+ * Account Routes
+ * 
+ * BASE PATH: /api/account
+ * 
+ * ROUTE STRUCTURE:
+ * GET    /api/account/export  - Download all data as a JSON bundle
+ * POST   /api/account/import  - Import a bundle (merge / replace)
+ */
+
+const express = require('express');
+const router = express.Router();
+const accountController = require('../controllers/accountController');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const accountSchemas = require('../schemas/accountSchemas');
+
+/**
+ * GET /api/account/export
+ * 
+ * Download profile, DSA progress + attempts, projects, career events,
+ * goals, planner tasks and events as one file
+ * 🔒 PROTECTED - Requires authentication
+ * 
+ * RETURNS (as attachment blaezi-export-YYYY-MM-DD.json):
+ * {
+ *   "format": "blaezi-account-export",
+ *   "version": 1,
+ *   "exportedAt": "2026-10-19T10:00:00.000Z",
+ *   "profile": { "name": "...", "email": "...", ... },
+ *   "dsaProgress": [{ "problem": { "title": "Two Sum", "url": "..." }, "status": "solved", ... }],
+ *   "goals": [{ "ref": "65a...", "name": "...", "steps": [...] }],
+ *   "plannerTasks": [{ "title": "...", "goalRef": "65a...", ... }],
+ *   ...
+ * }
+ */
+router.get('/export', auth, accountController.exportAccount);
+
+/**
+ * POST /api/account/import?mode=merge
+ * 
+ * Import a bundle from /export (this or another instance)
+ * 🔒 PROTECTED - Requires authentication
+ * 
+ * QUERY PARAMS:
+ * - mode: merge (default) - keep existing data, upsert progress/projects
+ *         replace         - delete existing data first
+ * 
+ * BODY: The export bundle (up to 10MB, see index.js)
+ * 
+ * RETURNS:
+ * {
+ *   "imported": { "dsaProgress": 120, "goals": 3, "plannerTasks": 40, ... },
+ *   "unmatchedProblems": [{ "title": "Problem not in this catalog", "url": "..." }]
+ * }
+ */
+router.post('/import', auth, validate(accountSchemas.importAccount), accountController.importAccount);
+
+module.exports = router;
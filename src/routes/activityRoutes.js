@@ -0,0 +1,40 @@
+/**
+ * Activity Routes
+ * 
+ * BASE PATH: /api/activity
+ * 
+ * ROUTE STRUCTURE:
+ * GET    /api/activity/heatmap  - Yearly heatmap + streaks
+ */
+
+const express = require('express');
+const router = express.Router();
+const activityController = require('../controllers/activityController');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const activitySchemas = require('../schemas/activitySchemas');
+
+/**
+ * GET /api/activity/heatmap
+ * 
+ * Daily activity counts (DSA solves, attempts, planner tasks,
+ * goal steps, career prep steps) with current/longest streak
+ * 🔒 PROTECTED - Requires authentication
+ * 
+ * QUERY PARAMS:
+ * - year: 2026 (default: last 365 days)
+ * - timezone: Asia/Kolkata (default: UTC)
+ * 
+ * RETURNS:
+ * {
+ *   "from": "2025-10-20",
+ *   "to": "2026-10-19",
+ *   "days": [{ "date": "2026-10-19", "total": 4, "dsa": 2, "planner": 2, ... }],
+ *   "totals": { "total": 310, "dsa": 120, ... },
+ *   "activeDays": 95,
+ *   "streak": { "current": 6, "longest": 21 }
+ * }
+ */
+router.get('/heatmap', auth, validate(activitySchemas.getHeatmap), activityController.getHeatmap);
+
+module.exports = router;
@@ -2,19 +2,38 @@ const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
 const auth = require('../middleware/auth');
-console.log("✅ authRoutes file loaded");
+const validate = require('../middleware/validate');
+const rateLimit = require('../middleware/rateLimit');
+const authSchemas = require('../schemas/authSchemas');
 
 // Public routes
 router.get('/test', (req, res) => {
   res.send('AUTH ROUTE WORKING');
 });
 
-router.post('/register', authController.register);
-router.post('/login', authController.login);
+router.post('/register', rateLimit('register'), validate(authSchemas.register), authController.register);
+router.post('/login', rateLimit('login'), validate(authSchemas.login), authController.login);
+router.post('/refresh', validate(authSchemas.refresh), authController.refresh);
+router.post('/forgot-password', rateLimit('forgotPassword'), validate(authSchemas.forgotPassword), authController.forgotPassword);
+router.post('/reset-password', validate(authSchemas.resetPassword), authController.resetPassword);
+router.post('/verify-email', validate(authSchemas.verifyEmail), authController.verifyEmail);
+router.get('/github', rateLimit('githubOAuth'), authController.githubSignIn);
+router.get('/github/callback', rateLimit('githubOAuth'), validate(authSchemas.githubCallback), authController.githubCallback);
 
 // Protected routes
 router.get('/me', auth, authController.getMe);
-router.patch('/profile', auth, authController.updateProfile);
-router.put('/profile', auth, authController.updateProfile); // Also support PUT for frontend compatibility
+router.patch('/profile', auth, validate(authSchemas.updateProfile), authController.updateProfile);
+router.put('/profile', auth, validate(authSchemas.updateProfile), authController.updateProfile); // Also support PUT for frontend compatibility
+router.post('/logout', auth, authController.logout);
+router.post('/logout-all', auth, authController.logoutAll);
+router.post('/resend-verification', auth, rateLimit('resendVerification'), authController.resendVerification);
+router.patch('/password', auth, validate(authSchemas.changePassword), authController.changePassword);
+router.delete('/account', auth, validate(authSchemas.deleteAccount), authController.deleteAccount);
+router.get('/github-token', auth, authController.getGitHubToken);
+router.put('/github-token', auth, rateLimit('githubSync'), validate(authSchemas.saveGitHubToken), authController.saveGitHubToken);
+router.delete('/github-token', auth, authController.deleteGitHubToken);
+router.post('/github/link', auth, authController.githubLink);
+router.post('/github/link/complete', auth, rateLimit('githubOAuth'), validate(authSchemas.githubLinkComplete), authController.githubLinkComplete);
+router.delete('/github/link', auth, authController.githubUnlink);
 
 module.exports = router;
@@ -20,6 +20,8 @@ const express = require('express');
 const router = express.Router();
 const careerController = require('../controllers/careerController');
 const auth = require('../middleware/auth'); // Security guard!
+const validate = require('../middleware/validate');
+const careerSchemas = require('../schemas/careerSchemas');
 
 // ═══════════════════════════════════════════════════════════
 // QUERY ROUTES (must come before :id routes)
@@ -34,7 +36,7 @@ const auth = require('../middleware/auth'); // Security guard!
  * QUERY PARAMS:
  * - limit: Maximum number of events
  */
-router.get('/upcoming', auth, careerController.getUpcomingEvents);
+router.get('/upcoming', auth, validate(careerSchemas.getUpcomingEvents), careerController.getUpcomingEvents);
 
 /**
  * GET /api/career/past
@@ -68,7 +70,7 @@ router.get('/stats', auth, careerController.getEventStats);
  * - starred: true/false
  * - includeArchived: true/false
  */
-router.get('/', auth, careerController.getAllEvents);
+router.get('/', auth, validate(careerSchemas.getAllEvents), careerController.getAllEvents);
 
 /**
  * POST /api/career
@@ -93,7 +95,7 @@ router.get('/', auth, careerController.getAllEvents);
  *   "starred": true
  * }
  */
-router.post('/', auth, careerController.createEvent);
+router.post('/', auth, validate(careerSchemas.createEvent), careerController.createEvent);
 
 /**
  * GET /api/career/:id
@@ -101,7 +103,7 @@ router.post('/', auth, careerController.createEvent);
  * Get single event by ID
  * 🔒 PROTECTED - Requires authentication
  */
-router.get('/:id', auth, careerController.getEventById);
+router.get('/:id', auth, validate(careerSchemas.getEventById), careerController.getEventById);
 
 /**
  * PATCH /api/career/:id
@@ -116,7 +118,7 @@ router.get('/:id', auth, careerController.getEventById);
  *   "outcome": "Went well, moving to next round"
  * }
  */
-router.patch('/:id', auth, careerController.updateEvent);
+router.patch('/:id', auth, validate(careerSchemas.updateEvent), careerController.updateEvent);
 
 /**
  * DELETE /api/career/:id
@@ -124,7 +126,7 @@ router.patch('/:id', auth, careerController.updateEvent);
  * Delete event
  * 🔒 PROTECTED - Requires authentication
  */
-router.delete('/:id', auth, careerController.deleteEvent);
+router.delete('/:id', auth, validate(careerSchemas.deleteEvent), careerController.deleteEvent);
 
 // ═══════════════════════════════════════════════════════════
 // PREPARATION STEP ROUTES
@@ -142,7 +144,7 @@ router.delete('/:id', auth, careerController.deleteEvent);
  *   "description": "Focus on DP and graphs"
  * }
  */
-router.post('/:id/steps', auth, careerController.addPreparationStep);
+router.post('/:id/steps', auth, validate(careerSchemas.addPreparationStep), careerController.addPreparationStep);
 
 /**
  * PATCH /api/career/:id/steps/:stepId
@@ -155,7 +157,7 @@ router.post('/:id/steps', auth, careerController.addPreparationStep);
  *   "isCompleted": true
  * }
  */
-router.patch('/:id/steps/:stepId', auth, careerController.toggleStepCompletion);
+router.patch('/:id/steps/:stepId', auth, validate(careerSchemas.toggleStepCompletion), careerController.toggleStepCompletion);
 
 /**
  * DELETE /api/career/:id/steps/:stepId
@@ -163,6 +165,6 @@ router.patch('/:id/steps/:stepId', auth, careerController.toggleStepCompletion);
  * Delete preparation step from event
  * 🔒 PROTECTED - Requires authentication
  */
-router.delete('/:id/steps/:stepId', auth, careerController.deletePreparationStep);
+router.delete('/:id/steps/:stepId', auth, validate(careerSchemas.deletePreparationStep), careerController.deletePreparationStep);
 
 module.exports = router;
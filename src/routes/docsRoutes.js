@@ -0,0 +1,47 @@
+/**
+ * Docs Routes
+ *
+ * BASE PATH: /api/docs (no auth)
+ *
+ * ROUTE STRUCTURE:
+ * GET    /api/docs               - Swagger UI (HTML)
+ * GET    /api/docs/openapi.json  - OpenAPI 3 document
+ * GET    /api/docs/assets/*      - Swagger UI files (bundled, no CDN)
+ */
+
+const express = require('express');
+const swaggerUiDist = require('swagger-ui-dist');
+const router = express.Router();
+const openapi = require('../docs/openapi');
+
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>Blaezi API Docs</title>
+  <link rel="stylesheet" href="/api/docs/assets/swagger-ui.css" />
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="/api/docs/assets/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({
+      url: '/api/docs/openapi.json',
+      dom_id: '#swagger-ui',
+      persistAuthorization: true
+    });
+  </script>
+</body>
+</html>`;
+
+router.get('/', (req, res) => {
+  res.type('html').send(DOCS_PAGE);
+});
+
+router.get('/openapi.json', (req, res) => {
+  res.json(openapi.getSpec());
+});
+
+router.use('/assets', express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }));
+
+module.exports = router;
@@ -8,11 +8,26 @@
  * ROUTE STRUCTURE:
  * GET    /api/dsa/problems          - Get all problems (with filters)
  * GET    /api/dsa/problems/:id      - Get single problem
+ * GET    /api/dsa/sheets            - List sheets with user's progress
+ * GET    /api/dsa/sheets/:slug      - Get a sheet by section with user's progress
+ * POST   /api/dsa/problems          - Add problem (admin)
+ * POST   /api/dsa/problems/bulk     - Bulk import problems (admin)
+ * POST   /api/dsa/problems/import   - Import CSV / JSON file, dry-run (admin)
+ * GET    /api/dsa/problems/export   - Download catalog as CSV / JSON (admin)
+ * POST   /api/dsa/sheets/sync       - Sync catalog with bundled sheet data (admin)
+ * PATCH  /api/dsa/problems/:id      - Update problem (admin)
+ * DELETE /api/dsa/problems/:id      - Deactivate problem (admin)
  * GET    /api/dsa/progress          - Get user's progress
  * POST   /api/dsa/progress          - Create/update progress
+ * POST   /api/dsa/progress/sync     - Mark solved from LeetCode / Codeforces submissions
  * PATCH  /api/dsa/progress/:problemId - Update specific progress
  * DELETE /api/dsa/progress/:problemId - Remove from tracking
+ * GET    /api/dsa/progress/:problemId/attempts - Get attempt history
+ * POST   /api/dsa/progress/:problemId/attempts - Log an attempt
+ * POST   /api/dsa/progress/:problemId/review - Record a revision grade
+ * GET    /api/dsa/review/due        - Get spaced-repetition queue
  * GET    /api/dsa/stats             - Get user statistics
+ * GET    /api/dsa/analytics/topics  - Get topic / subtopic mastery analytics
  * GET    /api/dsa/stale             - Get stale problems
  */
 
@@ -20,6 +35,10 @@ const express = require('express');
 const router = express.Router();
 const dsaController = require('../controllers/dsaController');
 const auth = require('../middleware/auth');  // Import security guard!
+const requireRole = require('../middleware/requireRole');
+const validate = require('../middleware/validate');
+const rateLimit = require('../middleware/rateLimit');
+const dsaSchemas = require('../schemas/dsaSchemas');
 
 // ═══════════════════════════════════════════════════════════
 // PROBLEM ROUTES (Master Catalog)
@@ -33,15 +52,31 @@ const auth = require('../middleware/auth');  // Import security guard!
  * QUERY PARAMS:
  * - difficulty: Easy/Medium/Hard
  * - topic: Array, Linked List, etc.
- * - sheet: Striver SDE Sheet, etc.
+ * - sheet: Sheet name or slug (Striver SDE Sheet, blind-75)
  * - platform: LeetCode, GeeksforGeeks
  * - search: Text search
+ * - source: striver (same as sheet=Striver SDE Sheet)
  * 
  * EXAMPLE:
  * GET /api/dsa/problems?difficulty=Easy&topic=Array
  * GET /api/dsa/problems?search=two+sum
  */
-router.get('/problems', dsaController.getAllProblems);
+router.get('/problems', validate(dsaSchemas.getAllProblems), dsaController.getAllProblems);
+
+/**
+ * GET /api/dsa/problems/export
+ * 
+ * Download the catalog as CSV (default) or JSON, importable again
+ * 🔒 ADMIN ONLY (registered before /problems/:id)
+ * 
+ * QUERY PARAMS:
+ * - format: csv / json
+ * - includeInactive: true / false
+ * 
+ * EXAMPLE:
+ * GET /api/dsa/problems/export?format=json
+ */
+router.get('/problems/export', auth, requireRole('admin'), validate(dsaSchemas.exportProblems), dsaController.exportProblems);
 
 /**
  * GET /api/dsa/problems/:id
@@ -51,7 +86,102 @@ router.get('/problems', dsaController.getAllProblems);
  * EXAMPLE:
  * GET /api/dsa/problems/507f1f77bcf86cd799439011
  */
-router.get('/problems/:id', dsaController.getProblemById);
+router.get('/problems/:id', validate(dsaSchemas.getProblemById), dsaController.getProblemById);
+
+// ═══════════════════════════════════════════════════════════
+// SHEET ROUTES
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * GET /api/dsa/sheets
+ * 
+ * List problem sheets (Striver SDE Sheet, Blind 75, ...) with the
+ * user's solved / revising / weak / none counts
+ * 🔒 PROTECTED - Requires authentication
+ */
+router.get('/sheets', auth, dsaController.getSheets);
+
+/**
+ * GET /api/dsa/sheets/:slug
+ * 
+ * Get a sheet's problems in order, grouped by section, with the
+ * user's progress on each problem
+ * 🔒 PROTECTED - Requires authentication
+ * 
+ * EXAMPLE:
+ * GET /api/dsa/sheets/striver-sde-sheet
+ */
+router.get('/sheets/:slug', auth, validate(dsaSchemas.getSheet), dsaController.getSheetBySlug);
+
+// ═══════════════════════════════════════════════════════════
+// ADMIN CATALOG ROUTES
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * POST /api/dsa/problems
+ * 
+ * Add a problem to the catalog
+ * 🔒 ADMIN ONLY
+ */
+router.post('/problems', auth, requireRole('admin'), validate(dsaSchemas.createProblem), dsaController.createProblem);
+
+/**
+ * POST /api/dsa/problems/bulk
+ * 
+ * Bulk import problems (upsert by title)
+ * 🔒 ADMIN ONLY
+ * 
+ * BODY:
+ * {
+ *   "problems": [{ "title": "Two Sum", "difficulty": "Easy", "topic": "Array" }]
+ * }
+ */
+router.post('/problems/bulk', auth, requireRole('admin'), validate(dsaSchemas.bulkImportProblems), dsaController.bulkImportProblems);
+
+/**
+ * POST /api/dsa/problems/import
+ * 
+ * Import problems from a CSV or JSON file: normalizes platforms and
+ * difficulties, skips duplicates, updates problems already in the
+ * catalog (matched by URL, then title); never deletes anything
+ * 🔒 ADMIN ONLY
+ * 
+ * QUERY PARAMS:
+ * - dryRun: true → only report what would change
+ * 
+ * BODY (up to 10MB, see app.js):
+ * - Content-Type: text/csv
+ *   title,difficulty,topic,platform,url,companies
+ *   Two Sum,easy,Arrays,leetcode,https://leetcode.com/problems/two-sum/,Google|Amazon
+ * - Content-Type: application/json
+ *   [{ "title": "Two Sum", "difficulty": "Easy", "topic": "Arrays" }]
+ */
+router.post('/problems/import', auth, requireRole('admin'), validate(dsaSchemas.importProblems), dsaController.importProblems);
+
+/**
+ * POST /api/dsa/sheets/sync
+ * 
+ * Add / update / retire catalog problems and sheets from the bundled
+ * sheet data (Striver SDE Sheet, src/seed/dsaProblems.js)
+ * 🔒 ADMIN ONLY
+ */
+router.post('/sheets/sync', auth, requireRole('admin'), dsaController.syncSheets);
+
+/**
+ * PATCH /api/dsa/problems/:id
+ * 
+ * Update a catalog problem ({ "isActive": true } reactivates it)
+ * 🔒 ADMIN ONLY
+ */
+router.patch('/problems/:id', auth, requireRole('admin'), validate(dsaSchemas.updateProblem), dsaController.updateProblem);
+
+/**
+ * DELETE /api/dsa/problems/:id
+ * 
+ * Deactivate a problem (soft delete via isActive)
+ * 🔒 ADMIN ONLY
+ */
+router.delete('/problems/:id', auth, requireRole('admin'), validate(dsaSchemas.deactivateProblem), dsaController.deactivateProblem);
 
 // ═══════════════════════════════════════════════════════════
 // USER PROGRESS ROUTES
@@ -71,7 +201,7 @@ router.get('/problems/:id', dsaController.getProblemById);
  * GET /api/dsa/progress?status=solved
  * GET /api/dsa/progress?starred=true
  */
-router.get('/progress', auth, dsaController.getUserProgress);
+router.get('/progress', auth, validate(dsaSchemas.getUserProgress), dsaController.getUserProgress);
 
 /**
  * POST /api/dsa/progress
@@ -88,7 +218,22 @@ router.get('/progress', auth, dsaController.getUserProgress);
  *   "starred": false
  * }
  */
-router.post('/progress', auth, dsaController.createOrUpdateProgress);
+router.post('/progress', auth, validate(dsaSchemas.createOrUpdateProgress), dsaController.createOrUpdateProgress);
+
+/**
+ * POST /api/dsa/progress/sync
+ * 
+ * Mark problems solved from recent accepted submissions on LeetCode /
+ * Codeforces (matched to the catalog by problem URL)
+ * 🔒 PROTECTED - Requires authentication
+ * 
+ * BODY:
+ * {
+ *   "platform": "codeforces",
+ *   "username": "tourist"   // optional once saved
+ * }
+ */
+router.post('/progress/sync', auth, rateLimit('platformSync'), validate(dsaSchemas.syncSubmissions), dsaController.syncSubmissions);
 
 /**
  * PATCH /api/dsa/progress/:problemId
@@ -102,7 +247,7 @@ router.post('/progress', auth, dsaController.createOrUpdateProgress);
  *   "notes": "Need more practice"
  * }
  */
-router.patch('/progress/:problemId', auth, dsaController.updateProgress);
+router.patch('/progress/:problemId', auth, validate(dsaSchemas.updateProgress), dsaController.updateProgress);
 
 /**
  * DELETE /api/dsa/progress/:problemId
@@ -110,7 +255,66 @@ router.patch('/progress/:problemId', auth, dsaController.updateProgress);
  * Remove problem from tracking
  * 🔒 PROTECTED - Requires authentication
  */
-router.delete('/progress/:problemId', auth, dsaController.deleteProgress);
+router.delete('/progress/:problemId', auth, validate(dsaSchemas.deleteProgress), dsaController.deleteProgress);
+
+// ═══════════════════════════════════════════════════════════
+// ATTEMPT HISTORY ROUTES
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * GET /api/dsa/progress/:problemId/attempts
+ * 
+ * Get every logged attempt for a problem (newest first)
+ * 🔒 PROTECTED - Requires authentication
+ */
+router.get('/progress/:problemId/attempts', auth, validate(dsaSchemas.getAttempts), dsaController.getAttempts);
+
+/**
+ * POST /api/dsa/progress/:problemId/attempts
+ * 
+ * Log an attempt at a problem
+ * 🔒 PROTECTED - Requires authentication
+ * 
+ * BODY:
+ * {
+ *   "outcome": "failed",
+ *   "timeSpentMinutes": 40,
+ *   "approach": "Brute Force",
+ *   "language": "Python"
+ * }
+ */
+router.post('/progress/:problemId/attempts', auth, validate(dsaSchemas.createAttempt), dsaController.createAttempt);
+
+// ═══════════════════════════════════════════════════════════
+// REVISION ROUTES (Spaced Repetition)
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * POST /api/dsa/progress/:problemId/review
+ * 
+ * Record a revision with a recall-quality grade (SM-2)
+ * 🔒 PROTECTED - Requires authentication
+ * 
+ * BODY:
+ * {
+ *   "quality": 4   // 0-5 (5 = perfect recall, < 3 = forgot)
+ * }
+ */
+router.post('/progress/:problemId/review', auth, validate(dsaSchemas.reviewProgress), dsaController.reviewProgress);
+
+/**
+ * GET /api/dsa/review/due
+ * 
+ * Get problems due for revision (most overdue first)
+ * 🔒 PROTECTED - Requires authentication
+ * 
+ * QUERY PARAMS:
+ * - limit: Max number of problems
+ * 
+ * EXAMPLE:
+ * GET /api/dsa/review/due?limit=10
+ */
+router.get('/review/due', auth, validate(dsaSchemas.getDueReviews), dsaController.getDueReviews);
 
 // ═══════════════════════════════════════════════════════════
 // STATISTICS ROUTES
@@ -134,10 +338,26 @@ router.delete('/progress/:problemId', auth, dsaController.deleteProgress);
  */
 router.get('/stats', auth, dsaController.getUserStats);
 
+/**
+ * GET /api/dsa/analytics/topics
+ * 
+ * Coverage and mastery score per topic, subtopic and difficulty
+ * (solved > revising > weak, stale problems count less), and the
+ * weakest topics ranked
+ * 🔒 PROTECTED - Requires authentication
+ * 
+ * QUERY PARAMS:
+ * - weakest: How many weakest topics (default 5)
+ * 
+ * EXAMPLE:
+ * GET /api/dsa/analytics/topics?weakest=3
+ */
+router.get('/analytics/topics', auth, validate(dsaSchemas.getTopicAnalytics), dsaController.getTopicAnalytics);
+
 /**
  * GET /api/dsa/stale
  * 
- * Get problems needing revision (> 7 days)
+ * Get problems needing revision (SM-2 review due)
  * 🔒 PROTECTED - Requires authentication
  */
 router.get('/stale', auth, dsaController.getStaleProblems);
@@ -0,0 +1,18 @@
+/**
+ * Health Routes
+ *
+ * BASE PATH: /health (outside /api, no auth)
+ *
+ * ROUTE STRUCTURE:
+ * GET    /health/live   - Liveness probe
+ * GET    /health/ready  - Readiness probe (MongoDB; cached GitHub status, build info)
+ */
+
+const express = require('express');
+const router = express.Router();
+const healthController = require('../controllers/healthController');
+
+router.get('/live', healthController.live);
+router.get('/ready', healthController.ready);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+/**
+ * Route Table
+ *
+ * Every router the API mounts, in one list: src/app.js mounts them and
+ * the OpenAPI generator (src/docs/openapi.js) documents them from here.
+ *
+ * tag: group name in the API docs
+ */
+
+module.exports = [
+  { path: '/api/auth', router: require('./authRoutes'), tag: 'Auth' },
+  { path: '/api/dsa', router: require('./dsaRoutes'), tag: 'DSA' },
+  { path: '/api/projects', router: require('./projectRoutes'), tag: 'Projects' },
+  { path: '/api/career', router: require('./careerRoutes'), tag: 'Career' },
+  { path: '/api/planner', router: require('./plannerRoutes'), tag: 'Planner' },
+  { path: '/api/activity', router: require('./activityRoutes'), tag: 'Activity' },
+  { path: '/api/account', router: require('./accountRoutes'), tag: 'Account' },
+  { path: '/api/docs', router: require('./docsRoutes'), tag: 'Docs' },
+  { path: '/health', router: require('./healthRoutes'), tag: 'Health' }
+];
@@ -15,6 +15,8 @@ const express = require('express');
 const router = express.Router();
 const plannerController = require('../controllers/plannerController');
 const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const plannerSchemas = require('../schemas/plannerSchemas');
 
 // Apply authentication to all routes
 router.use(auth);
@@ -22,22 +24,22 @@ router.use(auth);
 // ==================== TASK ROUTES ====================
 
 // Get all tasks (with optional filters)
-router.get('/tasks', plannerController.getAllTasks);
+router.get('/tasks', validate(plannerSchemas.getAllTasks), plannerController.getAllTasks);
 
 // Get single task
-router.get('/tasks/:id', plannerController.getTask);
+router.get('/tasks/:id', validate(plannerSchemas.getTask), plannerController.getTask);
 
 // Create new task
-router.post('/tasks', plannerController.createTask);
+router.post('/tasks', validate(plannerSchemas.createTask), plannerController.createTask);
 
 // Update task
-router.patch('/tasks/:id', plannerController.updateTask);
+router.patch('/tasks/:id', validate(plannerSchemas.updateTask), plannerController.updateTask);
 
 // Delete task
-router.delete('/tasks/:id', plannerController.deleteTask);
+router.delete('/tasks/:id', validate(plannerSchemas.deleteTask), plannerController.deleteTask);
 
 // Bulk update tasks (for reordering, batch operations)
-router.post('/tasks/bulk-update', plannerController.bulkUpdateTasks);
+router.post('/tasks/bulk-update', validate(plannerSchemas.bulkUpdateTasks), plannerController.bulkUpdateTasks);
 
 // ==================== GOAL ROUTES ====================
 
@@ -45,27 +47,27 @@ router.post('/tasks/bulk-update', plannerController.bulkUpdateTasks);
 router.get('/goals', plannerController.getAllGoals);
 
 // Create new goal
-router.post('/goals', plannerController.createGoal);
+router.post('/goals', validate(plannerSchemas.createGoal), plannerController.createGoal);
 
 // Update goal
-router.patch('/goals/:id', plannerController.updateGoal);
+router.patch('/goals/:id', validate(plannerSchemas.updateGoal), plannerController.updateGoal);
 
 // Delete goal
-router.delete('/goals/:id', plannerController.deleteGoal);
+router.delete('/goals/:id', validate(plannerSchemas.deleteGoal), plannerController.deleteGoal);
 
 // ==================== EVENT ROUTES ====================
 
 // Get all events
-router.get('/events', plannerController.getAllEvents);
+router.get('/events', validate(plannerSchemas.getAllEvents), plannerController.getAllEvents);
 
 // Create new event
-router.post('/events', plannerController.createEvent);
+router.post('/events', validate(plannerSchemas.createEvent), plannerController.createEvent);
 
 // Update event
-router.put('/events/:id', plannerController.updateEvent);
+router.put('/events/:id', validate(plannerSchemas.updateEvent), plannerController.updateEvent);
 
 // Delete event
-router.delete('/events/:id', plannerController.deleteEvent);
+router.delete('/events/:id', validate(plannerSchemas.deleteEvent), plannerController.deleteEvent);
 
 // ==================== STATISTICS ROUTES ====================
 
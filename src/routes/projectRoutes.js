@@ -9,6 +9,7 @@
  * GET    /api/projects/stats    - Get statistics
  * GET    /api/projects/:id      - Get single project
  * POST   /api/projects/sync     - Sync from GitHub
+ * GET    /api/projects/sync/status - Background re-sync status
  * PATCH  /api/projects/:id      - Update project
  * DELETE /api/projects/:id      - Remove project
  */
@@ -17,6 +18,10 @@ const express = require('express');
 const router = express.Router();
 const projectController = require('../controllers/projectController');
 const auth = require('../middleware/auth'); // Security guard!
+const validate = require('../middleware/validate');
+const rateLimit = require('../middleware/rateLimit');
+const projectSchemas = require('../schemas/projectSchemas');
+const githubService = require('../services/githubService');
 
 // ═══════════════════════════════════════════════════════════
 // QUERY ROUTES (must come before :id routes)
@@ -38,6 +43,14 @@ router.get('/starred', auth, projectController.getStarredProjects);
  */
 router.get('/stats', auth, projectController.getProjectStats);
 
+/**
+ * GET /api/projects/sync/status
+ * 
+ * Background GitHub re-sync: next run, last run (this user's result)
+ * 🔒 PROTECTED - Requires authentication
+ */
+router.get('/sync/status', auth, projectController.getSyncStatus);
+
 /**
  * GET /api/projects/github/:username
  * 
@@ -50,21 +63,17 @@ router.get('/stats', auth, projectController.getProjectStats);
  * - excludeForks: true/false
  * - onlyPublic: true/false
  */
-router.get('/github/:username', auth, projectController.fetchFromGitHub);
+router.get('/github/:username', auth, rateLimit('githubSync'), validate(projectSchemas.fetchFromGitHub), projectController.fetchFromGitHub);
 
 /**
  * GET /api/projects/test-github/:username
  * 
  * Test GitHub API connection (no auth required for debugging)
+ * ⏱️ Rate limited per IP (it spends our GitHub API quota)
  */
-router.get('/test-github/:username', async (req, res) => {
-  try {
-    const githubService = require('../services/githubService');
-    const result = await githubService.fetchUserRepositories(req.params.username);
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
-  }
+router.get('/test-github/:username', rateLimit('githubTest'), validate(projectSchemas.testGitHub), async (req, res) => {
+  const result = await githubService.fetchUserRepositories(req.params.username);
+  res.json(result);
 });
 
 // ═══════════════════════════════════════════════════════════
@@ -82,7 +91,7 @@ router.get('/test-github/:username', async (req, res) => {
  * - starred: true/false
  * - language: JavaScript, Python, etc.
  */
-router.get('/', auth, projectController.getUserProjects);
+router.get('/', auth, validate(projectSchemas.getUserProjects), projectController.getUserProjects);
 
 /**
  * POST /api/projects/sync
@@ -101,7 +110,7 @@ router.get('/', auth, projectController.getUserProjects);
  *   }
  * }
  */
-router.post('/sync', auth, projectController.syncFromGitHub);
+router.post('/sync', auth, rateLimit('githubSync'), validate(projectSchemas.syncFromGitHub), projectController.syncFromGitHub);
 
 /**
  * GET /api/projects/:id
@@ -109,7 +118,18 @@ router.post('/sync', auth, projectController.syncFromGitHub);
  * Get single project by ID
  * 🔒 PROTECTED - Requires authentication
  */
-router.get('/:id', auth, projectController.getProjectById);
+router.get('/:id', auth, validate(projectSchemas.getProjectById), projectController.getProjectById);
+
+/**
+ * POST /api/projects/:id/refresh
+ * 
+ * Refresh details, languages, recent commits and README from GitHub
+ * 🔒 PROTECTED - Requires authentication
+ * 
+ * Each is asked for with the ETag of the last refresh: what didn't change
+ * isn't downloaded again (and costs no quota with a saved token)
+ */
+router.post('/:id/refresh', auth, rateLimit('githubSync'), validate(projectSchemas.refreshProject), projectController.refreshProject);
 
 /**
  * PATCH /api/projects/:id
@@ -126,7 +146,7 @@ router.get('/:id', auth, projectController.getProjectById);
  *   "starred": true
  * }
  */
-router.patch('/:id', auth, projectController.updateProject);
+router.patch('/:id', auth, validate(projectSchemas.updateProject), projectController.updateProject);
 
 /**
  * DELETE /api/projects/:id
@@ -134,6 +154,6 @@ router.patch('/:id', auth, projectController.updateProject);
  * Remove project from tracking
  * 🔒 PROTECTED - Requires authentication
  */
-router.delete('/:id', auth, projectController.deleteProject);
+router.delete('/:id', auth, validate(projectSchemas.deleteProject), projectController.deleteProject);
 
 module.exports = router;
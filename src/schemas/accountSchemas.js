@@ -0,0 +1,17 @@
+/**
+ * Account Request Schemas
+ *
+ * Used by src/routes/accountRoutes.js via validate()
+ * (bundle contents are checked by accountExportService.validateBundle)
+ */
+
+const { IMPORT_MODES } = require('../services/accountExportService');
+const { object } = require('./common');
+
+module.exports = {
+  importAccount: {
+    query: object({
+      mode: { type: 'string', enum: IMPORT_MODES, default: 'merge' }
+    })
+  }
+};
@@ -0,0 +1,17 @@
+/**
+ * Activity Request Schemas
+ *
+ * Used by src/routes/activityRoutes.js via validate()
+ */
+
+const { object } = require('./common');
+
+module.exports = {
+  getHeatmap: {
+    query: object({
+      year: { type: 'integer', minimum: 1970, maximum: 9999 },
+      // IANA name, checked against Intl in the controller
+      timezone: { type: 'string', default: 'UTC' }
+    })
+  }
+};
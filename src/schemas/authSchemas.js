@@ -0,0 +1,77 @@
+/**
+ * Auth Request Schemas
+ *
+ * Used by src/routes/authRoutes.js via validate()
+ */
+
+const { requiredString, object, partial } = require('./common');
+
+const email = { type: 'string', format: 'email' };
+const password = { type: 'string', minLength: 6 };
+const token = requiredString;
+
+module.exports = {
+  register: {
+    body: object({ name: requiredString, email, password }, ['name', 'email', 'password'])
+  },
+
+  login: {
+    body: object({ email: requiredString, password: requiredString }, ['email', 'password'])
+  },
+
+  refresh: {
+    body: object({ refreshToken: token }, ['refreshToken'])
+  },
+
+  forgotPassword: {
+    body: object({ email: requiredString }, ['email'])
+  },
+
+  resetPassword: {
+    body: object({ token, password }, ['token', 'password'])
+  },
+
+  verifyEmail: {
+    body: object({ token }, ['token'])
+  },
+
+  updateProfile: {
+    body: partial({
+      name: requiredString,
+      githubUsername: { type: 'string' },
+      avatar: { type: 'string' }
+    })
+  },
+
+  changePassword: {
+    // currentPassword: not needed by accounts without a password (checked in the controller)
+    body: object({ currentPassword: { type: 'string' }, newPassword: password }, ['newPassword'])
+  },
+
+  // Sent by GitHub: code + state, or error + error_description when declined
+  githubCallback: {
+    query: object({
+      code: { type: 'string' },
+      state: { type: 'string' },
+      error: { type: 'string' },
+      error_description: { type: 'string' }
+    })
+  },
+
+  // code + state from the callback's #mode=link fragment
+  githubLinkComplete: {
+    body: object({ code: requiredString, state: requiredString }, ['code', 'state'])
+  },
+
+  saveGitHubToken: {
+    body: object({ token: { ...requiredString, maxLength: 255 } }, ['token'])
+  },
+
+  deleteAccount: {
+    // password: not needed by accounts without a password (checked in the controller)
+    body: object({
+      password: { type: 'string' },
+      gracePeriod: { type: 'boolean', default: false }
+    })
+  }
+};
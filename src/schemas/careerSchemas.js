@@ -0,0 +1,89 @@
+/**
+ * Career Event Request Schemas
+ *
+ * Used by src/routes/careerRoutes.js via validate()
+ */
+
+const CareerEvent = require('../models/CareerEvent');
+const { dateTime, requiredString, enumOf, idParams, object, partial, listParams } = require('./common');
+
+const stepFields = {
+  title: requiredString,
+  description: { type: 'string' }
+};
+
+const eventFields = {
+  title: requiredString,
+  description: { type: 'string' },
+  date: dateTime,
+  status: enumOf(CareerEvent, 'status'),
+  priority: enumOf(CareerEvent, 'priority'),
+  company: { type: 'string' },
+  location: { type: 'string' },
+  url: { type: 'string' },
+  notes: { type: 'string' },
+  starred: { type: 'boolean' }
+};
+
+module.exports = {
+  getAllEvents: {
+    query: object({
+      type: { type: 'string' },
+      status: enumOf(CareerEvent, 'status'),
+      starred: { type: 'boolean' },
+      includeArchived: { type: 'boolean', default: false },
+      ...listParams
+    })
+  },
+
+  getUpcomingEvents: {
+    query: object({
+      limit: { type: 'integer', minimum: 1, maximum: 100 }
+    })
+  },
+
+  createEvent: {
+    body: object({
+      ...eventFields,
+      // Free text: common variations ("exam", "Interview") are normalized
+      type: { type: 'string' },
+      completed: { type: 'boolean' },
+      preparationSteps: { type: 'array', items: object(stepFields, ['title']) },
+      preparation: { type: 'array', items: object(stepFields, ['title']) }
+    }, ['title', 'date'])
+  },
+
+  getEventById: {
+    params: idParams('id')
+  },
+
+  updateEvent: {
+    params: idParams('id'),
+    body: partial({
+      ...eventFields,
+      type: enumOf(CareerEvent, 'type'),
+      outcome: { type: 'string' },
+      isArchived: { type: 'boolean' }
+    })
+  },
+
+  deleteEvent: {
+    params: idParams('id')
+  },
+
+  addPreparationStep: {
+    params: idParams('id'),
+    body: object(stepFields, ['title'])
+  },
+
+  toggleStepCompletion: {
+    params: idParams('id', 'stepId'),
+    body: object({
+      isCompleted: { type: 'boolean' }
+    }, ['isCompleted'])
+  },
+
+  deletePreparationStep: {
+    params: idParams('id', 'stepId')
+  }
+};
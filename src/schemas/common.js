@@ -0,0 +1,90 @@
+/**
+ * Shared Schema Pieces
+ *
+ * PURPOSE: Building blocks for the per-domain request schemas
+ *
+ * All schemas are plain JSON Schema (checked by middleware/validate.js).
+ * Enums are read from the Mongoose models so the two can't drift apart.
+ */
+
+/**
+ * MongoDB ObjectId as a 24-char hex string
+ */
+const objectId = { type: 'string', format: 'objectId' };
+
+/**
+ * Problem IDs: ObjectId or custom string ID ("striver-1")
+ */
+const problemId = { type: 'string', minLength: 1, maxLength: 100 };
+
+/**
+ * Date given as "2026-02-15" or a full ISO timestamp
+ */
+const dateTime = { type: 'string', format: 'date-time' };
+
+/**
+ * String with at least one non-whitespace character
+ */
+const requiredString = { type: 'string', pattern: '\\S' };
+
+/**
+ * Allowed values of a model's enum path
+ *
+ * @param {Object} Model - Mongoose model
+ * @param {string} path - Schema path (e.g. "status")
+ */
+const enumOf = (Model, path) => ({ type: 'string', enum: Model.schema.path(path).enumValues });
+
+/**
+ * params schema where every listed param is an ObjectId
+ *
+ * Usage: params: idParams('id', 'stepId')
+ */
+const idParams = (...names) => ({
+  type: 'object',
+  properties: Object.fromEntries(names.map(name => [name, objectId])),
+  required: names
+});
+
+/**
+ * Pagination / sort / field selection params (see utils/listQuery.js)
+ *
+ * Range filters (e.g. date[gte]) are checked by listQuery itself
+ */
+const listParams = {
+  limit: { type: 'integer', minimum: 1, maximum: 200 },
+  page: { type: 'integer', minimum: 1 },
+  cursor: { type: 'string' },
+  sort: { type: 'string', pattern: '^-?\\w+(,-?\\w+)*$' },
+  fields: { type: 'string', pattern: '^\\w+(,\\w+)*$' }
+};
+
+/**
+ * Object schema with optional properties
+ */
+const object = (properties, required = []) => ({
+  type: 'object',
+  properties,
+  required
+});
+
+/**
+ * Update body: same properties, none required, but not empty
+ */
+const partial = (properties) => ({
+  type: 'object',
+  properties,
+  minProperties: 1
+});
+
+module.exports = {
+  objectId,
+  problemId,
+  dateTime,
+  requiredString,
+  listParams,
+  enumOf,
+  idParams,
+  object,
+  partial
+};
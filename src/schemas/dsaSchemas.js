@@ -0,0 +1,168 @@
+/**
+ * DSA Request Schemas
+ *
+ * Used by src/routes/dsaRoutes.js via validate()
+ */
+
+const MasterProblem = require('../models/MasterProblem');
+const UserProgress = require('../models/UserProgress');
+const ProblemAttempt = require('../models/ProblemAttempt');
+const { PLATFORMS } = require('../services/submissionSyncService');
+const { objectId, problemId, dateTime, requiredString, enumOf, idParams, object, partial, listParams } = require('./common');
+
+const difficulty = enumOf(MasterProblem, 'difficulty');
+const status = enumOf(UserProgress, 'status');
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+/**
+ * Catalog fields an admin may set (see PROBLEM_FIELDS in dsaController)
+ */
+const problemFields = {
+  title: requiredString,
+  problemNumber: { type: 'integer', minimum: 1 },
+  difficulty,
+  topic: requiredString,
+  subtopics: stringList,
+  platform: enumOf(MasterProblem, 'platform'),
+  url: { type: 'string' },
+  sheet: { type: 'string' },
+  companies: stringList,
+  description: { type: 'string' },
+  hints: stringList,
+  similarProblems: { type: 'array', items: objectId },
+  acceptance: { type: 'number', minimum: 0, maximum: 100 },
+  likes: { type: 'integer', minimum: 0 },
+  isActive: { type: 'boolean' }
+};
+
+const progressFields = {
+  status,
+  notes: { type: 'string' },
+  approach: { type: 'string' },
+  starred: { type: 'boolean' }
+};
+
+const problemIdParams = object({ problemId }, ['problemId']);
+
+module.exports = {
+  getAllProblems: {
+    query: object({
+      difficulty,
+      topic: { type: 'string' },
+      sheet: { type: 'string' },
+      platform: { type: 'string' },
+      search: { type: 'string' },
+      source: { type: 'string', enum: ['striver', 'database'] },
+      ...listParams
+    })
+  },
+
+  getProblemById: {
+    params: idParams('id')
+  },
+
+  getSheet: {
+    params: object({
+      slug: { type: 'string', pattern: '^[a-z0-9]+(-[a-z0-9]+)*$', maxLength: 100 }
+    }, ['slug'])
+  },
+
+  createProblem: {
+    body: object(problemFields, ['title', 'difficulty', 'topic'])
+  },
+
+  bulkImportProblems: {
+    // Entries are checked one by one in the controller (partial success)
+    body: object({
+      problems: { type: 'array', minItems: 1, items: { type: 'object' } }
+    }, ['problems'])
+  },
+
+  importProblems: {
+    // Body is the file (CSV text or JSON), parsed in catalogImportService
+    query: object({
+      dryRun: { type: 'boolean' }
+    })
+  },
+
+  exportProblems: {
+    query: object({
+      format: { type: 'string', enum: ['csv', 'json'] },
+      includeInactive: { type: 'boolean' }
+    })
+  },
+
+  updateProblem: {
+    params: idParams('id'),
+    body: partial(problemFields)
+  },
+
+  deactivateProblem: {
+    params: idParams('id')
+  },
+
+  getUserProgress: {
+    query: object({
+      status,
+      starred: { type: 'boolean' },
+      ...listParams
+    })
+  },
+
+  createOrUpdateProgress: {
+    body: object({ problemId, ...progressFields }, ['problemId'])
+  },
+
+  syncSubmissions: {
+    body: object({
+      platform: { type: 'string', enum: Object.keys(PLATFORMS) },
+      // LeetCode username / Codeforces handle; surrounding whitespace is trimmed by the controller
+      username: { type: 'string', pattern: '^\\s*[a-zA-Z0-9_.-]{1,40}\\s*$' }
+    }, ['platform'])
+  },
+
+  updateProgress: {
+    params: problemIdParams,
+    body: partial(progressFields)
+  },
+
+  deleteProgress: {
+    params: problemIdParams
+  },
+
+  getAttempts: {
+    params: problemIdParams
+  },
+
+  createAttempt: {
+    params: problemIdParams,
+    body: object({
+      outcome: enumOf(ProblemAttempt, 'outcome'),
+      timeSpentMinutes: { type: 'number', minimum: 0 },
+      approach: { type: 'string' },
+      language: { type: 'string' },
+      notes: { type: 'string' },
+      attemptedAt: dateTime
+    }, ['outcome'])
+  },
+
+  reviewProgress: {
+    params: problemIdParams,
+    body: object({
+      quality: { type: 'integer', minimum: 0, maximum: 5 }
+    }, ['quality'])
+  },
+
+  getTopicAnalytics: {
+    query: object({
+      weakest: { type: 'integer', minimum: 1, maximum: 50 }
+    })
+  },
+
+  getDueReviews: {
+    query: object({
+      limit: { type: 'integer', minimum: 1, maximum: 500 }
+    })
+  }
+};
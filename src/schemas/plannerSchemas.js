@@ -0,0 +1,115 @@
+/**
+ * Planner Request Schemas
+ *
+ * Used by src/routes/plannerRoutes.js via validate()
+ */
+
+const { objectId, dateTime, requiredString, idParams, object, partial, listParams } = require('./common');
+
+const nullableDate = { ...dateTime, nullable: true };
+
+const taskFields = {
+  title: requiredString,
+  completed: { type: 'boolean' },
+  dueDate: nullableDate,
+  goalId: { ...objectId, nullable: true },
+  order: { type: 'number' },
+  archived: { type: 'boolean' },
+  completedAt: nullableDate
+};
+
+const goalFields = {
+  name: { ...requiredString, maxLength: 200 },
+  deadline: dateTime,
+  steps: {
+    type: 'array',
+    items: object({
+      id: requiredString,
+      title: requiredString,
+      completed: { type: 'boolean' },
+      completedAt: nullableDate
+    }, ['id', 'title'])
+  }
+};
+
+const eventFields = {
+  title: requiredString,
+  date: dateTime,
+  description: { type: 'string' }
+};
+
+module.exports = {
+  getAllTasks: {
+    query: object({
+      completed: { type: 'boolean' },
+      dueDate: dateTime,
+      goalId: objectId,
+      archived: { type: 'boolean' },
+      ...listParams
+    })
+  },
+
+  getTask: {
+    params: idParams('id')
+  },
+
+  createTask: {
+    body: object(taskFields, ['title'])
+  },
+
+  updateTask: {
+    params: idParams('id'),
+    body: partial(taskFields)
+  },
+
+  deleteTask: {
+    params: idParams('id')
+  },
+
+  bulkUpdateTasks: {
+    body: object({
+      tasks: {
+        type: 'array',
+        minItems: 1,
+        // Only task fields may be changed (never userId etc.)
+        items: {
+          ...object({ id: objectId, ...taskFields }, ['id']),
+          additionalProperties: false
+        }
+      }
+    }, ['tasks'])
+  },
+
+  createGoal: {
+    body: object(goalFields, ['name', 'deadline'])
+  },
+
+  updateGoal: {
+    params: idParams('id'),
+    body: partial(goalFields)
+  },
+
+  deleteGoal: {
+    params: idParams('id')
+  },
+
+  getAllEvents: {
+    query: object({
+      startDate: dateTime,
+      endDate: dateTime
+    })
+  },
+
+  createEvent: {
+    body: object(eventFields, ['title', 'date'])
+  },
+
+  updateEvent: {
+    params: idParams('id'),
+    body: partial(eventFields)
+  },
+
+  deleteEvent: {
+    params: idParams('id')
+  }
+};
@@ -0,0 +1,74 @@
+/**
+ * Project Request Schemas
+ *
+ * Used by src/routes/projectRoutes.js via validate()
+ */
+
+const Project = require('../models/Project');
+const { enumOf, idParams, object, partial, listParams } = require('./common');
+
+/**
+ * GitHub usernames: letters, numbers and hyphens (max 39 chars)
+ */
+const githubUsername = { type: 'string', pattern: '^[a-zA-Z0-9-]{1,39}$' };
+
+const repoFilters = {
+  language: { type: 'string' },
+  minStars: { type: 'integer', minimum: 0 },
+  excludeForks: { type: 'boolean' },
+  onlyPublic: { type: 'boolean' },
+  excludeArchived: { type: 'boolean' }
+};
+
+const usernameParams = object({ username: githubUsername }, ['username']);
+
+module.exports = {
+  getUserProjects: {
+    query: object({
+      status: enumOf(Project, 'status'),
+      starred: { type: 'boolean' },
+      language: { type: 'string' },
+      ...listParams
+    })
+  },
+
+  fetchFromGitHub: {
+    params: usernameParams,
+    query: object(repoFilters)
+  },
+
+  testGitHub: {
+    params: usernameParams
+  },
+
+  syncFromGitHub: {
+    body: object({
+      // Surrounding whitespace is trimmed by the controller
+      githubUsername: { type: 'string', pattern: '^\\s*[a-zA-Z0-9-]{1,39}\\s*$' },
+      filters: object(repoFilters)
+    }, ['githubUsername'])
+  },
+
+  getProjectById: {
+    params: idParams('id')
+  },
+
+  refreshProject: {
+    params: idParams('id')
+  },
+
+  updateProject: {
+    params: idParams('id'),
+    body: partial({
+      status: enumOf(Project, 'status'),
+      progress: { type: 'number', minimum: 0, maximum: 100 },
+      notes: { type: 'string' },
+      techStack: { type: 'array', items: { type: 'string' } },
+      starred: { type: 'boolean' }
+    })
+  },
+
+  deleteProject: {
+    params: idParams('id')
+  }
+};
@@ -6,21 +6,23 @@
  * WHAT THIS DOES:
  * 1. Connects to MongoDB
  * 2. Clears existing problems (optional)
- * 3. Imports Striver SDE Sheet problems
- * 4. Creates indexes
- * 5. Displays summary
+ * 3. Syncs the Striver SDE Sheet list and src/seed/dsaProblems.js into
+ *    the catalog and its sheets (services/sheetSyncService.js):
+ *    adds new problems, updates changed ones, retires removed ones
+ * 4. Displays summary
  * 
  * RUN: node src/seed/seedDSA.js
  * 
  * OPTIONS:
- * - --clear: Clear existing problems before importing
+ * - --clear: Clear existing problems and sheets before importing
  *   Example: node src/seed/seedDSA.js --clear
  */
 
 const mongoose = require('mongoose');
 require('dotenv').config();
 const MasterProblem = require('../models/MasterProblem');
-const striverSDESheet = require('./dsaProblems');
+const Sheet = require('../models/Sheet');
+const sheetSyncService = require('../services/sheetSyncService');
 
 // MongoDB connection
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/blaezi';
@@ -48,41 +50,37 @@ async function clearProblems() {
     console.log('\n🧹 Clearing existing problems...');
     const result = await MasterProblem.deleteMany({});
     console.log(`   Deleted ${result.deletedCount} problems`);
+    const sheets = await Sheet.deleteMany({});
+    console.log(`   Deleted ${sheets.deletedCount} sheets`);
   }
 }
 
 /**
- * Import problems
+ * Sync the catalog and sheets with the sheet data
+ * (services/sheetSyncService.js - safe to run again)
  */
-async function importProblems() {
-  console.log('\n📚 Importing Striver SDE Sheet problems...');
+async function syncSheets() {
+  console.log('\n📚 Syncing Striver SDE Sheet and seed problems...');
   
-  try {
-    // Check for duplicates and skip them
-    let imported = 0;
-    let skipped = 0;
-    
-    for (const problem of striverSDESheet) {
-      const exists = await MasterProblem.findOne({ title: problem.title });
-      
-      if (exists) {
-        skipped++;
-        console.log(`   ⏭️  Skipped: ${problem.title} (already exists)`);
-      } else {
-        await MasterProblem.create(problem);
-        imported++;
-        console.log(`   ✅ Imported: ${problem.title}`);
-      }
-    }
-    
-    console.log(`\n📊 Import Summary:`);
-    console.log(`   ✅ Imported: ${imported} problems`);
-    console.log(`   ⏭️  Skipped: ${skipped} problems (duplicates)`);
-    console.log(`   📝 Total: ${imported + skipped} problems processed`);
-    
-  } catch (error) {
-    console.error('❌ Import failed:', error.message);
-    throw error;
+  const report = await sheetSyncService.syncSheets();
+  
+  report.added.forEach(problem => console.log(`   ✅ Added: ${problem.title}`));
+  report.changed.forEach(problem => console.log(`   ✏️  Changed: ${problem.title} (${problem.fields.join(', ')})`));
+  report.retired.forEach(problem => console.log(`   💤 Retired: ${problem.title}`));
+  report.failed.forEach(problem => console.log(`   ❌ Failed: ${problem.title} - ${problem.error}`));
+  
+  console.log(`\n📊 Sync Summary:`);
+  console.log(`   ✅ Added: ${report.added.length} problems`);
+  console.log(`   ✏️  Changed: ${report.changed.length} problems`);
+  console.log(`   💤 Retired: ${report.retired.length} problems`);
+  console.log(`   ⏭️  Unchanged: ${report.unchanged} problems`);
+  console.log(`   🔁 Progress moved from old ids: ${report.progressMigrated}`);
+  report.sheets.forEach(sheet => {
+    console.log(`   🗂️  ${sheet.name} (/api/dsa/sheets/${sheet.slug}): ${sheet.problems} problems`);
+  });
+  
+  if (report.failed.length > 0) {
+    throw new Error(`${report.failed.length} problems could not be saved`);
   }
 }
 
@@ -115,14 +113,12 @@ async function displayStats() {
     console.log(`   - ${topic._id}: ${topic.count}`);
   });
   
-  // Count by sheet
-  const sheets = await MasterProblem.aggregate([
-    { $group: { _id: '$sheet', count: { $sum: 1 } } }
-  ]);
+  // Count by sheet (a problem can be in several)
+  const sheets = await Sheet.find().select('name problems').lean();
   
   console.log('\n   By Sheet:');
   sheets.forEach(sheet => {
-    console.log(`   - ${sheet._id}: ${sheet.count}`);
+    console.log(`   - ${sheet.name}: ${sheet.problems.length}`);
   });
 }
 
@@ -140,8 +136,8 @@ async function main() {
     // Clear if requested
     await clearProblems();
     
-    // Import problems
-    await importProblems();
+    // Sync problems and sheets
+    await syncSheets();
     
     // Display stats
     await displayStats();
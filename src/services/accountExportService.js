@@ -0,0 +1,585 @@
+/**
+ * Account Export Service
+ *
+ * PURPOSE: Move a user's data between Blaezi instances (and keep backups)
+ *
+ * FEATURES:
+ * - Export everything a user owns as ONE versioned JSON bundle
+ * - DSA problems referenced by title/URL (ObjectIds differ per instance)
+ * - Import with "merge" (keep existing data, skip records already there)
+ *   or "replace" (wipe first)
+ * - Internal references remapped on import (PlannerTask.goalId → new Goal ids)
+ * - Import validation: bundle shape checked up front (validateBundle),
+ *   then only IMPORT_FIELDS are taken from each entry and checked against
+ *   its model; entries that fail are skipped and reported in `failed`
+ *
+ * BUNDLE FORMAT (version 1):
+ * {
+ *   format: "blaezi-account-export",
+ *   version: 1,
+ *   exportedAt: "2026-10-19T10:00:00.000Z",
+ *   profile: { name, email, githubUsername, platformUsernames: { leetcode, codeforces }, avatar },
+ *   dsaProgress:   [{ problem: { title, url } | { id }, status, notes, ... }],
+ *   dsaAttempts:   [{ problem: { title, url } | { id }, outcome, attemptedAt, ... }],
+ *   projects:      [{ githubId, name, fullName, ... }],
+ *   careerEvents:  [{ title, type, date, preparationSteps: [...], ... }],
+ *   goals:         [{ ref, name, deadline, steps }],
+ *   plannerTasks:  [{ title, completed, goalRef, ... }],
+ *   events:        [{ title, date, description }]
+ * }
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const MasterProblem = require('../models/MasterProblem');
+const UserProgress = require('../models/UserProgress');
+const ProblemAttempt = require('../models/ProblemAttempt');
+const Project = require('../models/Project');
+const CareerEvent = require('../models/CareerEvent');
+const PlannerTask = require('../models/PlannerTask');
+const Goal = require('../models/Goal');
+const Event = require('../models/Event');
+const { NotFoundError } = require('../utils/errors');
+
+const EXPORT_FORMAT = 'blaezi-account-export';
+const EXPORT_VERSION = 1;
+
+const IMPORT_MODES = ['merge', 'replace'];
+
+/**
+ * Bundle section → model (used for replace-mode wipes)
+ */
+const SECTION_MODELS = {
+  dsaProgress: UserProgress,
+  dsaAttempts: ProblemAttempt,
+  projects: Project,
+  careerEvents: CareerEvent,
+  goals: Goal,
+  plannerTasks: PlannerTask,
+  events: Event
+};
+
+/**
+ * Merge mode: fields that make an imported record the same as one the
+ * user already has (bundles carry no ids - re-importing the same backup
+ * must not double everything). Progress / projects are upserted instead.
+ */
+const NATURAL_KEYS = {
+  dsaAttempts: ['problemId', 'attemptedAt'],
+  careerEvents: ['title', 'type', 'date'],
+  goals: ['name', 'deadline'],
+  plannerTasks: ['title', 'dueDate'],
+  events: ['title', 'date']
+};
+
+const DATE_FIELDS = new Set(['attemptedAt', 'date', 'deadline', 'dueDate']);
+
+/**
+ * Fields taken from each bundle entry (anything else is ignored)
+ *
+ * Ids, ownership and timestamps are the importing instance's; references
+ * travel separately (problem → problemId, goal ref / goalRef → goalId).
+ * Project README / ETags aren't exported and mustn't come in half.
+ */
+const IMPORT_FIELDS = {
+  dsaProgress: ['status', 'lastSolvedAt', 'notes', 'approach', 'starred', 'easeFactor', 'interval',
+    'repetitions', 'nextReviewAt', 'lastReviewedAt', 'lastQuality'],
+  dsaAttempts: ['attemptedAt', 'outcome', 'timeSpentMinutes', 'approach', 'language', 'notes'],
+  projects: ['githubId', 'name', 'fullName', 'description', 'url', 'homepage', 'programmingLanguage',
+    'languages', 'stars', 'forks', 'isPrivate', 'topics', 'githubCreatedAt', 'githubUpdatedAt',
+    'recentCommits', 'status', 'progress', 'notes', 'techStack', 'starred', 'isActive', 'removedFromGitHubAt',
+    'lastSyncedAt'],
+  careerEvents: ['title', 'description', 'type', 'date', 'status', 'priority', 'company', 'location',
+    'url', 'preparationSteps', 'notes', 'outcome', 'starred', 'isArchived'],
+  goals: ['name', 'deadline', 'steps'],
+  plannerTasks: ['title', 'completed', 'dueDate', 'order', 'archived', 'completedAt'],
+  events: ['title', 'date', 'description']
+};
+
+/**
+ * What validateBundle requires of every entry (before models are asked)
+ * Projects are upserted by githubId, so theirs can't be missing.
+ */
+const REQUIRED_FIELDS = {
+  projects: { githubId: 'id', name: 'text', fullName: 'text', url: 'text' },
+  careerEvents: { title: 'text', type: 'text', date: 'date' },
+  goals: { name: 'text', deadline: 'date' },
+  plannerTasks: { title: 'text' },
+  events: { title: 'text', date: 'date' }
+};
+
+/**
+ * Sections whose entries reference a catalog problem (entry.problem)
+ */
+const PROBLEM_SECTIONS = ['dsaProgress', 'dsaAttempts'];
+
+const ARRAY_FIELDS = {
+  careerEvents: ['preparationSteps'],
+  goals: ['steps']
+};
+
+const FIELD_CHECKS = {
+  id: { test: value => Number.isInteger(value) && value > 0, expected: 'a positive integer' },
+  text: { test: value => typeof value === 'string' && value.trim() !== '', expected: 'a non-empty string' },
+  date: {
+    test: value => (typeof value === 'string' || typeof value === 'number') && !Number.isNaN(new Date(value).getTime()),
+    expected: 'a date'
+  }
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Natural key of a bundle entry / stored document (dates compared as
+ * instants: the bundle has ISO strings, the database Dates)
+ */
+const naturalKey = (section, doc) => JSON.stringify(NATURAL_KEYS[section].map(field => {
+  const value = doc[field];
+  if (value === undefined || value === null || value === '') return null;
+  return DATE_FIELDS.has(field) ? new Date(value).getTime() : String(value);
+}));
+
+/**
+ * Remove database-only fields from a plain document
+ */
+const stripInternalFields = (doc) => {
+  const { _id, __v, id, userId, createdAt, updatedAt, ...rest } = doc;
+  return rest;
+};
+
+// ═══════════════════════════════════════════════════════════
+// EXPORT
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Build { problemIdString → portable ref } for all referenced problems
+ *
+ * ObjectId problems → { title, url }
+ * Custom IDs ("striver-1") → { id }
+ */
+const buildProblemRefs = async (problemIds) => {
+  const objectIds = problemIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+
+  const problems = await MasterProblem.find({ _id: { $in: objectIds } })
+    .select('title url')
+    .lean();
+
+  const refs = new Map();
+  problemIds.forEach(id => refs.set(String(id), { id: String(id) }));
+  problems.forEach(problem => {
+    refs.set(problem._id.toString(), { title: problem.title, url: problem.url || null });
+  });
+
+  return refs;
+};
+
+/**
+ * Export all of a user's data as a bundle
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Export bundle
+ */
+const exportAccount = async (userId) => {
+  const [user, progress, attempts, projects, careerEvents, goals, plannerTasks, events] = await Promise.all([
+    User.findById(userId).lean(),
+    UserProgress.find({ userId }).lean(),
+    ProblemAttempt.find({ userId }).sort({ attemptedAt: 1 }).lean(),
+    Project.find({ userId }).lean(),
+    CareerEvent.find({ userId }).lean(),
+    Goal.find({ userId }).lean(),
+    PlannerTask.find({ userId }).lean(),
+    Event.find({ userId }).lean()
+  ]);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const problemIds = [...new Set([...progress, ...attempts].map(doc => String(doc.problemId)))];
+  const problemRefs = await buildProblemRefs(problemIds);
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    profile: {
+      name: user.name,
+      email: user.email,
+      githubUsername: user.githubUsername,
+      platformUsernames: { leetcode: '', codeforces: '', ...user.platformUsernames },
+      avatar: user.avatar
+    },
+    dsaProgress: progress.map(doc => {
+      const { problemId, ...rest } = stripInternalFields(doc);
+      return { problem: problemRefs.get(String(problemId)), ...rest };
+    }),
+    dsaAttempts: attempts.map(doc => {
+      const { problemId, ...rest } = stripInternalFields(doc);
+      return { problem: problemRefs.get(String(problemId)), ...rest };
+    }),
+    projects: projects.map(stripInternalFields),
+    careerEvents: careerEvents.map(doc => ({
+      ...stripInternalFields(doc),
+      preparationSteps: (doc.preparationSteps || []).map(stripInternalFields)
+    })),
+    goals: goals.map(doc => ({
+      ref: doc._id.toString(),
+      ...stripInternalFields(doc),
+      // Step ids are the goal's own (required), not database ids
+      steps: (doc.steps || []).map(({ _id, ...step }) => step)
+    })),
+    plannerTasks: plannerTasks.map(doc => {
+      const { goalId, ...rest } = stripInternalFields(doc);
+      return { ...rest, goalRef: goalId ? goalId.toString() : null };
+    }),
+    events: events.map(stripInternalFields)
+  };
+};
+
+// ═══════════════════════════════════════════════════════════
+// IMPORT
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Check bundle structure before touching the database
+ *
+ * @param {Object} bundle - Parsed bundle
+ * @returns {Array<string>} Validation errors (empty = valid)
+ */
+const validateBundle = (bundle) => {
+  const errors = [];
+
+  if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+    return ['Bundle must be a JSON object'];
+  }
+
+  if (bundle.format !== EXPORT_FORMAT) {
+    errors.push(`format must be "${EXPORT_FORMAT}"`);
+  }
+
+  if (bundle.version !== EXPORT_VERSION) {
+    errors.push(`Unsupported version ${bundle.version} (expected ${EXPORT_VERSION})`);
+  }
+
+  if (bundle.profile !== undefined && (typeof bundle.profile !== 'object' || bundle.profile === null)) {
+    errors.push('profile must be an object');
+  }
+
+  Object.keys(SECTION_MODELS).forEach(section => {
+    if (bundle[section] !== undefined && !Array.isArray(bundle[section])) {
+      errors.push(`${section} must be an array`);
+    }
+  });
+
+  // Shapes of the entries (sections that aren't arrays were reported above)
+  const entriesOf = (section) => (Array.isArray(bundle[section]) ? bundle[section] : []);
+
+  Object.keys(SECTION_MODELS).forEach(section => {
+    entriesOf(section).forEach((entry, index) => {
+      if (!isPlainObject(entry)) {
+        errors.push(`${section}[${index}] must be an object`);
+        return;
+      }
+
+      Object.entries(REQUIRED_FIELDS[section] || {}).forEach(([field, kind]) => {
+        if (!FIELD_CHECKS[kind].test(entry[field])) {
+          errors.push(`${section}[${index}].${field} must be ${FIELD_CHECKS[kind].expected}`);
+        }
+      });
+
+      (ARRAY_FIELDS[section] || []).forEach(field => {
+        if (entry[field] !== undefined && !Array.isArray(entry[field])) {
+          errors.push(`${section}[${index}].${field} must be an array`);
+        }
+      });
+    });
+  });
+
+  PROBLEM_SECTIONS.forEach(section => {
+    entriesOf(section).forEach((entry, index) => {
+      const problem = isPlainObject(entry) && entry.problem;
+      if (!isPlainObject(problem) || (!problem.id && !problem.title && !problem.url)) {
+        errors.push(`${section}[${index}].problem needs a title, url or id`);
+      }
+    });
+  });
+
+  entriesOf('goals').forEach((goal, index) => {
+    if (isPlainObject(goal) && !goal.ref) {
+      errors.push(`goals[${index}].ref is required`);
+    }
+  });
+
+  const githubIds = entriesOf('projects').filter(isPlainObject).map(project => project.githubId);
+  if (new Set(githubIds).size !== githubIds.length) {
+    errors.push('projects has the same githubId more than once');
+  }
+
+  return errors;
+};
+
+/**
+ * Take the importable fields of a section's entries and check them
+ * against the model (bulkWrite / upserts skip schema validation)
+ *
+ * @param {string} section - Key of SECTION_MODELS
+ * @param {Array<Object>} entries - { index, entry } (bundle entry; DSA ones
+ *   with the resolved problemId instead of problem)
+ * @param {string} userId - Owner (required by every model)
+ * @param {Array} failed - Failures are pushed here: { section, index, error }
+ * @returns {Array<Object>} { index, entry, fields } that passed; fields =
+ *   only IMPORT_FIELDS (+ problemId), cast by the model (dates as Dates)
+ */
+const validateEntries = (section, entries, userId, failed) => entries.reduce((valid, { index, entry }) => {
+  const importable = PROBLEM_SECTIONS.includes(section) ? [...IMPORT_FIELDS[section], 'problemId'] : IMPORT_FIELDS[section];
+  const picked = {};
+  importable.forEach(field => {
+    if (entry[field] !== undefined) picked[field] = entry[field];
+  });
+
+  const candidate = new SECTION_MODELS[section]({ ...picked, userId });
+  const validationError = candidate.validateSync();
+  if (validationError) {
+    failed.push({ section, index, error: validationError.message });
+    return valid;
+  }
+
+  const document = candidate.toObject();
+  valid.push({ index, entry, fields: Object.fromEntries(Object.keys(picked).map(field => [field, document[field]])) });
+  return valid;
+}, []);
+
+/**
+ * Resolve portable problem refs to this instance's problem IDs
+ *
+ * Match order: URL → title → custom id as-is
+ *
+ * @returns {Promise<Function>} ref → problemId string (or null if unknown)
+ */
+const buildProblemResolver = async (entries) => {
+  const refs = entries.map(entry => entry.problem);
+  const urls = refs.map(ref => ref.url).filter(Boolean);
+  const titles = refs.map(ref => ref.title).filter(Boolean);
+
+  const problems = await MasterProblem.find({
+    $or: [{ url: { $in: urls } }, { title: { $in: titles } }]
+  }).select('title url').lean();
+
+  const byUrl = new Map(problems.filter(p => p.url).map(p => [p.url, p._id.toString()]));
+  const byTitle = new Map(problems.map(p => [p.title, p._id.toString()]));
+
+  return (ref) => {
+    if (ref.url && byUrl.has(ref.url)) return byUrl.get(ref.url);
+    if (ref.title && byTitle.has(ref.title)) return byTitle.get(ref.title);
+    if (ref.id && !mongoose.Types.ObjectId.isValid(ref.id)) return ref.id;
+    return null;
+  };
+};
+
+/**
+ * Import a bundle into a user's account
+ *
+ * MODES:
+ * - merge:   keep existing data; DSA progress and projects are upserted
+ *            (by problem / githubId), everything else is added unless the
+ *            user already has it (NATURAL_KEYS) - counted in `skipped`
+ * - replace: delete the user's existing data first, then insert
+ *
+ * Entries are validated against their model before anything is written;
+ * the ones that fail are left out and reported in `failed`. Runs in a
+ * single transaction.
+ *
+ * @param {string} userId - User ID
+ * @param {Object} bundle - Export bundle (validateBundle first!)
+ * @param {string} mode - 'merge' | 'replace'
+ * @returns {Promise<Object>} { imported: { section: count }, skipped: { section: count },
+ *   unmatchedProblems: [...], failed: [{ section, index, error }] }
+ */
+const importAccount = async (userId, bundle, mode = 'merge') => {
+  const progressEntries = bundle.dsaProgress || [];
+  const attemptEntries = bundle.dsaAttempts || [];
+  const resolveProblem = await buildProblemResolver([...progressEntries, ...attemptEntries]);
+
+  const imported = {};
+  const skipped = {};
+  const unmatchedProblems = [];
+  const failed = [];
+
+  const resolveEntries = (entries) => entries.reduce((resolved, { problem, ...fields }, index) => {
+    const problemId = resolveProblem(problem);
+    if (problemId) {
+      resolved.push({ index, entry: { ...fields, problemId } });
+    } else {
+      unmatchedProblems.push(problem);
+    }
+    return resolved;
+  }, []);
+
+  const prepare = (section, entries) => validateEntries(section, entries, userId, failed);
+  const sectionEntries = (section) => (bundle[section] || []).map((entry, index) => ({ index, entry }));
+
+  const progress = prepare('dsaProgress', resolveEntries(progressEntries)).map(item => item.fields);
+  const attempts = prepare('dsaAttempts', resolveEntries(attemptEntries)).map(item => item.fields);
+  const projects = prepare('projects', sectionEntries('projects')).map(item => item.fields);
+  const careerEventEntries = prepare('careerEvents', sectionEntries('careerEvents')).map(item => item.fields);
+  // Goal ref / task goalRef aren't model fields: carried over from the entry
+  const goalEntries = prepare('goals', sectionEntries('goals'))
+    .map(({ fields, entry }) => ({ ...fields, ref: entry.ref }));
+  const plannerTaskEntries = prepare('plannerTasks', sectionEntries('plannerTasks'))
+    .map(({ fields, entry }) => ({ ...fields, goalRef: entry.goalRef }));
+  const eventEntries = prepare('events', sectionEntries('events')).map(item => item.fields);
+
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      // Retried transactions must start from a clean slate
+      Object.keys(SECTION_MODELS).forEach(section => { imported[section] = 0; });
+      Object.keys(NATURAL_KEYS).forEach(section => { skipped[section] = 0; });
+
+      // Merge mode: split entries into new ones and ones the user already
+      // has → { fresh, existingIds: Map(entry → existing _id) }
+      const splitExisting = async (section, entries) => {
+        const existingIds = new Map();
+        if (mode !== 'merge' || entries.length === 0) return { fresh: entries, existingIds };
+
+        const stored = await SECTION_MODELS[section]
+          .find({ userId })
+          .select(NATURAL_KEYS[section].join(' '))
+          .session(session)
+          .lean();
+        const idsByKey = new Map(stored.map(doc => [naturalKey(section, doc), doc._id]));
+
+        const fresh = entries.filter(entry => {
+          const id = idsByKey.get(naturalKey(section, entry));
+          if (id) existingIds.set(entry, id);
+          return !id;
+        });
+        skipped[section] = entries.length - fresh.length;
+
+        return { fresh, existingIds };
+      };
+
+      if (mode === 'replace') {
+        for (const Model of Object.values(SECTION_MODELS)) {
+          await Model.deleteMany({ userId }, { session });
+        }
+      }
+
+      // Profile: replace overwrites, merge only fills blanks
+      if (bundle.profile) {
+        const user = await User.findById(userId).session(session);
+        ['name', 'githubUsername', 'avatar'].forEach(field => {
+          const value = bundle.profile[field];
+          if (value && (mode === 'replace' || !user[field])) {
+            user[field] = value;
+          }
+        });
+        Object.entries(bundle.profile.platformUsernames || {}).forEach(([platform, value]) => {
+          if (user.platformUsernames[platform] === undefined || typeof value !== 'string') return;
+          if (value && (mode === 'replace' || !user.platformUsernames[platform])) {
+            user.platformUsernames[platform] = value;
+          }
+        });
+        await user.save({ session });
+      }
+
+      // DSA progress: one record per problem (upsert; older records may
+      // hold the problem's ObjectId instead of its string)
+      if (progress.length > 0) {
+        await UserProgress.bulkWrite(progress.map(fields => ({
+          updateOne: {
+            filter: {
+              userId,
+              problemId: mongoose.Types.ObjectId.isValid(fields.problemId)
+                ? { $in: [fields.problemId, new mongoose.Types.ObjectId(fields.problemId)] }
+                : fields.problemId
+            },
+            update: { $set: { ...fields, userId } },
+            upsert: true
+          }
+        })), { session });
+        imported.dsaProgress = progress.length;
+      }
+
+      const { fresh: newAttempts } = await splitExisting('dsaAttempts', attempts);
+      if (newAttempts.length > 0) {
+        await ProblemAttempt.insertMany(
+          newAttempts.map(fields => ({ ...fields, userId })),
+          { session }
+        );
+        imported.dsaAttempts = newAttempts.length;
+      }
+
+      // Projects: one record per GitHub repo (upsert)
+      if (projects.length > 0) {
+        await Project.bulkWrite(projects.map(fields => ({
+          updateOne: {
+            filter: { userId, githubId: fields.githubId },
+            update: { $set: { ...fields, userId } },
+            upsert: true
+          }
+        })), { session });
+        imported.projects = projects.length;
+      }
+
+      const { fresh: careerEvents } = await splitExisting('careerEvents', careerEventEntries);
+      if (careerEvents.length > 0) {
+        await CareerEvent.insertMany(
+          careerEvents.map(fields => ({ ...fields, userId })),
+          { session }
+        );
+        imported.careerEvents = careerEvents.length;
+      }
+
+      // Goals get new ids → remember old ref → new (or matching existing) id for tasks
+      const goalIdMap = new Map();
+      const { fresh: goals, existingIds: existingGoalIds } = await splitExisting('goals', goalEntries);
+      existingGoalIds.forEach((id, goal) => goalIdMap.set(String(goal.ref), id));
+      if (goals.length > 0) {
+        const created = await Goal.insertMany(
+          goals.map(({ ref, ...fields }) => ({ ...fields, userId })),
+          { session }
+        );
+        goals.forEach((goal, index) => goalIdMap.set(String(goal.ref), created[index]._id));
+        imported.goals = created.length;
+      }
+
+      const { fresh: plannerTasks } = await splitExisting('plannerTasks', plannerTaskEntries);
+      if (plannerTasks.length > 0) {
+        await PlannerTask.insertMany(
+          plannerTasks.map(({ goalRef, ...fields }) => ({
+            ...fields,
+            userId,
+            goalId: goalRef ? goalIdMap.get(String(goalRef)) || null : null
+          })),
+          { session }
+        );
+        imported.plannerTasks = plannerTasks.length;
+      }
+
+      const { fresh: events } = await splitExisting('events', eventEntries);
+      if (events.length > 0) {
+        await Event.insertMany(
+          events.map(fields => ({ ...fields, userId })),
+          { session }
+        );
+        imported.events = events.length;
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return { imported, skipped, unmatchedProblems, failed };
+};
+
+module.exports = {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  IMPORT_MODES,
+  IMPORT_FIELDS,
+  exportAccount,
+  validateBundle,
+  importAccount
+};
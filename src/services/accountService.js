@@ -0,0 +1,139 @@
+/**
+ * Account Service
+ *
+ * PURPOSE: Account lifecycle operations that span many collections
+ *
+ * FEATURES:
+ * - Delete a user and ALL their data in one transaction
+ * - Grace-period (soft) deletion: schedule now, purge later
+ * - Purge accounts whose grace period has ended
+ *
+ * CONFIG (.env):
+ * - ACCOUNT_DELETION_GRACE_DAYS: Days before a soft-deleted account is purged (default: 30)
+ *
+ * NOTE: Transactions need MongoDB running as a replica set (Atlas always is)
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const UserProgress = require('../models/UserProgress');
+const ProblemAttempt = require('../models/ProblemAttempt');
+const Project = require('../models/Project');
+const CareerEvent = require('../models/CareerEvent');
+const PlannerTask = require('../models/PlannerTask');
+const Goal = require('../models/Goal');
+const Event = require('../models/Event');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
+const GitHubSyncState = require('../models/GitHubSyncState');
+const SyncRun = require('../models/SyncRun');
+const logger = require('../utils/logger');
+
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+/**
+ * Every collection holding per-user data (keyed by userId)
+ */
+const USER_OWNED_MODELS = [
+  UserProgress,
+  ProblemAttempt,
+  Project,
+  CareerEvent,
+  PlannerTask,
+  Goal,
+  Event,
+  Session,
+  UserToken,
+  GitHubSyncState
+];
+
+/**
+ * Permanently delete a user and all of their data
+ *
+ * Runs in a transaction: either everything is deleted or nothing is.
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Deleted document count per collection
+ */
+const deleteUserData = async (userId) => {
+  const session = await mongoose.startSession();
+  const deleted = {};
+
+  try {
+    await session.withTransaction(async () => {
+      // Sequential: operations in one transaction can't run in parallel
+      for (const Model of USER_OWNED_MODELS) {
+        const result = await Model.deleteMany({ userId }, { session });
+        deleted[Model.collection.collectionName] = result.deletedCount;
+      }
+
+      // Re-sync run history keeps a result per user (with their GitHub username)
+      await SyncRun.updateMany({ 'results.userId': userId }, { $pull: { results: { userId } } }, { session });
+
+      const result = await User.deleteOne({ _id: userId }, { session });
+      deleted.users = result.deletedCount;
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return deleted;
+};
+
+/**
+ * Schedule a user for deletion after the grace period
+ *
+ * @param {Object} user - User document
+ * @returns {Promise<Date>} When the account will be purged
+ */
+const scheduleDeletion = async (user) => {
+  user.deletionRequestedAt = new Date();
+  user.deletionScheduledAt = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  await user.save();
+
+  await Session.revokeAllForUser(user._id, 'account-deleted');
+
+  return user.deletionScheduledAt;
+};
+
+/**
+ * Cancel a scheduled deletion (user came back during grace period)
+ *
+ * @param {Object} user - User document
+ */
+const cancelDeletion = async (user) => {
+  user.deletionRequestedAt = null;
+  user.deletionScheduledAt = null;
+  return user.save();
+};
+
+/**
+ * Purge every account whose grace period has ended
+ *
+ * @returns {Promise<number>} Number of accounts purged
+ */
+const purgeExpiredAccounts = async () => {
+  const users = await User.find({ deletionScheduledAt: { $ne: null, $lte: new Date() } }).select('_id');
+
+  let purged = 0;
+
+  for (const user of users) {
+    try {
+      await deleteUserData(user._id);
+      purged += 1;
+    } catch (error) {
+      logger.error('Account purge failed', { userId: user._id, err: error });
+    }
+  }
+
+  return purged;
+};
+
+module.exports = {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  USER_OWNED_MODELS,
+  deleteUserData,
+  scheduleDeletion,
+  cancelDeletion,
+  purgeExpiredAccounts
+};
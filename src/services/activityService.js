@@ -0,0 +1,350 @@
+/**
+ * Activity Service
+ *
+ * PURPOSE: Unified daily activity across DSA, planner, goals and career prep
+ *
+ * FEATURES:
+ * - Per-day counts from every source (ONE aggregation per source)
+ * - GitHub-style yearly heatmap
+ * - Current and longest streaks over all of the user's history
+ *
+ * SOURCES:
+ * - dsa:      UserProgress.lastSolvedAt
+ * - attempts: ProblemAttempt.attemptedAt (a problem the day's dsa count
+ *             already has isn't counted again)
+ * - planner:  PlannerTask.completedAt
+ * - goals:    Goal.steps[].completedAt
+ * - career:   CareerEvent.preparationSteps[].completedAt
+ */
+
+const mongoose = require('mongoose');
+const UserProgress = require('../models/UserProgress');
+const ProblemAttempt = require('../models/ProblemAttempt');
+const PlannerTask = require('../models/PlannerTask');
+const Goal = require('../models/Goal');
+const CareerEvent = require('../models/CareerEvent');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Source definitions
+ *
+ * - unwind: embedded array to flatten before counting
+ * - dateField: date that marks the activity
+ * - match: extra conditions (after unwind)
+ * - perProblem: counts problems, not records - each problem once a day,
+ *   across every perProblem source (solving a problem and logging the
+ *   attempt is one activity)
+ */
+const SOURCES = {
+  dsa: {
+    model: UserProgress,
+    dateField: 'lastSolvedAt',
+    perProblem: true
+  },
+  attempts: {
+    model: ProblemAttempt,
+    dateField: 'attemptedAt',
+    perProblem: true
+  },
+  planner: {
+    model: PlannerTask,
+    dateField: 'completedAt'
+  },
+  goals: {
+    model: Goal,
+    unwind: 'steps',
+    dateField: 'steps.completedAt',
+    match: { 'steps.completed': true }
+  },
+  career: {
+    model: CareerEvent,
+    unwind: 'preparationSteps',
+    dateField: 'preparationSteps.completedAt',
+    match: { 'preparationSteps.isCompleted': true }
+  }
+};
+
+/**
+ * Check that a timezone name is valid (e.g. "Asia/Kolkata")
+ *
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Format a Date as YYYY-MM-DD in the given timezone
+ */
+const toDayKey = (date, timezone = 'UTC') => {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+};
+
+/**
+ * Shift a YYYY-MM-DD key by N days (calendar math, timezone-free)
+ */
+const shiftDayKey = (dayKey, days) => {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS)
+    .toISOString()
+    .split('T')[0];
+};
+
+/**
+ * List every day key from start to end (inclusive)
+ */
+const listDayKeys = (startKey, endKey) => {
+  const keys = [];
+  for (let key = startKey; key <= endKey; key = shiftDayKey(key, 1)) {
+    keys.push(key);
+  }
+  return keys;
+};
+
+/**
+ * Group ONE source's activity per day with a single aggregation
+ *
+ * With historyTo, the same aggregation ($facet) also lists every day with
+ * activity before historyTo, all time - the days streaks are counted over.
+ *
+ * @param {string} userId - User ID
+ * @param {string} sourceName - Key of SOURCES
+ * @param {Date} from - Start of range (inclusive)
+ * @param {Date} to - End of range (exclusive)
+ * @param {string} timezone - IANA timezone for day boundaries
+ * @param {Object} options - { historyTo (Date, optional) }
+ * @returns {Promise<Object>} { byDay, activeDays }
+ *   - byDay: dayKey → count, or for a perProblem source dayKey → Set of
+ *     problemIds (as strings)
+ *   - activeDays: day keys (unordered), only with historyTo
+ */
+const groupByDay = async (userId, sourceName, from, to, timezone = 'UTC', { historyTo } = {}) => {
+  const { model, unwind, dateField, match = {}, perProblem } = SOURCES[sourceName];
+  const day = { $dateToString: { format: '%Y-%m-%d', date: `$${dateField}`, timezone } };
+
+  const pipeline = [
+    { $match: { userId: new mongoose.Types.ObjectId(userId) } }
+  ];
+
+  if (unwind) {
+    pipeline.push({ $unwind: `$${unwind}` });
+  }
+
+  const range = [
+    { $match: { [dateField]: { $gte: from, $lt: to } } },
+    { $group: {
+        _id: { day, ...(perProblem && { problemId: '$problemId' }) },
+        count: { $sum: 1 }
+      }
+    }
+  ];
+
+  let rows;
+  let activeDays = [];
+
+  if (historyTo) {
+    pipeline.push(
+      { $match: { ...match, [dateField]: { $lt: historyTo } } },
+      { $facet: { range, history: [{ $group: { _id: day } }] } }
+    );
+    const [result] = await model.aggregate(pipeline);
+    rows = result.range;
+    activeDays = result.history.map(row => row._id);
+  } else {
+    pipeline.push({ $match: match }, ...range);
+    rows = await model.aggregate(pipeline);
+  }
+
+  if (!perProblem) {
+    return { byDay: new Map(rows.map(row => [row._id.day, row.count])), activeDays };
+  }
+
+  // problemIds are strings, older records may hold an ObjectId
+  const problemsByDay = new Map();
+  rows.forEach(({ _id: { day: dayKey, problemId } }) => {
+    if (!problemsByDay.has(dayKey)) problemsByDay.set(dayKey, new Set());
+    problemsByDay.get(dayKey).add(String(problemId));
+  });
+  return { byDay: problemsByDay, activeDays };
+};
+
+/**
+ * Count activity per day for ONE source
+ *
+ * Same arguments as groupByDay (without options)
+ * @returns {Promise<Map<string, number>>} dayKey → count
+ */
+const countByDay = async (userId, sourceName, from, to, timezone = 'UTC') => {
+  const { byDay } = await groupByDay(userId, sourceName, from, to, timezone);
+  return new Map([...byDay].map(([day, value]) => [day, value instanceof Set ? value.size : value]));
+};
+
+/**
+ * Calculate current and longest streak from the days with activity
+ *
+ * Current streak counts back from today; if today has no activity
+ * yet it counts back from yesterday (the streak isn't broken until
+ * the day is over).
+ *
+ * @param {Array<string>} activeDayKeys - YYYY-MM-DD of every day with activity
+ * @param {string} todayKey - YYYY-MM-DD of today
+ * @returns {Object} { current, longest }
+ */
+const calculateStreaks = (activeDayKeys, todayKey) => {
+  const keys = [...new Set(activeDayKeys)].filter(key => key <= todayKey).sort();
+
+  let longest = 0;
+  let run = 0;
+
+  keys.forEach((key, i) => {
+    run = i > 0 && shiftDayKey(keys[i - 1], 1) === key ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  const active = new Set(keys);
+  let current = 0;
+  let key = active.has(todayKey) ? todayKey : shiftDayKey(todayKey, -1);
+
+  while (active.has(key)) {
+    current += 1;
+    key = shiftDayKey(key, -1);
+  }
+
+  return { current, longest };
+};
+
+/**
+ * Daily activity for a date range, all sources combined, and optionally
+ * every day with activity up to now (ONE aggregation per source either way)
+ *
+ * @param {string} userId - User ID
+ * @param {Object} options - { startKey, endKey (YYYY-MM-DD), timezone, sources, history }
+ * @returns {Promise<Object>} { days, activeDayKeys (with history, unordered) }
+ */
+const collectActivity = async (userId, options) => {
+  const {
+    startKey,
+    endKey,
+    timezone = 'UTC',
+    sources = Object.keys(SOURCES),
+    history = false
+  } = options;
+
+  // Pad the query window by a day on each side so timezone offsets
+  // never cut off activity; day keys outside the range are ignored
+  const from = new Date(Date.parse(`${startKey}T00:00:00Z`) - DAY_MS);
+  const to = new Date(Date.parse(`${endKey}T00:00:00Z`) + 2 * DAY_MS);
+
+  // Up to a day ahead of now: "today" in timezones ahead of UTC
+  const historyTo = history ? new Date(Date.now() + DAY_MS) : undefined;
+
+  const grouped = await Promise.all(
+    sources.map(source => groupByDay(userId, source, from, to, timezone, { historyTo }))
+  );
+
+  const days = listDayKeys(startKey, endKey).map(date => {
+    const day = { date, total: 0 };
+    const problemsCounted = new Set();
+
+    sources.forEach((source, i) => {
+      const value = grouped[i].byDay.get(date);
+
+      if (value instanceof Set) {
+        // A problem an earlier perProblem source counted today isn't counted again
+        const problems = [...value].filter(problemId => !problemsCounted.has(problemId));
+        problems.forEach(problemId => problemsCounted.add(problemId));
+        day[source] = problems.length;
+      } else {
+        day[source] = value || 0;
+      }
+
+      day.total += day[source];
+    });
+    return day;
+  });
+
+  const activeDayKeys = new Set();
+  grouped.forEach(({ activeDays }) => activeDays.forEach(key => activeDayKeys.add(key)));
+
+  return { days, activeDayKeys: [...activeDayKeys] };
+};
+
+/**
+ * Get daily activity for a date range, all sources combined
+ *
+ * @param {string} userId - User ID
+ * @param {Object} options - { startKey, endKey (YYYY-MM-DD), timezone, sources }
+ * @returns {Promise<Array>} [{ date, total, dsa, attempts, planner, goals, career }]
+ */
+const getDailyActivity = async (userId, options) => {
+  const { days } = await collectActivity(userId, { ...options, history: false });
+  return days;
+};
+
+/**
+ * Get GitHub-style heatmap with streaks
+ *
+ * @param {string} userId - User ID
+ * @param {Object} options - { year (optional), timezone }
+ *   - no year: the last 365 days ending today
+ *   - year:    Jan 1 → Dec 31 of that year (clipped to today)
+ * @returns {Promise<Object>} { from, to, timezone, days, totals, activeDays, streak }
+ */
+const getHeatmap = async (userId, options = {}) => {
+  const { year, timezone = 'UTC' } = options;
+
+  const todayKey = toDayKey(new Date(), timezone);
+
+  let startKey;
+  let endKey;
+
+  if (year) {
+    startKey = `${year}-01-01`;
+    endKey = `${year}-12-31` < todayKey ? `${year}-12-31` : todayKey;
+  } else {
+    startKey = shiftDayKey(todayKey, -364);
+    endKey = todayKey;
+  }
+
+  // Streaks run over all history up to today, even for a past year's heatmap
+  const { days, activeDayKeys } = await collectActivity(userId, { startKey, endKey, timezone, history: true });
+
+  const totals = { total: 0 };
+  Object.keys(SOURCES).forEach(source => { totals[source] = 0; });
+  days.forEach(day => {
+    Object.keys(totals).forEach(key => { totals[key] += day[key]; });
+  });
+
+  return {
+    from: startKey,
+    to: endKey,
+    timezone,
+    days,
+    totals,
+    activeDays: days.filter(day => day.total > 0).length,
+    streak: calculateStreaks(activeDayKeys, todayKey)
+  };
+};
+
+module.exports = {
+  SOURCES,
+  isValidTimezone,
+  toDayKey,
+  shiftDayKey,
+  calculateStreaks,
+  countByDay,
+  getDailyActivity,
+  getHeatmap
+};
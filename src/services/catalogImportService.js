@@ -0,0 +1,378 @@
+/**
+ * Catalog Import Service
+ *
+ * PURPOSE: Add / update catalog problems from CSV or JSON files, and
+ * export the catalog in the same formats (admin endpoints, catalog.js CLI)
+ *
+ * FEATURES:
+ * - CSV with a header row (columns = field names, see CSV_COLUMNS; lists
+ *   like companies separated by "|") or JSON (an array of problems, or
+ *   { problems: [...] } as written by the JSON export)
+ * - Platforms / difficulties normalized (utils/problemNormalizer.js)
+ * - Duplicates in the file (same canonical URL or title) are reported
+ *   and only the first is used
+ * - Existing problems matched by canonical URL, then title
+ *   (MasterProblem.findMatches); only the fields in the file are updated
+ * - Nothing is deleted: the catalog is never wiped by an import
+ * - dryRun: the same report, nothing written
+ *
+ * REPORT:
+ * { dryRun, total, added: [{ index, title }], changed: [{ index, title, fields }],
+ *   unchanged, duplicates: [{ index, title, duplicateOf }], failed: [{ index, title, error }] }
+ * index = position in the file (0 = first problem / first CSV data row)
+ */
+
+const MasterProblem = require('../models/MasterProblem');
+const { canonicalUrl } = require('../utils/problemUrl');
+const { LIST_SEPARATOR, normalizeProblem } = require('../utils/problemNormalizer');
+const { BadRequestError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const log = logger.child({ component: 'catalog-import' });
+
+const FORMATS = ['csv', 'json'];
+
+/**
+ * Fields that can be imported / are exported, in CSV column order
+ */
+const CSV_COLUMNS = [
+  'title', 'problemNumber', 'difficulty', 'topic', 'subtopics', 'platform',
+  'url', 'sheet', 'companies', 'description', 'hints', 'acceptance', 'likes'
+];
+
+const LIST_COLUMNS = ['subtopics', 'companies', 'hints'];
+
+const EXPORT_FORMAT = 'blaezi-problem-catalog';
+const EXPORT_VERSION = 1;
+
+// ═══════════════════════════════════════════════════════════
+// PARSING
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * CSV text → rows of cells (RFC 4180: quoted cells, "" escapes, line breaks in quotes)
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new BadRequestError('CSV has an unclosed quote', 'INVALID_IMPORT_FILE');
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Blank lines
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Header cell → field name ("Problem Number" → problemNumber, "link" → url)
+ */
+const columnField = (header) => {
+  const key = header.trim().toLowerCase().replace(/[^a-z]/g, '');
+  if (key === 'link') return 'url';
+  return CSV_COLUMNS.find(column => column.toLowerCase() === key) || null;
+};
+
+const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+
+  if (!header) {
+    throw new BadRequestError('CSV file is empty', 'INVALID_IMPORT_FILE');
+  }
+
+  const fields = header.map(columnField);
+  if (!fields.includes('title')) {
+    throw new BadRequestError('CSV needs a header row with a "title" column', 'INVALID_IMPORT_FILE');
+  }
+
+  return rows.map(cells => {
+    const problem = {};
+    fields.forEach((field, column) => {
+      if (field && cells[column] !== undefined) problem[field] = cells[column];
+    });
+    return problem;
+  });
+};
+
+const parseJson = (content) => {
+  let data = content;
+
+  if (typeof content === 'string') {
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new BadRequestError(`Invalid JSON: ${error.message}`, 'INVALID_IMPORT_FILE');
+    }
+  }
+
+  const problems = Array.isArray(data) ? data : data && data.problems;
+  if (!Array.isArray(problems)) {
+    throw new BadRequestError('JSON must be an array of problems or { "problems": [...] }', 'INVALID_IMPORT_FILE');
+  }
+
+  return problems;
+};
+
+/**
+ * File contents → raw problems
+ *
+ * @param {string|Object|Array} content - CSV text, JSON text or parsed JSON
+ * @param {string} format - csv | json
+ * @returns {Array<Object>}
+ */
+const parseProblems = (content, format) => {
+  if (!FORMATS.includes(format)) {
+    throw new BadRequestError(`Unknown format "${format}" (use ${FORMATS.join(' or ')})`, 'INVALID_IMPORT_FORMAT');
+  }
+
+  return format === 'csv' ? parseCsv(String(content)) : parseJson(content);
+};
+
+// ═══════════════════════════════════════════════════════════
+// IMPORT
+// ═══════════════════════════════════════════════════════════
+
+const sameValue = (stored, value, field) => {
+  if (field === 'url') {
+    return canonicalUrl(stored) === canonicalUrl(value);
+  }
+  if (Array.isArray(value)) {
+    return JSON.stringify(stored || []) === JSON.stringify(value);
+  }
+  return (stored ?? null) === (value ?? null);
+};
+
+/**
+ * Report duplicates inside the file; returns the entries to import
+ */
+const dedupe = (entries, report) => {
+  const seenUrls = new Map();
+  const seenTitles = new Map();
+
+  return entries.filter(entry => {
+    const url = canonicalUrl(entry.fields.url);
+    const title = typeof entry.fields.title === 'string' ? entry.fields.title.toLowerCase() : null;
+    const duplicateOf = (url && seenUrls.get(url)) ?? (title && seenTitles.get(title));
+
+    if (duplicateOf !== undefined && duplicateOf !== null) {
+      report.duplicates.push({ index: entry.index, title: entry.fields.title, duplicateOf });
+      return false;
+    }
+
+    if (url) seenUrls.set(url, entry.index);
+    if (title) seenTitles.set(title, entry.index);
+    return true;
+  });
+};
+
+/**
+ * Import problems into the catalog
+ *
+ * @param {Array<Object>} problems - Raw problems (parseProblems)
+ * @param {Object} options - { dryRun: report only, write nothing }
+ * @returns {Promise<Object>} Report (see top of file)
+ */
+const importProblems = async (problems, { dryRun = false } = {}) => {
+  const report = { dryRun, total: problems.length, added: [], changed: [], unchanged: 0, duplicates: [], failed: [] };
+
+  const entries = [];
+  problems.forEach((raw, index) => {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      report.failed.push({ index, title: null, error: 'Not a problem object' });
+      return;
+    }
+
+    const picked = {};
+    CSV_COLUMNS.forEach(field => {
+      if (raw[field] !== undefined) picked[field] = raw[field];
+    });
+    entries.push({ index, fields: normalizeProblem(picked) });
+  });
+
+  const unique = dedupe(entries, report);
+  const matches = await MasterProblem.findMatches(unique.map(entry => entry.fields));
+
+  const operations = [];
+
+  unique.forEach((entry, position) => {
+    const existing = matches[position];
+    const { index } = entry;
+
+    // New problems need everything required; updates only what's given
+    const candidate = new MasterProblem(existing ? { ...existing, ...entry.fields } : entry.fields);
+    const validationError = candidate.validateSync();
+    if (validationError) {
+      report.failed.push({ index, title: entry.fields.title || null, error: validationError.message });
+      return;
+    }
+
+    const document = candidate.toObject();
+    const fields = Object.fromEntries(Object.keys(entry.fields).map(field => [field, document[field]]));
+
+    if (!existing) {
+      operations.push({ index, title: document.title, kind: 'added', write: { insertOne: { document } } });
+      return;
+    }
+
+    const changedFields = Object.keys(fields).filter(field => !sameValue(existing[field], fields[field], field));
+    if (changedFields.length === 0) {
+      report.unchanged += 1;
+      return;
+    }
+
+    operations.push({
+      index,
+      title: document.title,
+      kind: 'changed',
+      fields: changedFields,
+      write: {
+        updateOne: {
+          filter: { _id: existing._id },
+          update: { $set: Object.fromEntries(changedFields.map(field => [field, fields[field]])) }
+        }
+      }
+    });
+  });
+
+  const failedIndexes = new Set();
+
+  if (!dryRun && operations.length > 0) {
+    try {
+      await MasterProblem.bulkWrite(operations.map(operation => operation.write), { ordered: false });
+    } catch (error) {
+      if (!error.writeErrors) throw error;
+
+      error.writeErrors.forEach(writeError => {
+        const { index, title } = operations[writeError.index];
+        failedIndexes.add(writeError.index);
+        report.failed.push({
+          index,
+          title,
+          error: writeError.code === 11000 ? 'A problem with this title already exists' : writeError.errmsg
+        });
+      });
+    }
+  }
+
+  operations.forEach((operation, position) => {
+    if (failedIndexes.has(position)) return;
+    const { index, title, kind, fields } = operation;
+    report[kind].push(kind === 'changed' ? { index, title, fields } : { index, title });
+  });
+
+  report.failed.sort((a, b) => a.index - b.index);
+
+  if (!dryRun) {
+    log.info('Catalog import', {
+      total: report.total,
+      added: report.added.length,
+      changed: report.changed.length,
+      unchanged: report.unchanged,
+      duplicates: report.duplicates.length,
+      failed: report.failed.length
+    });
+  }
+
+  return report;
+};
+
+// ═══════════════════════════════════════════════════════════
+// EXPORT
+// ═══════════════════════════════════════════════════════════
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = Array.isArray(value) ? value.join(LIST_SEPARATOR) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * The catalog as a file
+ *
+ * @param {string} format - csv | json
+ * @param {Object} options - { includeInactive }
+ * @returns {Promise<Object>} { filename, contentType, body, count }
+ *   (json: body is { format, version, exportedAt, problems }, importable as-is)
+ */
+const exportProblems = async (format, { includeInactive = false } = {}) => {
+  if (!FORMATS.includes(format)) {
+    throw new BadRequestError(`Unknown format "${format}" (use ${FORMATS.join(' or ')})`, 'INVALID_IMPORT_FORMAT');
+  }
+
+  const problems = await MasterProblem.find(includeInactive ? {} : { isActive: true })
+    .select(CSV_COLUMNS.join(' '))
+    .sort({ problemNumber: 1, title: 1 })
+    .lean();
+
+  const rows = problems.map(problem => Object.fromEntries(
+    CSV_COLUMNS
+      .filter(field => problem[field] !== undefined && problem[field] !== null)
+      .filter(field => !(LIST_COLUMNS.includes(field) && problem[field].length === 0))
+      .map(field => [field, problem[field]])
+  ));
+
+  const exportedAt = new Date().toISOString();
+  const filename = `blaezi-problems-${exportedAt.slice(0, 10)}.${format}`;
+
+  if (format === 'json') {
+    return {
+      filename,
+      contentType: 'application/json',
+      count: rows.length,
+      body: { format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt, problems: rows }
+    };
+  }
+
+  const lines = [
+    CSV_COLUMNS.join(','),
+    ...rows.map(row => CSV_COLUMNS.map(field => csvCell(row[field])).join(','))
+  ];
+
+  return {
+    filename,
+    contentType: 'text/csv; charset=utf-8',
+    count: rows.length,
+    body: `${lines.join('\r\n')}\r\n`
+  };
+};
+
+module.exports = {
+  FORMATS,
+  parseProblems,
+  importProblems,
+  exportProblems
+};
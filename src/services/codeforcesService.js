@@ -0,0 +1,94 @@
+/**
+ * Codeforces Service
+ *
+ * PURPOSE: Read a user's recent accepted submissions from the Codeforces
+ * API (submission sync adapter, see submissionSyncService)
+ *
+ * FEATURES:
+ * - Public API (user.status): no API key needed
+ * - Only accepted (verdict OK) submissions are returned
+ * - Configurable API URL (offline development, tests)
+ *
+ * CONFIG (.env):
+ * - CODEFORCES_API_URL: default https://codeforces.com; point it at the
+ *   platform fixture server (npm run platform:fixtures) to work offline
+ */
+
+const axios = require('axios');
+const { codeforcesProblemUrl } = require('../utils/problemUrl');
+const logger = require('../utils/logger');
+const { NotFoundError, ExternalServiceError } = require('../utils/errors');
+
+const log = logger.child({ component: 'codeforces' });
+
+const DEFAULT_API_URL = 'https://codeforces.com';
+
+/**
+ * Submissions (of any verdict) read per request
+ */
+const MAX_SUBMISSIONS = 100;
+
+/**
+ * Gym contests have ids from 100000 and their own problem pages
+ */
+const FIRST_GYM_CONTEST = 100000;
+
+const apiUrl = () => (process.env.CODEFORCES_API_URL || DEFAULT_API_URL).replace(/\/$/, '');
+
+const problemUrl = ({ contestId, index }) => {
+  if (contestId >= FIRST_GYM_CONTEST) return `https://codeforces.com/gym/${contestId}/problem/${index}`;
+  return codeforcesProblemUrl(contestId, index);
+};
+
+/**
+ * Fetch a user's recent accepted submissions
+ *
+ * @param {string} handle - Codeforces handle
+ * @param {Object} options - { limit }: how many of the latest submissions
+ *   to look at (max 100; rejected ones count too)
+ * @returns {Promise<Array>} [{ submissionId, title, url, submittedAt }], newest first
+ * @throws {NotFoundError} PLATFORM_USER_NOT_FOUND for an unknown handle
+ * @throws {ExternalServiceError} CODEFORCES_ERROR when Codeforces can't be reached / answers with an error
+ */
+const fetchAcceptedSubmissions = async (handle, { limit = MAX_SUBMISSIONS } = {}) => {
+  let data;
+
+  try {
+    ({ data } = await axios.get(`${apiUrl()}/api/user.status`, {
+      params: { handle, from: 1, count: Math.min(limit, MAX_SUBMISSIONS) },
+      timeout: 10000
+    }));
+  } catch (error) {
+    // Failures are 400 with { status: 'FAILED', comment }
+    const comment = error.response && error.response.data && error.response.data.comment;
+    if (comment && /not found/i.test(comment)) {
+      throw new NotFoundError(`Codeforces user "${handle}" not found`, 'PLATFORM_USER_NOT_FOUND');
+    }
+
+    log.warn('Codeforces request failed', { handle, message: comment || error.message });
+    throw new ExternalServiceError(`Failed to fetch Codeforces submissions: ${comment || error.message}`, 'CODEFORCES_ERROR');
+  }
+
+  if (!data || data.status !== 'OK' || !Array.isArray(data.result)) {
+    throw new ExternalServiceError(`Failed to fetch Codeforces submissions: ${(data && data.comment) || 'unexpected response'}`, 'CODEFORCES_ERROR');
+  }
+
+  const accepted = data.result.filter(submission =>
+    submission.verdict === 'OK' && submission.problem && submission.problem.contestId
+  );
+
+  log.debug('Fetched accepted submissions', { handle, count: accepted.length, read: data.result.length });
+
+  return accepted.map(submission => ({
+    submissionId: String(submission.id),
+    title: submission.problem.name,
+    url: problemUrl(submission.problem),
+    submittedAt: new Date(submission.creationTimeSeconds * 1000)
+  }));
+};
+
+module.exports = {
+  name: 'Codeforces',
+  MAX_SUBMISSIONS,
+  fetchAcceptedSubmissions
+};
@@ -0,0 +1,346 @@
+/**
+ * GitHub OAuth Service
+ *
+ * PURPOSE: "Sign in with GitHub" and linking a GitHub account to an
+ * existing user, so githubUsername / avatar come from the verified
+ * GitHub profile instead of being typed by hand
+ *
+ * FLOW:
+ * 1. GET /api/auth/github (sign in) or POST /api/auth/github/link (link,
+ *    logged in) → GitHub's authorize page, with a signed `state`
+ * 2. GitHub redirects to GET /api/auth/github/callback?code&state
+ * 3. Sign in: the code is exchanged for an access token, the profile is
+ *    fetched and the user is found / created (completeSignIn)
+ *    Link: the callback hands code + state to the frontend, which sends
+ *    them to POST /api/auth/github/link/complete as the logged-in user
+ *    (completeLink)
+ * The access token is saved like a personal access token
+ * (githubTokenService), so syncing uses it.
+ *
+ * CSRF: the state alone isn't tied to a browser, so a callback URL could
+ * be planted on someone else - signing them in to the attacker's account,
+ * or linking their GitHub to it. Sign-in also puts a nonce in a cookie
+ * (NONCE_COOKIE) that has to match the state's; linking only completes
+ * for the user who started it, checked against the Authorization header.
+ *
+ * CONFIG (.env):
+ * - GITHUB_CLIENT_ID / GITHUB_CLIENT_SECRET: OAuth app credentials
+ * - GITHUB_OAUTH_URL: Where authorize / access_token live (default
+ *   https://github.com; the fixture server in tests / offline)
+ * - GITHUB_OAUTH_REDIRECT_URI: Callback URL registered with the OAuth app
+ *   (default: <this server>/api/auth/github/callback)
+ * - GITHUB_API_URL: API calls, see githubService
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const githubService = require('./githubService');
+const githubTokenService = require('./githubTokenService');
+const encryption = require('../utils/encryption');
+const logger = require('../utils/logger');
+const {
+  AppError,
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+  ExternalServiceError
+} = require('../utils/errors');
+
+const log = logger.child({ component: 'github-oauth' });
+
+const DEFAULT_OAUTH_URL = 'https://github.com';
+const STATE_PURPOSE = 'github-oauth';
+const STATE_EXPIRES_IN = '10m';
+
+/**
+ * Cookie holding the sign-in nonce (httpOnly, SameSite=Lax so it comes
+ * back on GitHub's redirect, scoped to the OAuth routes)
+ */
+const NONCE_COOKIE = 'github_oauth_nonce';
+const NONCE_COOKIE_OPTIONS = {
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/api/auth/github',
+  maxAge: 10 * 60 * 1000
+};
+
+/**
+ * Scopes asked for: profile, verified email, and repo so private
+ * repositories sync (same as githubTokenService.REQUIRED_SCOPES)
+ */
+const SCOPES = ['read:user', 'user:email', 'repo'];
+
+const oauthUrl = () => (process.env.GITHUB_OAUTH_URL || DEFAULT_OAUTH_URL).replace(/\/$/, '');
+
+/**
+ * Whether an OAuth app is configured
+ */
+const isConfigured = () => Boolean(process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET);
+
+const assertConfigured = () => {
+  if (!isConfigured()) {
+    throw new AppError('GitHub sign-in is not configured on this server', {
+      statusCode: 503,
+      code: 'GITHUB_OAUTH_NOT_CONFIGURED'
+    });
+  }
+};
+
+/**
+ * Callback URL: GITHUB_OAUTH_REDIRECT_URI, or this server's callback route
+ */
+const redirectUri = (req) => {
+  return process.env.GITHUB_OAUTH_REDIRECT_URI || `${req.protocol}://${req.get('host')}/api/auth/github/callback`;
+};
+
+/**
+ * GitHub authorize URL to send the browser to
+ *
+ * @param {Object} req - Express request (for the default callback URL)
+ * @param {Object} options - { userId }: link GitHub to this user instead of signing in
+ * @returns {Object} { url, nonce } - sign-in: set nonce as NONCE_COOKIE
+ */
+const getAuthorizeUrl = (req, { userId = null } = {}) => {
+  assertConfigured();
+
+  // Signed, short-lived and single-purpose, so a state can't be forged
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const state = jwt.sign(
+    { purpose: STATE_PURPOSE, userId: userId || undefined, nonce },
+    process.env.JWT_SECRET,
+    { expiresIn: STATE_EXPIRES_IN }
+  );
+
+  const params = new URLSearchParams({
+    client_id: process.env.GITHUB_CLIENT_ID,
+    redirect_uri: redirectUri(req),
+    scope: SCOPES.join(' '),
+    state,
+    allow_signup: 'true'
+  });
+
+  return { url: `${oauthUrl()}/login/oauth/authorize?${params}`, nonce };
+};
+
+const invalidState = () => new BadRequestError('GitHub sign-in expired or is invalid, please try again', 'OAUTH_STATE_INVALID');
+
+/**
+ * Verify the state from the callback
+ *
+ * @returns {Object} { userId, nonce } (userId set when linking)
+ */
+const verifyState = (state) => {
+  try {
+    const payload = jwt.verify(state, process.env.JWT_SECRET);
+    if (payload.purpose !== STATE_PURPOSE) throw new Error('Wrong purpose');
+    return { userId: payload.userId || null, nonce: payload.nonce || '' };
+  } catch (error) {
+    throw invalidState();
+  }
+};
+
+/**
+ * Whether a callback's state is for linking (finished by completeLink)
+ *
+ * @throws {BadRequestError} OAUTH_STATE_INVALID
+ */
+const isLinkState = (state) => Boolean(verifyState(state).userId);
+
+const sameNonce = (a, b) => {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length > 0 && left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Exchange the callback code for an access token
+ *
+ * @returns {Promise<string>} Access token
+ */
+const exchangeCode = async (req, code) => {
+  let data;
+  try {
+    ({ data } = await axios.post(`${oauthUrl()}/login/oauth/access_token`, {
+      client_id: process.env.GITHUB_CLIENT_ID,
+      client_secret: process.env.GITHUB_CLIENT_SECRET,
+      code,
+      redirect_uri: redirectUri(req)
+    }, {
+      headers: { Accept: 'application/json' },
+      timeout: 10000
+    }));
+  } catch (error) {
+    log.warn('Code exchange failed', { status: error.response && error.response.status, message: error.message });
+    throw new ExternalServiceError('Could not reach GitHub to finish signing in', 'GITHUB_ERROR');
+  }
+
+  // GitHub answers 200 with { error } for bad / expired codes
+  if (!data || !data.access_token) {
+    log.warn('Code exchange rejected', { error: data && data.error });
+    throw new BadRequestError('GitHub sign-in code is invalid or expired, please try again', 'OAUTH_CODE_INVALID');
+  }
+
+  return data.access_token;
+};
+
+/**
+ * Copy the verified GitHub identity (and the token, for syncing) onto a user
+ */
+const applyGitHubProfile = (user, profile, token) => {
+  user.githubId = profile.id;
+  user.githubUsername = profile.login;
+  if (profile.avatarUrl) user.avatar = profile.avatarUrl;
+
+  if (encryption.isConfigured()) {
+    githubTokenService.setToken(user, token, profile);
+  } else {
+    log.warn('ENCRYPTION_KEY not set, GitHub token not saved', { userId: user._id });
+  }
+};
+
+/**
+ * Find (or create) the user signing in with this GitHub profile
+ *
+ * 1. A user already linked to the GitHub id
+ * 2. A user with the same verified email (their email must be verified
+ *    here too - otherwise someone could pre-register a victim's email)
+ * 3. A new user (email verified by GitHub, no password)
+ */
+const findOrCreateUser = async (profile, token) => {
+  const linked = await User.findOne({ githubId: profile.id });
+  if (linked) return { user: linked, created: false };
+
+  const email = await githubService.fetchVerifiedEmail(token);
+  if (!email) {
+    throw new BadRequestError('Your GitHub account has no verified primary email', 'GITHUB_EMAIL_REQUIRED');
+  }
+
+  const existing = await User.findOne({ email });
+  if (existing) {
+    if (!existing.emailVerified) {
+      throw new ConflictError(
+        'An account with this email already exists. Log in with your password and link GitHub from your settings.',
+        'EMAIL_TAKEN'
+      );
+    }
+    return { user: existing, created: false };
+  }
+
+  const user = new User({
+    name: profile.name || profile.login,
+    email,
+    emailVerified: true,
+    emailVerifiedAt: new Date()
+  });
+  return { user, created: true };
+};
+
+/**
+ * Finish signing in (callback)
+ *
+ * @param {Object} req - Express request
+ * @param {Object} query - { code, state } from GitHub
+ * @param {string} cookieNonce - NONCE_COOKIE sent with the callback
+ * @returns {Promise<Object>} { user, mode: 'signed-in' | 'created' }
+ * @throws {BadRequestError} OAUTH_STATE_INVALID when the sign-in wasn't started in this browser
+ */
+const completeSignIn = async (req, { code, state }, cookieNonce) => {
+  assertConfigured();
+
+  const { userId, nonce } = verifyState(state);
+  if (userId || !sameNonce(nonce, cookieNonce)) {
+    log.warn('GitHub sign-in callback without a matching nonce cookie', { hasCookie: Boolean(cookieNonce) });
+    throw invalidState();
+  }
+
+  const token = await exchangeCode(req, code);
+  const profile = await githubService.fetchTokenInfo(token);
+
+  const { user, created } = await findOrCreateUser(profile, token);
+  const mode = created ? 'created' : 'signed-in';
+
+  applyGitHubProfile(user, profile, token);
+  await user.save();
+
+  log.info('GitHub OAuth completed', { userId: user._id, login: profile.login, mode });
+
+  return { user, mode };
+};
+
+/**
+ * Finish linking GitHub to the logged-in user
+ *
+ * @param {Object} req - Express request
+ * @param {string} userId - The logged-in user
+ * @param {Object} body - { code, state } the callback handed to the frontend
+ * @returns {Promise<Object>} The user
+ * @throws {BadRequestError} OAUTH_STATE_INVALID when another user started the link
+ */
+const completeLink = async (req, userId, { code, state }) => {
+  assertConfigured();
+
+  const { userId: linkingUserId } = verifyState(state);
+  if (linkingUserId !== String(userId)) {
+    log.warn('GitHub link completed by a different user', { userId: String(userId) });
+    throw invalidState();
+  }
+
+  const token = await exchangeCode(req, code);
+  const profile = await githubService.fetchTokenInfo(token);
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const other = await User.exists({ githubId: profile.id, _id: { $ne: user._id } });
+  if (other) {
+    throw new ConflictError('This GitHub account is already linked to another user', 'GITHUB_ACCOUNT_IN_USE');
+  }
+
+  applyGitHubProfile(user, profile, token);
+  await user.save();
+
+  log.info('GitHub OAuth completed', { userId: user._id, login: profile.login, mode: 'linked' });
+
+  return user;
+};
+
+/**
+ * Remove the GitHub link (and saved token) from a user
+ *
+ * Refused when GitHub is the only way to log in (no password yet).
+ *
+ * @param {string} userId - User ID
+ */
+const unlink = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+  if (!user.password) {
+    throw new BadRequestError(
+      'Set a password (forgot password) before unlinking GitHub, or you won\'t be able to log in',
+      'PASSWORD_REQUIRED'
+    );
+  }
+
+  user.githubId = undefined;
+  user.githubToken = undefined;
+  await user.save();
+};
+
+module.exports = {
+  SCOPES,
+  NONCE_COOKIE,
+  NONCE_COOKIE_OPTIONS,
+  isConfigured,
+  getAuthorizeUrl,
+  isLinkState,
+  completeSignIn,
+  completeLink,
+  unlink
+};
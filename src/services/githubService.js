@@ -7,50 +7,122 @@
  * - Fetch user repositories
  * - Get repository details
  * - Filter by language, stars, etc.
+ * - Configurable API URL + injectable client (offline development, tests)
+ * - Personal access tokens: token check + scopes, private repositories
+ * - Rate limit (X-RateLimit-* headers) reported with repository lists
+ * - Conditional requests (ETag / Last-Modified for repository lists,
+ *   ETag for repository details, languages, commits and README)
  */
 
 const { Octokit } = require('@octokit/rest');
 const axios = require('axios');
+const logger = require('../utils/logger');
+const { NotFoundError, BadRequestError, ExternalServiceError } = require('../utils/errors');
+
+const log = logger.child({ component: 'github' });
+
+const DEFAULT_API_URL = 'https://api.github.com';
+
+// Octokit logs failed requests itself - send those through our logger
+// (a 304 answering a conditional request isn't a failure)
+const octokitLog = {
+  debug: (message) => log.debug(message),
+  info: (message) => log.debug(message),
+  warn: (message) => log.warn(message),
+  error: (message) => (/ - 304 /.test(message) ? log.debug(message) : log.error(message))
+};
+
+/**
+ * Default client: Octokit against GITHUB_API_URL
+ *
+ * GITHUB_API_URL defaults to https://api.github.com. Point it at the
+ * fixture server (npm run github:fixtures) to work without the network.
+ */
+const createOctokitClient = (token = null) => {
+  return new Octokit({
+    auth: token || undefined,  // Without token: public API, limited rate
+    baseUrl: (process.env.GITHUB_API_URL || DEFAULT_API_URL).replace(/\/$/, ''),
+    log: octokitLog
+  });
+};
+
+let clientFactory = createOctokitClient;
 
 /**
  * Create GitHub client (with or without authentication)
+ *
+ * A client is anything with the Octokit methods this service calls, each
+ * resolving to { data, headers } or rejecting with an error that has a
+ * .status (304 for a conditional request that matched):
+ * - repos.listForUser, repos.listForAuthenticatedUser, repos.get, repos.listLanguages,
+ *   repos.listCommits, repos.getReadme
+ * - users.getByUsername, users.getAuthenticated, users.listEmailsForAuthenticatedUser
+ * - rateLimit.get
  */
-const createGitHubClient = (token = null) => {
-  if (token) {
-    return new Octokit({ auth: token });
-  }
-  // Without token (public API, limited rate)
-  return new Octokit();
+const createGitHubClient = (token = null) => clientFactory(token);
+
+/**
+ * Octokit request options asking "only if changed since this ETag"
+ */
+const ifNoneMatch = (etag) => (etag ? { headers: { 'if-none-match': etag } } : {});
+
+/**
+ * Replace how clients are created (e.g. a fake client in tests)
+ *
+ * @param {Function|null} factory - (token) => client; null restores Octokit
+ */
+const setClientFactory = (factory) => {
+  clientFactory = factory || createOctokitClient;
+};
+
+/**
+ * Read GitHub's X-RateLimit-* response headers
+ *
+ * @param {Object} headers - Response headers (may be missing on network errors)
+ * @returns {Object|null} { limit, remaining, resetAt } or null without the headers
+ */
+const parseRateLimit = (headers = {}) => {
+  if (!headers || headers['x-ratelimit-remaining'] === undefined) return null;
+
+  return {
+    limit: parseInt(headers['x-ratelimit-limit']),
+    remaining: parseInt(headers['x-ratelimit-remaining']),
+    resetAt: new Date(parseInt(headers['x-ratelimit-reset']) * 1000)
+  };
 };
 
 /**
  * Fetch all repositories for a GitHub user
  * 
+ * Pass the etag / lastModified of an earlier response to make a
+ * conditional request: if nothing changed GitHub answers 304 (free of
+ * rate limit with a token) and this returns { notModified: true } without data.
+ * 
  * @param {string} username - GitHub username
  * @param {string} token - Optional GitHub personal access token for higher rate limits
- * @returns {Promise<Array>} List of repositories
+ * @param {Object} options - { includePrivate }: token belongs to `username`,
+ *   list their private repositories too (needs the repo scope);
+ *   { etag, lastModified }: from an earlier response
+ * @returns {Promise<Object>} { data: repositories, count, username, rateLimit,
+ *   etag, lastModified, complete } - complete: false when there are more than
+ *   one page (100) of repositories
+ *   or { notModified: true, username, rateLimit }
+ *   Errors carry .rateLimit too (see parseRateLimit)
  */
-const fetchUserRepositories = async (username, token = null) => {
+const fetchUserRepositories = async (username, token = null, { includePrivate = false, etag = null, lastModified = null } = {}) => {
   try {
     const octokit = createGitHubClient(token);
     
-    console.log('🔍 Fetching repos from GitHub for user:', username);
-    
-    // Fetch all repos for the user
-    const { data: repos } = await octokit.repos.listForUser({
-      username,
-      per_page: 100,
-      sort: 'updated',
-      direction: 'desc'
-    });
+    // Fetch all repos for the user (/users/:username/repos is public only)
+    const listOptions = { per_page: 100, sort: 'updated', direction: 'desc', headers: {} };
+    if (etag) listOptions.headers['if-none-match'] = etag;
+    if (lastModified) listOptions.headers['if-modified-since'] = lastModified;
 
-    console.log(`✓ GitHub API returned ${repos.length} repositories`);
-    console.log('First 3 repos:', repos.slice(0, 3).map(r => ({
-      name: r.name,
-      owner: r.owner.login,
-      fullName: r.full_name,
-      url: r.html_url
-    })));
+    const { data: repos, headers = {} } = includePrivate && token
+      ? await octokit.repos.listForAuthenticatedUser({ ...listOptions, affiliation: 'owner', visibility: 'all' })
+      : await octokit.repos.listForUser({ ...listOptions, username });
+
+    log.debug('Fetched repositories', { username, count: repos.length });
 
     // Transform to our format
     const transformedRepos = repos.map(repo => ({
@@ -84,20 +156,41 @@ const fetchUserRepositories = async (username, token = null) => {
       success: true,
       data: transformedRepos,
       count: transformedRepos.length,
-      username
+      username,
+      rateLimit: parseRateLimit(headers),
+      etag: headers.etag || null,
+      lastModified: headers['last-modified'] || null,
+      complete: repos.length < listOptions.per_page
     };
 
   } catch (error) {
-    console.error('Error fetching GitHub repos:', error.message);
+    // Octokit rejects 304 Not Modified like an error
+    if (error.status === 304) {
+      log.debug('Repositories not modified', { username });
+      return {
+        success: true,
+        notModified: true,
+        username,
+        rateLimit: parseRateLimit(error.response && error.response.headers)
+      };
+    }
+
+    log.warn('Fetching repositories failed', { username, status: error.status, message: error.message });
     
-    // Handle specific errors
-    if (error.status === 404) {
-      throw new Error(`GitHub user "${username}" not found`);
+    // Handle specific errors (401 with a token: it was revoked / expired)
+    let appError;
+    if (error.status === 401 && token) {
+      appError = new BadRequestError('GitHub rejected your saved token. Save a new one or remove it.', 'GITHUB_TOKEN_INVALID');
+    } else if (error.status === 404) {
+      appError = new NotFoundError(`GitHub user "${username}" not found`, 'GITHUB_USER_NOT_FOUND');
     } else if (error.status === 403) {
-      throw new Error('GitHub API rate limit exceeded. Please provide a GitHub token.');
+      appError = new ExternalServiceError('GitHub API rate limit exceeded. Please provide a GitHub token.', 'GITHUB_RATE_LIMITED');
     } else {
-      throw new Error(`Failed to fetch repositories: ${error.message}`);
+      appError = new ExternalServiceError(`Failed to fetch repositories: ${error.message}`, 'GITHUB_ERROR');
     }
+
+    appError.rateLimit = parseRateLimit(error.response && error.response.headers);
+    throw appError;
   }
 };
 
@@ -107,19 +200,23 @@ const fetchUserRepositories = async (username, token = null) => {
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {string} token - Optional GitHub token
- * @returns {Promise<Object>} Repository details
+ * @param {Object} options - { etag }: of an earlier response, asks only if changed
+ * @returns {Promise<Object>} { success, data, etag } or { success, notModified: true }
+ * @throws {NotFoundError} GITHUB_REPO_NOT_FOUND, {ExternalServiceError} GITHUB_RATE_LIMITED / GITHUB_ERROR
  */
-const fetchRepositoryDetails = async (owner, repo, token = null) => {
+const fetchRepositoryDetails = async (owner, repo, token = null, { etag = null } = {}) => {
   try {
     const octokit = createGitHubClient(token);
     
-    const { data } = await octokit.repos.get({
+    const { data, headers = {} } = await octokit.repos.get({
       owner,
-      repo
+      repo,
+      ...ifNoneMatch(etag)
     });
 
     return {
       success: true,
+      etag: headers.etag || null,
       data: {
         githubId: data.id,
         name: data.name,
@@ -148,8 +245,19 @@ const fetchRepositoryDetails = async (owner, repo, token = null) => {
     };
 
   } catch (error) {
-    console.error('Error fetching repo details:', error.message);
-    throw new Error(`Failed to fetch repository details: ${error.message}`);
+    if (error.status === 304) {
+      return { success: true, notModified: true };
+    }
+
+    log.warn('Fetching repository details failed', { owner, repo, status: error.status, message: error.message });
+
+    if (error.status === 404) {
+      throw new NotFoundError(`GitHub repository "${owner}/${repo}" not found`, 'GITHUB_REPO_NOT_FOUND');
+    }
+    if (error.status === 403) {
+      throw new ExternalServiceError('GitHub API rate limit exceeded. Please provide a GitHub token.', 'GITHUB_RATE_LIMITED');
+    }
+    throw new ExternalServiceError(`Failed to fetch repository details: ${error.message}`, 'GITHUB_ERROR');
   }
 };
 
@@ -159,15 +267,18 @@ const fetchRepositoryDetails = async (owner, repo, token = null) => {
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {string} token - Optional GitHub token
- * @returns {Promise<Object>} Languages used in the repository
+ * @param {Object} options - { etag }: of an earlier response, asks only if changed
+ * @returns {Promise<Object>} Languages used in the repository (+ etag),
+ *   or { success, notModified: true }
  */
-const fetchRepositoryLanguages = async (owner, repo, token = null) => {
+const fetchRepositoryLanguages = async (owner, repo, token = null, { etag = null } = {}) => {
   try {
     const octokit = createGitHubClient(token);
     
-    const { data } = await octokit.repos.listLanguages({
+    const { data, headers = {} } = await octokit.repos.listLanguages({
       owner,
-      repo
+      repo,
+      ...ifNoneMatch(etag)
     });
 
     // Calculate total bytes
@@ -186,11 +297,16 @@ const fetchRepositoryLanguages = async (owner, repo, token = null) => {
     return {
       success: true,
       data: languages,
-      primaryLanguage: languages[0]?.language || 'Unknown'
+      primaryLanguage: languages[0]?.language || 'Unknown',
+      etag: headers.etag || null
     };
 
   } catch (error) {
-    console.error('Error fetching repo languages:', error.message);
+    if (error.status === 304) {
+      return { success: true, notModified: true };
+    }
+
+    log.warn('Fetching repository languages failed', { owner, repo, status: error.status, message: error.message });
     return {
       success: false,
       data: [],
@@ -206,16 +322,18 @@ const fetchRepositoryLanguages = async (owner, repo, token = null) => {
  * @param {string} repo - Repository name
  * @param {number} limit - Number of commits to fetch (default: 10)
  * @param {string} token - Optional GitHub token
- * @returns {Promise<Array>} Recent commits
+ * @param {Object} options - { etag }: of an earlier response, asks only if changed
+ * @returns {Promise<Object>} Recent commits (+ etag), or { success, notModified: true }
  */
-const fetchRepositoryCommits = async (owner, repo, limit = 10, token = null) => {
+const fetchRepositoryCommits = async (owner, repo, limit = 10, token = null, { etag = null } = {}) => {
   try {
     const octokit = createGitHubClient(token);
     
-    const { data } = await octokit.repos.listCommits({
+    const { data, headers = {} } = await octokit.repos.listCommits({
       owner,
       repo,
-      per_page: limit
+      per_page: limit,
+      ...ifNoneMatch(etag)
     });
 
     const commits = data.map(commit => ({
@@ -229,11 +347,16 @@ const fetchRepositoryCommits = async (owner, repo, limit = 10, token = null) =>
     return {
       success: true,
       data: commits,
-      count: commits.length
+      count: commits.length,
+      etag: headers.etag || null
     };
 
   } catch (error) {
-    console.error('Error fetching commits:', error.message);
+    if (error.status === 304) {
+      return { success: true, notModified: true };
+    }
+
+    log.warn('Fetching commits failed', { owner, repo, status: error.status, message: error.message });
     return {
       success: false,
       data: [],
@@ -248,15 +371,18 @@ const fetchRepositoryCommits = async (owner, repo, limit = 10, token = null) =>
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {string} token - Optional GitHub token
- * @returns {Promise<Object>} README content
+ * @param {Object} options - { etag }: of an earlier response, asks only if changed
+ * @returns {Promise<Object>} README content (+ etag), or { success, notModified: true };
+ *   a repository without one: { success: false, missing: true }
  */
-const fetchRepositoryReadme = async (owner, repo, token = null) => {
+const fetchRepositoryReadme = async (owner, repo, token = null, { etag = null } = {}) => {
   try {
     const octokit = createGitHubClient(token);
     
-    const { data } = await octokit.repos.getReadme({
+    const { data, headers = {} } = await octokit.repos.getReadme({
       owner,
-      repo
+      repo,
+      ...ifNoneMatch(etag)
     });
 
     // Decode base64 content
@@ -266,65 +392,80 @@ const fetchRepositoryReadme = async (owner, repo, token = null) => {
       success: true,
       content,
       downloadUrl: data.download_url,
-      htmlUrl: data.html_url
+      htmlUrl: data.html_url,
+      etag: headers.etag || null
     };
 
   } catch (error) {
-    console.error('Error fetching README:', error.message);
+    if (error.status === 304) {
+      return { success: true, notModified: true };
+    }
+
+    log.warn('Fetching README failed', { owner, repo, status: error.status, message: error.message });
     return {
       success: false,
       content: '',
-      message: 'README not found'
+      missing: error.status === 404,
+      message: error.status === 404 ? 'README not found' : `Failed to fetch README: ${error.message}`
     };
   }
 };
 
 /**
- * Search repositories by username and filters
+ * Apply search filters to repositories from fetchUserRepositories
  * 
- * @param {string} username - GitHub username
- * @param {Object} filters - Filter options (language, stars, etc.)
- * @param {string} token - Optional GitHub token
- * @returns {Promise<Array>} Filtered repositories
+ * @param {Array} repos - Repositories (our format)
+ * @param {Object} filters - { language, minStars, excludeForks, onlyPublic, excludeArchived }
+ * @returns {Array} Repositories matching every filter
  */
-const searchUserRepositories = async (username, filters = {}, token = null) => {
-  try {
-    const result = await fetchUserRepositories(username, token);
-    let repos = result.data;
-
-    // Apply filters
-    if (filters.language) {
-      repos = repos.filter(repo => 
-        repo.language && repo.language.toLowerCase() === filters.language.toLowerCase()
-      );
-    }
-
-    if (filters.minStars) {
-      repos = repos.filter(repo => repo.stars >= filters.minStars);
-    }
+const filterRepositories = (repos, filters = {}) => {
+  let filtered = repos;
 
-    if (filters.excludeForks) {
-      repos = repos.filter(repo => !repo.isFork);
-    }
+  if (filters.language) {
+    filtered = filtered.filter(repo => 
+      repo.language && repo.language.toLowerCase() === filters.language.toLowerCase()
+    );
+  }
 
-    if (filters.onlyPublic) {
-      repos = repos.filter(repo => !repo.isPrivate);
-    }
+  if (filters.minStars) {
+    filtered = filtered.filter(repo => repo.stars >= filters.minStars);
+  }
 
-    if (filters.excludeArchived) {
-      repos = repos.filter(repo => !repo.archived);
-    }
+  if (filters.excludeForks) {
+    filtered = filtered.filter(repo => !repo.isFork);
+  }
 
-    return {
-      success: true,
-      data: repos,
-      count: repos.length,
-      username
-    };
+  if (filters.onlyPublic) {
+    filtered = filtered.filter(repo => !repo.isPrivate);
+  }
 
-  } catch (error) {
-    throw error;
+  if (filters.excludeArchived) {
+    filtered = filtered.filter(repo => !repo.archived);
   }
+
+  return filtered;
+};
+
+/**
+ * Search repositories by username and filters
+ * 
+ * @param {string} username - GitHub username
+ * @param {Object} filters - Filter options (language, stars, etc.)
+ * @param {string} token - Optional GitHub token
+ * @param {Object} options - Passed to fetchUserRepositories ({ includePrivate })
+ * @returns {Promise<Array>} Filtered repositories
+ */
+const searchUserRepositories = async (username, filters = {}, token = null, options = {}) => {
+  const result = await fetchUserRepositories(username, token, options);
+  const repos = filterRepositories(result.data, filters);
+
+  return {
+    success: true,
+    data: repos,
+    count: repos.length,
+    username,
+    rateLimit: result.rateLimit
+  };
 };
 
 /**
@@ -378,18 +519,106 @@ const fetchUserProfile = async (username, token = null) => {
     };
 
   } catch (error) {
-    console.error('Error fetching user profile:', error.message);
-    throw new Error(`Failed to fetch user profile: ${error.message}`);
+    log.warn('Fetching user profile failed', { username, status: error.status, message: error.message });
+    throw new ExternalServiceError(`Failed to fetch user profile: ${error.message}`, 'GITHUB_ERROR');
   }
 };
 
+/**
+ * Look up who a personal access token belongs to and what it may do
+ *
+ * Classic tokens list their scopes in the X-OAuth-Scopes response header;
+ * fine-grained tokens send none, so they come back with scopes = [].
+ *
+ * @param {string} token - GitHub personal access / OAuth token
+ * @returns {Promise<Object>} { id, login, name, avatarUrl, scopes }
+ * @throws {BadRequestError} GITHUB_TOKEN_INVALID when GitHub rejects the token
+ */
+const fetchTokenInfo = async (token) => {
+  try {
+    const octokit = createGitHubClient(token);
+
+    const { data, headers } = await octokit.users.getAuthenticated();
+
+    const scopes = (headers['x-oauth-scopes'] || '')
+      .split(',')
+      .map(scope => scope.trim())
+      .filter(Boolean);
+
+    return {
+      id: data.id,
+      login: data.login,
+      name: data.name,
+      avatarUrl: data.avatar_url,
+      scopes
+    };
+
+  } catch (error) {
+    if (error.status === 401) {
+      throw new BadRequestError('GitHub rejected the token (bad credentials)', 'GITHUB_TOKEN_INVALID');
+    }
+    log.warn('Checking token failed', { status: error.status, message: error.message });
+    throw new ExternalServiceError(`Failed to check GitHub token: ${error.message}`, 'GITHUB_ERROR');
+  }
+};
+
+/**
+ * Primary verified email of a token's owner (needs the user:email scope)
+ *
+ * @param {string} token - GitHub OAuth token
+ * @returns {Promise<string|null>} Email, or null if there's no verified primary email
+ */
+const fetchVerifiedEmail = async (token) => {
+  try {
+    const octokit = createGitHubClient(token);
+
+    const { data } = await octokit.users.listEmailsForAuthenticatedUser({ per_page: 100 });
+
+    const primary = data.find(item => item.primary && item.verified);
+    return primary ? primary.email.toLowerCase() : null;
+
+  } catch (error) {
+    log.warn('Fetching emails failed', { status: error.status, message: error.message });
+    throw new ExternalServiceError(`Failed to fetch GitHub emails: ${error.message}`, 'GITHUB_ERROR');
+  }
+};
+
+/**
+ * Check that the GitHub API is reachable (used by /health/ready)
+ *
+ * The rate_limit endpoint doesn't count against the quota.
+ *
+ * @param {number} timeoutMs - Give up after this long
+ * @returns {Promise<Object>} { limit, remaining, resetAt }
+ */
+const fetchRateLimit = async (timeoutMs = 5000, token = null) => {
+  const octokit = createGitHubClient(token);
+
+  const { data } = await octokit.rateLimit.get({
+    request: { signal: AbortSignal.timeout(timeoutMs) }
+  });
+
+  return {
+    limit: data.resources.core.limit,
+    remaining: data.resources.core.remaining,
+    resetAt: new Date(data.resources.core.reset * 1000)
+  };
+};
+
 module.exports = {
+  createGitHubClient,
+  setClientFactory,
+  parseRateLimit,
   fetchUserRepositories,
+  filterRepositories,
   fetchRepositoryDetails,
   fetchRepositoryLanguages,
   fetchRepositoryCommits,
   fetchRepositoryReadme,
   searchUserRepositories,
   validateGitHubUsername,
-  fetchUserProfile
+  fetchUserProfile,
+  fetchTokenInfo,
+  fetchVerifiedEmail,
+  fetchRateLimit
 };
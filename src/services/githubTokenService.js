@@ -0,0 +1,177 @@
+/**
+ * GitHub Token Service
+ *
+ * PURPOSE: Store a user's GitHub personal access token and hand it to
+ * githubService for that user's GitHub calls
+ *
+ * Why: without a token only public repositories sync and every user
+ * shares our 60 requests/hour; with one, GitHub allows 5000/hour per
+ * token and the token owner's private repositories can sync.
+ *
+ * FEATURES:
+ * - Token checked against GitHub and its scopes validated before saving
+ * - Encrypted at rest (utils/encryption.js), never returned by the API
+ * - Status (login, scopes, savedAt) without the token itself
+ */
+
+const User = require('../models/User');
+const githubService = require('./githubService');
+const encryption = require('../utils/encryption');
+const logger = require('../utils/logger');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+
+const log = logger.child({ component: 'github-token' });
+
+/**
+ * Scopes a token must have (classic tokens; repo = read private repositories)
+ */
+const REQUIRED_SCOPES = ['repo'];
+
+/**
+ * Token status safe to return to the client
+ *
+ * @param {Object} user - User document
+ * @returns {Object} { saved, login, scopes, savedAt }
+ */
+const toStatus = (user) => {
+  const githubToken = user.githubToken || {};
+
+  return {
+    saved: Boolean(githubToken.savedAt),
+    login: githubToken.login || null,
+    scopes: githubToken.scopes || [],
+    savedAt: githubToken.savedAt || null
+  };
+};
+
+/**
+ * Put an already validated token on a user document (caller saves it)
+ *
+ * @param {Object} user - User document
+ * @param {string} token - GitHub token
+ * @param {Object} info - { login, scopes } from githubService.fetchTokenInfo
+ */
+const setToken = (user, token, { login, scopes }) => {
+  user.githubToken = { encrypted: encryption.encrypt(token), login, scopes, savedAt: new Date() };
+};
+
+/**
+ * Validate and save a token for a user (replaces any saved token)
+ *
+ * Also sets the user's githubUsername to the token's owner if it's empty.
+ *
+ * @param {string} userId - User ID
+ * @param {string} token - GitHub personal access token
+ * @returns {Promise<Object>} Token status (see toStatus)
+ * @throws {BadRequestError} GITHUB_TOKEN_INVALID / GITHUB_TOKEN_SCOPES
+ */
+const saveToken = async (userId, token) => {
+  // Fail with 503 before anything reaches GitHub if there's no key
+  encryption.assertConfigured();
+
+  const { login, scopes } = await githubService.fetchTokenInfo(token);
+
+  const missing = REQUIRED_SCOPES.filter(scope => !scopes.includes(scope));
+  if (missing.length > 0) {
+    throw new BadRequestError(
+      `GitHub token is missing required scopes: ${missing.join(', ')}. Create a classic token with these scopes.`,
+      'GITHUB_TOKEN_SCOPES',
+      { required: REQUIRED_SCOPES, granted: scopes }
+    );
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  setToken(user, token, { login, scopes });
+  if (!user.githubUsername) user.githubUsername = login;
+  await user.save();
+
+  log.info('GitHub token saved', { userId, login, scopes });
+
+  return toStatus(user);
+};
+
+/**
+ * Remove a user's saved token
+ *
+ * @param {string} userId - User ID
+ */
+const removeToken = async (userId) => {
+  await User.updateOne({ _id: userId }, { $unset: { githubToken: 1 } });
+};
+
+/**
+ * Get the token status for a user
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Token status (see toStatus)
+ */
+const getStatus = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+  return toStatus(user);
+};
+
+/**
+ * Decrypted token for a user's GitHub calls
+ *
+ * A token that can't be decrypted (ENCRYPTION_KEY changed or missing) is
+ * treated as not saved - the call falls back to the public API.
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} { token, login } or null
+ */
+const getCredentials = async (userId) => {
+  const user = await User.findById(userId).select('+githubToken.encrypted');
+  const githubToken = user && user.githubToken;
+
+  if (!githubToken || !githubToken.encrypted) return null;
+
+  try {
+    return { token: encryption.decrypt(githubToken.encrypted), login: githubToken.login };
+  } catch (error) {
+    log.warn('Saved GitHub token could not be decrypted', { userId, message: error.message });
+    return null;
+  }
+};
+
+/**
+ * githubService arguments for a user's call about `username`
+ *
+ * The token always raises the rate limit; private repositories are only
+ * included when the token belongs to that GitHub user.
+ *
+ * @param {string} userId - User ID
+ * @param {string} username - GitHub username the call is about
+ * @returns {Promise<Object>} { token, options: { includePrivate } }
+ */
+const getRequestAuth = async (userId, username) => {
+  const credentials = await getCredentials(userId);
+
+  if (!credentials) {
+    return { token: null, options: {} };
+  }
+
+  return {
+    token: credentials.token,
+    options: {
+      includePrivate: Boolean(credentials.login) && credentials.login.toLowerCase() === username.toLowerCase()
+    }
+  };
+};
+
+module.exports = {
+  REQUIRED_SCOPES,
+  toStatus,
+  setToken,
+  saveToken,
+  removeToken,
+  getStatus,
+  getCredentials,
+  getRequestAuth
+};
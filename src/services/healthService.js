@@ -0,0 +1,144 @@
+/**
+ * Health Service
+ *
+ * PURPOSE: Answer "is this instance alive / ready for traffic?"
+ *
+ * - Liveness:  the process is running (no dependencies checked)
+ * - Readiness: MongoDB is connected and the server isn't shutting down
+ *
+ * GitHub reachability is reported too, but only as information: a GitHub
+ * outage degrades project sync, it doesn't make the API unready. Probes
+ * never wait for GitHub: they get the last check, and a check older than
+ * GITHUB_HEALTH_TTL_MS (default 60s) is redone in the background.
+ */
+
+const mongoose = require('mongoose');
+const githubService = require('./githubService');
+const { name, version } = require('../../package.json');
+
+const GITHUB_HEALTH_TTL_MS = parseInt(process.env.GITHUB_HEALTH_TTL_MS) || 60 * 1000;
+const DB_PING_TIMEOUT_MS = 2000;
+
+const startedAt = new Date();
+let shuttingDown = false;
+
+let githubCache = null;      // { status, checkedAt, ... }
+let githubCheck = null;      // in-flight check, shared by concurrent probes
+
+/**
+ * Mark the instance as shutting down → readiness fails from now on
+ * (false undoes it, for tests)
+ */
+const setShuttingDown = (value = true) => {
+  shuttingDown = value;
+};
+
+const isShuttingDown = () => shuttingDown;
+
+/**
+ * Build info (name, version, commit, uptime)
+ */
+const getBuildInfo = () => ({
+  name,
+  version,
+  commit: process.env.GIT_COMMIT || null,
+  node: process.version,
+  environment: process.env.NODE_ENV || 'development',
+  startedAt,
+  uptimeSeconds: Math.round(process.uptime())
+});
+
+/**
+ * MongoDB connection state + round-trip ping
+ */
+const getDatabaseStatus = async () => {
+  const state = mongoose.STATES[mongoose.connection.readyState];
+
+  if (state !== 'connected') {
+    return { status: 'down', state };
+  }
+
+  const started = Date.now();
+  try {
+    await Promise.race([
+      mongoose.connection.db.admin().ping(),
+      new Promise((resolve, reject) => setTimeout(() => reject(new Error('Ping timed out')), DB_PING_TIMEOUT_MS).unref())
+    ]);
+    return { status: 'up', state, latencyMs: Date.now() - started };
+  } catch (error) {
+    return { status: 'down', state, error: error.message };
+  }
+};
+
+/**
+ * Check GitHub now (one check at a time, shared by concurrent callers)
+ *
+ * @returns {Promise<Object>} { status, rateLimit | error, checkedAt }
+ */
+const refreshGitHubStatus = () => {
+  if (!githubCheck) {
+    githubCheck = githubService.fetchRateLimit()
+      .then(rateLimit => ({
+        status: rateLimit.remaining > 0 ? 'up' : 'rate-limited',
+        rateLimit
+      }))
+      .catch(error => ({ status: 'down', error: error.message }))
+      .then(result => {
+        githubCache = { ...result, checkedAt: new Date() };
+        githubCheck = null;
+        return githubCache;
+      });
+  }
+
+  return githubCheck;
+};
+
+/**
+ * GitHub API reachability from the last check, without waiting
+ *
+ * A missing or expired check is started in the background; until the
+ * first one finishes the status is "unknown".
+ */
+const getGitHubStatus = () => {
+  const fresh = githubCache && Date.now() - githubCache.checkedAt.getTime() < GITHUB_HEALTH_TTL_MS;
+  if (!fresh) refreshGitHubStatus();
+
+  if (!githubCache) {
+    return { status: 'unknown', checkedAt: null, cached: false };
+  }
+
+  return { ...githubCache, cached: true };
+};
+
+/**
+ * Full readiness report
+ *
+ * @returns {Promise<Object>} { ready, status, checks: { database, github }, build }
+ */
+const getReadiness = async () => {
+  const database = await getDatabaseStatus();
+  const github = getGitHubStatus();
+  const ready = !shuttingDown && database.status === 'up';
+
+  let status = 'ok';
+  if (shuttingDown) status = 'shutting-down';
+  else if (!ready) status = 'unavailable';
+  else if (github.status === 'down' || github.status === 'rate-limited') status = 'degraded';
+
+  return {
+    ready,
+    status,
+    checks: { database, github },
+    build: getBuildInfo()
+  };
+};
+
+module.exports = {
+  setShuttingDown,
+  isShuttingDown,
+  getBuildInfo,
+  getDatabaseStatus,
+  getGitHubStatus,
+  refreshGitHubStatus,
+  getReadiness
+};
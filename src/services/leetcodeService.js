@@ -0,0 +1,97 @@
+/**
+ * LeetCode Service
+ *
+ * PURPOSE: Read a user's recent accepted submissions from LeetCode's
+ * GraphQL API (submission sync adapter, see submissionSyncService)
+ *
+ * FEATURES:
+ * - Public data only: no LeetCode login or session cookie needed
+ * - LeetCode only returns the most recent accepted submissions (at most 20)
+ * - Configurable API URL (offline development, tests)
+ *
+ * CONFIG (.env):
+ * - LEETCODE_API_URL: default https://leetcode.com; point it at the
+ *   platform fixture server (npm run platform:fixtures) to work offline
+ */
+
+const axios = require('axios');
+const { leetcodeProblemUrl } = require('../utils/problemUrl');
+const logger = require('../utils/logger');
+const { NotFoundError, ExternalServiceError } = require('../utils/errors');
+
+const log = logger.child({ component: 'leetcode' });
+
+const DEFAULT_API_URL = 'https://leetcode.com';
+
+/**
+ * Most submissions LeetCode returns for one request
+ */
+const MAX_SUBMISSIONS = 20;
+
+const RECENT_AC_SUBMISSIONS = `
+  query recentAcSubmissions($username: String!, $limit: Int!) {
+    recentAcSubmissionList(username: $username, limit: $limit) {
+      id
+      title
+      titleSlug
+      timestamp
+    }
+  }
+`;
+
+const apiUrl = () => (process.env.LEETCODE_API_URL || DEFAULT_API_URL).replace(/\/$/, '');
+
+/**
+ * Fetch a user's recent accepted submissions
+ *
+ * @param {string} username - LeetCode username
+ * @param {Object} options - { limit } (max 20)
+ * @returns {Promise<Array>} [{ submissionId, title, url, submittedAt }], newest first
+ * @throws {NotFoundError} PLATFORM_USER_NOT_FOUND for an unknown username
+ * @throws {ExternalServiceError} LEETCODE_ERROR when LeetCode can't be reached / answers with an error
+ */
+const fetchAcceptedSubmissions = async (username, { limit = MAX_SUBMISSIONS } = {}) => {
+  let data;
+
+  try {
+    ({ data } = await axios.post(`${apiUrl()}/graphql`, {
+      query: RECENT_AC_SUBMISSIONS,
+      variables: { username, limit: Math.min(limit, MAX_SUBMISSIONS) }
+    }, {
+      headers: { 'Content-Type': 'application/json', Referer: `${apiUrl()}/u/${username}/` },
+      timeout: 10000
+    }));
+  } catch (error) {
+    log.warn('LeetCode request failed', { username, message: error.message });
+    throw new ExternalServiceError(`Failed to fetch LeetCode submissions: ${error.message}`, 'LEETCODE_ERROR');
+  }
+
+  // GraphQL errors come back with 200
+  if (data && Array.isArray(data.errors) && data.errors.length > 0) {
+    const message = data.errors[0].message || 'Unknown error';
+    if (/does not exist/i.test(message)) {
+      throw new NotFoundError(`LeetCode user "${username}" not found`, 'PLATFORM_USER_NOT_FOUND');
+    }
+    throw new ExternalServiceError(`Failed to fetch LeetCode submissions: ${message}`, 'LEETCODE_ERROR');
+  }
+
+  const submissions = data && data.data && data.data.recentAcSubmissionList;
+  if (!Array.isArray(submissions)) {
+    throw new ExternalServiceError('Failed to fetch LeetCode submissions: unexpected response', 'LEETCODE_ERROR');
+  }
+
+  log.debug('Fetched accepted submissions', { username, count: submissions.length });
+
+  return submissions.map(submission => ({
+    submissionId: String(submission.id),
+    title: submission.title,
+    url: leetcodeProblemUrl(submission.titleSlug),
+    submittedAt: new Date(parseInt(submission.timestamp) * 1000)
+  }));
+};
+
+module.exports = {
+  name: 'LeetCode',
+  MAX_SUBMISSIONS,
+  fetchAcceptedSubmissions
+};
@@ -0,0 +1,75 @@
+/**
+ * Login Lockout Service
+ *
+ * PURPOSE: Slow down password guessing against a single account
+ *
+ * FLOW:
+ * 1. assertNotLocked(email) before checking the password
+ * 2. recordFailure(email) on a wrong email/password
+ *    → from the 5th failure on, the account is locked 1m, 2m, 4m, ... (max 1h)
+ * 3. recordSuccess(email) on a successful login clears everything
+ *
+ * Unknown emails are counted too, so lockouts don't reveal which
+ * accounts exist. Limits live in config/rateLimits.js.
+ */
+
+const rateLimits = require('../config/rateLimits');
+const { getStore } = require('./rateLimitStore');
+const { TooManyRequestsError } = require('../utils/errors');
+
+const normalize = (email) => String(email).trim().toLowerCase();
+const failureKey = (email) => `lockout:failures:${normalize(email)}`;
+const lockKey = (email) => `lockout:lock:${normalize(email)}`;
+
+/**
+ * Throw ACCOUNT_LOCKED (429 + Retry-After) while a lock is active
+ */
+const assertNotLocked = async (email) => {
+  if (!rateLimits.enabled) return;
+
+  const lock = await getStore().get(lockKey(email));
+  if (lock) {
+    const retryAfter = Math.max(Math.ceil((lock.resetAt - Date.now()) / 1000), 1);
+    throw new TooManyRequestsError(
+      'Too many failed login attempts. Please try again later.',
+      'ACCOUNT_LOCKED',
+      retryAfter
+    );
+  }
+};
+
+/**
+ * Count a failed login, locking the account once over the limit
+ *
+ * @returns {Promise<number>} Lock duration in ms (0 = not locked)
+ */
+const recordFailure = async (email) => {
+  if (!rateLimits.enabled) return 0;
+
+  const { maxFailures, baseLockMs, maxLockMs, failureWindowMs } = rateLimits.lockout;
+  const { count } = await getStore().hit(failureKey(email), failureWindowMs);
+
+  if (count < maxFailures) {
+    return 0;
+  }
+
+  const lockMs = Math.min(baseLockMs * 2 ** (count - maxFailures), maxLockMs);
+  await getStore().set(lockKey(email), count, lockMs);
+  return lockMs;
+};
+
+/**
+ * Clear failures after a successful login
+ */
+const recordSuccess = async (email) => {
+  if (!rateLimits.enabled) return;
+
+  const store = getStore();
+  await Promise.all([store.reset(failureKey(email)), store.reset(lockKey(email))]);
+};
+
+module.exports = {
+  assertNotLocked,
+  recordFailure,
+  recordSuccess
+};
@@ -0,0 +1,180 @@
+/**
+ * Mail Service
+ *
+ * PURPOSE: Send transactional emails through a pluggable transport
+ *
+ * TRANSPORTS (MAIL_TRANSPORT in .env):
+ * - console: Print emails to the server log (default, for local dev)
+ * - file:    Write each email as a JSON file to MAIL_FILE_DIR
+ * - smtp:    Deliver through an SMTP server (nodemailer)
+ *
+ * CONFIG (.env):
+ * - MAIL_FROM: Sender address (default: "Blaezi <no-reply@blaezi.local>")
+ * - MAIL_FILE_DIR: Folder for the file transport (default: ./tmp/mail)
+ * - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ * - APP_URL: Frontend URL used in email links (default: http://localhost:3000)
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+/**
+ * Console transport - logs the email
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log('📧 Email (console transport)');
+    console.log(`   To: ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log(message.text);
+    return { messageId: `console-${crypto.randomUUID()}` };
+  }
+});
+
+/**
+ * File transport - writes one JSON file per email
+ */
+const createFileTransport = (directory) => ({
+  name: 'file',
+  send: async (message) => {
+    const messageId = `${Date.now()}-${crypto.randomUUID()}`;
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(
+      path.join(directory, `${messageId}.json`),
+      JSON.stringify({ ...message, messageId, sentAt: new Date().toISOString() }, null, 2)
+    );
+    return { messageId, path: path.join(directory, `${messageId}.json`) };
+  }
+});
+
+/**
+ * SMTP transport - real delivery via nodemailer
+ */
+const createSmtpTransport = (options) => {
+  const transporter = nodemailer.createTransport(options);
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+/**
+ * Build the transport configured in the environment
+ */
+const createTransportFromEnv = () => {
+  switch ((process.env.MAIL_TRANSPORT || 'console').toLowerCase()) {
+    case 'smtp':
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    case 'file':
+      return createFileTransport(process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail'));
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${process.env.MAIL_TRANSPORT}"`);
+  }
+};
+
+let transport = null;
+
+/**
+ * Get the active transport (created lazily from env)
+ */
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransportFromEnv();
+  }
+  return transport;
+};
+
+/**
+ * Replace the active transport (e.g. an in-memory one in tests)
+ *
+ * @param {Object} newTransport - { name, send: async (message) => info }
+ */
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+/**
+ * Send an email
+ *
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} Transport result ({ messageId, ... })
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Blaezi <no-reply@blaezi.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+/**
+ * Build a link to a frontend page with a token
+ */
+const buildAppLink = (pagePath, token) => {
+  const appUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${appUrl}${pagePath}?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Send the password reset email
+ *
+ * @param {Object} user - User document ({ name, email })
+ * @param {string} token - Plain reset token
+ * @param {number} expiresInMinutes - Token lifetime (shown in the email)
+ */
+const sendPasswordResetEmail = async (user, token, expiresInMinutes) => {
+  const link = buildAppLink('/reset-password', token);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your Blaezi password',
+    text: `Hi ${user.name},\n\nUse the link below to reset your password. It expires in ${expiresInMinutes} minutes.\n\n${link}\n\nIf you didn't ask for this, you can ignore this email.`,
+    html: `<p>Hi ${user.name},</p><p>Use the link below to reset your password. It expires in ${expiresInMinutes} minutes.</p><p><a href="${link}">Reset password</a></p><p>If you didn't ask for this, you can ignore this email.</p>`
+  });
+};
+
+/**
+ * Send the email verification email
+ *
+ * @param {Object} user - User document ({ name, email })
+ * @param {string} token - Plain verification token
+ */
+const sendVerificationEmail = async (user, token) => {
+  const link = buildAppLink('/verify-email', token);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your Blaezi email',
+    text: `Hi ${user.name},\n\nPlease confirm your email address:\n\n${link}`,
+    html: `<p>Hi ${user.name},</p><p>Please confirm your email address:</p><p><a href="${link}">Verify email</a></p>`
+  });
+};
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  createSmtpTransport,
+  getTransport,
+  setTransport,
+  sendMail,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+};
@@ -0,0 +1,439 @@
+/**
+ * Project Sync Service
+ *
+ * PURPOSE: Save a user's GitHub repositories as projects, and re-sync
+ * stale projects for every user in the background
+ *
+ * FEATURES:
+ * - syncUserProjects(): one user's repositories → projects
+ *   (POST /api/projects/sync, the re-sync job)
+ * - Incremental: conditional requests (ETag / Last-Modified) so an
+ *   unchanged repository list costs no quota with a token, one bulkWrite
+ *   per sync, created / updated / unchanged / removed counts
+ * - refreshProject(): one project's details, languages, recent commits and
+ *   README (POST /api/projects/:id/refresh), each asked for with the ETag
+ *   of the last refresh (Project.githubEtags)
+ * - runResync(): every user with a githubUsername whose projects need a
+ *   re-sync (Project.needsSync: last synced over 24 hours ago); only
+ *   projects they already track are updated, nothing new is added
+ * - Respects GitHub's rate limit: users without a saved token share our
+ *   60 requests/hour, so they're skipped once the quota gets down to the
+ *   reserve (left for interactive syncs) - the next run picks them up
+ * - Each run is recorded (models/SyncRun.js, GET /api/projects/sync/status)
+ *
+ * CONFIG (.env):
+ *   GITHUB_RESYNC_ENABLED=true            # false: no background re-sync
+ *   GITHUB_RESYNC_INTERVAL_MINUTES=60     # Time between runs
+ *   GITHUB_RATE_LIMIT_RESERVE=10          # Shared requests the job never spends
+ */
+
+const GitHubSyncState = require('../models/GitHubSyncState');
+const Project = require('../models/Project');
+const SyncRun = require('../models/SyncRun');
+const User = require('../models/User');
+const githubService = require('./githubService');
+const githubTokenService = require('./githubTokenService');
+const scheduler = require('./schedulerService');
+const logger = require('../utils/logger');
+const { NotFoundError } = require('../utils/errors');
+
+const log = logger.child({ component: 'project-sync' });
+
+const RESYNC_JOB = 'github-resync';
+
+/**
+ * Commits kept per project (Project.recentCommits)
+ */
+const RECENT_COMMITS = 10;
+
+/**
+ * First run a minute after start, not during startup
+ */
+const FIRST_RUN_DELAY_MS = 60 * 1000;
+
+const isEnabled = () => process.env.GITHUB_RESYNC_ENABLED !== 'false';
+
+const getIntervalMinutes = () => parseInt(process.env.GITHUB_RESYNC_INTERVAL_MINUTES) || 60;
+
+const getRateLimitReserve = () => {
+  const reserve = parseInt(process.env.GITHUB_RATE_LIMIT_RESERVE);
+  return Number.isNaN(reserve) ? 10 : reserve;
+};
+
+/**
+ * githubService's camelCase repository → GitHub API format (Project.syncFromGitHub)
+ */
+const toGitHubApiFormat = (repo) => ({
+  id: repo.githubId,
+  name: repo.name,
+  full_name: repo.fullName,
+  description: repo.description,
+  html_url: repo.url,
+  homepage: repo.homepage,
+  language: repo.language,
+  stargazers_count: repo.stars,
+  forks_count: repo.forks,
+  private: repo.isPrivate,
+  topics: repo.topics,
+  created_at: repo.createdAt,
+  updated_at: repo.updatedAt,
+  pushed_at: repo.pushedAt  // Use pushed_at for last commit time
+});
+
+/**
+ * Projects whose repository is no longer in the user's GitHub list
+ * (deleted, transferred, made private without a token) stop being tracked
+ *
+ * They're marked removedFromGitHubAt, unlike the user's own removals, so
+ * a later sync tracks them again if the repository comes back.
+ *
+ * @param {string} userId - User ID
+ * @param {string} githubUsername - Owner of the listed repositories
+ * @param {Array} repos - The complete, unfiltered list from GitHub
+ * @param {boolean} includePrivate - The list had private repositories too
+ * @returns {Promise<number>} Projects removed
+ */
+const removeMissingProjects = async (userId, githubUsername, repos, includePrivate) => {
+  const owner = githubUsername.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const query = {
+    userId,
+    isActive: true,
+    fullName: new RegExp(`^${owner}/`, 'i'),
+    githubId: { $nin: repos.map(repo => repo.githubId) }
+  };
+  if (!includePrivate) query.isPrivate = { $ne: true };
+
+  const { modifiedCount } = await Project.updateMany(query, { isActive: false, removedFromGitHubAt: new Date() });
+  return modifiedCount;
+};
+
+/**
+ * Fetch a user's repositories from GitHub and save them as projects
+ *
+ * Incremental: the repository list is requested conditionally with the
+ * ETag / Last-Modified of the last sync (models/GitHubSyncState.js), and
+ * projects whose GitHub data didn't change aren't rewritten. Uses the
+ * user's saved GitHub token, if any (githubTokenService).
+ *
+ * @param {string} userId - User ID
+ * @param {string} githubUsername - GitHub username to sync from
+ * @param {Object} options - { filters } (githubService.filterRepositories),
+ *   { onlyExisting }: only update projects the user already tracks
+ * @returns {Promise<Object>} { fetched, notModified, projects, errors,
+ *   summary: { created, updated, unchanged, removed }, rateLimit, usedToken }
+ */
+const syncUserProjects = async (userId, githubUsername, { filters = {}, onlyExisting = false } = {}) => {
+  const { token, options } = await githubTokenService.getRequestAuth(userId, githubUsername);
+  const includePrivate = Boolean(options.includePrivate);
+  const filtersKey = GitHubSyncState.filtersKey(filters);
+  const stateKey = { userId, githubUsername: githubUsername.toLowerCase() };
+
+  // The stored ETag is only valid for the same request
+  const state = await GitHubSyncState.findOne(stateKey);
+  const canAskIfChanged = Boolean(state && state.etag && state.includePrivate === includePrivate && state.filters === filtersKey);
+
+  const fetchRepositories = (conditional) => githubService.fetchUserRepositories(githubUsername, token, {
+    ...options,
+    ...(conditional && { etag: state.etag, lastModified: state.lastModified })
+  });
+
+  let result = await fetchRepositories(canAskIfChanged);
+
+  if (result.notModified) {
+    const scope = { userId, githubId: { $in: state.repoIds }, ...(onlyExisting && { isActive: true }) };
+    const projects = await Project.find(scope);
+
+    // Projects deleted from the database since (e.g. an import in replace mode): ask again in full
+    if (onlyExisting || projects.length === state.repoIds.length) {
+      await Project.updateMany(scope, { lastSyncedAt: new Date() });
+
+      return {
+        fetched: state.repoIds.length,
+        notModified: true,
+        projects,
+        errors: [],
+        summary: { created: 0, updated: 0, unchanged: projects.length, removed: 0 },
+        rateLimit: result.rateLimit,
+        usedToken: Boolean(token)
+      };
+    }
+
+    result = await fetchRepositories(false);
+  }
+
+  const repos = githubService.filterRepositories(result.data, filters);
+  let toSave = repos;
+
+  if (onlyExisting) {
+    const tracked = new Set(await Project.find({
+      userId,
+      $or: [{ isActive: true }, { removedFromGitHubAt: { $ne: null } }]
+    }).distinct('githubId'));
+    toSave = repos.filter(repo => tracked.has(repo.githubId));
+  }
+
+  const saved = await Project.bulkSyncFromGitHub(userId, toSave.map(toGitHubApiFormat));
+  saved.failed.forEach(failure => log.warn('Repository sync failed', { repo: failure.name, error: failure.error }));
+
+  // More than one page: repositories past it aren't missing, just not fetched
+  const removed = result.complete
+    ? await removeMissingProjects(userId, githubUsername, result.data, includePrivate)
+    : 0;
+
+  // A failed save must be retried next time, so no ETag then
+  await GitHubSyncState.findOneAndUpdate(stateKey, {
+    includePrivate,
+    filters: filtersKey,
+    etag: saved.failed.length === 0 ? result.etag : null,
+    lastModified: saved.failed.length === 0 ? result.lastModified : null,
+    repoIds: repos.map(repo => repo.githubId)
+  }, { upsert: true });
+
+  const savedIds = toSave
+    .map(repo => repo.githubId)
+    .filter(githubId => !saved.failed.some(failure => failure.githubId === githubId));
+
+  return {
+    fetched: repos.length,
+    notModified: false,
+    projects: await Project.find({ userId, githubId: { $in: savedIds } }),
+    errors: saved.failed.map(failure => ({ repo: failure.name, error: failure.error })),
+    summary: {
+      created: saved.created,
+      updated: saved.updated,
+      unchanged: saved.unchanged,
+      removed
+    },
+    rateLimit: result.rateLimit,
+    usedToken: Boolean(token)
+  };
+};
+
+/**
+ * Refresh one project from GitHub: repository details, languages,
+ * recent commits and README
+ *
+ * Each is requested with the ETag GitHub sent for it last time; a 304
+ * keeps what's stored (and costs no quota with a token). Languages,
+ * commits and README that fail to load keep their stored value and ETag,
+ * so the next refresh asks for them in full again.
+ *
+ * @param {string} userId - Owner of the project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object>} { project (with readme), refreshed, notModified,
+ *   failed } - lists of details / languages / commits / readme
+ * @throws {NotFoundError} Project not found (or not the user's),
+ *   GITHUB_REPO_NOT_FOUND; {ExternalServiceError} from githubService
+ */
+const refreshProject = async (userId, projectId) => {
+  const project = await Project.findOne({ _id: projectId, userId }).select('+readme +githubEtags');
+  if (!project) {
+    throw new NotFoundError('Project not found');
+  }
+
+  const [owner, repo] = project.fullName.split('/');
+  const { token } = await githubTokenService.getRequestAuth(userId, owner);
+  const etags = project.githubEtags ? project.githubEtags.toObject() : {};
+  const outcome = { refreshed: [], notModified: [], failed: [] };
+
+  // Throws for a repository that's gone, before spending three more requests
+  const details = await githubService.fetchRepositoryDetails(owner, repo, token, { etag: etags.details });
+  const [languages, commits, readme] = await Promise.all([
+    githubService.fetchRepositoryLanguages(owner, repo, token, { etag: etags.languages }),
+    githubService.fetchRepositoryCommits(owner, repo, RECENT_COMMITS, token, { etag: etags.commits }),
+    githubService.fetchRepositoryReadme(owner, repo, token, { etag: etags.readme })
+  ]);
+
+  const apply = (name, result, update) => {
+    if (result.notModified) {
+      outcome.notModified.push(name);
+    } else if (result.success) {
+      update(result);
+      etags[name] = result.etag;
+      outcome.refreshed.push(name);
+    } else {
+      outcome.failed.push(name);
+    }
+  };
+
+  apply('details', details, ({ data }) => project.updateFromGitHub(toGitHubApiFormat(data)));
+  apply('languages', languages, ({ data }) => {
+    project.languages = new Map(data.map(({ language, percentage }) => [language, Number(percentage)]));
+  });
+  apply('commits', commits, ({ data }) => { project.recentCommits = data; });
+  // No README is an answer too: nothing to show, nothing to ask again with
+  apply('readme', readme.missing ? { success: true, content: '', etag: null } : readme, ({ content }) => {
+    project.readme = content;
+  });
+
+  project.githubEtags = etags;
+  project.lastSyncedAt = new Date();
+  project.detailsRefreshedAt = project.lastSyncedAt;
+  await project.save();
+
+  log.info('Project refreshed', { projectId: String(project._id), repo: project.fullName, ...outcome });
+
+  return { project, ...outcome };
+};
+
+/**
+ * Re-sync stale projects of every user with a githubUsername
+ *
+ * Never throws: a run that breaks is recorded with status failed (only
+ * logged when even that can't be saved, e.g. MongoDB is down).
+ *
+ * @param {Object} options - { trigger }: schedule (the job) or manual (resyncProjects.js)
+ * @returns {Promise<Object>} The SyncRun document
+ */
+const runResync = async ({ trigger = 'schedule' } = {}) => {
+  const run = new SyncRun({ trigger });
+  const reserve = getRateLimitReserve();
+  const { summary } = run;
+
+  // Shared (tokenless) quota, from the last response GitHub sent us
+  let quota = null;
+  const quotaLeft = () => !quota || quota.remaining > reserve || quota.resetAt <= new Date();
+
+  log.info('GitHub re-sync started', { runId: run._id, trigger });
+
+  try {
+    await run.save();
+
+    const users = await User.find({
+      githubUsername: { $nin: ['', null] },
+      deletionScheduledAt: null
+    }).select('githubUsername githubToken.savedAt');
+
+    for (const user of users) {
+      summary.checked += 1;
+
+      const projects = await Project.find({ userId: user._id, isActive: true }).select('lastSyncedAt');
+      if (!projects.some(project => project.needsSync())) {
+        summary.upToDate += 1;
+        continue;
+      }
+
+      const entry = { userId: user._id, githubUsername: user.githubUsername };
+      const hasToken = Boolean(user.githubToken && user.githubToken.savedAt);
+
+      if (!hasToken && !quotaLeft()) {
+        summary.skipped += 1;
+        run.results.push({
+          ...entry,
+          status: 'skipped',
+          error: 'GITHUB_RATE_LIMITED',
+          message: `GitHub quota kept in reserve until ${quota.resetAt.toISOString()}`
+        });
+        continue;
+      }
+
+      try {
+        const result = await syncUserProjects(user._id, user.githubUsername, { onlyExisting: true });
+        if (!result.usedToken && result.rateLimit) quota = result.rateLimit;
+
+        summary.synced += 1;
+        summary.projectsUpdated += result.summary.updated;
+        summary.projectsRemoved += result.summary.removed;
+        run.results.push({
+          ...entry,
+          status: 'synced',
+          updated: result.summary.updated,
+          unchanged: result.summary.unchanged,
+          removed: result.summary.removed,
+          message: result.errors.length > 0 ? `${result.errors.length} repositories failed to save` : undefined
+        });
+      } catch (error) {
+        if (!hasToken && error.rateLimit) quota = error.rateLimit;
+
+        summary.failed += 1;
+        run.results.push({
+          ...entry,
+          status: 'failed',
+          error: error.code || 'SYNC_ERROR',
+          message: error.message
+        });
+      }
+    }
+
+    run.status = summary.skipped > 0 ? 'rate-limited' : 'completed';
+  } catch (error) {
+    log.error('GitHub re-sync failed', { runId: run._id, err: error });
+    run.status = 'failed';
+    run.error = error.message;
+  }
+
+  run.rateLimit = quota;
+  run.finishedAt = new Date();
+
+  try {
+    await run.save();
+  } catch (error) {
+    log.error('GitHub re-sync could not be recorded', { runId: run._id, err: error });
+  }
+
+  log.info('GitHub re-sync finished', { runId: run._id, status: run.status, ...run.toObject().summary });
+
+  return run;
+};
+
+/**
+ * Register the re-sync job with the scheduler (src/index.js)
+ *
+ * @returns {boolean} false when disabled (GITHUB_RESYNC_ENABLED=false)
+ */
+const scheduleResync = () => {
+  if (!isEnabled()) {
+    log.info('GitHub re-sync disabled');
+    return false;
+  }
+
+  scheduler.schedule(RESYNC_JOB, getIntervalMinutes() * 60 * 1000, () => runResync(), {
+    firstRunInMs: FIRST_RUN_DELAY_MS
+  });
+  return true;
+};
+
+/**
+ * Re-sync status for one user: the job's schedule, the last run (with
+ * only this user's result) and when their projects were last synced
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { scheduler, lastRun, lastSyncedAt }
+ */
+const getSyncStatus = async (userId) => {
+  const job = scheduler.getJob(RESYNC_JOB);
+
+  const [lastRun, lastSynced] = await Promise.all([
+    SyncRun.getLatest(userId).lean(),
+    Project.findOne({ userId, isActive: true }).sort({ lastSyncedAt: -1 }).select('lastSyncedAt').lean()
+  ]);
+
+  return {
+    scheduler: {
+      enabled: Boolean(job),
+      intervalMinutes: getIntervalMinutes(),
+      running: job ? job.running : false,
+      nextRunAt: job ? job.nextRunAt : null
+    },
+    lastRun: lastRun && {
+      id: lastRun._id,
+      trigger: lastRun.trigger,
+      status: lastRun.status,
+      startedAt: lastRun.startedAt,
+      finishedAt: lastRun.finishedAt,
+      summary: lastRun.summary,
+      rateLimit: lastRun.rateLimit,
+      error: lastRun.error,
+      result: (lastRun.results && lastRun.results[0]) || null
+    },
+    lastSyncedAt: lastSynced ? lastSynced.lastSyncedAt : null
+  };
+};
+
+module.exports = {
+  syncUserProjects,
+  refreshProject,
+  runResync,
+  scheduleResync,
+  getSyncStatus
+};
@@ -0,0 +1,147 @@
+/**
+ * Rate Limit Store
+ *
+ * PURPOSE: Where rate limit counters and lockouts are kept
+ *
+ * STORES (RATE_LIMIT_STORE in .env):
+ * - memory: A Map in this process (default; resets on restart, per instance)
+ * - mongo:  The rate_limits collection (shared by all instances)
+ *
+ * Every store has the same async interface:
+ * - hit(key, windowMs)      Count a hit → { count, resetAt }
+ * - get(key)                Current window → { count, resetAt } or null
+ * - set(key, count, ttlMs)  Overwrite a counter (used for lockouts)
+ * - reset(key)              Forget a counter
+ */
+
+const RateLimit = require('../models/RateLimit');
+
+/**
+ * Memory store - counters live in this process
+ */
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  const active = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.resetAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  // Drop finished windows so the Map doesn't grow forever
+  setInterval(() => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.resetAt <= now) entries.delete(key);
+    });
+  }, 60 * 1000).unref();
+
+  return {
+    name: 'memory',
+
+    hit: async (key, windowMs) => {
+      let entry = active(key);
+      if (!entry) {
+        entry = { count: 0, resetAt: Date.now() + windowMs };
+        entries.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+
+    get: async (key) => {
+      const entry = active(key);
+      return entry ? { count: entry.count, resetAt: new Date(entry.resetAt) } : null;
+    },
+
+    set: async (key, count, ttlMs) => {
+      entries.set(key, { count, resetAt: Date.now() + ttlMs });
+    },
+
+    reset: async (key) => {
+      entries.delete(key);
+    }
+  };
+};
+
+/**
+ * MongoDB store - counters live in the rate_limits collection
+ */
+const createMongoStore = () => {
+  const toResult = (doc) => ({ count: doc.count, resetAt: doc.expiresAt });
+
+  return {
+    name: 'mongo',
+
+    hit: async (key, windowMs) => {
+      try {
+        return toResult(await RateLimit.hit(key, windowMs));
+      } catch (error) {
+        // Two first hits raced on the upsert - the other one created it
+        if (error.code !== 11000) throw error;
+        return toResult(await RateLimit.hit(key, windowMs));
+      }
+    },
+
+    get: async (key) => {
+      const doc = await RateLimit.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+      return doc ? toResult(doc) : null;
+    },
+
+    set: async (key, count, ttlMs) => {
+      await RateLimit.updateOne(
+        { key },
+        { $set: { count, expiresAt: new Date(Date.now() + ttlMs) } },
+        { upsert: true }
+      );
+    },
+
+    reset: async (key) => {
+      await RateLimit.deleteOne({ key });
+    }
+  };
+};
+
+/**
+ * Build the store configured in the environment
+ */
+const createStoreFromEnv = () => {
+  switch ((process.env.RATE_LIMIT_STORE || 'memory').toLowerCase()) {
+    case 'mongo':
+      return createMongoStore();
+    case 'memory':
+      return createMemoryStore();
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${process.env.RATE_LIMIT_STORE}"`);
+  }
+};
+
+let store = null;
+
+/**
+ * Get the active store (created lazily from env)
+ */
+const getStore = () => {
+  if (!store) {
+    store = createStoreFromEnv();
+  }
+  return store;
+};
+
+/**
+ * Replace the active store (e.g. a fresh memory store in tests)
+ */
+const setStore = (newStore) => {
+  store = newStore;
+};
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore,
+  getStore,
+  setStore
+};
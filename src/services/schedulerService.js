@@ -0,0 +1,108 @@
+/**
+ * Scheduler Service
+ *
+ * PURPOSE: Run background jobs on an interval inside the API process
+ * (account purge, GitHub re-sync)
+ *
+ * FEATURES:
+ * - A job never overlaps itself: the next run is scheduled when the
+ *   current one finishes, so a slow run delays it instead of stacking
+ * - A failed run is logged; the job keeps its schedule
+ * - stopAll() on shutdown: no new runs start
+ *
+ * With several API instances every instance runs every job, so jobs
+ * must be safe to run twice (re-sync skips fresh projects, purge finds
+ * nothing left to purge).
+ *
+ * USAGE:
+ *   scheduler.schedule('account-purge', 6 * HOUR, () => accountService.purgeExpiredAccounts());
+ */
+
+const logger = require('../utils/logger');
+
+const log = logger.child({ component: 'scheduler' });
+
+/**
+ * name → { name, intervalMs, run, timer, running, lastRunAt, nextRunAt }
+ */
+const jobs = new Map();
+
+let stopped = false;
+
+const plan = (job, delayMs) => {
+  if (stopped) return;
+
+  job.nextRunAt = new Date(Date.now() + delayMs);
+  job.timer = setTimeout(() => runJob(job), delayMs);
+  // Timers alone don't keep the process alive (tests, CLI scripts)
+  job.timer.unref();
+};
+
+const runJob = async (job) => {
+  clearTimeout(job.timer);
+  job.running = true;
+  job.nextRunAt = null;
+  const startedAt = Date.now();
+
+  try {
+    await job.run();
+    log.debug('Job finished', { job: job.name, durationMs: Date.now() - startedAt });
+  } catch (error) {
+    log.error('Job failed', { job: job.name, err: error });
+  } finally {
+    job.running = false;
+    job.lastRunAt = new Date(startedAt);
+    plan(job, job.intervalMs);
+  }
+};
+
+/**
+ * Register a job
+ *
+ * @param {string} name - Unique job name (used in logs)
+ * @param {number} intervalMs - Time between the end of one run and the start of the next
+ * @param {Function} run - async () => {}
+ * @param {Object} options - { firstRunInMs }: first run after this long (default: intervalMs)
+ */
+const schedule = (name, intervalMs, run, { firstRunInMs = intervalMs } = {}) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job "${name}" is already scheduled`);
+  }
+
+  const job = { name, intervalMs, run, timer: null, running: false, lastRunAt: null, nextRunAt: null };
+  jobs.set(name, job);
+  plan(job, firstRunInMs);
+
+  log.info('Job scheduled', { job: name, intervalMs, firstRunInMs });
+};
+
+/**
+ * Job state for status endpoints
+ *
+ * @param {string} name - Job name
+ * @returns {Object|null} { name, intervalMs, running, lastRunAt, nextRunAt } or null if not scheduled
+ */
+const getJob = (name) => {
+  const job = jobs.get(name);
+  if (!job) return null;
+
+  const { intervalMs, running, lastRunAt, nextRunAt } = job;
+  return { name, intervalMs, running, lastRunAt, nextRunAt };
+};
+
+/**
+ * Stop all jobs (graceful shutdown) - a run in progress is not interrupted
+ */
+const stopAll = () => {
+  stopped = true;
+  jobs.forEach(job => {
+    clearTimeout(job.timer);
+    job.nextRunAt = null;
+  });
+};
+
+module.exports = {
+  schedule,
+  getJob,
+  stopAll
+};
@@ -0,0 +1,189 @@
+/**
+ * Sheet Service
+ *
+ * PURPOSE: Read problem sheets (models/Sheet.js) with a user's progress
+ * laid over them, and create / update sheets (seed script)
+ *
+ * FEATURES:
+ * - listSheets(): every active sheet with problem count and the user's
+ *   solved / revising / weak / none counts (GET /api/dsa/sheets)
+ * - getSheet(): one sheet's problems in order, grouped by section, each
+ *   with the user's progress and per-section counts
+ *   (GET /api/dsa/sheets/:slug)
+ * - Deactivated problems are left out of sheets and counts
+ * - upsertSheet(): save a sheet by name; positions follow list order
+ */
+
+const MasterProblem = require('../models/MasterProblem');
+const Sheet = require('../models/Sheet');
+const UserProgress = require('../models/UserProgress');
+const { NotFoundError } = require('../utils/errors');
+
+const SHEET_FIELDS = 'name slug description url sections';
+
+/**
+ * Ids of the problems that are still in the catalog
+ */
+const activeProblemIds = async (problemIds) => {
+  const problems = await MasterProblem.find({ _id: { $in: problemIds }, isActive: true })
+    .select('_id')
+    .lean();
+
+  return new Set(problems.map(problem => String(problem._id)));
+};
+
+/**
+ * The user's progress on these problems, keyed by problem id
+ *
+ * UserProgress.problemId is Mixed: saved as an ObjectId or as the
+ * id string the client sent, so both forms are looked up
+ */
+const progressByProblem = async (userId, problemIds) => {
+  const progress = await UserProgress.find({
+    userId,
+    problemId: { $in: [...problemIds, ...problemIds.map(String)] }
+  }).lean();
+
+  return new Map(progress.map(entry => [String(entry.problemId), entry]));
+};
+
+/**
+ * { total, solved, revising, weak, none } - untracked problems count as none
+ */
+const countStatuses = (problemIds, progress) => {
+  const counts = { total: problemIds.length, solved: 0, revising: 0, weak: 0, none: 0 };
+
+  problemIds.forEach(problemId => {
+    const entry = progress.get(String(problemId));
+    counts[entry ? entry.status : 'none'] += 1;
+  });
+
+  return counts;
+};
+
+const progressSummary = (entry) => entry
+  ? {
+    status: entry.status,
+    starred: entry.starred,
+    lastSolvedAt: entry.lastSolvedAt || null,
+    nextReviewAt: entry.nextReviewAt || null
+  }
+  : null;
+
+/**
+ * All active sheets with the user's progress counts
+ *
+ * @param {string} userId
+ * @returns {Promise<Array>} [{ name, slug, description, url, sections, progress }]
+ */
+const listSheets = async (userId) => {
+  const sheets = await Sheet.find({ isActive: true })
+    .select(`${SHEET_FIELDS} problems.problemId`)
+    .sort({ name: 1 })
+    .lean();
+
+  const allIds = sheets.flatMap(sheet => sheet.problems.map(entry => entry.problemId));
+  const [active, progress] = await Promise.all([
+    activeProblemIds(allIds),
+    progressByProblem(userId, allIds)
+  ]);
+
+  return sheets.map(({ problems, ...sheet }) => {
+    const problemIds = problems
+      .map(entry => entry.problemId)
+      .filter(problemId => active.has(String(problemId)));
+
+    return { ...sheet, progress: countStatuses(problemIds, progress) };
+  });
+};
+
+/**
+ * One sheet, grouped by section, with the user's progress
+ *
+ * Sections come in the sheet's order; problems without a section
+ * are listed last under section null.
+ *
+ * @param {string} slug
+ * @param {string} userId
+ * @returns {Promise<Object>} { name, slug, ..., progress, sections: [{ name, progress, problems }] }
+ */
+const getSheet = async (slug, userId) => {
+  const sheet = await Sheet.findOne({ slug, isActive: true }).lean();
+
+  if (!sheet) {
+    throw new NotFoundError('Sheet not found');
+  }
+
+  const entries = [...sheet.problems].sort((a, b) => a.position - b.position);
+  const problemIds = entries.map(entry => entry.problemId);
+
+  const [problems, progress] = await Promise.all([
+    MasterProblem.find({ _id: { $in: problemIds }, isActive: true }).select('-__v').lean(),
+    progressByProblem(userId, problemIds)
+  ]);
+  const problemsById = new Map(problems.map(problem => [String(problem._id), problem]));
+
+  const sections = new Map([...sheet.sections, null].map(name => [name, []]));
+
+  entries.forEach(entry => {
+    const problem = problemsById.get(String(entry.problemId));
+    if (!problem) return;
+
+    sections.get(sections.has(entry.section) ? entry.section : null).push({
+      ...problem,
+      id: problem._id.toString(),
+      position: entry.position,
+      section: entry.section,
+      progress: progressSummary(progress.get(String(problem._id)))
+    });
+  });
+
+  const grouped = [...sections]
+    .filter(([name, sectionProblems]) => name !== null || sectionProblems.length > 0)
+    .map(([name, sectionProblems]) => ({
+      name,
+      progress: countStatuses(sectionProblems.map(problem => problem._id), progress),
+      problems: sectionProblems
+    }));
+
+  return {
+    _id: sheet._id,
+    name: sheet.name,
+    slug: sheet.slug,
+    description: sheet.description,
+    url: sheet.url,
+    progress: countStatuses(problems.map(problem => problem._id), progress),
+    sections: grouped
+  };
+};
+
+/**
+ * Create or replace a sheet, matched by name
+ *
+ * @param {Object} data - { name, slug?, description, url, sections, problems: [{ problemId, section }] }
+ *   problems in sheet order (position = index + 1); slug defaults to the slugified name
+ * @returns {Promise<Object>} The saved sheet
+ */
+const upsertSheet = async ({ name, slug, description, url, sections = [], problems = [] }) => {
+  const sheet = await Sheet.findOne({ name }) || new Sheet({ name });
+
+  sheet.set({
+    slug: slug || Sheet.slugify(name),
+    description,
+    url,
+    sections,
+    problems: problems.map((entry, index) => ({
+      problemId: entry.problemId,
+      section: entry.section || null,
+      position: index + 1
+    }))
+  });
+
+  return sheet.save();
+};
+
+module.exports = {
+  listSheets,
+  getSheet,
+  upsertSheet
+};
@@ -0,0 +1,357 @@
+/**
+ * Sheet Sync Service
+ *
+ * PURPOSE: Keep the problem catalog (MasterProblem) and its sheets
+ * (Sheet) in step with the sheet data that ships with the code:
+ * - services/striverSheetService.js: the Striver SDE Sheet list
+ * - seed/dsaProblems.js: curated problems with descriptions, hints, companies
+ *
+ * FEATURES:
+ * - Idempotent: problems are matched by canonical URL, falling back to
+ *   title (MasterProblem.findMatches); a second run changes nothing
+ * - Platforms / difficulties in the catalog's spelling (utils/problemNormalizer.js)
+ * - Where both sources have a problem, dsaProblems.js fields win; the
+ *   Striver list decides sheet order and sections
+ * - Only fields a source provides are written (admin-only fields stay)
+ * - Report: added / changed (with field names) / retired / restored / unchanged
+ * - Retired: problems that were in a synced sheet but are no longer in
+ *   the data are deactivated (unless another sheet still has them);
+ *   progress on them is kept
+ * - Restored: retired problems back in the data are reactivated (problems
+ *   an admin deactivated stay deactivated)
+ * - Progress saved under the old string ids ("striver-1") is moved to
+ *   the catalog problem, so it counts in sheets and stats
+ *
+ * USAGE:
+ *   npm run seed:dsa                 (or POST /api/dsa/sheets/sync as admin)
+ *   const report = await sheetSyncService.syncSheets();
+ */
+
+const MasterProblem = require('../models/MasterProblem');
+const ProblemAttempt = require('../models/ProblemAttempt');
+const Sheet = require('../models/Sheet');
+const UserProgress = require('../models/UserProgress');
+const sheetService = require('./sheetService');
+const striverSheetService = require('./striverSheetService');
+const seedProblems = require('../seed/dsaProblems');
+const { canonicalUrl } = require('../utils/problemUrl');
+const { normalizeProblem } = require('../utils/problemNormalizer');
+const logger = require('../utils/logger');
+
+const log = logger.child({ component: 'sheet-sync' });
+
+/**
+ * Catalog fields sheet data may set (see PROBLEM_FIELDS in dsaController)
+ */
+const SYNCED_FIELDS = [
+  'title', 'problemNumber', 'difficulty', 'topic', 'subtopics', 'platform',
+  'url', 'sheet', 'companies', 'description', 'hints', 'acceptance', 'likes'
+];
+
+/**
+ * Sheet data sources, lowest precedence first: later sources override
+ * earlier ones field by field, earlier ones decide sheet order
+ *
+ * Each entry: { externalId, sheet, section, fields }
+ */
+const SOURCES = [
+  {
+    name: 'striver',
+    entries: () => striverSheetService.STRIVER_SDE_SHEET_PROBLEMS.map(problem => ({
+      externalId: problem.id,
+      sheet: problem.sheet,
+      section: problem.topic,
+      fields: {
+        title: problem.title,
+        problemNumber: problem.problemNumber,
+        difficulty: problem.difficulty,
+        topic: problem.topic,
+        platform: problem.platform,
+        url: problem.link,
+        sheet: problem.sheet
+      }
+    }))
+  },
+  {
+    name: 'seed',
+    entries: () => seedProblems.map(problem => ({
+      externalId: null,
+      sheet: problem.sheet,
+      section: problem.topic,
+      fields: problem
+    }))
+  }
+];
+
+/**
+ * Only the synced fields that are set
+ */
+const pickFields = (fields) => {
+  const picked = {};
+  SYNCED_FIELDS.forEach(field => {
+    if (fields[field] !== undefined && fields[field] !== null) picked[field] = fields[field];
+  });
+  return picked;
+};
+
+const sameValue = (stored, value) => {
+  if (Array.isArray(value)) {
+    return JSON.stringify(stored || []) === JSON.stringify(value);
+  }
+  return (stored ?? null) === (value ?? null);
+};
+
+/**
+ * Merge all sources into one entry per canonical URL
+ *
+ * @returns {{ problems: Map, sheets: Map }}
+ *   problems: url → { fields, externalIds }
+ *   sheets: name → { sections: [], entries: [{ url, section }] } (in order)
+ */
+const collectSheetData = () => {
+  const problems = new Map();
+  const sheets = new Map();
+
+  SOURCES.forEach(source => {
+    source.entries().forEach(entry => {
+      const url = canonicalUrl(entry.fields.url);
+      if (!url) {
+        log.warn('Sheet problem without a usable URL skipped', { source: source.name, title: entry.fields.title });
+        return;
+      }
+
+      const problem = problems.get(url) || { fields: {}, externalIds: [] };
+      Object.assign(problem.fields, normalizeProblem(pickFields(entry.fields)));
+      if (entry.externalId) problem.externalIds.push(entry.externalId);
+      problems.set(url, problem);
+
+      if (!entry.sheet) return;
+      if (!sheets.has(entry.sheet)) sheets.set(entry.sheet, { sections: [], entries: [] });
+      const sheet = sheets.get(entry.sheet);
+
+      if (!sheet.entries.some(existing => existing.url === url)) {
+        sheet.entries.push({ url, section: entry.section || null });
+        if (entry.section && !sheet.sections.includes(entry.section)) sheet.sections.push(entry.section);
+      }
+    });
+  });
+
+  return { problems, sheets };
+};
+
+/**
+ * Write added / changed problems in one bulkWrite
+ *
+ * @returns {Promise<Set>} Indexes of the operations that failed (added to report.failed)
+ */
+const writeProblems = async (operations, report) => {
+  const failedIndexes = new Set();
+  if (operations.length === 0) return failedIndexes;
+
+  try {
+    await MasterProblem.bulkWrite(operations.map(operation => operation.write), { ordered: false });
+  } catch (error) {
+    if (!error.writeErrors) throw error;
+
+    error.writeErrors.forEach(writeError => {
+      const { title, url } = operations[writeError.index];
+      failedIndexes.add(writeError.index);
+      report.failed.push({ title, url, error: writeError.errmsg || writeError.message });
+    });
+  }
+
+  return failedIndexes;
+};
+
+/**
+ * Move progress / attempts saved under old string ids ("striver-1")
+ * to the catalog problem's id, as the string the progress routes query with
+ *
+ * A user who already has progress on the catalog problem keeps that
+ * record; the old one is left alone.
+ *
+ * @param {Map} externalIds - "striver-1" → problem ObjectId
+ * @returns {Promise<number>} Progress records moved
+ */
+const migrateProgress = async (externalIds) => {
+  if (externalIds.size === 0) return 0;
+
+  const stale = await UserProgress.find({ problemId: { $in: [...externalIds.keys()] } })
+    .select('userId problemId')
+    .lean();
+
+  let moved = 0;
+
+  for (const progress of stale) {
+    const catalogId = externalIds.get(progress.problemId);
+    const problemId = String(catalogId);
+    // Older progress on the catalog problem may hold the ObjectId
+    const taken = await UserProgress.exists({
+      userId: progress.userId,
+      problemId: { $in: [problemId, catalogId] }
+    });
+    if (taken) continue;
+
+    await UserProgress.updateOne({ _id: progress._id }, { $set: { problemId } });
+    moved += 1;
+  }
+
+  const attempted = await ProblemAttempt.distinct('problemId', { problemId: { $in: [...externalIds.keys()] } });
+  await Promise.all(attempted.map(externalId =>
+    ProblemAttempt.updateMany({ problemId: externalId }, { $set: { problemId: String(externalIds.get(externalId)) } })
+  ));
+
+  return moved;
+};
+
+/**
+ * Reconcile the catalog and sheets with the sheet data
+ *
+ * @returns {Promise<Object>} {
+ *   added: [{ title, url }], changed: [{ title, url, fields }], retired: [{ title, url }],
+ *   restored: [{ title, url }], unchanged, failed: [{ title, url, error }], progressMigrated, sheets: [{ name, slug, problems }]
+ * }
+ */
+const syncSheets = async () => {
+  const { problems, sheets } = collectSheetData();
+  const report = { added: [], changed: [], retired: [], restored: [], unchanged: 0, failed: [], progressMigrated: 0, sheets: [] };
+
+  const catalog = await MasterProblem.find().select('title url sheet isActive').lean();
+  const urls = [...problems.keys()];
+  const matches = await MasterProblem.findMatches(urls.map(url => ({ url, title: problems.get(url).fields.title })));
+  const matched = new Map(urls.map((url, index) => [url, matches[index]]).filter(([, match]) => match));
+
+  // ─── Problems ───────────────────────────────────────────
+  const operations = [];
+  const idsByUrl = new Map();
+
+  problems.forEach((problem, url) => {
+    const existing = matched.get(url);
+    if (existing) idsByUrl.set(url, existing._id);
+
+    const candidate = new MasterProblem(problem.fields);
+    const validationError = candidate.validateSync();
+    if (validationError) {
+      report.failed.push({ title: problem.fields.title, url, error: validationError.message });
+      return;
+    }
+
+    // Cast / trimmed values, as they'd be stored
+    const document = candidate.toObject();
+    const fields = {};
+    Object.keys(problem.fields).forEach(field => { fields[field] = document[field]; });
+
+    if (!existing) {
+      idsByUrl.set(url, candidate._id);
+      operations.push({ title: fields.title, url, kind: 'added', write: { insertOne: { document } } });
+      return;
+    }
+
+    const changedFields = Object.keys(fields).filter(field => !sameValue(existing[field], fields[field]));
+    const changes = Object.fromEntries(changedFields.map(field => [field, fields[field]]));
+
+    if (!existing.isActive && existing.retiredAt) {
+      operations.push({
+        title: fields.title,
+        url,
+        kind: 'restored',
+        write: {
+          updateOne: {
+            filter: { _id: existing._id },
+            update: { $set: { ...changes, isActive: true }, $unset: { retiredAt: 1 } }
+          }
+        }
+      });
+      return;
+    }
+
+    if (changedFields.length === 0) {
+      report.unchanged += 1;
+      return;
+    }
+
+    operations.push({
+      title: fields.title,
+      url,
+      kind: 'changed',
+      fields: changedFields,
+      write: { updateOne: { filter: { _id: existing._id }, update: { $set: changes } } }
+    });
+  });
+
+  const failedIndexes = await writeProblems(operations, report);
+
+  operations.forEach((operation, index) => {
+    if (failedIndexes.has(index)) {
+      // A problem that failed to update is still in the catalog
+      if (operation.kind === 'added') idsByUrl.delete(operation.url);
+      return;
+    }
+    const { title, url, kind, fields } = operation;
+    report[kind].push(kind === 'changed' ? { title, url, fields } : { title, url });
+  });
+
+  // ─── Sheets ─────────────────────────────────────────────
+  const syncedIds = new Set([...idsByUrl.values()].map(String));
+  const previousSheets = await Sheet.find({ name: { $in: [...sheets.keys()] } }).select('problems.problemId').lean();
+  const previousMembers = previousSheets.flatMap(sheet => sheet.problems.map(entry => String(entry.problemId)));
+
+  for (const [name, sheet] of sheets) {
+    const saved = await sheetService.upsertSheet({
+      name,
+      sections: sheet.sections,
+      problems: sheet.entries
+        .filter(entry => idsByUrl.has(entry.url))
+        .map(entry => ({ problemId: idsByUrl.get(entry.url), section: entry.section }))
+    });
+    report.sheets.push({ name: saved.name, slug: saved.slug, problems: saved.problems.length });
+  }
+
+  // ─── Retired ────────────────────────────────────────────
+  const candidateIds = new Set([
+    ...previousMembers,
+    ...catalog.filter(problem => sheets.has(problem.sheet)).map(problem => String(problem._id))
+  ]);
+  syncedIds.forEach(problemId => candidateIds.delete(problemId));
+
+  if (candidateIds.size > 0) {
+    const elsewhere = await Sheet.find({
+      name: { $nin: [...sheets.keys()] },
+      'problems.problemId': { $in: [...candidateIds] }
+    }).select('problems.problemId').lean();
+    elsewhere.forEach(sheet => sheet.problems.forEach(entry => candidateIds.delete(String(entry.problemId))));
+
+    const retired = catalog.filter(problem => problem.isActive && candidateIds.has(String(problem._id)));
+    if (retired.length > 0) {
+      await MasterProblem.updateMany(
+        { _id: { $in: retired.map(problem => problem._id) } },
+        { $set: { isActive: false, retiredAt: new Date() } }
+      );
+      report.retired = retired.map(problem => ({ title: problem.title, url: problem.url || null }));
+    }
+  }
+
+  // ─── Progress under old string ids ──────────────────────
+  const externalIds = new Map();
+  problems.forEach((problem, url) => {
+    if (!idsByUrl.has(url)) return;
+    problem.externalIds.forEach(externalId => externalIds.set(externalId, idsByUrl.get(url)));
+  });
+  report.progressMigrated = await migrateProgress(externalIds);
+
+  log.info('Sheets synced', {
+    added: report.added.length,
+    changed: report.changed.length,
+    retired: report.retired.length,
+    restored: report.restored.length,
+    unchanged: report.unchanged,
+    failed: report.failed.length,
+    progressMigrated: report.progressMigrated
+  });
+
+  return report;
+};
+
+module.exports = {
+  syncSheets
+};
@@ -1,15 +1,18 @@
 /**
  * Striver SDE Sheet Service
  * 
- * PURPOSE: Fetch DSA problems from Striver's SDE Sheet
+ * PURPOSE: The Striver SDE Sheet problem list (takeuforward.org)
  * 
- * SOURCES:
- * - Striver's SDE Sheet (takeuforward.org)
- * - Can be extended to other problem sheets
+ * This is sheet DATA, not an API: services/sheetSyncService.js syncs it
+ * into the catalog (MasterProblem + the "Striver SDE Sheet" Sheet), and
+ * GET /api/dsa/problems?source=striver reads it from there, so problems
+ * have catalog ids that progress can be tracked against.
+ * 
+ * The "striver-N" ids are only used to move progress saved under them
+ * (before the sync existed) to the catalog problem.
  */
 
-const axios = require('axios');
-const cheerio = require('cheerio');
+const SHEET_NAME = 'Striver SDE Sheet';
 
 /**
  * Striver SDE Sheet problems
@@ -207,70 +210,7 @@ const STRIVER_SDE_SHEET_PROBLEMS = [
   { id: "striver-150", problemNumber: 150, title: "Maximal Rectangle", difficulty: "Hard", topic: "Stack", platform: "LeetCode", link: "https://leetcode.com/problems/maximal-rectangle/", sheet: "Striver SDE Sheet" }
 ];
 
-/**
- * Get all problems from Striver SDE Sheet
- */
-const getStriverSDESheetProblems = async () => {
-  try {
-    // Return the hardcoded problems list
-    return {
-      success: true,
-      data: STRIVER_SDE_SHEET_PROBLEMS,
-      count: STRIVER_SDE_SHEET_PROBLEMS.length,
-      source: 'Striver SDE Sheet'
-    };
-  } catch (error) {
-    console.error('Error fetching Striver SDE Sheet:', error);
-    throw new Error('Failed to fetch problems from Striver SDE Sheet');
-  }
-};
-
-/**
- * Get problems by difficulty
- */
-const getProblemsByDifficulty = async (difficulty) => {
-  const problems = STRIVER_SDE_SHEET_PROBLEMS.filter(
-    p => p.difficulty.toLowerCase() === difficulty.toLowerCase()
-  );
-  return {
-    success: true,
-    data: problems,
-    count: problems.length
-  };
-};
-
-/**
- * Get problems by topic
- */
-const getProblemsByTopic = async (topic) => {
-  const problems = STRIVER_SDE_SHEET_PROBLEMS.filter(
-    p => p.topic.toLowerCase().includes(topic.toLowerCase())
-  );
-  return {
-    success: true,
-    data: problems,
-    count: problems.length
-  };
-};
-
-/**
- * Search problems by title
- */
-const searchProblems = async (query) => {
-  const problems = STRIVER_SDE_SHEET_PROBLEMS.filter(
-    p => p.title.toLowerCase().includes(query.toLowerCase())
-  );
-  return {
-    success: true,
-    data: problems,
-    count: problems.length
-  };
-};
-
 module.exports = {
-  getStriverSDESheetProblems,
-  getProblemsByDifficulty,
-  getProblemsByTopic,
-  searchProblems,
+  SHEET_NAME,
   STRIVER_SDE_SHEET_PROBLEMS
 };
@@ -0,0 +1,176 @@
+/**
+ * Submission Sync Service
+ *
+ * PURPOSE: Mark problems solved from the user's accepted submissions on
+ * coding platforms, instead of ticking them off by hand
+ *
+ * FEATURES:
+ * - One adapter per platform (PLATFORMS): leetcodeService, codeforcesService
+ *   Adapter: { name, fetchAcceptedSubmissions(username) → [{ submissionId, title, url, submittedAt }] }
+ * - Submissions matched to catalog problems by canonical URL
+ *   (utils/problemUrl.js: same LeetCode slug / Codeforces contest + index)
+ * - Progress upserted as solved, lastSolvedAt = submission time (the
+ *   latest one per problem); counts as a review (UserProgress.markSolvedAt)
+ * - Idempotent: submissions older than lastSolvedAt change nothing
+ * - A weak / revising status the user set after the submission is kept
+ *
+ * REPORT:
+ * { platform, username, submissions, added: [{ problemId, title, solvedAt }],
+ *   updated: [{ problemId, title, solvedAt, previousStatus }], unchanged,
+ *   kept: [{ problemId, title, status }], unmatched: [{ title, url }] }
+ *
+ * USAGE:
+ *   POST /api/dsa/progress/sync { "platform": "leetcode", "username": "..." }
+ *   const report = await submissionSyncService.syncSubmissions(userId, 'leetcode', 'alice');
+ */
+
+const MasterProblem = require('../models/MasterProblem');
+const UserProgress = require('../models/UserProgress');
+const leetcodeService = require('./leetcodeService');
+const codeforcesService = require('./codeforcesService');
+const { canonicalUrl } = require('../utils/problemUrl');
+const logger = require('../utils/logger');
+const { BadRequestError } = require('../utils/errors');
+
+const log = logger.child({ component: 'submission-sync' });
+
+const PLATFORMS = {
+  leetcode: leetcodeService,
+  codeforces: codeforcesService
+};
+
+/**
+ * Statuses a user sets on purpose - not overridden by older submissions
+ */
+const JUDGED_STATUSES = ['weak', 'revising'];
+
+/**
+ * Latest accepted submission per canonical problem URL
+ */
+const latestByUrl = (submissions) => {
+  const latest = new Map();
+
+  submissions.forEach(submission => {
+    const url = canonicalUrl(submission.url);
+    if (!url) return;
+
+    const previous = latest.get(url);
+    if (!previous || submission.submittedAt > previous.submittedAt) {
+      latest.set(url, { ...submission, url });
+    }
+  });
+
+  return latest;
+};
+
+/**
+ * Active catalog problems by canonical URL
+ *
+ * @param {Array<string>} urls - Canonical URLs
+ * @returns {Promise<Map>} url → { _id, title }
+ */
+const findProblemsByUrl = async (urls) => {
+  const wanted = new Set(urls);
+  const catalog = await MasterProblem.find({ isActive: true, url: { $nin: [null, ''] } })
+    .select('title url')
+    .lean();
+
+  const problems = new Map();
+  catalog.forEach(problem => {
+    const url = canonicalUrl(problem.url);
+    if (wanted.has(url) && !problems.has(url)) problems.set(url, problem);
+  });
+
+  return problems;
+};
+
+/**
+ * Pull a user's accepted submissions from a platform into their progress
+ *
+ * @param {string} userId
+ * @param {string} platform - Key of PLATFORMS (leetcode / codeforces)
+ * @param {string} username - The user's username / handle on the platform
+ * @returns {Promise<Object>} Report (see top of file)
+ * @throws {NotFoundError} PLATFORM_USER_NOT_FOUND, {ExternalServiceError} from the adapter
+ */
+const syncSubmissions = async (userId, platform, username) => {
+  const adapter = PLATFORMS[platform];
+  if (!adapter) {
+    throw new BadRequestError(`Unknown platform "${platform}" (use ${Object.keys(PLATFORMS).join(' or ')})`, 'UNKNOWN_PLATFORM');
+  }
+
+  const submissions = await adapter.fetchAcceptedSubmissions(username);
+  const latest = latestByUrl(submissions);
+  const problems = await findProblemsByUrl([...latest.keys()]);
+
+  const report = {
+    platform,
+    username,
+    submissions: submissions.length,
+    added: [],
+    updated: [],
+    unchanged: 0,
+    kept: [],
+    unmatched: []
+  };
+
+  // Progress problemIds are strings, but older records may hold an ObjectId
+  const problemIds = [...problems.values()].map(problem => problem._id);
+  const existing = await UserProgress.find({
+    userId,
+    problemId: { $in: [...problemIds, ...problemIds.map(String)] }
+  });
+  const progressByProblem = new Map(existing.map(progress => [String(progress.problemId), progress]));
+
+  for (const [url, submission] of latest) {
+    const problem = problems.get(url);
+    if (!problem) {
+      report.unmatched.push({ title: submission.title, url });
+      continue;
+    }
+
+    const { submittedAt } = submission;
+    const entry = { problemId: problem._id, title: problem.title };
+    let progress = progressByProblem.get(String(problem._id));
+
+    if (!progress) {
+      progress = new UserProgress({ userId, problemId: String(problem._id) });
+      await progress.markSolvedAt(submittedAt).save();
+      report.added.push({ ...entry, solvedAt: submittedAt });
+      continue;
+    }
+
+    if (progress.status === 'solved' && progress.lastSolvedAt && progress.lastSolvedAt >= submittedAt) {
+      report.unchanged += 1;
+      continue;
+    }
+
+    if (JUDGED_STATUSES.includes(progress.status) && progress.updatedAt > submittedAt) {
+      report.kept.push({ ...entry, status: progress.status });
+      continue;
+    }
+
+    const previousStatus = progress.status;
+    progress.problemId = String(problem._id);
+    await progress.markSolvedAt(submittedAt).save();
+    report.updated.push({ ...entry, solvedAt: submittedAt, previousStatus });
+  }
+
+  log.info('Submissions synced', {
+    userId: String(userId),
+    platform,
+    submissions: report.submissions,
+    added: report.added.length,
+    updated: report.updated.length,
+    unchanged: report.unchanged,
+    kept: report.kept.length,
+    unmatched: report.unmatched.length
+  });
+
+  return report;
+};
+
+module.exports = {
+  PLATFORMS,
+  syncSubmissions
+};
@@ -0,0 +1,257 @@
+/**
+ * Token Service
+ *
+ * PURPOSE: Issue and rotate auth tokens backed by server-side sessions
+ *
+ * FEATURES:
+ * - Short-lived JWT access tokens (carry user id + session id)
+ * - Rotating opaque refresh tokens (stored hashed in Session)
+ * - Refresh-token reuse detection (revokes the whole session)
+ *
+ * CONFIG (.env):
+ * - JWT_SECRET: Signing secret for access tokens
+ * - ACCESS_TOKEN_EXPIRES_IN: Access token lifetime (default: 15m)
+ * - REFRESH_TOKEN_TTL_DAYS: Refresh token lifetime in days (default: 30)
+ * - PASSWORD_RESET_TTL_MINUTES: Password reset link lifetime (default: 60)
+ * - EMAIL_VERIFICATION_TTL_HOURS: Verification link lifetime (default: 48)
+ * - FRESH_LOGIN_MINUTES: How recent a login confirms account changes for
+ *   accounts without a password (default: 10)
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
+const { UnauthorizedError } = require('../utils/errors');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const FRESH_LOGIN_MINUTES = parseInt(process.env.FRESH_LOGIN_MINUTES) || 10;
+
+/**
+ * Rotated refresh token hashes kept per session for reuse detection
+ * (a 15m access token refreshed for 30 days would otherwise pile up
+ * thousands). Older ones are just invalid, without revoking the session.
+ */
+const MAX_PREVIOUS_TOKEN_HASHES = 100;
+
+/**
+ * Lifetime of emailed single-use tokens (minutes)
+ */
+const USER_TOKEN_TTL_MINUTES = {
+  'password-reset': parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+  'email-verification': (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * 60
+};
+
+/**
+ * Hash a token (refresh / emailed) for storage / lookup
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Generate a new random refresh token
+ */
+const generateRefreshToken = () => {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+/**
+ * Compute refresh token expiry from now
+ */
+const refreshExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Sign a short-lived access token
+ *
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {string} JWT
+ */
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  });
+};
+
+/**
+ * Build the token pair returned to clients
+ */
+const buildTokenPair = (session, refreshToken) => {
+  return {
+    token: signAccessToken(session.userId.toString(), session._id.toString()),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+};
+
+/**
+ * Start a new session (login / register)
+ *
+ * @param {string} userId - User ID
+ * @param {Object} req - Express request (for user agent / IP)
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn }
+ */
+const createSession = async (userId, req = null) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await Session.create({
+    userId,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiry(),
+    userAgent: req ? req.get('User-Agent') || '' : '',
+    ip: req ? req.ip || '' : ''
+  });
+
+  return buildTokenPair(session, refreshToken);
+};
+
+/**
+ * Exchange a refresh token for a new token pair (rotation)
+ *
+ * Throws an UnauthorizedError with `code`:
+ * - REFRESH_TOKEN_INVALID: unknown, expired or revoked token
+ * - REFRESH_TOKEN_REUSED:  an already-rotated token was presented;
+ *                          the session is revoked as a precaution
+ *
+ * @param {string} refreshToken - Refresh token from client
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn }
+ */
+const rotateRefreshToken = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+  const newRefreshToken = generateRefreshToken();
+
+  // Atomically swap the current hash so two concurrent refreshes
+  // with the same token can't both succeed
+  const session = await Session.findOneAndUpdate(
+    {
+      refreshTokenHash: tokenHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newRefreshToken),
+        expiresAt: refreshExpiry(),
+        lastUsedAt: new Date()
+      },
+      $push: { previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKEN_HASHES } }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return buildTokenPair(session, newRefreshToken);
+  }
+
+  // Not the current token - was it an old one from a live session?
+  const reusedSession = await Session.findOne({ previousTokenHashes: tokenHash });
+
+  if (reusedSession) {
+    reusedSession.revoke('reuse-detected');
+    await reusedSession.save();
+
+    throw new UnauthorizedError('Refresh token reuse detected. Session revoked, please log in again.', 'REFRESH_TOKEN_REUSED');
+  }
+
+  throw new UnauthorizedError('Invalid or expired refresh token', 'REFRESH_TOKEN_INVALID');
+};
+
+/**
+ * Revoke a single session (logout)
+ */
+const revokeSession = async (sessionId, reason = 'logout') => {
+  const session = await Session.findById(sessionId);
+  if (!session) return null;
+
+  session.revoke(reason);
+  return session.save();
+};
+
+/**
+ * Revoke all sessions for a user (logout everywhere)
+ */
+const revokeAllSessions = async (userId, reason = 'logout-all', exceptSessionId = null) => {
+  return Session.revokeAllForUser(userId, reason, exceptSessionId);
+};
+
+/**
+ * Check a session referenced by an access token is still usable
+ *
+ * @param {string} sessionId - Session ID from the JWT `sid` claim
+ * @returns {Promise<boolean>}
+ */
+const isSessionActive = async (sessionId) => {
+  const session = await Session.findById(sessionId).select('revokedAt expiresAt');
+  return !!session && session.isActive();
+};
+
+/**
+ * Check a session was logged in to recently - its login, not a refresh
+ * (sessions keep their createdAt through rotation)
+ *
+ * Stands in for the password on accounts that don't have one.
+ *
+ * @param {string} sessionId - Session ID from the JWT `sid` claim
+ * @returns {Promise<boolean>}
+ */
+const isFreshLogin = async (sessionId) => {
+  if (!sessionId) return false;
+
+  const session = await Session.findById(sessionId).select('revokedAt expiresAt createdAt');
+  return !!session && session.isActive() &&
+    session.createdAt.getTime() > Date.now() - FRESH_LOGIN_MINUTES * 60 * 1000;
+};
+
+/**
+ * Issue a single-use emailed token (password reset / email verification)
+ *
+ * Any earlier unused token with the same purpose is invalidated,
+ * so only the most recent email link works.
+ *
+ * @param {string} userId - User ID
+ * @param {string} purpose - 'password-reset' | 'email-verification'
+ * @returns {Promise<Object>} { token (plain, for the email), expiresInMinutes }
+ */
+const createUserToken = async (userId, purpose) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresInMinutes = USER_TOKEN_TTL_MINUTES[purpose];
+
+  await UserToken.invalidateForUser(userId, purpose);
+  await UserToken.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000)
+  });
+
+  return { token, expiresInMinutes };
+};
+
+/**
+ * Use a single-use emailed token
+ *
+ * @param {string} token - Plain token from the email link
+ * @param {string} purpose - Expected purpose
+ * @returns {Promise<Object|null>} Token document (with userId) or null if invalid
+ */
+const consumeUserToken = async (token, purpose) => {
+  return UserToken.consume(hashToken(token), purpose);
+};
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+  isFreshLogin,
+  FRESH_LOGIN_MINUTES,
+  createUserToken,
+  consumeUserToken
+};
@@ -0,0 +1,369 @@
+/**
+ * GitHub Fixture Server
+ *
+ * PURPOSE: Stand-in for api.github.com that answers from recorded
+ * responses, so GitHub sync and project health can be developed and
+ * tested without the network (or burning the 60 requests/hour quota).
+ *
+ * USAGE:
+ *   npm run github:fixtures                           # http://127.0.0.1:4010
+ *   GITHUB_API_URL=http://127.0.0.1:4010 npm run dev  # app uses the fixtures
+ *
+ *   // In tests
+ *   const fixtureServer = await startFixtureServer();  // random free port
+ *   process.env.GITHUB_API_URL = fixtureServer.url;
+ *   fixtureServer.fixtures.octocat.repos[0].stargazers_count = 42;
+ *   fixtureServer.rateLimit.remaining = 0;            // tokenless quota used up
+ *   fixtureServer.reset();                            // back to the files (and a full quota)
+ *   await fixtureServer.close();
+ *
+ * FIXTURES (src/test/fixtures/github/<username>.json, GitHub's own response format):
+ * {
+ *   "profile":      GET /users/:username (and GET /user),
+ *   "repos":        GET /users/:username/repos,
+ *   "privateRepos": added to GET /user/repos for a token with the repo scope,
+ *   "languages":    { "<repo>": GET /repos/:owner/:repo/languages },
+ *   "commits":      { "<repo>": GET /repos/:owner/:repo/commits },
+ *   "readmes":      { "<repo>": "README markdown" },
+ *   "tokens":       { "<personal access token>": { "scopes": ["repo", ...] } },
+ *   "emails":       GET /user/emails,
+ *   "oauthCodes":   { "<OAuth code>": "<one of tokens>" }  (POST /login/oauth/access_token)
+ * }
+ * A fixture with "error": { "status", "message" } answers every request
+ * for that user with that error (rate-limited.json → 403).
+ *
+ * Requests with an Authorization header must use one of the fixtures'
+ * tokens (else 401 Bad credentials, like GitHub); the token's scopes come
+ * back in the X-OAuth-Scopes header.
+ *
+ * Rate limit: requests without a token share one quota (60/hour, like
+ * GitHub) reported in X-RateLimit-* headers; at 0 they get GitHub's 403.
+ * Requests with a token always have plenty left.
+ *
+ * Repository lists, details, languages, commits and READMEs have an ETag;
+ * a request with a matching If-None-Match gets 304 (still counted against
+ * the tokenless quota, like GitHub).
+ *
+ * OAuth (GITHUB_OAUTH_URL=<fixture server>): /login/oauth/authorize
+ * skips GitHub's consent page and redirects straight back with the first
+ * code of ?login=<username> (default: the first fixture with oauthCodes).
+ *
+ * To record a new user: save the responses of the endpoints above from
+ * api.github.com into a new file.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'github');
+
+/**
+ * Read every fixture file → { username: fixture } (usernames lowercased,
+ * GitHub treats them case-insensitively)
+ */
+const loadFixtures = (dir = FIXTURE_DIR) => {
+  return Object.fromEntries(
+    fs.readdirSync(dir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => [
+        path.basename(file, '.json').toLowerCase(),
+        JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))
+      ])
+  );
+};
+
+const sendNotFound = (res) => {
+  res.status(404).json({ message: 'Not Found', documentation_url: 'https://docs.github.com/rest', status: '404' });
+};
+
+const sendUnauthorized = (res, message = 'Bad credentials') => {
+  res.status(401).json({ message, documentation_url: 'https://docs.github.com/rest', status: '401' });
+};
+
+/**
+ * Answer with an ETag, or 304 if the client's If-None-Match has it
+ *
+ * Done here rather than by Express: fetch() adds "Cache-Control: no-cache"
+ * to conditional requests, which makes Express ignore them (GitHub doesn't).
+ */
+const sendWithEtag = (req, res, data) => {
+  const body = JSON.stringify(data);
+  const etag = `W/"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+
+  res.set('ETag', etag);
+  if (req.get('if-none-match') === etag) return res.status(304).end();
+  res.type('json').send(body);
+};
+
+const sendList = (req, res, items) => sendWithEtag(req, res, paginate(items, req.query));
+
+/**
+ * Apply GitHub's per_page / page query params
+ */
+const paginate = (items, query) => {
+  const perPage = Math.min(parseInt(query.per_page) || 30, 100);
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  return items.slice((page - 1) * perPage, page * perPage);
+};
+
+/**
+ * A full tokenless quota
+ */
+const freshRateLimit = () => ({ limit: 60, remaining: 60, reset: Math.floor(Date.now() / 1000) + 3600 });
+
+/**
+ * Express app serving the GitHub endpoints githubService uses
+ *
+ * @param {Object} fixtures - { username: fixture } (read on every request, so tests can change it)
+ * @param {Object} rateLimit - Tokenless quota { limit, remaining, reset } (changed in place)
+ */
+const createFixtureApp = (fixtures, rateLimit = freshRateLimit()) => {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  // ─── OAuth (github.com) ─────────────────────────────────
+  app.get('/login/oauth/authorize', (req, res) => {
+    const { redirect_uri: redirectUri, state, login } = req.query;
+    const username = login
+      ? String(login).toLowerCase()
+      : Object.keys(fixtures).find(name => fixtures[name].oauthCodes);
+    const codes = Object.keys((fixtures[username] || {}).oauthCodes || {});
+
+    if (!redirectUri || codes.length === 0) return sendNotFound(res);
+
+    const url = new URL(redirectUri);
+    url.searchParams.set('code', codes[0]);
+    if (state) url.searchParams.set('state', state);
+    res.redirect(url.toString());
+  });
+
+  app.post('/login/oauth/access_token', (req, res) => {
+    const code = req.body.code;
+    const fixture = Object.values(fixtures).find(item => (item.oauthCodes || {})[code]);
+
+    // GitHub answers 200 with an error for bad codes
+    if (!fixture || !req.body.client_id) {
+      return res.json({
+        error: 'bad_verification_code',
+        error_description: 'The code passed is incorrect or expired.'
+      });
+    }
+
+    const token = fixture.oauthCodes[code];
+    res.json({
+      access_token: token,
+      token_type: 'bearer',
+      scope: ((fixture.tokens || {})[token] || { scopes: [] }).scopes.join(',')
+    });
+  });
+
+  // ─── API (api.github.com) ───────────────────────────────
+  // Authenticate "Authorization: token <pat>" / "Bearer <pat>" against the fixtures' tokens
+  app.use((req, res, next) => {
+    const header = req.get('authorization');
+    if (!header) return next();
+
+    const token = header.replace(/^(token|bearer)\s+/i, '');
+    const username = Object.keys(fixtures).find(name => (fixtures[name].tokens || {})[token]);
+    if (!username) return sendUnauthorized(res);
+
+    const { scopes = [] } = fixtures[username].tokens[token];
+    req.githubUser = { username, fixture: fixtures[username], scopes };
+    res.set('X-OAuth-Scopes', scopes.join(', '));
+    next();
+  });
+
+  // Count the request against the quota (not /rate_limit, like GitHub)
+  app.use((req, res, next) => {
+    if (Date.now() / 1000 >= rateLimit.reset) Object.assign(rateLimit, freshRateLimit());
+
+    const quota = req.githubUser
+      ? { limit: 5000, remaining: 4999, reset: Math.floor(Date.now() / 1000) + 3600 }
+      : rateLimit;
+
+    if (req.path !== '/rate_limit' && !req.githubUser) {
+      if (rateLimit.remaining === 0) {
+        res.set({ 'X-RateLimit-Limit': quota.limit, 'X-RateLimit-Remaining': 0, 'X-RateLimit-Reset': quota.reset });
+        return res.status(403).json({ message: 'API rate limit exceeded for 127.0.0.1.', documentation_url: 'https://docs.github.com/rest' });
+      }
+      rateLimit.remaining -= 1;
+    }
+
+    res.set({ 'X-RateLimit-Limit': quota.limit, 'X-RateLimit-Remaining': quota.remaining, 'X-RateLimit-Reset': quota.reset });
+    next();
+  });
+
+  // Private repositories are visible to their owner's token with the repo scope
+  const visibleRepos = (req, fixture) => {
+    const ownToken = req.githubUser && req.githubUser.fixture === fixture && req.githubUser.scopes.includes('repo');
+    return [...(fixture.repos || []), ...(ownToken ? fixture.privateRepos || [] : [])];
+  };
+
+  // Resolve the user's fixture, or answer 404 / the fixture's error
+  const findUser = (req, res) => {
+    const fixture = fixtures[req.params.username.toLowerCase()];
+    if (!fixture) {
+      sendNotFound(res);
+      return null;
+    }
+    if (fixture.error) {
+      res.status(fixture.error.status).json({ message: fixture.error.message });
+      return null;
+    }
+    return fixture;
+  };
+
+  const findRepo = (req, res) => {
+    const fixture = findUser(req, res);
+    if (!fixture) return null;
+
+    const repo = visibleRepos(req, fixture).find(item => item.name.toLowerCase() === req.params.repo.toLowerCase());
+    if (!repo) {
+      sendNotFound(res);
+      return null;
+    }
+    return { fixture, repo };
+  };
+
+  app.get('/rate_limit', (req, res) => {
+    const core = { ...rateLimit, used: rateLimit.limit - rateLimit.remaining };
+    res.json({ resources: { core }, rate: core });
+  });
+
+  app.get('/user', (req, res) => {
+    if (!req.githubUser) return sendUnauthorized(res, 'Requires authentication');
+
+    res.json(req.githubUser.fixture.profile);
+  });
+
+  app.get('/user/emails', (req, res) => {
+    if (!req.githubUser) return sendUnauthorized(res, 'Requires authentication');
+
+    res.json(req.githubUser.fixture.emails || []);
+  });
+
+  app.get('/user/repos', (req, res) => {
+    if (!req.githubUser) return sendUnauthorized(res, 'Requires authentication');
+
+    const visibility = req.query.visibility || 'all';
+    const repos = visibleRepos(req, req.githubUser.fixture)
+      .filter(repo => visibility === 'all' || repo.visibility === visibility);
+
+    sendList(req, res, repos);
+  });
+
+  app.get('/users/:username', (req, res) => {
+    const fixture = findUser(req, res);
+    if (!fixture) return;
+    if (!fixture.profile) return sendNotFound(res);
+
+    res.json(fixture.profile);
+  });
+
+  app.get('/users/:username/repos', (req, res) => {
+    const fixture = findUser(req, res);
+    if (!fixture) return;
+
+    sendList(req, res, fixture.repos || []);
+  });
+
+  app.get('/repos/:username/:repo', (req, res) => {
+    const found = findRepo(req, res);
+    if (!found) return;
+
+    sendWithEtag(req, res, found.repo);
+  });
+
+  app.get('/repos/:username/:repo/languages', (req, res) => {
+    const found = findRepo(req, res);
+    if (!found) return;
+
+    sendWithEtag(req, res, (found.fixture.languages || {})[found.repo.name] || {});
+  });
+
+  app.get('/repos/:username/:repo/commits', (req, res) => {
+    const found = findRepo(req, res);
+    if (!found) return;
+
+    sendList(req, res, (found.fixture.commits || {})[found.repo.name] || []);
+  });
+
+  app.get('/repos/:username/:repo/readme', (req, res) => {
+    const found = findRepo(req, res);
+    if (!found) return;
+
+    const readme = (found.fixture.readmes || {})[found.repo.name];
+    if (readme === undefined) return sendNotFound(res);
+
+    sendWithEtag(req, res, {
+      name: 'README.md',
+      path: 'README.md',
+      type: 'file',
+      encoding: 'base64',
+      content: Buffer.from(readme).toString('base64'),
+      html_url: `${found.repo.html_url}/blob/${found.repo.default_branch}/README.md`,
+      download_url: `https://raw.githubusercontent.com/${found.repo.full_name}/${found.repo.default_branch}/README.md`
+    });
+  });
+
+  app.use((req, res) => sendNotFound(res));
+
+  return app;
+};
+
+/**
+ * Start the fixture server
+ *
+ * @param {Object} options - { port (0 = random), host, dir }
+ * @returns {Promise<Object>} { url, fixtures, rateLimit, reset(), close() }
+ */
+const startFixtureServer = ({ port = 0, host = '127.0.0.1', dir = FIXTURE_DIR } = {}) => {
+  const fixtures = loadFixtures(dir);
+  const rateLimit = freshRateLimit();
+
+  return new Promise((resolve, reject) => {
+    const server = createFixtureApp(fixtures, rateLimit).listen(port, host, () => {
+      resolve({
+        url: `http://${host}:${server.address().port}`,
+        fixtures,
+        rateLimit,
+        // Undo changes made by a test
+        reset: () => {
+          Object.keys(fixtures).forEach(username => delete fixtures[username]);
+          Object.assign(fixtures, loadFixtures(dir));
+          Object.assign(rateLimit, freshRateLimit());
+        },
+        close: () => new Promise(done => {
+          server.close(done);
+          server.closeAllConnections();
+        })
+      });
+    });
+    server.on('error', reject);
+  });
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.GITHUB_FIXTURE_PORT) || 4010;
+
+  startFixtureServer({ port })
+    .then(({ url, fixtures }) => {
+      logger.info(`GitHub fixture server running on ${url}`, { users: Object.keys(fixtures) });
+      logger.info(`Start the API with GITHUB_API_URL=${url} to use it`);
+    })
+    .catch(error => {
+      logger.error('GitHub fixture server failed to start', { err: error });
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  FIXTURE_DIR,
+  loadFixtures,
+  createFixtureApp,
+  startFixtureServer
+};
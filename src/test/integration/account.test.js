@@ -0,0 +1,269 @@
+/**
+ * Account integration tests - account deletion (immediate, scheduled,
+ * purge) and the cascade over every collection holding per-user data,
+ * export / import (merge, replace, validation)
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, startDatabase, stopDatabase, clearDatabase, registerUser } = require('./helpers');
+const accountService = require('../../services/accountService');
+const User = require('../../models/User');
+const MasterProblem = require('../../models/MasterProblem');
+const UserProgress = require('../../models/UserProgress');
+const ProblemAttempt = require('../../models/ProblemAttempt');
+const Project = require('../../models/Project');
+const CareerEvent = require('../../models/CareerEvent');
+const PlannerTask = require('../../models/PlannerTask');
+const Goal = require('../../models/Goal');
+const Event = require('../../models/Event');
+const UserToken = require('../../models/UserToken');
+const GitHubSyncState = require('../../models/GitHubSyncState');
+const SyncRun = require('../../models/SyncRun');
+
+const { USER_OWNED_MODELS } = accountService;
+
+/**
+ * One record in every collection of USER_OWNED_MODELS (registering
+ * already made the session and the email verification token)
+ */
+const seedEverything = async ({ user }) => {
+  const userId = user.id;
+
+  await Promise.all([
+    UserProgress.create({ userId, problemId: 'two-sum', status: 'solved', lastSolvedAt: new Date() }),
+    ProblemAttempt.create({ userId, problemId: 'two-sum', outcome: 'solved' }),
+    Project.create({ userId, githubId: 1296269, name: 'Hello-World', fullName: 'octocat/Hello-World', url: 'https://github.com/octocat/Hello-World' }),
+    CareerEvent.create({ userId, title: 'Onsite', type: 'interview', date: new Date() }),
+    PlannerTask.create({ userId, title: 'Mock interview' }),
+    Goal.create({ userId, name: 'Get an offer', deadline: new Date(), steps: [{ id: 'step-1', title: 'Apply' }] }),
+    Event.create({ userId, title: 'Career fair', date: new Date() }),
+    UserToken.create({ userId, purpose: 'password-reset', tokenHash: `hash-${userId}`, expiresAt: new Date(Date.now() + 60 * 60 * 1000) }),
+    GitHubSyncState.create({ userId, githubUsername: 'octocat' })
+  ]);
+};
+
+const countsOf = async (userId) => Object.fromEntries(await Promise.all(
+  USER_OWNED_MODELS.map(async Model => [Model.modelName, await Model.countDocuments({ userId })])
+));
+
+describe('Account deletion', () => {
+  let alice;
+  let bob;
+
+  before(startDatabase);
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    alice = await registerUser();
+    bob = await registerUser();
+    await seedEverything(alice);
+    await seedEverything(bob);
+  });
+
+  it('seeds a record in every per-user collection', async () => {
+    // Guards the cascade test below: a model added to USER_OWNED_MODELS needs a seed here
+    const counts = await countsOf(alice.user.id);
+    Object.entries(counts).forEach(([model, count]) => assert.ok(count > 0, `no ${model} seeded`));
+  });
+
+  it('deletes the account and all of its data at once', async () => {
+    await SyncRun.create({
+      trigger: 'manual',
+      results: [
+        { userId: alice.user.id, githubUsername: 'octocat', status: 'synced' },
+        { userId: bob.user.id, githubUsername: 'octocat', status: 'synced' }
+      ]
+    });
+
+    const res = await api()
+      .delete('/api/auth/account')
+      .set(alice.auth)
+      .send({ password: alice.credentials.password })
+      .expect(200);
+    assert.equal(res.body.deleted.users, 1);
+
+    assert.equal(await User.countDocuments({ _id: alice.user.id }), 0);
+    const counts = await countsOf(alice.user.id);
+    Object.entries(counts).forEach(([model, count]) => assert.equal(count, 0, `${model} left behind`));
+
+    const run = await SyncRun.findOne();
+    assert.deepEqual(run.results.map(result => String(result.userId)), [bob.user.id]);
+
+    // Nobody else's data
+    const bobCounts = await countsOf(bob.user.id);
+    Object.entries(bobCounts).forEach(([model, count]) => assert.ok(count > 0, `bob's ${model} deleted`));
+
+    await api().get('/api/auth/me').set(alice.auth).expect(401);
+    await api().post('/api/auth/login').send(alice.credentials).expect(401);
+  });
+
+  it('schedules the deletion with a grace period, cancelled by logging in', async () => {
+    const res = await api()
+      .delete('/api/auth/account')
+      .set(alice.auth)
+      .send({ password: alice.credentials.password, gracePeriod: true })
+      .expect(200);
+    assert.ok(res.body.deletionScheduledAt);
+    await api().get('/api/auth/me').set(alice.auth).expect(401);
+
+    const login = await api().post('/api/auth/login').send(alice.credentials).expect(200);
+    assert.equal(login.body.deletionCancelled, true);
+    assert.equal((await User.findById(alice.user.id)).deletionScheduledAt, null);
+    assert.equal(await Project.countDocuments({ userId: alice.user.id }), 1);
+  });
+
+  it('purges the account when it logs in after the grace period', async () => {
+    await api().delete('/api/auth/account').set(alice.auth).send({ password: alice.credentials.password, gracePeriod: true }).expect(200);
+    await User.updateOne({ _id: alice.user.id }, { deletionScheduledAt: new Date(Date.now() - 1000) });
+
+    const res = await api().post('/api/auth/login').send(alice.credentials).expect(401);
+    assert.equal(res.body.code, 'INVALID_CREDENTIALS');
+
+    assert.equal(await User.countDocuments({ _id: alice.user.id }), 0);
+    const counts = await countsOf(alice.user.id);
+    Object.entries(counts).forEach(([model, count]) => assert.equal(count, 0, `${model} left behind`));
+  });
+
+  it('purges every account whose grace period has ended', async () => {
+    await User.updateOne({ _id: alice.user.id }, { deletionScheduledAt: new Date(Date.now() - 1000) });
+    await User.updateOne({ _id: bob.user.id }, { deletionScheduledAt: new Date(Date.now() + 60 * 60 * 1000) });
+
+    assert.equal(await accountService.purgeExpiredAccounts(), 1);
+
+    assert.equal(await User.countDocuments({ _id: alice.user.id }), 0);
+    assert.equal(await PlannerTask.countDocuments({ userId: alice.user.id }), 0);
+    assert.equal(await User.countDocuments({ _id: bob.user.id }), 1);
+    assert.equal(await PlannerTask.countDocuments({ userId: bob.user.id }), 1);
+  });
+});
+
+describe('Account export / import', () => {
+  let alice;
+  let bob;
+  let twoSum;
+
+  before(startDatabase);
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    alice = await registerUser();
+    bob = await registerUser();
+    twoSum = await MasterProblem.create({
+      title: 'Two Sum', difficulty: 'Easy', topic: 'Arrays', platform: 'LeetCode', url: 'https://leetcode.com/problems/two-sum'
+    });
+
+    const userId = alice.user.id;
+    const goal = await Goal.create({ userId, name: 'Get an offer', deadline: new Date('2026-06-01'), steps: [{ id: 'step-1', title: 'Apply' }] });
+    await Promise.all([
+      UserProgress.create({ userId, problemId: String(twoSum._id), status: 'solved', notes: 'Hash map', lastSolvedAt: new Date('2026-01-10') }),
+      ProblemAttempt.create({ userId, problemId: String(twoSum._id), outcome: 'solved', attemptedAt: new Date('2026-01-10T10:00:00Z') }),
+      Project.create({ userId, githubId: 1296269, name: 'Hello-World', fullName: 'octocat/Hello-World', url: 'https://github.com/octocat/Hello-World', notes: 'First repo' }),
+      CareerEvent.create({ userId, title: 'Onsite', type: 'interview', date: new Date('2026-02-01') }),
+      PlannerTask.create({ userId, title: 'Mock interview', dueDate: new Date('2026-01-20'), goalId: goal._id }),
+      Event.create({ userId, title: 'Career fair', date: new Date('2026-03-01') })
+    ]);
+  });
+
+  const exportOf = async (user) => (await api().get('/api/account/export').set(user.auth).expect(200)).body;
+
+  const importInto = (user, bundle, mode = 'merge') => api()
+    .post(`/api/account/import?mode=${mode}`)
+    .set(user.auth)
+    .send(bundle);
+
+  it('imports an export into another account, goals re-linked', async () => {
+    const bundle = await exportOf(alice);
+    const res = await importInto(bob, bundle).expect(200);
+
+    assert.deepEqual(res.body.data.imported, {
+      dsaProgress: 1, dsaAttempts: 1, projects: 1, careerEvents: 1, goals: 1, plannerTasks: 1, events: 1
+    });
+    assert.deepEqual(res.body.data.failed, []);
+
+    const progress = await UserProgress.findOne({ userId: bob.user.id });
+    assert.equal(progress.problemId, String(twoSum._id));
+    assert.equal(progress.notes, 'Hash map');
+
+    const [goal, task] = await Promise.all([Goal.findOne({ userId: bob.user.id }), PlannerTask.findOne({ userId: bob.user.id })]);
+    assert.equal(String(task.goalId), String(goal._id));
+    assert.deepEqual(goal.steps.map(step => step.id), ['step-1']);
+  });
+
+  it('skips records the account already has when merging', async () => {
+    const bundle = await exportOf(alice);
+    await importInto(bob, bundle).expect(200);
+    const again = await importInto(bob, bundle).expect(200);
+
+    assert.deepEqual(again.body.data.skipped, { dsaAttempts: 1, careerEvents: 1, goals: 1, plannerTasks: 1, events: 1 });
+    assert.equal(again.body.data.imported.plannerTasks, 0);
+
+    const counts = await countsOf(bob.user.id);
+    ['UserProgress', 'ProblemAttempt', 'Project', 'CareerEvent', 'Goal', 'PlannerTask', 'Event'].forEach(model => {
+      assert.equal(counts[model], 1, `${model} doubled`);
+    });
+
+    // A task re-imported after its goal already existed still points at it
+    const goal = await Goal.findOne({ userId: bob.user.id });
+    await PlannerTask.deleteMany({ userId: bob.user.id });
+    await importInto(bob, bundle).expect(200);
+    assert.equal(String((await PlannerTask.findOne({ userId: bob.user.id })).goalId), String(goal._id));
+  });
+
+  it('replaces the account\'s data in replace mode', async () => {
+    await PlannerTask.create({ userId: bob.user.id, title: 'Bob\'s own task' });
+    const bundle = await exportOf(alice);
+
+    await importInto(bob, bundle, 'replace').expect(200);
+
+    const tasks = await PlannerTask.find({ userId: bob.user.id });
+    assert.deepEqual(tasks.map(task => task.title), ['Mock interview']);
+    // Alice keeps hers
+    assert.equal(await PlannerTask.countDocuments({ userId: alice.user.id }), 1);
+  });
+
+  it('lists problems this catalog doesn\'t have', async () => {
+    const bundle = await exportOf(alice);
+    bundle.dsaProgress.push({ problem: { title: 'Median of Two Sorted Arrays', url: 'https://leetcode.com/problems/median-of-two-sorted-arrays' }, status: 'solved' });
+
+    const res = await importInto(bob, bundle).expect(200);
+
+    assert.deepEqual(res.body.data.unmatchedProblems, [
+      { title: 'Median of Two Sorted Arrays', url: 'https://leetcode.com/problems/median-of-two-sorted-arrays' }
+    ]);
+    assert.equal(await UserProgress.countDocuments({ userId: bob.user.id }), 1);
+  });
+
+  it('rejects a malformed bundle without writing anything', async () => {
+    const bundle = await exportOf(alice);
+    bundle.projects.push({ name: 'no-id', fullName: 'octocat/no-id', url: 'https://github.com/octocat/no-id' });
+
+    const res = await importInto(bob, bundle).expect(400);
+
+    assert.equal(res.body.code, 'INVALID_BUNDLE');
+    assert.ok(res.body.details.some(detail => /projects\[1\]\.githubId/.test(detail.message)));
+    assert.equal(await Project.countDocuments({ userId: bob.user.id }), 0);
+    assert.equal(await PlannerTask.countDocuments({ userId: bob.user.id }), 0);
+  });
+
+  it('leaves out records their model rejects and ignores unknown fields', async () => {
+    const bundle = await exportOf(alice);
+    bundle.dsaProgress[0].easeFactor = 0.2;
+    bundle.careerEvents[0].status = 'sort-of';
+    bundle.projects[0].userId = alice.user.id;
+    bundle.projects[0].isAdmin = true;
+
+    const res = await importInto(bob, bundle).expect(200);
+
+    assert.deepEqual(res.body.data.failed.map(failure => [failure.section, failure.index]), [['dsaProgress', 0], ['careerEvents', 0]]);
+    assert.equal(await UserProgress.countDocuments({ userId: bob.user.id }), 0);
+    assert.equal(await CareerEvent.countDocuments({ userId: bob.user.id }), 0);
+
+    const project = await Project.findOne({ userId: bob.user.id }).lean();
+    assert.equal(project.notes, 'First repo');
+    assert.equal(project.isAdmin, undefined);
+    assert.equal(await Project.countDocuments({ userId: alice.user.id }), 1);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Activity integration tests - GET /api/activity/heatmap (counts per
+ * source, DSA solves vs logged attempts, streaks)
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, startDatabase, stopDatabase, clearDatabase, registerUser } = require('./helpers');
+const UserProgress = require('../../models/UserProgress');
+const ProblemAttempt = require('../../models/ProblemAttempt');
+const PlannerTask = require('../../models/PlannerTask');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+
+describe('Activity API', () => {
+  let alice;
+
+  before(startDatabase);
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    alice = await registerUser();
+  });
+
+  const heatmap = (query = '') => api()
+    .get(`/api/activity/heatmap${query}`)
+    .set(alice.auth)
+    .expect(200);
+
+  const completeTasksOn = (days) => PlannerTask.insertMany(days.map(day => ({
+    userId: alice.user.id,
+    title: `Task ${day}`,
+    completed: true,
+    completedAt: daysAgo(day)
+  })));
+
+  it('counts a problem once a day, solved and logged as attempts', async () => {
+    await UserProgress.create({ userId: alice.user.id, problemId: 'two-sum', status: 'solved', lastSolvedAt: daysAgo(0) });
+    await ProblemAttempt.create([
+      { userId: alice.user.id, problemId: 'two-sum', outcome: 'failed', attemptedAt: daysAgo(0) },
+      { userId: alice.user.id, problemId: 'two-sum', outcome: 'solved', attemptedAt: daysAgo(0) },
+      { userId: alice.user.id, problemId: 'three-sum', outcome: 'partial', attemptedAt: daysAgo(0) },
+      { userId: alice.user.id, problemId: 'three-sum', outcome: 'solved', attemptedAt: daysAgo(0) }
+    ]);
+
+    const res = await heatmap();
+    const today = res.body.data.days.at(-1);
+
+    assert.equal(today.dsa, 1);
+    assert.equal(today.attempts, 1);
+    assert.equal(today.total, 2);
+    assert.equal(res.body.data.totals.total, 2);
+  });
+
+  it('counts streaks longer than the heatmap\'s year', async () => {
+    await completeTasksOn(Array.from({ length: 400 }, (_, day) => day));
+
+    const res = await heatmap();
+
+    assert.equal(res.body.data.days.length, 365);
+    assert.deepEqual(res.body.data.streak, { current: 400, longest: 400 });
+  });
+
+  it('keeps the longest streak from before the range shown', async () => {
+    await completeTasksOn([...Array.from({ length: 50 }, (_, day) => 500 + day), 1, 0]);
+
+    const lastYear = new Date().getUTCFullYear() - 1;
+    const res = await heatmap(`?year=${lastYear}`);
+
+    assert.deepEqual(res.body.data.streak, { current: 2, longest: 50 });
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Auth integration tests - register, login, sessions, email verification
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, startDatabase, stopDatabase, clearDatabase, registerUser, tokenFromMail } = require('./helpers');
+const Session = require('../../models/Session');
+
+describe('Auth API', () => {
+  before(startDatabase);
+  after(stopDatabase);
+  beforeEach(clearDatabase);
+
+  describe('POST /api/auth/register', () => {
+    it('creates the user and returns a token pair', async () => {
+      const res = await api()
+        .post('/api/auth/register')
+        .send({ name: 'Alice', email: 'alice@test.com', password: 'password123' })
+        .expect(201);
+
+      assert.equal(res.body.success, true);
+      assert.ok(res.body.token);
+      assert.ok(res.body.refreshToken);
+      assert.equal(res.body.user.email, 'alice@test.com');
+      assert.equal(res.body.user.emailVerified, false);
+      assert.equal(res.body.user.password, undefined);
+    });
+
+    it('rejects a duplicate email with 409', async () => {
+      await registerUser({ email: 'taken@test.com' });
+
+      const res = await api()
+        .post('/api/auth/register')
+        .send({ name: 'Other', email: 'taken@test.com', password: 'password123' })
+        .expect(409);
+
+      assert.equal(res.body.code, 'EMAIL_TAKEN');
+    });
+
+    it('rejects an invalid body with 400', async () => {
+      const res = await api()
+        .post('/api/auth/register')
+        .send({ email: 'no-name@test.com' })
+        .expect(400);
+
+      assert.equal(res.body.code, 'VALIDATION_ERROR');
+      assert.ok(res.body.details.length > 0);
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('logs in with the right password', async () => {
+      const { credentials } = await registerUser();
+
+      const res = await api()
+        .post('/api/auth/login')
+        .send({ email: credentials.email, password: credentials.password })
+        .expect(200);
+
+      assert.ok(res.body.token);
+      assert.equal(res.body.user.email, credentials.email);
+    });
+
+    it('rejects a wrong password with 401', async () => {
+      const { credentials } = await registerUser();
+
+      const res = await api()
+        .post('/api/auth/login')
+        .send({ email: credentials.email, password: 'wrong-password' })
+        .expect(401);
+
+      assert.equal(res.body.code, 'INVALID_CREDENTIALS');
+    });
+
+    it('locks the account after repeated failures', async () => {
+      const { credentials } = await registerUser();
+
+      for (let i = 0; i < 5; i++) {
+        await api().post('/api/auth/login').send({ email: credentials.email, password: 'wrong' }).expect(401);
+      }
+
+      const res = await api()
+        .post('/api/auth/login')
+        .send({ email: credentials.email, password: credentials.password })
+        .expect(429);
+
+      assert.equal(res.body.code, 'ACCOUNT_LOCKED');
+      assert.ok(Number(res.headers['retry-after']) > 0);
+    });
+  });
+
+  describe('sessions', () => {
+    it('requires a token for /api/auth/me', async () => {
+      const res = await api().get('/api/auth/me').expect(401);
+      assert.equal(res.body.code, 'NO_TOKEN');
+    });
+
+    it('returns the current user', async () => {
+      const alice = await registerUser();
+
+      const res = await api().get('/api/auth/me').set(alice.auth).expect(200);
+      assert.equal(res.body.user.email, alice.credentials.email);
+    });
+
+    it('rotates refresh tokens and revokes the session on reuse', async () => {
+      const alice = await registerUser();
+
+      const refreshed = await api()
+        .post('/api/auth/refresh')
+        .send({ refreshToken: alice.refreshToken })
+        .expect(200);
+      assert.notEqual(refreshed.body.refreshToken, alice.refreshToken);
+
+      const reused = await api()
+        .post('/api/auth/refresh')
+        .send({ refreshToken: alice.refreshToken })
+        .expect(401);
+      assert.equal(reused.body.code, 'REFRESH_TOKEN_REUSED');
+
+      // The whole session is gone, including the newest tokens
+      await api()
+        .get('/api/auth/me')
+        .set({ Authorization: `Bearer ${refreshed.body.token}` })
+        .expect(401);
+    });
+
+    it('keeps a bounded history of rotated tokens', async () => {
+      const alice = await registerUser();
+      const old = Array.from({ length: 100 }, (_, index) => `old-hash-${index}`);
+      await Session.updateOne({ userId: alice.user.id }, { previousTokenHashes: old });
+
+      await api().post('/api/auth/refresh').send({ refreshToken: alice.refreshToken }).expect(200);
+
+      const session = await Session.findOne({ userId: alice.user.id });
+      assert.equal(session.previousTokenHashes.length, 100);
+      assert.equal(session.previousTokenHashes[0], 'old-hash-1');
+      assert.notEqual(session.previousTokenHashes[99], 'old-hash-99');
+    });
+
+    it('rejects the access token after logout', async () => {
+      const alice = await registerUser();
+
+      await api().post('/api/auth/logout').set(alice.auth).expect(200);
+
+      const res = await api().get('/api/auth/me').set(alice.auth).expect(401);
+      assert.equal(res.body.code, 'SESSION_REVOKED');
+    });
+  });
+
+  describe('email verification', () => {
+    it('verifies the email with the emailed token', async () => {
+      const alice = await registerUser();
+      const token = tokenFromMail(alice.credentials.email);
+      assert.ok(token, 'verification email was sent');
+
+      const res = await api().post('/api/auth/verify-email').send({ token }).expect(200);
+      assert.equal(res.body.user.emailVerified, true);
+
+      // Tokens are single use
+      await api().post('/api/auth/verify-email').send({ token }).expect(400);
+    });
+  });
+
+  describe('password reset', () => {
+    it('resets the password and logs every session out', async () => {
+      const alice = await registerUser();
+
+      await api().post('/api/auth/forgot-password').send({ email: alice.credentials.email }).expect(200);
+      const token = tokenFromMail(alice.credentials.email);
+
+      await api()
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'new-password456' })
+        .expect(200);
+
+      await api().get('/api/auth/me').set(alice.auth).expect(401);
+      await api()
+        .post('/api/auth/login')
+        .send({ email: alice.credentials.email, password: 'new-password456' })
+        .expect(200);
+    });
+  });
+
+  describe('password change and account deletion', () => {
+    it('need the current password', async () => {
+      const alice = await registerUser();
+
+      const missing = await api().patch('/api/auth/password').set(alice.auth).send({ newPassword: 'new-password456' }).expect(401);
+      assert.equal(missing.body.code, 'INVALID_CREDENTIALS');
+      await api().delete('/api/auth/account').set(alice.auth).send({ password: 'wrong' }).expect(401);
+
+      await api()
+        .patch('/api/auth/password')
+        .set(alice.auth)
+        .send({ currentPassword: alice.credentials.password, newPassword: 'new-password456' })
+        .expect(200);
+      await api().delete('/api/auth/account').set(alice.auth).send({ password: 'new-password456' }).expect(200);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Career integration tests - events and preparation steps
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, startDatabase, stopDatabase, clearDatabase, registerUser } = require('./helpers');
+
+const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('Career API', () => {
+  let alice;
+
+  before(startDatabase);
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    alice = await registerUser();
+  });
+
+  const createEvent = (body) => api()
+    .post('/api/career')
+    .set(alice.auth)
+    .send({ title: 'Google onsite', type: 'interview', date: daysFromNow(7), ...body })
+    .expect(201);
+
+  it('creates, reads, updates and deletes an event', async () => {
+    const created = await createEvent({ company: 'Google' });
+    const eventId = created.body.data._id;
+    assert.equal(created.body.data.type, 'interview');
+
+    const fetched = await api().get(`/api/career/${eventId}`).set(alice.auth).expect(200);
+    assert.equal(fetched.body.data.company, 'Google');
+
+    const updated = await api()
+      .patch(`/api/career/${eventId}`)
+      .set(alice.auth)
+      .send({ status: 'completed', outcome: 'Offer' })
+      .expect(200);
+    assert.equal(updated.body.data.status, 'completed');
+
+    await api().delete(`/api/career/${eventId}`).set(alice.auth).expect(200);
+    await api().get(`/api/career/${eventId}`).set(alice.auth).expect(404);
+  });
+
+  it('requires a title and a date', async () => {
+    const res = await api().post('/api/career').set(alice.auth).send({ type: 'deadline' }).expect(400);
+    assert.equal(res.body.code, 'VALIDATION_ERROR');
+  });
+
+  it('splits events into upcoming and past', async () => {
+    await createEvent({ title: 'Next week', date: daysFromNow(7) });
+    await createEvent({ title: 'Last week', date: daysFromNow(-7) });
+
+    const upcoming = await api().get('/api/career/upcoming').set(alice.auth).expect(200);
+    assert.deepEqual(upcoming.body.data.map(event => event.title), ['Next week']);
+
+    const past = await api().get('/api/career/past').set(alice.auth).expect(200);
+    assert.deepEqual(past.body.data.map(event => event.title), ['Last week']);
+  });
+
+  it('lists events sorted by date with pagination', async () => {
+    await createEvent({ title: 'Third', date: daysFromNow(3) });
+    await createEvent({ title: 'First', date: daysFromNow(1) });
+    await createEvent({ title: 'Second', date: daysFromNow(2) });
+
+    const page = await api().get('/api/career?limit=2').set(alice.auth).expect(200);
+    assert.deepEqual(page.body.data.map(event => event.title), ['First', 'Second']);
+    assert.equal(page.body.pagination.hasMore, true);
+
+    const next = await api()
+      .get(`/api/career?limit=2&cursor=${encodeURIComponent(page.body.pagination.nextCursor)}`)
+      .set(alice.auth)
+      .expect(200);
+    assert.deepEqual(next.body.data.map(event => event.title), ['Third']);
+  });
+
+  it('adds, completes and deletes preparation steps', async () => {
+    const created = await createEvent();
+    const eventId = created.body.data._id;
+
+    const withStep = await api()
+      .post(`/api/career/${eventId}/steps`)
+      .set(alice.auth)
+      .send({ title: 'Review system design' })
+      .expect(200);
+    const stepId = withStep.body.data.preparationSteps[0]._id;
+
+    const completed = await api()
+      .patch(`/api/career/${eventId}/steps/${stepId}`)
+      .set(alice.auth)
+      .send({ isCompleted: true })
+      .expect(200);
+    assert.equal(completed.body.data.preparationSteps[0].isCompleted, true);
+
+    const removed = await api().delete(`/api/career/${eventId}/steps/${stepId}`).set(alice.auth).expect(200);
+    assert.equal(removed.body.data.preparationSteps.length, 0);
+  });
+});
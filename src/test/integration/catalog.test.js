@@ -0,0 +1,145 @@
+/**
+ * Catalog import / export integration tests - POST /api/dsa/problems/import,
+ * GET /api/dsa/problems/export
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, startDatabase, stopDatabase, clearDatabase, registerUser } = require('./helpers');
+const MasterProblem = require('../../models/MasterProblem');
+const User = require('../../models/User');
+
+const CSV = [
+  'title,difficulty,topic,platform,url,companies,acceptance',
+  'Two Sum,easy,Arrays,lc,https://leetcode.com/problems/two-sum/,Google|Amazon,49.5%',
+  'Count Inversions,HARD,Arrays,GFG,https://www.geeksforgeeks.org/counting-inversions/,,',
+  '"Valid Anagram, again",Easy,Strings,,https://leetcode.com/problems/valid-anagram,,',
+  'Valid Anagram copy,Easy,Strings,,http://www.leetcode.com/problems/valid-anagram/,,',
+  'Broken,Impossible,Arrays,,,,'
+].join('\n');
+
+describe('Catalog import / export', () => {
+  let admin;
+
+  before(startDatabase);
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    admin = await registerUser();
+    await User.updateOne({ _id: admin.user.id }, { role: 'admin' });
+  });
+
+  const importCsv = (csv, query = '') => api()
+    .post(`/api/dsa/problems/import${query}`)
+    .set(admin.auth)
+    .set('Content-Type', 'text/csv')
+    .send(csv)
+    .expect(200);
+
+  describe('POST /api/dsa/problems/import', () => {
+    it('imports CSV with normalized platforms and difficulties', async () => {
+      const res = await importCsv(CSV);
+      const report = res.body.data;
+
+      assert.equal(report.total, 5);
+      assert.deepEqual(report.added.map(problem => problem.index), [0, 1, 2]);
+      assert.deepEqual(report.duplicates, [{ index: 3, title: 'Valid Anagram copy', duplicateOf: 2 }]);
+      assert.equal(report.failed[0].index, 4);
+      assert.equal(res.body.success, false);
+
+      const inversions = await MasterProblem.findOne({ title: 'Count Inversions' });
+      assert.equal(inversions.platform, 'GeeksforGeeks');
+      assert.equal(inversions.difficulty, 'Hard');
+
+      const twoSum = await MasterProblem.findOne({ title: 'Two Sum' });
+      assert.deepEqual([...twoSum.companies], ['Google', 'Amazon']);
+      assert.equal(twoSum.acceptance, 49.5);
+
+      const anagram = await MasterProblem.findOne({ url: 'https://leetcode.com/problems/valid-anagram' });
+      assert.equal(anagram.platform, 'LeetCode');
+    });
+
+    it('writes nothing on a dry run', async () => {
+      const res = await importCsv(CSV, '?dryRun=true');
+
+      assert.equal(res.body.data.dryRun, true);
+      assert.equal(res.body.data.added.length, 3);
+      assert.equal(await MasterProblem.countDocuments(), 0);
+    });
+
+    it('updates existing problems matched by URL, then title', async () => {
+      await MasterProblem.create([
+        { title: '2 Sum Problem', difficulty: 'Easy', topic: 'Arrays', url: 'https://leetcode.com/problems/two-sum' },
+        { title: 'Count Inversions', difficulty: 'Medium', topic: 'Arrays', platform: 'GeeksforGeeks' }
+      ]);
+
+      const res = await importCsv(CSV);
+      const changed = Object.fromEntries(res.body.data.changed.map(problem => [problem.title, problem.fields]));
+
+      assert.deepEqual(changed['Two Sum'], ['title', 'companies', 'acceptance']);
+      assert.deepEqual(changed['Count Inversions'], ['difficulty', 'url']);
+      assert.equal(await MasterProblem.countDocuments(), 3);
+
+      const again = await importCsv(CSV);
+      assert.equal(again.body.data.added.length, 0);
+      assert.equal(again.body.data.changed.length, 0);
+      assert.equal(again.body.data.unchanged, 3);
+    });
+
+    it('imports a JSON array', async () => {
+      const res = await api()
+        .post('/api/dsa/problems/import')
+        .set(admin.auth)
+        .send([{ title: 'Jump Game', difficulty: 'medium', topic: 'Greedy', platform: 'leetcode' }])
+        .expect(200);
+
+      assert.equal(res.body.data.added.length, 1);
+      assert.equal((await MasterProblem.findOne({ title: 'Jump Game' })).difficulty, 'Medium');
+    });
+
+    it('rejects a file it cannot read', async () => {
+      const res = await api()
+        .post('/api/dsa/problems/import')
+        .set(admin.auth)
+        .set('Content-Type', 'text/csv')
+        .send('difficulty,topic\nEasy,Arrays')
+        .expect(400);
+
+      assert.equal(res.body.code, 'INVALID_IMPORT_FILE');
+    });
+
+    it('is admin only', async () => {
+      const alice = await registerUser();
+      await api().post('/api/dsa/problems/import').set(alice.auth).send([]).expect(403);
+    });
+  });
+
+  describe('GET /api/dsa/problems/export', () => {
+    beforeEach(() => importCsv(CSV));
+
+    it('exports CSV that imports back unchanged', async () => {
+      const res = await api().get('/api/dsa/problems/export').set(admin.auth).expect(200);
+
+      assert.match(res.headers['content-type'], /text\/csv/);
+      assert.match(res.headers['content-disposition'], /attachment; filename="blaezi-problems-.*\.csv"/);
+      assert.ok(res.text.includes('"Valid Anagram, again"'));
+
+      const reimport = await importCsv(res.text);
+      assert.equal(reimport.body.data.unchanged, 3);
+      assert.equal(reimport.body.data.changed.length, 0);
+    });
+
+    it('exports JSON and leaves out deactivated problems', async () => {
+      await MasterProblem.updateOne({ title: 'Two Sum' }, { isActive: false });
+
+      const res = await api().get('/api/dsa/problems/export?format=json').set(admin.auth).expect(200);
+
+      assert.equal(res.body.format, 'blaezi-problem-catalog');
+      assert.deepEqual(res.body.problems.map(problem => problem.title).sort(), ['Count Inversions', 'Valid Anagram, again']);
+
+      const all = await api().get('/api/dsa/problems/export?format=json&includeInactive=true').set(admin.auth).expect(200);
+      assert.equal(all.body.problems.length, 3);
+    });
+  });
+});
@@ -0,0 +1,458 @@
+/**
+ * DSA integration tests - catalog, sheets, sheet sync, progress, attempts, stats,
+ * topic analytics
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { api, startDatabase, stopDatabase, clearDatabase, registerUser } = require('./helpers');
+const MasterProblem = require('../../models/MasterProblem');
+const User = require('../../models/User');
+const UserProgress = require('../../models/UserProgress');
+const { STRIVER_SDE_SHEET_PROBLEMS } = require('../../services/striverSheetService');
+const sheetService = require('../../services/sheetService');
+
+describe('DSA API', () => {
+  let alice;
+  let twoSum;
+  let threeSum;
+
+  before(startDatabase);
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    alice = await registerUser();
+    [twoSum, threeSum] = await MasterProblem.create([
+      { title: 'Two Sum', problemNumber: 1, difficulty: 'Easy', topic: 'Arrays' },
+      { title: '3Sum', problemNumber: 2, difficulty: 'Medium', topic: 'Arrays' }
+    ]);
+  });
+
+  describe('catalog', () => {
+    it('lists problems without auth, paginated', async () => {
+      const res = await api().get('/api/dsa/problems?limit=1').expect(200);
+
+      assert.equal(res.body.data.length, 1);
+      assert.equal(res.body.data[0].title, 'Two Sum');
+      assert.equal(res.body.pagination.total, 2);
+      assert.equal(res.body.pagination.hasMore, true);
+    });
+
+    it('lists every problem when no page is asked for', async () => {
+      const res = await api().get('/api/dsa/problems').expect(200);
+
+      assert.deepEqual(res.body.data.map(problem => problem.title), ['Two Sum', '3Sum']);
+      assert.equal(res.body.pagination.limit, null);
+      assert.equal(res.body.pagination.hasMore, false);
+    });
+
+    it('filters by difficulty', async () => {
+      const res = await api().get('/api/dsa/problems?difficulty=Medium').expect(200);
+
+      assert.deepEqual(res.body.data.map(problem => problem.title), ['3Sum']);
+    });
+
+    it('only lets admins add problems', async () => {
+      await api()
+        .post('/api/dsa/problems')
+        .set(alice.auth)
+        .send({ title: 'Valid Anagram', difficulty: 'Easy', topic: 'Strings' })
+        .expect(403);
+    });
+  });
+
+  describe('sheets', () => {
+    let validAnagram;
+
+    beforeEach(async () => {
+      validAnagram = await MasterProblem.create({ title: 'Valid Anagram', difficulty: 'Easy', topic: 'Strings' });
+
+      await sheetService.upsertSheet({
+        name: 'Blind 75',
+        sections: ['Strings', 'Arrays'],
+        problems: [
+          { problemId: validAnagram.id, section: 'Strings' },
+          { problemId: twoSum.id, section: 'Arrays' }
+        ]
+      });
+      await sheetService.upsertSheet({
+        name: 'Striver SDE Sheet',
+        sections: ['Arrays'],
+        problems: [
+          { problemId: twoSum.id, section: 'Arrays' },
+          { problemId: threeSum.id, section: 'Arrays' }
+        ]
+      });
+    });
+
+    it('lists sheets with the user\'s progress', async () => {
+      await api().post('/api/dsa/progress').set(alice.auth).send({ problemId: twoSum.id, status: 'solved' }).expect(200);
+
+      const res = await api().get('/api/dsa/sheets').set(alice.auth).expect(200);
+      const bySlug = Object.fromEntries(res.body.data.map(sheet => [sheet.slug, sheet]));
+
+      assert.deepEqual(Object.keys(bySlug).sort(), ['blind-75', 'striver-sde-sheet']);
+      assert.deepEqual(bySlug['blind-75'].progress, { total: 2, solved: 1, revising: 0, weak: 0, none: 1 });
+      assert.deepEqual(bySlug['striver-sde-sheet'].progress, { total: 2, solved: 1, revising: 0, weak: 0, none: 1 });
+    });
+
+    it('returns a sheet by section, in order, with progress on each problem', async () => {
+      await api().post('/api/dsa/progress').set(alice.auth).send({ problemId: validAnagram.id, status: 'weak' }).expect(200);
+
+      const res = await api().get('/api/dsa/sheets/blind-75').set(alice.auth).expect(200);
+      const [strings, arrays] = res.body.data.sections;
+
+      assert.deepEqual(res.body.data.sections.map(section => section.name), ['Strings', 'Arrays']);
+      assert.equal(strings.problems[0].title, 'Valid Anagram');
+      assert.equal(strings.problems[0].position, 1);
+      assert.equal(strings.problems[0].progress.status, 'weak');
+      assert.equal(strings.progress.weak, 1);
+      assert.equal(arrays.problems[0].title, 'Two Sum');
+      assert.equal(arrays.problems[0].position, 2);
+      assert.equal(arrays.problems[0].progress, null);
+    });
+
+    it('keeps another user\'s progress out', async () => {
+      const bob = await registerUser();
+      await api().post('/api/dsa/progress').set(bob.auth).send({ problemId: twoSum.id, status: 'solved' }).expect(200);
+
+      const res = await api().get('/api/dsa/sheets/striver-sde-sheet').set(alice.auth).expect(200);
+
+      assert.equal(res.body.data.progress.solved, 0);
+      assert.ok(res.body.data.sections[0].problems.every(problem => problem.progress === null));
+    });
+
+    it('leaves deactivated problems out', async () => {
+      await MasterProblem.updateOne({ _id: threeSum.id }, { isActive: false });
+
+      const res = await api().get('/api/dsa/sheets/striver-sde-sheet').set(alice.auth).expect(200);
+
+      assert.equal(res.body.data.progress.total, 1);
+      assert.deepEqual(res.body.data.sections[0].problems.map(problem => problem.title), ['Two Sum']);
+    });
+
+    it('filters the catalog by sheet name or slug', async () => {
+      const byName = await api().get('/api/dsa/problems').query({ sheet: 'Blind 75' }).expect(200);
+      const bySlug = await api().get('/api/dsa/problems?sheet=striver-sde-sheet').expect(200);
+
+      assert.deepEqual(byName.body.data.map(problem => problem.title).sort(), ['Two Sum', 'Valid Anagram']);
+      assert.deepEqual(bySlug.body.data.map(problem => problem.title).sort(), ['3Sum', 'Two Sum']);
+    });
+
+    it('returns 404 for an unknown sheet and requires authentication', async () => {
+      await api().get('/api/dsa/sheets/neetcode-150').set(alice.auth).expect(404);
+      await api().get('/api/dsa/sheets').expect(401);
+    });
+  });
+
+  describe('sheet sync', () => {
+    let admin;
+
+    beforeEach(async () => {
+      admin = await registerUser();
+      await User.updateOne({ _id: admin.user.id }, { role: 'admin' });
+    });
+
+    const syncSheets = () => api().post('/api/dsa/sheets/sync').set(admin.auth).expect(200);
+
+    it('adds the Striver SDE Sheet to the catalog once', async () => {
+      const first = await syncSheets();
+
+      assert.ok(first.body.data.added.length > 0);
+      assert.equal(first.body.data.sheets[0].slug, 'striver-sde-sheet');
+
+      const second = await syncSheets();
+      assert.equal(second.body.data.added.length, 0);
+      assert.equal(second.body.data.changed.length, 0);
+      assert.equal(second.body.data.retired.length, 0);
+      assert.equal(second.body.data.unchanged, first.body.data.added.length);
+    });
+
+    it('serves source=striver from the catalog, with trackable ids', async () => {
+      await syncSheets();
+
+      const res = await api().get('/api/dsa/problems?source=striver').expect(200);
+
+      assert.equal(res.body.source, 'Striver SDE Sheet');
+      assert.equal(res.body.pagination.total, res.body.data.length);
+      assert.ok(res.body.data.every(problem => mongoose.Types.ObjectId.isValid(problem.id)));
+      assert.ok(!res.body.data.some(problem => problem.title === 'Two Sum'));
+
+      await api()
+        .post('/api/dsa/progress')
+        .set(alice.auth)
+        .send({ problemId: res.body.data[0].id, status: 'solved' })
+        .expect(200);
+      const sheet = await api().get('/api/dsa/sheets/striver-sde-sheet').set(alice.auth).expect(200);
+      assert.equal(sheet.body.data.progress.solved, 1);
+    });
+
+    it('reports changed fields and restores edited problems', async () => {
+      await syncSheets();
+      const [first] = STRIVER_SDE_SHEET_PROBLEMS;
+      await MasterProblem.updateOne({ title: first.title }, { difficulty: 'Hard' });
+
+      const res = await syncSheets();
+
+      assert.deepEqual(res.body.data.changed, [{ title: first.title, url: first.link.replace(/\/$/, ''), fields: ['difficulty'] }]);
+      assert.equal((await MasterProblem.findOne({ title: first.title })).difficulty, first.difficulty);
+    });
+
+    it('retires problems that are no longer in the sheet', async () => {
+      await syncSheets();
+      await MasterProblem.create({ title: 'Old Sheet Problem', difficulty: 'Easy', topic: 'Arrays', sheet: 'Striver SDE Sheet' });
+
+      const res = await syncSheets();
+
+      assert.deepEqual(res.body.data.retired.map(problem => problem.title), ['Old Sheet Problem']);
+      assert.equal((await MasterProblem.findOne({ title: 'Old Sheet Problem' })).isActive, false);
+      assert.equal((await MasterProblem.findById(twoSum.id)).isActive, true);
+    });
+
+    it('restores retired problems that are back in the sheet', async () => {
+      await syncSheets();
+      const dropped = STRIVER_SDE_SHEET_PROBLEMS.pop();
+
+      try {
+        const retiring = await syncSheets();
+        assert.deepEqual(retiring.body.data.retired.map(problem => problem.title), [dropped.title]);
+      } finally {
+        STRIVER_SDE_SHEET_PROBLEMS.push(dropped);
+      }
+
+      const res = await syncSheets();
+
+      assert.deepEqual(res.body.data.restored, [{ title: dropped.title, url: dropped.link.replace(/\/$/, '') }]);
+      assert.equal(res.body.data.added.length, 0);
+      const problem = await MasterProblem.findOne({ title: dropped.title });
+      assert.equal(problem.isActive, true);
+      assert.equal(problem.retiredAt, undefined);
+
+      const sheet = await api().get('/api/dsa/sheets/striver-sde-sheet').set(alice.auth).expect(200);
+      const titles = sheet.body.data.sections.flatMap(section => section.problems.map(entry => entry.title));
+      assert.ok(titles.includes(dropped.title));
+    });
+
+    it('leaves problems an admin deactivated alone', async () => {
+      await syncSheets();
+      const [first] = STRIVER_SDE_SHEET_PROBLEMS;
+      const problem = await MasterProblem.findOne({ title: first.title });
+      await api().delete(`/api/dsa/problems/${problem.id}`).set(admin.auth).expect(200);
+
+      const res = await syncSheets();
+
+      assert.equal(res.body.data.restored.length, 0);
+      assert.equal((await MasterProblem.findById(problem.id)).isActive, false);
+    });
+
+    it('moves progress saved under striver ids to the catalog problem', async () => {
+      await api().post('/api/dsa/progress').set(alice.auth).send({ problemId: 'striver-1', status: 'weak' }).expect(200);
+      await api().post('/api/dsa/progress/striver-1/attempts').set(alice.auth).send({ outcome: 'failed' }).expect(201);
+
+      const res = await syncSheets();
+
+      assert.equal(res.body.data.progressMigrated, 1);
+      const problem = await MasterProblem.findOne({ title: STRIVER_SDE_SHEET_PROBLEMS[0].title });
+      const progress = await UserProgress.findOne({ userId: alice.user.id });
+      assert.equal(progress.problemId, problem.id);
+      assert.equal(progress.status, 'weak');
+
+      // Reachable under the catalog id
+      await api().patch(`/api/dsa/progress/${problem.id}`).set(alice.auth).send({ status: 'solved' }).expect(200);
+      const attempts = await api().get(`/api/dsa/progress/${problem.id}/attempts`).set(alice.auth).expect(200);
+      assert.equal(attempts.body.data.length, 1);
+    });
+
+    it('is admin only', async () => {
+      await api().post('/api/dsa/sheets/sync').set(alice.auth).expect(403);
+    });
+  });
+
+  describe('progress', () => {
+    it('creates, lists, updates and deletes progress', async () => {
+      const created = await api()
+        .post('/api/dsa/progress')
+        .set(alice.auth)
+        .send({ problemId: twoSum.id, status: 'solved', notes: 'Hash map' })
+        .expect(200);
+      assert.equal(created.body.data.status, 'solved');
+
+      const list = await api().get('/api/dsa/progress').set(alice.auth).expect(200);
+      assert.equal(list.body.data.length, 1);
+      assert.equal(list.body.pagination.total, 1);
+
+      const updated = await api()
+        .patch(`/api/dsa/progress/${twoSum.id}`)
+        .set(alice.auth)
+        .send({ status: 'revising' })
+        .expect(200);
+      assert.equal(updated.body.data.status, 'revising');
+
+      await api().delete(`/api/dsa/progress/${twoSum.id}`).set(alice.auth).expect(200);
+      await api().delete(`/api/dsa/progress/${twoSum.id}`).set(alice.auth).expect(404);
+    });
+
+    it('updates the same record when progress is posted twice', async () => {
+      await api().post('/api/dsa/progress').set(alice.auth).send({ problemId: twoSum.id, status: 'weak' }).expect(200);
+      await api().post('/api/dsa/progress').set(alice.auth).send({ problemId: twoSum.id, status: 'solved' }).expect(200);
+
+      const list = await api().get('/api/dsa/progress').set(alice.auth).expect(200);
+      assert.equal(list.body.data.length, 1);
+      assert.equal(list.body.data[0].status, 'solved');
+    });
+
+    it('updates the record a concurrent request just created', async (t) => {
+      await api().post('/api/dsa/progress').set(alice.auth).send({ problemId: twoSum.id, status: 'weak' }).expect(200);
+
+      // The lookup misses it, as if the other request hadn't saved yet
+      const findOne = t.mock.method(UserProgress, 'findOne');
+      findOne.mock.mockImplementationOnce(async () => null);
+
+      const res = await api().post('/api/dsa/progress').set(alice.auth).send({ problemId: twoSum.id, status: 'solved' }).expect(200);
+      assert.equal(res.body.data.status, 'solved');
+      assert.equal(await UserProgress.countDocuments({ userId: alice.user.id }), 1);
+    });
+
+    it('returns 404 for a problem that does not exist', async () => {
+      await api()
+        .post('/api/dsa/progress')
+        .set(alice.auth)
+        .send({ problemId: new mongoose.Types.ObjectId().toString(), status: 'solved' })
+        .expect(404);
+    });
+
+    it('requires auth', async () => {
+      await api().get('/api/dsa/progress').expect(401);
+    });
+  });
+
+  describe('attempts and stats', () => {
+    it('logs attempts and counts solved problems', async () => {
+      await api()
+        .post(`/api/dsa/progress/${threeSum.id}/attempts`)
+        .set(alice.auth)
+        .send({ outcome: 'failed', timeSpentMinutes: 30 })
+        .expect(201);
+      await api()
+        .post(`/api/dsa/progress/${threeSum.id}/attempts`)
+        .set(alice.auth)
+        .send({ outcome: 'solved', timeSpentMinutes: 20 })
+        .expect(201);
+      await api()
+        .post('/api/dsa/progress')
+        .set(alice.auth)
+        .send({ problemId: threeSum.id, status: 'solved' })
+        .expect(200);
+
+      const attempts = await api().get(`/api/dsa/progress/${threeSum.id}/attempts`).set(alice.auth).expect(200);
+      assert.equal(attempts.body.data.length, 2);
+
+      const stats = await api().get('/api/dsa/stats').set(alice.auth).expect(200);
+      assert.equal(stats.body.data.total, 1);
+      assert.equal(stats.body.data.solved, 1);
+    });
+
+    it('rejects an unknown attempt outcome', async () => {
+      const res = await api()
+        .post(`/api/dsa/progress/${twoSum.id}/attempts`)
+        .set(alice.auth)
+        .send({ outcome: 'maybe' })
+        .expect(400);
+
+      assert.equal(res.body.code, 'VALIDATION_ERROR');
+    });
+  });
+
+  describe('topic analytics', () => {
+    let anagram;
+    let longestSubstring;
+
+    beforeEach(async () => {
+      [anagram, longestSubstring] = await MasterProblem.create([
+        { title: 'Valid Anagram', difficulty: 'Easy', topic: 'Strings', subtopics: ['Hashing'] },
+        { title: 'Longest Substring Without Repeating Characters', difficulty: 'Medium', topic: 'Strings', subtopics: ['Sliding Window', 'Hashing'] },
+        { title: 'Course Schedule', difficulty: 'Medium', topic: 'Graphs' },
+        { title: 'Retired Problem', difficulty: 'Hard', topic: 'Graphs', isActive: false }
+      ]);
+
+      const progress = (problemId, status) => api()
+        .post('/api/dsa/progress')
+        .set(alice.auth)
+        .send({ problemId, status })
+        .expect(200);
+
+      // Written before problemIds were stored as strings
+      await UserProgress.collection.insertOne({ userId: new mongoose.Types.ObjectId(alice.user.id), problemId: twoSum._id, status: 'solved' });
+      await progress(threeSum.id, 'weak');
+      await progress(anagram.id, 'solved');
+      await progress(longestSubstring.id, 'revising');
+
+      // Review overdue: counts half
+      await UserProgress.updateOne({ problemId: anagram.id }, { nextReviewAt: new Date(Date.now() - 24 * 60 * 60 * 1000) });
+    });
+
+    const getAnalytics = (query = '') => api()
+      .get(`/api/dsa/analytics/topics${query}`)
+      .set(alice.auth)
+      .expect(200)
+      .then(res => res.body.data);
+
+    it('scores coverage and mastery per topic', async () => {
+      const { summary, topics } = await getAnalytics();
+
+      assert.deepEqual(
+        topics.map(topic => [topic.topic, topic.total, topic.coverage, topic.mastery]),
+        [['Arrays', 2, 100, 60], ['Strings', 2, 100, 55], ['Graphs', 1, 0, 0]]
+      );
+
+      const strings = topics.find(topic => topic.topic === 'Strings');
+      assert.equal(strings.stale, 1);
+      assert.equal(strings.revising, 1);
+
+      const arrays = topics.find(topic => topic.topic === 'Arrays');
+      assert.deepEqual(arrays.difficulty, {
+        Easy: { total: 1, solved: 1, revising: 0, weak: 0 },
+        Medium: { total: 1, solved: 0, revising: 0, weak: 1 }
+      });
+
+      assert.deepEqual(summary, {
+        total: 5, solved: 2, revising: 1, weak: 1, none: 0, untracked: 1, stale: 1, coverage: 80, mastery: 46
+      });
+    });
+
+    it('breaks mastery down by subtopic and difficulty', async () => {
+      const { subtopics, difficulty } = await getAnalytics();
+
+      assert.deepEqual(subtopics.map(subtopic => [subtopic.subtopic, subtopic.total, subtopic.mastery]), [
+        ['Sliding Window', 1, 60],
+        ['Hashing', 2, 55]
+      ]);
+      assert.equal(difficulty.Easy.mastery, 75);
+      assert.equal(difficulty.Medium.mastery, 27);
+      assert.equal(difficulty.Hard, undefined);
+    });
+
+    it('ranks the weakest topics the user has worked on', async () => {
+      const { weakest } = await getAnalytics();
+      assert.deepEqual(weakest.map(topic => topic.topic), ['Strings', 'Arrays']);
+
+      const top = await getAnalytics('?weakest=1');
+      assert.deepEqual(top.weakest.map(topic => topic.topic), ['Strings']);
+    });
+
+    it('only counts the caller\'s progress', async () => {
+      const bob = await registerUser();
+      const res = await api().get('/api/dsa/analytics/topics').set(bob.auth).expect(200);
+
+      assert.equal(res.body.data.summary.untracked, 5);
+      assert.equal(res.body.data.summary.mastery, 0);
+      assert.deepEqual(res.body.data.weakest, []);
+    });
+
+    it('requires auth', async () => {
+      await api().get('/api/dsa/analytics/topics').expect(401);
+    });
+  });
+});
@@ -0,0 +1,350 @@
+/**
+ * GitHub OAuth integration tests - sign in, account creation / linking,
+ * callback errors, CSRF (nonce cookie, link finished by its own user)
+ *
+ * The fixture server stands in for github.com too: its authorize page
+ * redirects straight back with octocat's code (fixtures/github/octocat.json).
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, startDatabase, stopDatabase, clearDatabase, registerUser, startGitHubFixtures, tokenFromMail } = require('./helpers');
+const Session = require('../../models/Session');
+const User = require('../../models/User');
+
+/**
+ * Result the callback put in the frontend URL's fragment
+ */
+const fragment = (res) => {
+  assert.equal(res.status, 302);
+  const location = new URL(res.headers.location);
+  assert.equal(`${location.origin}${location.pathname}`, 'http://app.test/auth/github/callback');
+  return Object.fromEntries(new URLSearchParams(location.hash.slice(1)));
+};
+
+/**
+ * Cookies set by a response, as a Cookie header
+ */
+const cookiesOf = (res) => (res.headers['set-cookie'] || []).map(cookie => cookie.split(';')[0]).join('; ');
+
+/**
+ * Go through GitHub's authorize page (the fixture server) and call our
+ * callback with the code + state it hands back
+ *
+ * @param {string} authorizeUrl - From GET /api/auth/github or POST /api/auth/github/link
+ * @param {string} cookie - Cookie header the browser sends back to the callback
+ */
+const completeOnGitHub = async (authorizeUrl, cookie = '') => {
+  const github = await fetch(authorizeUrl, { redirect: 'manual' });
+  const callback = new URL(github.headers.get('location'));
+  assert.equal(callback.pathname, '/api/auth/github/callback');
+
+  return api().get(callback.pathname).set('Cookie', cookie).query(Object.fromEntries(callback.searchParams));
+};
+
+const signInWithGitHub = async () => {
+  const start = await api().get('/api/auth/github').expect(302);
+  return fragment(await completeOnGitHub(start.headers.location, cookiesOf(start)));
+};
+
+/**
+ * Start linking as `starter`, go through GitHub, and finish as `finisher`
+ */
+const linkGitHub = async (starter, finisher = starter) => {
+  const start = await api().post('/api/auth/github/link').set(starter.auth).expect(200);
+  const result = fragment(await completeOnGitHub(start.body.url));
+  assert.equal(result.mode, 'link');
+  assert.equal(result.token, undefined);
+
+  return api()
+    .post('/api/auth/github/link/complete')
+    .set(finisher.auth)
+    .send({ code: result.code, state: result.state });
+};
+
+const authHeader = (result) => ({ Authorization: `Bearer ${result.token}` });
+
+describe('GitHub OAuth', () => {
+  let github;
+
+  before(async () => {
+    await startDatabase();
+    github = await startGitHubFixtures();
+  });
+
+  after(async () => {
+    await github.close();
+    await stopDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+    github.reset();
+  });
+
+  describe('GET /api/auth/github', () => {
+    it('redirects to GitHub\'s authorize page', async () => {
+      const res = await api().get('/api/auth/github').expect(302);
+
+      const location = new URL(res.headers.location);
+      assert.equal(location.origin, github.url);
+      assert.equal(location.pathname, '/login/oauth/authorize');
+      assert.equal(location.searchParams.get('client_id'), 'test-client-id');
+      assert.match(location.searchParams.get('scope'), /repo/);
+      assert.ok(location.searchParams.get('state'));
+
+      // Nonce cookie the callback checks
+      const [cookie] = res.headers['set-cookie'];
+      assert.match(cookie, /^github_oauth_nonce=\w+;/);
+      assert.match(cookie, /HttpOnly/);
+      assert.match(cookie, /SameSite=Lax/);
+      assert.match(cookie, /Path=\/api\/auth\/github/);
+    });
+
+    it('returns 503 when no OAuth app is configured', async () => {
+      const clientId = process.env.GITHUB_CLIENT_ID;
+      delete process.env.GITHUB_CLIENT_ID;
+      try {
+        const res = await api().get('/api/auth/github').expect(503);
+        assert.equal(res.body.code, 'GITHUB_OAUTH_NOT_CONFIGURED');
+      } finally {
+        process.env.GITHUB_CLIENT_ID = clientId;
+      }
+    });
+  });
+
+  describe('sign in', () => {
+    it('creates an account from the verified GitHub profile', async () => {
+      const result = await signInWithGitHub();
+
+      assert.equal(result.mode, 'created');
+      assert.ok(result.token);
+      assert.ok(result.refreshToken);
+
+      const me = await api().get('/api/auth/me').set(authHeader(result)).expect(200);
+      assert.equal(me.body.user.email, 'octocat@github.com');
+      assert.equal(me.body.user.name, 'The Octocat');
+      assert.equal(me.body.user.githubUsername, 'octocat');
+      assert.equal(me.body.user.avatar, github.fixtures.octocat.profile.avatar_url);
+      assert.equal(me.body.user.emailVerified, true);
+      assert.equal(me.body.user.githubLinked, true);
+      assert.equal(me.body.user.githubTokenSaved, true);
+    });
+
+    it('signs the same account in next time', async () => {
+      const first = await signInWithGitHub();
+      const second = await signInWithGitHub();
+
+      assert.equal(second.mode, 'signed-in');
+
+      const firstMe = await api().get('/api/auth/me').set(authHeader(first)).expect(200);
+      const secondMe = await api().get('/api/auth/me').set(authHeader(second)).expect(200);
+      assert.equal(secondMe.body.user.id, firstMe.body.user.id);
+    });
+
+    it('saves the OAuth token for syncing (private repositories included)', async () => {
+      const result = await signInWithGitHub();
+
+      const res = await api()
+        .post('/api/projects/sync')
+        .set(authHeader(result))
+        .send({ githubUsername: 'octocat' })
+        .expect(200);
+      assert.ok(res.body.data.some(project => project.name === 'secret-plans'));
+    });
+
+    it('links to an existing account with the same verified email', async () => {
+      const alice = await registerUser({ email: 'octocat@github.com' });
+      const token = tokenFromMail('octocat@github.com');
+      await api().post('/api/auth/verify-email').send({ token }).expect(200);
+
+      const result = await signInWithGitHub();
+      assert.equal(result.mode, 'signed-in');
+
+      const me = await api().get('/api/auth/me').set(authHeader(result)).expect(200);
+      assert.equal(me.body.user.id, alice.user.id);
+      assert.equal(me.body.user.githubUsername, 'octocat');
+    });
+
+    it('refuses to take over an existing account whose email isn\'t verified', async () => {
+      await registerUser({ email: 'octocat@github.com' });
+
+      const result = await signInWithGitHub();
+      assert.equal(result.error, 'EMAIL_TAKEN');
+      assert.equal(result.token, undefined);
+    });
+
+    it('refuses when GitHub has no verified primary email', async () => {
+      github.fixtures.octocat.emails = [{ email: 'octocat@github.com', primary: true, verified: false }];
+
+      const result = await signInWithGitHub();
+      assert.equal(result.error, 'GITHUB_EMAIL_REQUIRED');
+    });
+
+    it('GitHub-only accounts can\'t log in with a password', async () => {
+      await signInWithGitHub();
+
+      const res = await api()
+        .post('/api/auth/login')
+        .send({ email: 'octocat@github.com', password: 'anything' })
+        .expect(401);
+      assert.equal(res.body.code, 'INVALID_CREDENTIALS');
+    });
+  });
+
+  describe('callback errors', () => {
+    it('rejects a forged state', async () => {
+      const res = await api().get('/api/auth/github/callback').query({ code: 'fixture-octocat-code', state: 'forged' });
+      assert.equal(fragment(res).error, 'OAUTH_STATE_INVALID');
+    });
+
+    it('rejects a bad code', async () => {
+      const start = await api().get('/api/auth/github').expect(302);
+      const state = new URL(start.headers.location).searchParams.get('state');
+
+      const res = await api().get('/api/auth/github/callback').set('Cookie', cookiesOf(start)).query({ code: 'wrong-code', state });
+      assert.equal(fragment(res).error, 'OAUTH_CODE_INVALID');
+    });
+
+    it('rejects a sign-in that wasn\'t started in this browser', async () => {
+      // Someone else's callback URL planted on a victim (login CSRF)
+      const start = await api().get('/api/auth/github').expect(302);
+
+      const result = fragment(await completeOnGitHub(start.headers.location));
+      assert.equal(result.error, 'OAUTH_STATE_INVALID');
+      assert.equal(result.token, undefined);
+    });
+
+    it('rejects a nonce cookie from another sign-in', async () => {
+      const mine = await api().get('/api/auth/github').expect(302);
+      const theirs = await api().get('/api/auth/github').expect(302);
+
+      const result = fragment(await completeOnGitHub(theirs.headers.location, cookiesOf(mine)));
+      assert.equal(result.error, 'OAUTH_STATE_INVALID');
+    });
+
+    it('clears the nonce cookie', async () => {
+      const start = await api().get('/api/auth/github').expect(302);
+      const res = await completeOnGitHub(start.headers.location, cookiesOf(start));
+
+      assert.match(res.headers['set-cookie'][0], /^github_oauth_nonce=;.*Expires=Thu, 01 Jan 1970/);
+    });
+
+    it('reports a declined authorization', async () => {
+      const res = await api()
+        .get('/api/auth/github/callback')
+        .query({ error: 'access_denied', error_description: 'The user has denied your application access.' });
+      assert.equal(fragment(res).error, 'GITHUB_ACCESS_DENIED');
+    });
+  });
+
+  describe('linking', () => {
+    it('links GitHub to the logged-in account', async () => {
+      const alice = await registerUser();
+
+      const res = await linkGitHub(alice).expect(200);
+      assert.equal(res.body.user.githubUsername, 'octocat');
+
+      const me = await api().get('/api/auth/me').set(alice.auth).expect(200);
+      assert.equal(me.body.user.email, alice.credentials.email);
+      assert.equal(me.body.user.githubUsername, 'octocat');
+      assert.equal(me.body.user.githubLinked, true);
+      assert.equal(me.body.user.githubTokenSaved, true);
+    });
+
+    it('refuses a GitHub account linked to someone else', async () => {
+      await signInWithGitHub();
+      const alice = await registerUser();
+
+      const res = await linkGitHub(alice).expect(409);
+      assert.equal(res.body.code, 'GITHUB_ACCOUNT_IN_USE');
+    });
+
+    it('only the user who started the link can finish it', async () => {
+      // Link started by mallory, victim's browser sent through GitHub (link CSRF)
+      const mallory = await registerUser();
+      const victim = await registerUser();
+
+      const res = await linkGitHub(mallory, victim).expect(400);
+      assert.equal(res.body.code, 'OAUTH_STATE_INVALID');
+
+      for (const user of [mallory, victim]) {
+        const me = await api().get('/api/auth/me').set(user.auth).expect(200);
+        assert.equal(me.body.user.githubLinked, false);
+      }
+    });
+
+    it('won\'t finish a link with a sign-in state', async () => {
+      const alice = await registerUser();
+      const signIn = await api().get('/api/auth/github').expect(302);
+
+      const res = await api()
+        .post('/api/auth/github/link/complete')
+        .set(alice.auth)
+        .send({ code: 'fixture-octocat-code', state: new URL(signIn.headers.location).searchParams.get('state') })
+        .expect(400);
+      assert.equal(res.body.code, 'OAUTH_STATE_INVALID');
+    });
+
+    it('unlinks GitHub and removes the token', async () => {
+      const alice = await registerUser();
+      await linkGitHub(alice).expect(200);
+
+      await api().delete('/api/auth/github/link').set(alice.auth).expect(200);
+
+      const me = await api().get('/api/auth/me').set(alice.auth).expect(200);
+      assert.equal(me.body.user.githubLinked, false);
+      assert.equal(me.body.user.githubTokenSaved, false);
+    });
+
+    it('won\'t unlink the only way to log in', async () => {
+      const result = await signInWithGitHub();
+
+      const res = await api().delete('/api/auth/github/link').set(authHeader(result)).expect(400);
+      assert.equal(res.body.code, 'PASSWORD_REQUIRED');
+    });
+  });
+
+  describe('accounts without a password', () => {
+    // Logged in longer ago than FRESH_LOGIN_MINUTES
+    const ageLogins = () => Session.collection.updateMany({}, { $set: { createdAt: new Date(Date.now() - 60 * 60 * 1000) } });
+
+    it('set a password right after signing in', async () => {
+      const result = await signInWithGitHub();
+
+      const me = await api().get('/api/auth/me').set(authHeader(result)).expect(200);
+      assert.equal(me.body.user.hasPassword, false);
+
+      await api().patch('/api/auth/password').set(authHeader(result)).send({ newPassword: 'new-password456' }).expect(200);
+
+      await api()
+        .post('/api/auth/login')
+        .send({ email: 'octocat@github.com', password: 'new-password456' })
+        .expect(200);
+    });
+
+    it('delete the account right after signing in', async () => {
+      const result = await signInWithGitHub();
+
+      await api().delete('/api/auth/account').set(authHeader(result)).send({}).expect(200);
+      assert.equal(await User.countDocuments({ email: 'octocat@github.com' }), 0);
+    });
+
+    it('need a fresh GitHub sign-in later on', async () => {
+      const result = await signInWithGitHub();
+      await ageLogins();
+
+      const change = await api().patch('/api/auth/password').set(authHeader(result)).send({ newPassword: 'new-password456' }).expect(403);
+      assert.equal(change.body.code, 'FRESH_LOGIN_REQUIRED');
+      const remove = await api().delete('/api/auth/account').set(authHeader(result)).send({}).expect(403);
+      assert.equal(remove.body.code, 'FRESH_LOGIN_REQUIRED');
+
+      // Refreshing doesn't count as logging in again
+      const refreshed = await api().post('/api/auth/refresh').send({ refreshToken: result.refreshToken }).expect(200);
+      await api().delete('/api/auth/account').set({ Authorization: `Bearer ${refreshed.body.token}` }).send({}).expect(403);
+
+      const again = await signInWithGitHub();
+      await api().delete('/api/auth/account').set(authHeader(again)).send({}).expect(200);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Health integration tests - GET /health/live and /health/ready
+ * (MongoDB + shutdown decide readiness, GitHub is reported from cache)
+ */
+
+// Every probe redoes an outdated GitHub check; must be set before the app loads
+process.env.GITHUB_HEALTH_TTL_MS = '1';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { api, startDatabase, stopDatabase, startGitHubFixtures } = require('./helpers');
+const healthService = require('../../services/healthService');
+const { name } = require('../../../package.json');
+
+describe('Health API', () => {
+  before(startDatabase);
+  after(stopDatabase);
+
+  it('is live', async () => {
+    const res = await api().get('/health/live').expect(200);
+
+    assert.equal(res.body.status, 'ok');
+    assert.equal(res.body.build.name, name);
+  });
+
+  it('is ready while MongoDB is connected, without waiting for GitHub', async () => {
+    // A GitHub that never answers
+    const hanging = http.createServer(() => {});
+    await new Promise(resolve => hanging.listen(0, '127.0.0.1', resolve));
+    process.env.GITHUB_API_URL = `http://127.0.0.1:${hanging.address().port}`;
+
+    try {
+      const res = await api().get('/health/ready').expect(200);
+
+      assert.equal(res.body.status, 'ok');
+      assert.equal(res.body.checks.database.status, 'up');
+      assert.equal(res.body.checks.github.status, 'unknown');
+    } finally {
+      hanging.closeAllConnections();
+      hanging.close();
+    }
+
+    const github = await healthService.refreshGitHubStatus();
+    assert.equal(github.status, 'down');
+  });
+
+  it('reports the cached GitHub status', async () => {
+    const fixtures = await startGitHubFixtures();
+
+    try {
+      await healthService.refreshGitHubStatus();
+      const res = await api().get('/health/ready').expect(200);
+
+      assert.equal(res.body.status, 'ok');
+      assert.equal(res.body.checks.github.status, 'up');
+      assert.equal(res.body.checks.github.cached, true);
+      assert.ok(res.body.checks.github.rateLimit.remaining > 0);
+    } finally {
+      await healthService.refreshGitHubStatus();
+      await fixtures.close();
+    }
+  });
+
+  it('is not ready while shutting down', async () => {
+    healthService.setShuttingDown();
+
+    try {
+      const res = await api().get('/health/ready').expect(503);
+      assert.equal(res.body.status, 'shutting-down');
+
+      await api().get('/health/live').expect(200);
+    } finally {
+      healthService.setShuttingDown(false);
+    }
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Integration Test Helpers
+ *
+ * Each test file gets its own in-memory MongoDB (mongodb-memory-server)
+ * and runs requests against the Express app with supertest - no running
+ * server, no .env, no network (GitHub, LeetCode and Codeforces are fixture servers).
+ *
+ * The database is a one-member replica set, not a standalone server:
+ * account deletion and account import run in transactions, which a
+ * standalone server rejects.
+ *
+ * USAGE:
+ *   const { api, startDatabase, stopDatabase, clearDatabase, registerUser } = require('./helpers');
+ *
+ *   before(startDatabase);
+ *   after(stopDatabase);
+ *   beforeEach(clearDatabase);
+ *
+ *   const alice = await registerUser();
+ *   await api().get('/api/auth/me').set(alice.auth).expect(200);
+ */
+
+// Must be set before the app (and its config) is loaded
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'integration-test-secret';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+process.env.RATE_LIMIT_ENABLED = 'false';
+process.env.RATE_LIMIT_STORE = 'memory';
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0'.repeat(64);
+process.env.GITHUB_CLIENT_ID = 'test-client-id';
+process.env.GITHUB_CLIENT_SECRET = 'test-client-secret';
+process.env.APP_URL = 'http://app.test';
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const app = require('../../app');
+const mailService = require('../../services/mailService');
+const { startFixtureServer } = require('../githubFixtureServer');
+const platformFixtureServer = require('../platformFixtureServer');
+
+let mongod = null;
+
+/**
+ * Emails "sent" during the tests (newest last)
+ */
+const sentMail = [];
+
+mailService.setTransport({
+  name: 'memory',
+  send: async (message) => {
+    sentMail.push(message);
+    return { messageId: `test-${sentMail.length}` };
+  }
+});
+
+/**
+ * Start an in-memory MongoDB replica set and connect mongoose to it
+ */
+const startDatabase = async () => {
+  mongod = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  await mongoose.connect(mongod.getUri());
+  // Unique indexes (e.g. one progress record per user + problem) must exist
+  // before the tests rely on them
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+};
+
+/**
+ * Disconnect and shut the in-memory replica set down
+ */
+const stopDatabase = async () => {
+  await mongoose.disconnect();
+  if (mongod) {
+    await mongod.stop();
+    mongod = null;
+  }
+};
+
+/**
+ * Empty every collection (keeps indexes)
+ */
+const clearDatabase = async () => {
+  sentMail.length = 0;
+  await Promise.all(
+    Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({}))
+  );
+};
+
+/**
+ * Start the GitHub fixture server and point githubService (API) and
+ * githubOAuthService (OAuth) at it
+ *
+ * @returns {Promise<Object>} { url, fixtures, reset(), close() } (see githubFixtureServer.js)
+ */
+const startGitHubFixtures = async () => {
+  const server = await startFixtureServer();
+  process.env.GITHUB_API_URL = server.url;
+  process.env.GITHUB_OAUTH_URL = server.url;
+  return server;
+};
+
+/**
+ * Start the coding platform fixture server and point leetcodeService
+ * and codeforcesService at it
+ *
+ * @returns {Promise<Object>} { url, fixtures, reset(), close() } (see platformFixtureServer.js)
+ */
+const startPlatformFixtures = async () => {
+  const server = await platformFixtureServer.startFixtureServer();
+  process.env.LEETCODE_API_URL = server.url;
+  process.env.CODEFORCES_API_URL = server.url;
+  return server;
+};
+
+/**
+ * supertest agent for the app
+ */
+const api = () => request(app);
+
+let userCount = 0;
+
+/**
+ * Register a user through the API
+ *
+ * @param {Object} overrides - { name, email, password }
+ * @returns {Promise<Object>} { user, token, refreshToken, credentials, auth }
+ *   auth = headers for .set(): { Authorization: 'Bearer ...' }
+ */
+const registerUser = async (overrides = {}) => {
+  userCount += 1;
+  const credentials = {
+    name: `Test User ${userCount}`,
+    email: `user${userCount}@test.com`,
+    password: 'password123',
+    ...overrides
+  };
+
+  const res = await api().post('/api/auth/register').send(credentials).expect(201);
+
+  return {
+    user: res.body.user,
+    token: res.body.token,
+    refreshToken: res.body.refreshToken,
+    credentials,
+    auth: { Authorization: `Bearer ${res.body.token}` }
+  };
+};
+
+/**
+ * Pull the token out of the last emailed link sent to an address
+ */
+const tokenFromMail = (email) => {
+  const message = [...sentMail].reverse().find(mail => mail.to === email);
+  const match = message && message.text.match(/token=([^\s&]+)/);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+module.exports = {
+  api,
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  registerUser,
+  startGitHubFixtures,
+  startPlatformFixtures,
+  sentMail,
+  tokenFromMail
+};
@@ -0,0 +1,169 @@
+/**
+ * Ownership isolation - one user can never see or change another's data
+ *
+ * Alice creates data in every domain; Bob tries to list, read, update
+ * and delete it. Alice's data must come out unchanged.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, startDatabase, stopDatabase, registerUser, startGitHubFixtures } = require('./helpers');
+const MasterProblem = require('../../models/MasterProblem');
+
+describe('Ownership isolation', () => {
+  let alice;
+  let bob;
+  let problem;
+  let project;
+  let careerEvent;
+  let task;
+  let goal;
+  let plannerEvent;
+
+  before(async () => {
+    await startDatabase();
+    alice = await registerUser();
+    bob = await registerUser();
+
+    problem = await MasterProblem.create({ title: 'Two Sum', problemNumber: 1, difficulty: 'Easy', topic: 'Arrays' });
+    await api().post('/api/dsa/progress').set(alice.auth).send({ problemId: problem.id, status: 'solved' }).expect(200);
+    await api().post(`/api/dsa/progress/${problem.id}/attempts`).set(alice.auth).send({ outcome: 'solved' }).expect(201);
+
+    const github = await startGitHubFixtures();
+    const synced = await api().post('/api/projects/sync').set(alice.auth).send({ githubUsername: 'octocat' }).expect(200);
+    project = synced.body.data[0];
+    await github.close();
+
+    careerEvent = (await api()
+      .post('/api/career')
+      .set(alice.auth)
+      .send({ title: 'Google onsite', type: 'interview', date: '2030-01-01', preparationSteps: [{ title: 'Practice' }] })
+      .expect(201)).body.data;
+
+    goal = (await api().post('/api/planner/goals').set(alice.auth).send({ name: 'Internship', deadline: '2030-06-01' }).expect(201)).body.data;
+    task = (await api().post('/api/planner/tasks').set(alice.auth).send({ title: 'Resume', goalId: goal._id }).expect(201)).body.data;
+    plannerEvent = (await api().post('/api/planner/events').set(alice.auth).send({ title: 'Mock', date: '2030-01-02' }).expect(201)).body.data;
+  });
+
+  after(stopDatabase);
+
+  describe('lists only contain your own data', () => {
+    const emptyLists = [
+      '/api/dsa/progress',
+      '/api/projects',
+      '/api/projects/starred',
+      '/api/career',
+      '/api/career/upcoming',
+      '/api/planner/tasks',
+      '/api/planner/goals',
+      '/api/planner/events'
+    ];
+
+    emptyLists.forEach(path => {
+      it(`GET ${path}`, async () => {
+        const res = await api().get(path).set(bob.auth).expect(200);
+        assert.deepEqual(res.body.data, []);
+      });
+    });
+
+    it('GET /api/dsa/progress/:problemId/attempts', async () => {
+      const res = await api().get(`/api/dsa/progress/${problem.id}/attempts`).set(bob.auth).expect(200);
+      assert.deepEqual(res.body.data, []);
+    });
+
+    it('stats only count your own data', async () => {
+      const dsa = await api().get('/api/dsa/stats').set(bob.auth).expect(200);
+      assert.equal(dsa.body.data.total, 0);
+
+      const planner = await api().get('/api/planner/stats').set(bob.auth).expect(200);
+      assert.equal(planner.body.data.totalTasks, 0);
+      assert.equal(planner.body.data.totalGoals, 0);
+    });
+
+    it('the export only contains your own data', async () => {
+      const res = await api().get('/api/account/export').set(bob.auth).expect(200);
+
+      ['dsaProgress', 'dsaAttempts', 'projects', 'careerEvents', 'goals', 'plannerTasks', 'events'].forEach(key => {
+        assert.deepEqual(res.body[key], [], key);
+      });
+    });
+  });
+
+  describe('someone else\'s records can\'t be read or changed', () => {
+    // Lookups are scoped to the owner: someone else's record doesn't exist for you
+    const denied = (res) => assert.equal(res.status, 404, `expected 404, got ${res.status}`);
+
+    it('DSA progress', async () => {
+      denied(await api().patch(`/api/dsa/progress/${problem.id}`).set(bob.auth).send({ status: 'weak' }));
+      denied(await api().delete(`/api/dsa/progress/${problem.id}`).set(bob.auth));
+    });
+
+    it('projects', async () => {
+      denied(await api().get(`/api/projects/${project._id}`).set(bob.auth));
+      denied(await api().patch(`/api/projects/${project._id}`).set(bob.auth).send({ notes: 'mine now' }));
+      denied(await api().delete(`/api/projects/${project._id}`).set(bob.auth));
+    });
+
+    it('career events and their steps', async () => {
+      const stepId = careerEvent.preparationSteps[0]._id;
+
+      denied(await api().get(`/api/career/${careerEvent._id}`).set(bob.auth));
+      denied(await api().patch(`/api/career/${careerEvent._id}`).set(bob.auth).send({ title: 'Hijacked' }));
+      denied(await api().post(`/api/career/${careerEvent._id}/steps`).set(bob.auth).send({ title: 'Extra' }));
+      denied(await api().patch(`/api/career/${careerEvent._id}/steps/${stepId}`).set(bob.auth).send({ isCompleted: true }));
+      denied(await api().delete(`/api/career/${careerEvent._id}/steps/${stepId}`).set(bob.auth));
+      denied(await api().delete(`/api/career/${careerEvent._id}`).set(bob.auth));
+    });
+
+    it('planner tasks, goals and events', async () => {
+      denied(await api().get(`/api/planner/tasks/${task._id}`).set(bob.auth));
+      denied(await api().patch(`/api/planner/tasks/${task._id}`).set(bob.auth).send({ completed: true }));
+      denied(await api().delete(`/api/planner/tasks/${task._id}`).set(bob.auth));
+      denied(await api().patch(`/api/planner/goals/${goal._id}`).set(bob.auth).send({ name: 'Hijacked' }));
+      denied(await api().delete(`/api/planner/goals/${goal._id}`).set(bob.auth));
+      denied(await api().put(`/api/planner/events/${plannerEvent._id}`).set(bob.auth).send({ title: 'Hijacked' }));
+      denied(await api().delete(`/api/planner/events/${plannerEvent._id}`).set(bob.auth));
+    });
+
+    it('can\'t attach a task to someone else\'s goal', async () => {
+      const res = await api().post('/api/planner/tasks').set(bob.auth).send({ title: 'Sneaky', goalId: goal._id }).expect(400);
+      assert.equal(res.body.code, 'GOAL_NOT_FOUND');
+    });
+
+    it('bulk updates skip someone else\'s tasks', async () => {
+      await api()
+        .post('/api/planner/tasks/bulk-update')
+        .set(bob.auth)
+        .send({ tasks: [{ id: task._id, completed: true }] });
+
+      const res = await api().get(`/api/planner/tasks/${task._id}`).set(alice.auth).expect(200);
+      assert.equal(res.body.data.completed, false);
+    });
+  });
+
+  describe('the owner\'s data is unchanged', () => {
+    it('everything is still there, as it was', async () => {
+      const progress = await api().get('/api/dsa/progress').set(alice.auth).expect(200);
+      assert.equal(progress.body.data.length, 1);
+      assert.equal(progress.body.data[0].status, 'solved');
+
+      const projectRes = await api().get(`/api/projects/${project._id}`).set(alice.auth).expect(200);
+      assert.equal(projectRes.body.data.isActive, true);
+      assert.equal(projectRes.body.data.notes, project.notes);
+
+      const eventRes = await api().get(`/api/career/${careerEvent._id}`).set(alice.auth).expect(200);
+      assert.equal(eventRes.body.data.title, 'Google onsite');
+      assert.equal(eventRes.body.data.preparationSteps.length, 1);
+      assert.equal(eventRes.body.data.preparationSteps[0].isCompleted, false);
+
+      const taskRes = await api().get(`/api/planner/tasks/${task._id}`).set(alice.auth).expect(200);
+      assert.equal(taskRes.body.data.completed, false);
+
+      const goals = await api().get('/api/planner/goals').set(alice.auth).expect(200);
+      assert.equal(goals.body.data[0].name, 'Internship');
+
+      const events = await api().get('/api/planner/events').set(alice.auth).expect(200);
+      assert.equal(events.body.data[0].title, 'Mock');
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Planner integration tests - tasks, goals, calendar events, stats
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, startDatabase, stopDatabase, clearDatabase, registerUser } = require('./helpers');
+
+describe('Planner API', () => {
+  let alice;
+
+  before(startDatabase);
+  after(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    alice = await registerUser();
+  });
+
+  describe('tasks', () => {
+    it('creates, lists, completes and deletes a task', async () => {
+      const created = await api()
+        .post('/api/planner/tasks')
+        .set(alice.auth)
+        .send({ title: 'Write resume', dueDate: '2026-03-01' })
+        .expect(201);
+      const taskId = created.body.data._id;
+
+      const list = await api().get('/api/planner/tasks').set(alice.auth).expect(200);
+      assert.equal(list.body.data.length, 1);
+      assert.equal(list.body.pagination.total, 1);
+
+      const completed = await api()
+        .patch(`/api/planner/tasks/${taskId}`)
+        .set(alice.auth)
+        .send({ completed: true })
+        .expect(200);
+      assert.equal(completed.body.data.completed, true);
+      assert.ok(completed.body.data.completedAt);
+
+      await api().delete(`/api/planner/tasks/${taskId}`).set(alice.auth).expect(200);
+      await api().get(`/api/planner/tasks/${taskId}`).set(alice.auth).expect(404);
+    });
+
+    it('filters tasks by completion', async () => {
+      await api().post('/api/planner/tasks').set(alice.auth).send({ title: 'Open' }).expect(201);
+      await api().post('/api/planner/tasks').set(alice.auth).send({ title: 'Done', completed: true }).expect(201);
+
+      const open = await api().get('/api/planner/tasks?completed=false').set(alice.auth).expect(200);
+      assert.deepEqual(open.body.data.map(task => task.title), ['Open']);
+    });
+
+    it('rejects a task without a title', async () => {
+      const res = await api().post('/api/planner/tasks').set(alice.auth).send({}).expect(400);
+      assert.equal(res.body.code, 'VALIDATION_ERROR');
+    });
+  });
+
+  describe('goals', () => {
+    it('links tasks to a goal and unlinks them when the goal is deleted', async () => {
+      const goal = await api()
+        .post('/api/planner/goals')
+        .set(alice.auth)
+        .send({ name: 'Get an internship', deadline: '2026-06-01' })
+        .expect(201);
+      const goalId = goal.body.data._id;
+
+      const task = await api()
+        .post('/api/planner/tasks')
+        .set(alice.auth)
+        .send({ title: 'Apply to 10 companies', goalId })
+        .expect(201);
+
+      const linked = await api().get(`/api/planner/tasks?goalId=${goalId}`).set(alice.auth).expect(200);
+      assert.equal(linked.body.data.length, 1);
+
+      await api().delete(`/api/planner/goals/${goalId}`).set(alice.auth).expect(200);
+
+      const unlinked = await api().get(`/api/planner/tasks/${task.body.data._id}`).set(alice.auth).expect(200);
+      assert.equal(unlinked.body.data.goalId, null);
+    });
+  });
+
+  describe('calendar events', () => {
+    it('creates, updates and deletes an event', async () => {
+      const created = await api()
+        .post('/api/planner/events')
+        .set(alice.auth)
+        .send({ title: 'Mock interview', date: '2026-03-10T15:00:00Z' })
+        .expect(201);
+      const eventId = created.body.data._id;
+
+      const updated = await api()
+        .put(`/api/planner/events/${eventId}`)
+        .set(alice.auth)
+        .send({ title: 'Mock interview (rescheduled)' })
+        .expect(200);
+      assert.equal(updated.body.data.title, 'Mock interview (rescheduled)');
+
+      const list = await api().get('/api/planner/events').set(alice.auth).expect(200);
+      assert.equal(list.body.data.length, 1);
+
+      await api().delete(`/api/planner/events/${eventId}`).set(alice.auth).expect(200);
+    });
+  });
+
+  describe('stats', () => {
+    it('counts tasks and the completion rate', async () => {
+      await api().post('/api/planner/tasks').set(alice.auth).send({ title: 'One' }).expect(201);
+      await api().post('/api/planner/tasks').set(alice.auth).send({ title: 'Two', completed: true }).expect(201);
+
+      const res = await api().get('/api/planner/stats').set(alice.auth).expect(200);
+      assert.equal(res.body.data.totalTasks, 2);
+      assert.equal(res.body.data.completedTasks, 1);
+      assert.equal(res.body.data.completionRate, 50);
+    });
+  });
+});
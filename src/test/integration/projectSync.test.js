@@ -0,0 +1,180 @@
+/**
+ * Background GitHub re-sync integration tests - stale projects, GitHub
+ * rate limit, run records, GET /api/projects/sync/status
+ *
+ * runResync() is called directly; the scheduler isn't started in tests.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, startDatabase, stopDatabase, clearDatabase, registerUser, startGitHubFixtures } = require('./helpers');
+const Project = require('../../models/Project');
+const User = require('../../models/User');
+const projectSyncService = require('../../services/projectSyncService');
+
+const TWO_DAYS_AGO = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+
+describe('GitHub re-sync', () => {
+  let alice;
+  let github;
+
+  before(async () => {
+    await startDatabase();
+    github = await startGitHubFixtures();
+  });
+
+  after(async () => {
+    await github.close();
+    await stopDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+    github.reset();
+    alice = await registerUser();
+  });
+
+  const syncOctocat = (user) => api()
+    .post('/api/projects/sync')
+    .set(user.auth)
+    .send({ githubUsername: 'octocat' })
+    .expect(200);
+
+  const makeStale = (user) => Project.updateMany({ userId: user.user.id }, { lastSyncedAt: TWO_DAYS_AGO });
+
+  describe('runResync()', () => {
+    it('updates stale projects from GitHub', async () => {
+      await syncOctocat(alice);
+      await makeStale(alice);
+      github.fixtures.octocat.repos.find(repo => repo.name === 'Hello-World').stargazers_count = 3000;
+
+      const run = await projectSyncService.runResync();
+
+      assert.equal(run.status, 'completed');
+      assert.equal(run.summary.synced, 1);
+      assert.equal(run.summary.projectsUpdated, 1);
+      assert.equal(run.results[0].status, 'synced');
+      assert.equal(run.results[0].unchanged, github.fixtures.octocat.repos.length - 1);
+
+      const helloWorld = await Project.findOne({ userId: alice.user.id, name: 'Hello-World' });
+      assert.equal(helloWorld.stars, 3000);
+      assert.equal(helloWorld.needsSync(), false);
+    });
+
+    it('leaves users whose projects are fresh alone', async () => {
+      await syncOctocat(alice);
+
+      const run = await projectSyncService.runResync();
+
+      assert.equal(run.status, 'completed');
+      assert.equal(run.summary.checked, 1);
+      assert.equal(run.summary.upToDate, 1);
+      assert.equal(run.results.length, 0);
+    });
+
+    it('only updates projects the user still tracks', async () => {
+      await syncOctocat(alice);
+      const spoonKnife = await Project.findOne({ userId: alice.user.id, name: 'Spoon-Knife' });
+      await api().delete(`/api/projects/${spoonKnife._id}`).set(alice.auth).expect(200);
+      await makeStale(alice);
+      github.fixtures.octocat.repos.forEach(repo => { repo.stargazers_count += 1; });
+
+      const run = await projectSyncService.runResync();
+
+      assert.equal(run.summary.projectsUpdated, github.fixtures.octocat.repos.length - 1);
+      const untracked = await Project.findById(spoonKnife._id);
+      assert.equal(untracked.isActive, false);
+      assert.equal(untracked.stars, spoonKnife.stars);
+      assert.equal(untracked.needsSync(), true);
+    });
+
+    it('only marks projects synced when GitHub says nothing changed', async () => {
+      await syncOctocat(alice);
+      await makeStale(alice);
+
+      const run = await projectSyncService.runResync();
+
+      assert.equal(run.summary.projectsUpdated, 0);
+      assert.equal(run.results[0].unchanged, github.fixtures.octocat.repos.length);
+      const projects = await Project.find({ userId: alice.user.id });
+      assert.ok(projects.every(project => !project.needsSync()));
+    });
+
+    it('skips tokenless users once GitHub\'s quota reaches the reserve', async () => {
+      const bob = await registerUser();
+      await syncOctocat(alice);
+      await syncOctocat(bob);
+      await makeStale(alice);
+      await makeStale(bob);
+
+      // One request left above the reserve (GITHUB_RATE_LIMIT_RESERVE, default 10)
+      github.rateLimit.remaining = 11;
+
+      const run = await projectSyncService.runResync();
+
+      assert.equal(run.status, 'rate-limited');
+      assert.equal(run.summary.synced, 1);
+      assert.equal(run.summary.skipped, 1);
+      assert.equal(run.rateLimit.remaining, 10);
+      assert.equal(run.results.find(result => result.status === 'skipped').error, 'GITHUB_RATE_LIMITED');
+      assert.equal(github.rateLimit.remaining, 10);
+    });
+
+    it('records users whose sync failed and carries on', async () => {
+      const bob = await registerUser();
+      await syncOctocat(alice);
+      await syncOctocat(bob);
+      await makeStale(alice);
+      await makeStale(bob);
+      await User.updateOne({ _id: bob.user.id }, { githubUsername: 'no-such-user' });
+
+      const run = await projectSyncService.runResync();
+
+      assert.equal(run.status, 'completed');
+      assert.equal(run.summary.synced, 1);
+      assert.equal(run.summary.failed, 1);
+
+      const failed = run.results.find(result => result.status === 'failed');
+      assert.equal(failed.githubUsername, 'no-such-user');
+      assert.equal(failed.error, 'GITHUB_USER_NOT_FOUND');
+    });
+  });
+
+  describe('GET /api/projects/sync/status', () => {
+    it('has no last run before the job has run', async () => {
+      const res = await api().get('/api/projects/sync/status').set(alice.auth).expect(200);
+
+      assert.equal(res.body.data.lastRun, null);
+      assert.equal(res.body.data.lastSyncedAt, null);
+      assert.equal(res.body.data.scheduler.enabled, false);
+    });
+
+    it('shows the last run with only this user\'s result', async () => {
+      const bob = await registerUser();
+      await syncOctocat(alice);
+      await syncOctocat(bob);
+      await makeStale(alice);
+      await makeStale(bob);
+      await User.updateOne({ _id: bob.user.id }, { githubUsername: 'no-such-user' });
+      await projectSyncService.runResync({ trigger: 'manual' });
+
+      const res = await api().get('/api/projects/sync/status').set(alice.auth).expect(200);
+      const { lastRun } = res.body.data;
+
+      assert.equal(lastRun.trigger, 'manual');
+      assert.equal(lastRun.status, 'completed');
+      assert.equal(lastRun.summary.failed, 1);
+      assert.equal(lastRun.result.status, 'synced');
+      assert.equal(lastRun.results, undefined);
+      assert.ok(!JSON.stringify(res.body).includes('no-such-user'));
+      assert.ok(new Date(res.body.data.lastSyncedAt) > TWO_DAYS_AGO);
+
+      const bobStatus = await api().get('/api/projects/sync/status').set(bob.auth).expect(200);
+      assert.equal(bobStatus.body.data.lastRun.result.error, 'GITHUB_USER_NOT_FOUND');
+    });
+
+    it('requires authentication', async () => {
+      await api().get('/api/projects/sync/status').expect(401);
+    });
+  });
+});
@@ -0,0 +1,301 @@
+/**
+ * Projects integration tests - GitHub sync (incremental), project health,
+ * tracking fields
+ *
+ * GitHub is the fixture server (src/test/githubFixtureServer.js), so the
+ * real githubService + Octokit code runs without the network.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, startDatabase, stopDatabase, clearDatabase, registerUser, startGitHubFixtures } = require('./helpers');
+const Project = require('../../models/Project');
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('Projects API', () => {
+  let alice;
+  let github;
+
+  before(async () => {
+    await startDatabase();
+    github = await startGitHubFixtures();
+  });
+
+  after(async () => {
+    await github.close();
+    await stopDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+    github.reset();
+    alice = await registerUser();
+  });
+
+  const sync = (body = {}) => api()
+    .post('/api/projects/sync')
+    .set(alice.auth)
+    .send({ githubUsername: 'octocat', ...body });
+
+  describe('POST /api/projects/sync', () => {
+    it('saves the GitHub repositories as projects', async () => {
+      const res = await sync().expect(200);
+
+      assert.equal(res.body.count, github.fixtures.octocat.repos.length);
+
+      const list = await api().get('/api/projects?sort=name').set(alice.auth).expect(200);
+      assert.deepEqual(
+        list.body.data.map(project => project.name),
+        ['Hello-World', 'Spoon-Knife', 'linguist', 'octocat.github.io']
+      );
+
+      const spoonKnife = list.body.data.find(project => project.name === 'Spoon-Knife');
+      assert.equal(spoonKnife.programmingLanguage, 'HTML');
+      assert.equal(spoonKnife.url, 'https://github.com/octocat/Spoon-Knife');
+
+      const me = await api().get('/api/auth/me').set(alice.auth).expect(200);
+      assert.equal(me.body.user.githubUsername, 'octocat');
+    });
+
+    it('applies filters', async () => {
+      const res = await sync({ filters: { excludeForks: true, language: 'css' } }).expect(200);
+
+      assert.deepEqual(res.body.data.map(project => project.name), ['octocat.github.io']);
+    });
+
+    it('updates existing projects instead of duplicating them', async () => {
+      await sync().expect(200);
+
+      github.fixtures.octocat.repos[0].stargazers_count = 4200;
+      await sync().expect(200);
+
+      const list = await api().get('/api/projects').set(alice.auth).expect(200);
+      assert.equal(list.body.data.length, github.fixtures.octocat.repos.length);
+      assert.equal(list.body.data.find(project => project.name === 'Hello-World').stars, 4200);
+    });
+
+    it('keeps tracking fields across syncs', async () => {
+      const synced = await sync().expect(200);
+      const projectId = synced.body.data[0]._id;
+
+      await api()
+        .patch(`/api/projects/${projectId}`)
+        .set(alice.auth)
+        .send({ status: 'completed', progress: 100, notes: 'Done' })
+        .expect(200);
+
+      await sync().expect(200);
+
+      const project = await api().get(`/api/projects/${projectId}`).set(alice.auth).expect(200);
+      assert.equal(project.body.data.status, 'completed');
+      assert.equal(project.body.data.notes, 'Done');
+    });
+
+    it('reports what was created, updated and left unchanged', async () => {
+      const first = await sync().expect(200);
+      assert.deepEqual(first.body.summary, { created: 4, updated: 0, unchanged: 0, removed: 0 });
+
+      github.fixtures.octocat.repos[0].stargazers_count = 4200;
+      const second = await sync().expect(200);
+
+      assert.equal(second.body.notModified, false);
+      assert.deepEqual(second.body.summary, { created: 0, updated: 1, unchanged: 3, removed: 0 });
+    });
+
+    it('asks GitHub only whether the repository list changed', async () => {
+      await sync().expect(200);
+      const res = await sync().expect(200);
+
+      assert.equal(res.body.notModified, true);
+      assert.equal(res.body.count, github.fixtures.octocat.repos.length);
+      assert.deepEqual(res.body.summary, { created: 0, updated: 0, unchanged: 4, removed: 0 });
+    });
+
+    it('asks in full when the filters change', async () => {
+      await sync().expect(200);
+      const res = await sync({ filters: { excludeForks: true } }).expect(200);
+
+      assert.equal(res.body.notModified, false);
+      assert.equal(res.body.count, 3);
+    });
+
+    it('asks in full when projects were deleted from the database since', async () => {
+      await sync().expect(200);
+      await Project.deleteOne({ name: 'linguist' });
+
+      const res = await sync().expect(200);
+      assert.equal(res.body.notModified, false);
+      assert.equal(res.body.summary.created, 1);
+    });
+
+    it('stops tracking repositories deleted on GitHub', async () => {
+      await sync().expect(200);
+      github.fixtures.octocat.repos = github.fixtures.octocat.repos.filter(repo => repo.name !== 'linguist');
+
+      const res = await sync().expect(200);
+      assert.equal(res.body.summary.removed, 1);
+
+      const list = await api().get('/api/projects').set(alice.auth).expect(200);
+      assert.ok(!list.body.data.some(project => project.name === 'linguist'));
+    });
+
+    it('tracks a repository again when it comes back on GitHub', async () => {
+      const synced = await sync().expect(200);
+      const repos = github.fixtures.octocat.repos;
+      const spoonKnife = synced.body.data.find(project => project.name === 'Spoon-Knife');
+
+      // Removed by the user: stays removed
+      await api().delete(`/api/projects/${spoonKnife._id}`).set(alice.auth).expect(200);
+
+      github.fixtures.octocat.repos = repos.filter(repo => repo.name !== 'linguist');
+      await sync().expect(200);
+
+      github.fixtures.octocat.repos = repos;
+      const res = await sync().expect(200);
+      assert.equal(res.body.summary.removed, 0);
+      assert.equal(res.body.summary.created, 0);
+
+      const list = await api().get('/api/projects?sort=name').set(alice.auth).expect(200);
+      assert.deepEqual(list.body.data.map(project => project.name), ['Hello-World', 'linguist', 'octocat.github.io']);
+
+      const linguist = await Project.findOne({ userId: alice.user.id, name: 'linguist' });
+      assert.equal(linguist.removedFromGitHubAt, undefined);
+    });
+
+    it('returns 404 when the GitHub user has no repositories', async () => {
+      github.fixtures['empty-user'] = { profile: { login: 'empty-user' }, repos: [] };
+
+      const res = await sync({ githubUsername: 'empty-user' }).expect(404);
+      assert.equal(res.body.code, 'NO_REPOSITORIES');
+    });
+
+    it('returns 404 for an unknown GitHub user', async () => {
+      const res = await sync({ githubUsername: 'no-such-user' }).expect(404);
+      assert.equal(res.body.code, 'GITHUB_USER_NOT_FOUND');
+    });
+
+    it('returns 502 when GitHub rate limits us', async () => {
+      const res = await sync({ githubUsername: 'rate-limited' }).expect(502);
+      assert.equal(res.body.code, 'GITHUB_RATE_LIMITED');
+    });
+
+    it('rejects an invalid username', async () => {
+      await sync({ githubUsername: 'not a username!' }).expect(400);
+    });
+  });
+
+  describe('project health', () => {
+    it('is computed from the last push', async () => {
+      const [helloWorld, spoonKnife, linguist] = github.fixtures.octocat.repos;
+      helloWorld.pushed_at = daysAgo(3);
+      spoonKnife.pushed_at = daysAgo(60);
+      linguist.pushed_at = daysAgo(400);
+
+      await sync().expect(200);
+
+      const list = await api().get('/api/projects').set(alice.auth).expect(200);
+      const health = Object.fromEntries(list.body.data.map(project => [project.name, project.healthStatus]));
+      assert.equal(health['Hello-World'], 'on-track');
+      assert.equal(health['Spoon-Knife'], 'at-risk');
+      assert.equal(health.linguist, 'delayed');
+    });
+  });
+
+  describe('GET /api/projects/github/:username', () => {
+    it('returns live repositories without saving them', async () => {
+      const res = await api().get('/api/projects/github/octocat?minStars=1000').set(alice.auth).expect(200);
+      assert.deepEqual(res.body.data.map(repo => repo.name), ['Hello-World', 'Spoon-Knife']);
+
+      const list = await api().get('/api/projects').set(alice.auth).expect(200);
+      assert.equal(list.body.data.length, 0);
+    });
+  });
+
+  describe('POST /api/projects/:id/refresh', () => {
+    const projectNamed = async (name) => {
+      await sync().expect(200);
+      return Project.findOne({ userId: alice.user.id, name });
+    };
+
+    const refresh = (project, user = alice) => api()
+      .post(`/api/projects/${project._id}/refresh`)
+      .set(user.auth);
+
+    it('loads languages, recent commits and the README', async () => {
+      const spoonKnife = await projectNamed('Spoon-Knife');
+      const res = await refresh(spoonKnife).expect(200);
+
+      assert.deepEqual(res.body.refreshed, ['details', 'languages', 'commits', 'readme']);
+      assert.deepEqual(res.body.data.languages, { HTML: 92.17, CSS: 7.83 });
+      assert.deepEqual(
+        res.body.data.recentCommits.map(commit => commit.sha),
+        github.fixtures.octocat.commits['Spoon-Knife'].map(commit => commit.sha)
+      );
+      assert.equal(res.body.data.readme, github.fixtures.octocat.readmes['Spoon-Knife']);
+      assert.equal(res.body.data.githubEtags, undefined);
+
+      // The README comes with the project, not with the list
+      const one = await api().get(`/api/projects/${spoonKnife._id}`).set(alice.auth).expect(200);
+      assert.equal(one.body.data.readme, github.fixtures.octocat.readmes['Spoon-Knife']);
+      const list = await api().get('/api/projects').set(alice.auth).expect(200);
+      assert.equal(list.body.data.find(project => project.name === 'Spoon-Knife').readme, undefined);
+    });
+
+    it('asks GitHub only whether each part changed', async () => {
+      const spoonKnife = await projectNamed('Spoon-Knife');
+      await refresh(spoonKnife).expect(200);
+
+      const unchanged = await refresh(spoonKnife).expect(200);
+      assert.deepEqual(unchanged.body.refreshed, []);
+      assert.deepEqual(unchanged.body.notModified, ['details', 'languages', 'commits', 'readme']);
+      assert.equal(unchanged.body.data.readme, github.fixtures.octocat.readmes['Spoon-Knife']);
+      assert.equal(unchanged.body.data.recentCommits.length, 2);
+
+      github.fixtures.octocat.commits['Spoon-Knife'].unshift({
+        sha: 'f00dfeedf00dfeedf00dfeedf00dfeedf00dfeed',
+        commit: { message: 'Add a fork guide', author: { name: 'The Octocat', date: '2026-01-01T12:00:00Z' } },
+        html_url: 'https://github.com/octocat/Spoon-Knife/commit/f00dfeedf00dfeedf00dfeedf00dfeedf00dfeed'
+      });
+
+      const changed = await refresh(spoonKnife).expect(200);
+      assert.deepEqual(changed.body.refreshed, ['commits']);
+      assert.equal(changed.body.data.recentCommits[0].message, 'Add a fork guide');
+    });
+
+    it('stores an empty README for a repository without one', async () => {
+      const linguist = await projectNamed('linguist');
+      const res = await refresh(linguist).expect(200);
+
+      assert.ok(res.body.refreshed.includes('readme'));
+      assert.equal(res.body.data.readme, '');
+      assert.equal(res.body.failed, undefined);
+    });
+
+    it('answers 404 when the repository is gone from GitHub', async () => {
+      const linguist = await projectNamed('linguist');
+      github.fixtures.octocat.repos = github.fixtures.octocat.repos.filter(repo => repo.name !== 'linguist');
+
+      const res = await refresh(linguist).expect(404);
+      assert.equal(res.body.code, 'GITHUB_REPO_NOT_FOUND');
+    });
+
+    it('answers 404 for another user\'s project', async () => {
+      const spoonKnife = await projectNamed('Spoon-Knife');
+      const bob = await registerUser();
+
+      await refresh(spoonKnife, bob).expect(404);
+    });
+  });
+
+  describe('tracking', () => {
+    it('removes a project from tracking', async () => {
+      const synced = await sync().expect(200);
+
+      await api().delete(`/api/projects/${synced.body.data[0]._id}`).set(alice.auth).expect(200);
+
+      const list = await api().get('/api/projects').set(alice.auth).expect(200);
+      assert.equal(list.body.data.length, github.fixtures.octocat.repos.length - 1);
+    });
+  });
+});
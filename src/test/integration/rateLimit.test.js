@@ -0,0 +1,96 @@
+/**
+ * Rate limiting integration tests - per-route limits (429 + Retry-After)
+ * and the progressive login lockout, with the memory and mongo stores
+ *
+ * helpers.js turns rate limiting off for the other test files; this file
+ * turns it back on with small limits and short lockouts.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { api, startDatabase, stopDatabase, clearDatabase, registerUser } = require('./helpers');
+const rateLimits = require('../../config/rateLimits');
+const { createMemoryStore, createMongoStore, setStore } = require('../../services/rateLimitStore');
+
+const MINUTE = 60 * 1000;
+const LOGIN_IP_MAX = 6;
+
+const limitOf = (policy, by) => rateLimits.policies[policy].find(limit => limit.by === by);
+
+const STORES = {
+  memory: createMemoryStore,
+  mongo: createMongoStore
+};
+
+Object.entries(STORES).forEach(([storeName, createStore]) => {
+  describe(`Rate limiting (${storeName} store)`, () => {
+    let alice;
+
+    before(async () => {
+      await startDatabase();
+      rateLimits.enabled = true;
+      // Registering a user per test shouldn't hit the register limit
+      limitOf('register', 'ip').max = 1000;
+      limitOf('login', 'email').max = 1000;
+      rateLimits.lockout = { maxFailures: 2, baseLockMs: 1000, maxLockMs: 4000, failureWindowMs: MINUTE };
+    });
+
+    after(async () => {
+      rateLimits.enabled = false;
+      await stopDatabase();
+    });
+
+    beforeEach(async () => {
+      await clearDatabase();
+      setStore(createStore());
+      limitOf('login', 'ip').max = 1000;
+      alice = await registerUser();
+    });
+
+    const login = (password = alice.credentials.password, email = alice.credentials.email) => api()
+      .post('/api/auth/login')
+      .send({ email, password });
+
+    it('answers 429 with Retry-After once a route limit is used up', async () => {
+      limitOf('login', 'ip').max = LOGIN_IP_MAX;
+
+      // Different unknown emails, so no account gets locked
+      for (let i = 0; i < LOGIN_IP_MAX; i += 1) {
+        const res = await login('wrong-password', `nobody${i}@test.com`).expect(401);
+        assert.equal(res.headers['ratelimit-remaining'], String(LOGIN_IP_MAX - i - 1));
+      }
+
+      const res = await login().expect(429);
+      assert.equal(res.body.code, 'RATE_LIMITED');
+      assert.ok(Number(res.headers['retry-after']) > 0);
+      assert.equal(res.headers['ratelimit-limit'], String(LOGIN_IP_MAX));
+    });
+
+    it('locks an account after repeated failed logins, longer each time', async () => {
+      await login('wrong-password').expect(401);
+      await login('wrong-password').expect(401);
+
+      // Locked even with the right password
+      const locked = await login().expect(429);
+      assert.equal(locked.body.code, 'ACCOUNT_LOCKED');
+      assert.equal(locked.headers['retry-after'], '1');
+
+      await sleep(1100);
+      await login('wrong-password').expect(401);
+
+      const lockedLonger = await login().expect(429);
+      assert.equal(lockedLonger.body.code, 'ACCOUNT_LOCKED');
+      assert.equal(lockedLonger.headers['retry-after'], '2');
+    });
+
+    it('forgets failed logins after a successful one', async () => {
+      await login('wrong-password').expect(401);
+      await login().expect(200);
+
+      // Would be the second failure (a lock) without the reset
+      await login('wrong-password').expect(401);
+      await login().expect(200);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Submission sync integration tests - POST /api/dsa/progress/sync
+ * (LeetCode / Codeforces are the platform fixture server)
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { api, startDatabase, stopDatabase, clearDatabase, registerUser, startPlatformFixtures } = require('./helpers');
+const MasterProblem = require('../../models/MasterProblem');
+const UserProgress = require('../../models/UserProgress');
+
+// blaezi-demo's latest accepted Two Sum (src/test/fixtures/leetcode/blaezi-demo.json)
+const TWO_SUM_SOLVED_AT = new Date(1760000000 * 1000);
+
+describe('Submission sync', () => {
+  let alice;
+  let platforms;
+  let problems;
+
+  before(async () => {
+    await startDatabase();
+    platforms = await startPlatformFixtures();
+  });
+
+  after(async () => {
+    await platforms.close();
+    await stopDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+    platforms.reset();
+    alice = await registerUser();
+
+    // URLs spelled differently from the platforms' on purpose
+    const created = await MasterProblem.create([
+      { title: 'Two Sum', difficulty: 'Easy', topic: 'Arrays', platform: 'LeetCode', url: 'https://leetcode.com/problems/two-sum/description/' },
+      { title: 'Valid Anagram', difficulty: 'Easy', topic: 'Strings', platform: 'LeetCode', url: 'http://www.leetcode.com/problems/valid-anagram' },
+      { title: 'Watermelon', difficulty: 'Easy', topic: 'Math', platform: 'CodeForces', url: 'https://codeforces.com/contest/4/problem/A' },
+      { title: 'Way Too Long Words', difficulty: 'Easy', topic: 'Strings', platform: 'CodeForces', url: 'https://codeforces.com/problemset/problem/71/A' }
+    ]);
+    problems = Object.fromEntries(created.map(problem => [problem.title, problem]));
+  });
+
+  const sync = (body, user = alice) => api()
+    .post('/api/dsa/progress/sync')
+    .set(user.auth)
+    .send(body);
+
+  const progressOf = (title, user = alice) => UserProgress.findOne({ userId: user.user.id, problemId: String(problems[title]._id) });
+
+  describe('LeetCode', () => {
+    it('marks matched problems solved at the submission time', async () => {
+      const res = await sync({ platform: 'leetcode', username: 'blaezi-demo' }).expect(200);
+      const report = res.body.data;
+
+      assert.equal(report.submissions, 4);
+      assert.deepEqual(report.added.map(entry => entry.title).sort(), ['Two Sum', 'Valid Anagram']);
+      assert.deepEqual(report.unmatched, [{ title: 'Design a Leaderboard', url: 'https://leetcode.com/problems/design-a-leaderboard' }]);
+
+      // Latest of the two Two Sum submissions
+      const twoSum = await progressOf('Two Sum');
+      assert.equal(twoSum.status, 'solved');
+      assert.equal(twoSum.lastSolvedAt.getTime(), TWO_SUM_SOLVED_AT.getTime());
+      assert.equal(twoSum.lastReviewedAt.getTime(), TWO_SUM_SOLVED_AT.getTime());
+    });
+
+    it('changes nothing when synced again', async () => {
+      await sync({ platform: 'leetcode', username: 'blaezi-demo' }).expect(200);
+      const res = await sync({ platform: 'leetcode', username: 'blaezi-demo' }).expect(200);
+
+      assert.equal(res.body.data.added.length, 0);
+      assert.equal(res.body.data.updated.length, 0);
+      assert.equal(res.body.data.unchanged, 2);
+      assert.equal(await UserProgress.countDocuments({ userId: alice.user.id }), 2);
+    });
+
+    it('updates older progress but keeps a status set after the submission', async () => {
+      // Written before problemIds were stored as strings
+      await UserProgress.collection.insertOne({
+        userId: new mongoose.Types.ObjectId(alice.user.id),
+        problemId: problems['Two Sum']._id,
+        status: 'revising',
+        lastSolvedAt: new Date('2024-01-01'),
+        createdAt: new Date('2024-01-01'),
+        updatedAt: new Date('2024-01-01')
+      });
+      // Marked weak now, after the Valid Anagram submission
+      await UserProgress.create({ userId: alice.user.id, problemId: String(problems['Valid Anagram']._id), status: 'weak' });
+
+      const res = await sync({ platform: 'leetcode', username: 'blaezi-demo' }).expect(200);
+
+      assert.deepEqual(res.body.data.updated.map(entry => [entry.title, entry.previousStatus]), [['Two Sum', 'revising']]);
+      assert.deepEqual(res.body.data.kept.map(entry => [entry.title, entry.status]), [['Valid Anagram', 'weak']]);
+      assert.equal(res.body.data.added.length, 0);
+
+      // Moved to the string id
+      const twoSum = await progressOf('Two Sum');
+      assert.equal(twoSum.status, 'solved');
+      assert.equal(twoSum.lastSolvedAt.getTime(), TWO_SUM_SOLVED_AT.getTime());
+      assert.equal(await UserProgress.countDocuments({ userId: alice.user.id }), 2);
+    });
+
+    it('leaves progress the progress routes can change and delete', async () => {
+      await sync({ platform: 'leetcode', username: 'blaezi-demo' }).expect(200);
+      const twoSumId = String(problems['Two Sum']._id);
+
+      const updated = await api()
+        .patch(`/api/dsa/progress/${twoSumId}`)
+        .set(alice.auth)
+        .send({ status: 'revising', notes: 'Hash map' })
+        .expect(200);
+      assert.equal(updated.body.data.status, 'revising');
+
+      // Saving through POST /progress updates the synced record, no duplicate
+      await api().post('/api/dsa/progress').set(alice.auth).send({ problemId: twoSumId, status: 'solved' }).expect(200);
+      assert.equal(await UserProgress.countDocuments({ userId: alice.user.id }), 2);
+
+      await api().delete(`/api/dsa/progress/${twoSumId}`).set(alice.auth).expect(200);
+      assert.equal(await progressOf('Two Sum'), null);
+    });
+
+    it('remembers the username', async () => {
+      await sync({ platform: 'leetcode', username: ' blaezi-demo ' }).expect(200);
+
+      const me = await api().get('/api/auth/me').set(alice.auth).expect(200);
+      assert.equal(me.body.user.platformUsernames.leetcode, 'blaezi-demo');
+
+      const res = await sync({ platform: 'leetcode' }).expect(200);
+      assert.equal(res.body.data.username, 'blaezi-demo');
+    });
+
+    it('answers 404 for an unknown user and 502 when LeetCode fails', async () => {
+      const missing = await sync({ platform: 'leetcode', username: 'nobody-here' }).expect(404);
+      assert.equal(missing.body.code, 'PLATFORM_USER_NOT_FOUND');
+
+      const down = await sync({ platform: 'leetcode', username: 'unavailable' }).expect(502);
+      assert.equal(down.body.code, 'LEETCODE_ERROR');
+    });
+  });
+
+  describe('Codeforces', () => {
+    it('marks accepted problems solved, skipping rejected and gym submissions', async () => {
+      const res = await sync({ platform: 'codeforces', username: 'blaezi-demo' }).expect(200);
+      const report = res.body.data;
+
+      assert.deepEqual(report.added.map(entry => entry.title).sort(), ['Watermelon', 'Way Too Long Words']);
+      assert.deepEqual(report.unmatched.map(entry => entry.title), ['Gym Warmup']);
+
+      // The accepted submission, not the earlier wrong answer
+      const words = await progressOf('Way Too Long Words');
+      assert.equal(words.lastSolvedAt.getTime(), 1760100000 * 1000);
+    });
+
+    it('answers 404 for an unknown handle', async () => {
+      const res = await sync({ platform: 'codeforces', username: 'nobody-here' }).expect(404);
+      assert.equal(res.body.code, 'PLATFORM_USER_NOT_FOUND');
+    });
+  });
+
+  it('needs a username the first time', async () => {
+    const res = await sync({ platform: 'codeforces' }).expect(400);
+    assert.equal(res.body.code, 'PLATFORM_USERNAME_REQUIRED');
+  });
+
+  it('rejects unknown platforms', async () => {
+    await sync({ platform: 'hackerrank', username: 'blaezi-demo' }).expect(400);
+  });
+
+  it('only touches the caller\'s progress', async () => {
+    const bob = await registerUser();
+    await sync({ platform: 'leetcode', username: 'blaezi-demo' }, bob).expect(200);
+
+    assert.equal(await UserProgress.countDocuments({ userId: alice.user.id }), 0);
+    assert.equal(await UserProgress.countDocuments({ userId: bob.user.id }), 2);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Coding Platform Fixture Server
+ *
+ * PURPOSE: Stand-in for LeetCode's GraphQL API and the Codeforces API
+ * that answers from recorded responses, so the submission sync can be
+ * developed and tested without the network (or their throttling).
+ *
+ * USAGE:
+ *   npm run platform:fixtures                                    # http://127.0.0.1:4020
+ *   LEETCODE_API_URL=http://127.0.0.1:4020 CODEFORCES_API_URL=http://127.0.0.1:4020 npm run dev
+ *
+ *   // In tests
+ *   const fixtureServer = await startFixtureServer();   // random free port
+ *   process.env.LEETCODE_API_URL = fixtureServer.url;
+ *   fixtureServer.fixtures.leetcode['blaezi-demo'].recentAcSubmissionList[0].timestamp = '1760500000';
+ *   fixtureServer.reset();                             // back to the files
+ *   await fixtureServer.close();
+ *
+ * FIXTURES (one file per user, the platform's own response format):
+ * - src/test/fixtures/leetcode/<username>.json
+ *   { "recentAcSubmissionList": [...] }  POST /graphql (query recentAcSubmissionList, newest first)
+ * - src/test/fixtures/codeforces/<handle>.json
+ *   { "submissions": [...] }             GET /api/user.status?handle&from&count (result, newest first)
+ * A fixture with "error": { "status", "message" / "comment" } answers
+ * every request for that user with that error (unavailable.json → 503).
+ *
+ * Unknown users get the platform's own answer: LeetCode a GraphQL error
+ * "That user does not exist." (HTTP 200), Codeforces 400 FAILED
+ * "handle: User with handle ... not found".
+ *
+ * To record a new user: save the responses of the endpoints above into
+ * a new file.
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures');
+const PLATFORMS = ['leetcode', 'codeforces'];
+
+/**
+ * Read every fixture file → { leetcode: { username: fixture }, codeforces: { ... } }
+ * (usernames lowercased, both platforms treat them case-insensitively)
+ */
+const loadFixtures = (dir = FIXTURE_DIR) => {
+  return Object.fromEntries(PLATFORMS.map(platform => {
+    const platformDir = path.join(dir, platform);
+    const files = fs.existsSync(platformDir) ? fs.readdirSync(platformDir) : [];
+
+    return [platform, Object.fromEntries(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(file => [
+          path.basename(file, '.json').toLowerCase(),
+          JSON.parse(fs.readFileSync(path.join(platformDir, file), 'utf8'))
+        ])
+    )];
+  }));
+};
+
+/**
+ * Express app serving the endpoints leetcodeService / codeforcesService use
+ *
+ * @param {Object} fixtures - { leetcode, codeforces } (read on every request, so tests can change it)
+ */
+const createFixtureApp = (fixtures) => {
+  const app = express();
+  app.use(express.json());
+
+  // ─── LeetCode (leetcode.com/graphql) ────────────────────
+  app.post('/graphql', (req, res) => {
+    const { query = '', variables = {} } = req.body || {};
+
+    if (!query.includes('recentAcSubmissionList')) {
+      return res.status(400).json({ errors: [{ message: 'Only recentAcSubmissionList is recorded' }] });
+    }
+
+    const fixture = fixtures.leetcode[String(variables.username || '').toLowerCase()];
+    if (!fixture) {
+      return res.json({
+        errors: [{ message: 'That user does not exist.', path: ['recentAcSubmissionList'], extensions: { handled: true } }],
+        data: { recentAcSubmissionList: null }
+      });
+    }
+    if (fixture.error) {
+      return res.status(fixture.error.status).json({ errors: [{ message: fixture.error.message }] });
+    }
+
+    const limit = parseInt(variables.limit) || 20;
+    res.json({ data: { recentAcSubmissionList: (fixture.recentAcSubmissionList || []).slice(0, limit) } });
+  });
+
+  // ─── Codeforces (codeforces.com/api) ────────────────────
+  app.get('/api/user.status', (req, res) => {
+    const handle = String(req.query.handle || '');
+    const fixture = fixtures.codeforces[handle.toLowerCase()];
+
+    if (!fixture) {
+      return res.status(400).json({ status: 'FAILED', comment: `handle: User with handle ${handle} not found` });
+    }
+    if (fixture.error) {
+      return res.status(fixture.error.status).json({ status: 'FAILED', comment: fixture.error.comment });
+    }
+
+    const from = Math.max(parseInt(req.query.from) || 1, 1);
+    const count = parseInt(req.query.count) || Infinity;
+    res.json({ status: 'OK', result: (fixture.submissions || []).slice(from - 1, from - 1 + count) });
+  });
+
+  app.use((req, res) => res.status(404).json({ message: 'Not Found' }));
+
+  return app;
+};
+
+/**
+ * Start the fixture server
+ *
+ * @param {Object} options - { port (0 = random), host, dir }
+ * @returns {Promise<Object>} { url, fixtures, reset(), close() }
+ */
+const startFixtureServer = ({ port = 0, host = '127.0.0.1', dir = FIXTURE_DIR } = {}) => {
+  const fixtures = loadFixtures(dir);
+
+  return new Promise((resolve, reject) => {
+    const server = createFixtureApp(fixtures).listen(port, host, () => {
+      resolve({
+        url: `http://${host}:${server.address().port}`,
+        fixtures,
+        // Undo changes made by a test
+        reset: () => Object.assign(fixtures, loadFixtures(dir)),
+        close: () => new Promise(done => {
+          server.close(done);
+          server.closeAllConnections();
+        })
+      });
+    });
+    server.on('error', reject);
+  });
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.PLATFORM_FIXTURE_PORT) || 4020;
+
+  startFixtureServer({ port })
+    .then(({ url, fixtures }) => {
+      logger.info(`Platform fixture server running on ${url}`, {
+        leetcode: Object.keys(fixtures.leetcode),
+        codeforces: Object.keys(fixtures.codeforces)
+      });
+      logger.info(`Start the API with LEETCODE_API_URL=${url} CODEFORCES_API_URL=${url} to use it`);
+    })
+    .catch(error => {
+      logger.error('Platform fixture server failed to start', { err: error });
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  FIXTURE_DIR,
+  loadFixtures,
+  createFixtureApp,
+  startFixtureServer
+};
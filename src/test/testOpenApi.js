@@ -0,0 +1,66 @@
+/**
+ * Test OpenAPI - Contract between the routes and the API docs
+ *
+ * This tests:
+ * 1. Every route has an entry (with a summary) in src/docs/operations.js
+ * 2. Every entry in operations.js still has a route
+ * 3. Every route is in the generated document, with its path parameters
+ *
+ * No database needed. Exits with code 1 on any failure, so CI catches a
+ * route added without docs.
+ */
+
+const { listRoutes, operationKey, buildSpec } = require('../docs/openapi');
+const operations = require('../docs/operations');
+
+const failures = [];
+
+const check = (condition, message) => {
+  if (!condition) failures.push(message);
+};
+
+const routes = listRoutes();
+const routeKeys = new Set(routes.map(route => operationKey(route.method, route.path)));
+const spec = buildSpec();
+
+// Test 1: Every route is documented
+console.log('TEST 1: Every route has an operations.js entry');
+console.log('='.repeat(50));
+routes.forEach(route => {
+  const key = operationKey(route.method, route.path);
+  check(operations[key], `${key} has no entry in src/docs/operations.js`);
+  check(!operations[key] || operations[key].summary, `${key} has no summary in src/docs/operations.js`);
+});
+console.log(`Checked ${routes.length} routes\n`);
+
+// Test 2: No stale entries
+console.log('TEST 2: Every operations.js entry has a route');
+console.log('='.repeat(50));
+Object.keys(operations).forEach(key => {
+  check(routeKeys.has(key), `${key} is in src/docs/operations.js but no such route exists`);
+});
+console.log(`Checked ${Object.keys(operations).length} entries\n`);
+
+// Test 3: The generated document covers every route
+console.log('TEST 3: Every route is in the OpenAPI document');
+console.log('='.repeat(50));
+routes.forEach(route => {
+  const key = operationKey(route.method, route.path);
+  const operation = spec.paths[route.path]?.[route.method];
+  check(operation, `${key} is missing from the generated document`);
+  if (!operation) return;
+
+  [...route.path.matchAll(/\{(\w+)\}/g)].forEach(([, name]) => {
+    const declared = (operation.parameters || []).some(param => param.in === 'path' && param.name === name);
+    check(declared, `${key} does not declare path parameter "${name}"`);
+  });
+});
+console.log(`Document has ${Object.keys(spec.paths).length} paths\n`);
+
+if (failures.length > 0) {
+  failures.forEach(failure => console.error('❌', failure));
+  console.error(`\n${failures.length} problem(s) - add or fix entries in src/docs/operations.js`);
+  process.exit(1);
+}
+
+console.log('✅ All routes documented');
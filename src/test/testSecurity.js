@@ -120,20 +120,30 @@ async function testJWTAuth() {
     const isMatch = await user.comparePassword('password123');
     console.log('✅ Password comparison works:', isMatch);
     
-    // Simulate JWT creation (in real app, this is in authController)
+    // Start a session (in real app, this is in authController)
     const jwt = require('jsonwebtoken');
-    const token = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
+    const tokenService = require('../services/tokenService');
+    const tokens = await tokenService.createSession(user._id);
     
-    console.log('✅ JWT token generated');
+    console.log('✅ Access + refresh token generated');
     
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = jwt.verify(tokens.token, process.env.JWT_SECRET);
     console.log('✅ Token verified, user ID:', decoded.id);
-    console.log('✅ Token expires in 30 days');
+    console.log('✅ Session active:', await tokenService.isSessionActive(decoded.sid));
+    
+    // Rotate refresh token
+    const rotated = await tokenService.rotateRefreshToken(tokens.refreshToken);
+    console.log('✅ Refresh token rotated:', rotated.refreshToken !== tokens.refreshToken);
+    
+    // Reusing the old refresh token must revoke the session
+    try {
+      await tokenService.rotateRefreshToken(tokens.refreshToken);
+      console.log('❌ FAIL: Old refresh token was accepted');
+    } catch (error) {
+      console.log('✅ Reuse detected:', error.code === 'REFRESH_TOKEN_REUSED');
+    }
+    console.log('✅ Session revoked after reuse:', !(await tokenService.isSessionActive(decoded.sid)));
     
     console.log();
     
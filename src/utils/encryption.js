@@ -0,0 +1,92 @@
+/**
+ * Encryption at rest
+ *
+ * PURPOSE: Encrypt secrets we must be able to read back later (e.g. a
+ * user's GitHub token), unlike passwords / refresh tokens which are hashed
+ *
+ * AES-256-GCM with a server key. Output format (one string, safe to store):
+ *   v1:<iv base64>:<auth tag base64>:<ciphertext base64>
+ * GCM's auth tag means a tampered value fails to decrypt instead of
+ * returning garbage.
+ *
+ * CONFIG (.env):
+ * - ENCRYPTION_KEY: 32 bytes as 64 hex characters
+ *   (generate: node -e "console.log(require('crypto').randomBytes(32).toString('hex'))")
+ *
+ * Changing the key makes stored values unreadable - users have to save
+ * their tokens again.
+ */
+
+const crypto = require('crypto');
+const { AppError } = require('./errors');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+const IV_BYTES = 12;
+
+/**
+ * Whether ENCRYPTION_KEY is set to a usable key
+ */
+const isConfigured = () => /^[0-9a-f]{64}$/i.test(process.env.ENCRYPTION_KEY || '');
+
+/**
+ * Throw 503 ENCRYPTION_NOT_CONFIGURED unless ENCRYPTION_KEY is usable
+ */
+const assertConfigured = () => {
+  if (!isConfigured()) {
+    throw new AppError('Encryption is not configured on this server', {
+      statusCode: 503,
+      code: 'ENCRYPTION_NOT_CONFIGURED'
+    });
+  }
+};
+
+const getKey = () => {
+  assertConfigured();
+  return Buffer.from(process.env.ENCRYPTION_KEY, 'hex');
+};
+
+/**
+ * Encrypt a string
+ *
+ * @param {string} plaintext
+ * @returns {string} v1:iv:tag:ciphertext
+ */
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join(':');
+};
+
+/**
+ * Decrypt a value from encrypt()
+ *
+ * @param {string} payload - v1:iv:tag:ciphertext
+ * @returns {string} plaintext
+ * @throws if the value was tampered with or encrypted with another key
+ */
+const decrypt = (payload) => {
+  const [version, iv, tag, ciphertext] = String(payload).split(':');
+  if (version !== VERSION || !ciphertext) {
+    throw new Error('Unrecognised encrypted value');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+module.exports = {
+  isConfigured,
+  assertConfigured,
+  encrypt,
+  decrypt
+};
@@ -0,0 +1,118 @@
+/**
+ * Error Classes
+ *
+ * PURPOSE: Typed errors that controllers/services THROW instead of
+ * building error responses by hand
+ *
+ * The global error handler (middleware/errorHandler.js) turns them into:
+ * {
+ *   "success": false,
+ *   "code": "NOT_FOUND",
+ *   "message": "Event not found",
+ *   "details": [...]            // optional
+ * }
+ *
+ * USAGE:
+ *   if (!event) throw new NotFoundError('Event not found');
+ */
+
+/**
+ * AppError - Base class for all expected (operational) errors
+ *
+ * @param {string} message - Safe to show to clients
+ * @param {Object} options - { statusCode, code, details }
+ */
+class AppError extends Error {
+  constructor(message, { statusCode = 500, code = 'INTERNAL_ERROR', details = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * 400 - Request failed validation (details: [{ location, field, message }])
+ */
+class ValidationError extends AppError {
+  constructor(message = 'Validation failed', details = null, code = 'VALIDATION_ERROR') {
+    super(message, { statusCode: 400, code, details });
+  }
+}
+
+/**
+ * 400 - Request is well-formed but can't be processed as asked
+ */
+class BadRequestError extends AppError {
+  constructor(message = 'Bad request', code = 'BAD_REQUEST', details = null) {
+    super(message, { statusCode: 400, code, details });
+  }
+}
+
+/**
+ * 401 - Missing / invalid credentials
+ */
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', code = 'UNAUTHORIZED') {
+    super(message, { statusCode: 401, code });
+  }
+}
+
+/**
+ * 403 - Authenticated but not allowed
+ */
+class ForbiddenError extends AppError {
+  constructor(message = 'You do not have permission to perform this action', code = 'FORBIDDEN') {
+    super(message, { statusCode: 403, code });
+  }
+}
+
+/**
+ * 404 - Resource doesn't exist (or isn't the user's)
+ */
+class NotFoundError extends AppError {
+  constructor(message = 'Resource not found', code = 'NOT_FOUND') {
+    super(message, { statusCode: 404, code });
+  }
+}
+
+/**
+ * 409 - Duplicate / conflicting state
+ */
+class ConflictError extends AppError {
+  constructor(message = 'Resource already exists', code = 'CONFLICT', details = null) {
+    super(message, { statusCode: 409, code, details });
+  }
+}
+
+/**
+ * 429 - Rate limit hit / account locked (retryAfter in seconds → Retry-After header)
+ */
+class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests, please try again later', code = 'RATE_LIMITED', retryAfter = null) {
+    super(message, { statusCode: 429, code });
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * 502 - An upstream service (GitHub, SMTP, ...) failed
+ */
+class ExternalServiceError extends AppError {
+  constructor(message = 'Upstream service error', code = 'EXTERNAL_SERVICE_ERROR', details = null) {
+    super(message, { statusCode: 502, code, details });
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  ExternalServiceError
+};
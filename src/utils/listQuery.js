@@ -0,0 +1,339 @@
+/**
+ * List Query
+ *
+ * PURPOSE: One shared way for list endpoints to paginate, sort,
+ * filter by range and select fields
+ *
+ * QUERY PARAMS (all optional):
+ * - limit=20               Page size (default 50, max 200; endpoints can
+ *                          opt out of the default and list everything)
+ * - page=2                 Offset pagination (1-based)
+ * - cursor=eyJ2Ijpb...     Cursor pagination (nextCursor of the previous page)
+ * - sort=-date,title       Multi-field sort, "-" = descending
+ * - fields=title,date      Only return these fields (plain objects, no computed fields)
+ * - date[gte]=2026-01-01   Range filters: gt, gte, lt, lte
+ *
+ * Each endpoint decides which fields can be sorted / range-filtered.
+ *
+ * RESPONSE META (pagination):
+ * { total, limit, page, hasMore, nextCursor }
+ *
+ * USAGE:
+ *   const { data, pagination } = await listQuery.run(CareerEvent, { userId }, req.query, {
+ *     sortable: ['date', 'priority', 'createdAt'],
+ *     rangeFields: { date: 'date' },
+ *     defaultSort: 'date'
+ *   });
+ */
+
+const mongoose = require('mongoose');
+const { ValidationError } = require('./errors');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const RANGE_PARAM = /^(\w+)\[(\w+)\]$/;
+
+/**
+ * Parse "-date,title" → [['date', -1], ['title', 1]]
+ */
+const parseSort = (sortParam, sortable) => {
+  return String(sortParam)
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const direction = part.startsWith('-') ? -1 : 1;
+      const field = part.replace(/^[-+]/, '');
+
+      if (!sortable.includes(field)) {
+        throw new ValidationError(`Cannot sort by "${field}"`, [{
+          location: 'query',
+          field: 'sort',
+          message: `must be one of: ${sortable.join(', ')}`
+        }]);
+      }
+
+      return [field, direction];
+    });
+};
+
+/**
+ * Parse "title,date" → "title date" (validated against allowed fields)
+ */
+const parseFields = (fieldsParam, selectable) => {
+  const fields = String(fieldsParam).split(',').map(field => field.trim()).filter(Boolean);
+  const unknown = fields.filter(field => !selectable.includes(field));
+
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown fields: ${unknown.join(', ')}`, [{
+      location: 'query',
+      field: 'fields',
+      message: `must only contain: ${selectable.join(', ')}`
+    }]);
+  }
+
+  return fields.join(' ');
+};
+
+/**
+ * Cast a range filter value by field type
+ */
+const castRangeValue = (param, value, type) => {
+  const cast = type === 'date' ? new Date(value) : Number(value);
+
+  if (Number.isNaN(type === 'date' ? cast.getTime() : cast)) {
+    throw new ValidationError(`Invalid value for ${param}`, [{
+      location: 'query',
+      field: param,
+      message: `must be a valid ${type}`
+    }]);
+  }
+
+  return cast;
+};
+
+/**
+ * Collect "field[op]=value" params into a Mongo filter
+ *
+ * @param {Object} query - req.query
+ * @param {Object} rangeFields - { fieldName: 'date' | 'number' }
+ */
+const parseRangeFilters = (query, rangeFields) => {
+  const filter = {};
+
+  Object.entries(query).forEach(([param, value]) => {
+    const match = RANGE_PARAM.exec(param);
+    if (!match) return;
+
+    const [, field, operator] = match;
+
+    if (!rangeFields[field] || !RANGE_OPERATORS.includes(operator)) {
+      throw new ValidationError(`Unsupported filter ${param}`, [{
+        location: 'query',
+        field: param,
+        message: `range filters are allowed on: ${Object.keys(rangeFields).join(', ') || 'none'} (${RANGE_OPERATORS.join(', ')})`
+      }]);
+    }
+
+    filter[field] = filter[field] || {};
+    filter[field][`$${operator}`] = castRangeValue(param, value, rangeFields[field]);
+  });
+
+  return filter;
+};
+
+/**
+ * Dates and ObjectIds are tagged so they compare as the same BSON
+ * type when the cursor is decoded (a string never matches a Date)
+ */
+const toCursorValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toHexString() };
+  return value ?? null;
+};
+
+const fromCursorValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value.$date === 'string' && !Number.isNaN(Date.parse(value.$date))) {
+      return new Date(value.$date);
+    }
+    if (typeof value.$oid === 'string' && mongoose.Types.ObjectId.isValid(value.$oid)) {
+      return new mongoose.Types.ObjectId(value.$oid);
+    }
+    throw new Error('Unknown cursor value');
+  }
+  return value;
+};
+
+/**
+ * Cursor = base64url JSON of the last item's sort values + _id
+ */
+const encodeCursor = (doc, sort) => {
+  const read = (field) => (typeof doc.get === 'function' ? doc.get(field) : doc[field]);
+  const values = sort.map(([field]) => toCursorValue(read(field)));
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Array.isArray(values) && values.length === sort.length) {
+      return values.map(fromCursorValue);
+    }
+  } catch (error) {
+    // fall through
+  }
+
+  throw new ValidationError('Invalid cursor', [{
+    location: 'query',
+    field: 'cursor',
+    message: 'must be a nextCursor from a previous response with the same sort'
+  }]);
+};
+
+/**
+ * Filter matching documents that come AFTER the cursor position
+ *
+ * For sort [a asc, b desc, _id asc] and cursor values [A, B, ID]:
+ *   a > A  OR  (a = A AND b < B)  OR  (a = A AND b = B AND _id > ID)
+ *
+ * MongoDB sorts null/missing first ascending (last descending).
+ */
+const buildCursorFilter = (sort, values) => {
+  const branches = [];
+
+  sort.forEach(([field, direction], index) => {
+    const value = values[index];
+    const equalPrefix = sort.slice(0, index).map(([prevField], prevIndex) => ({
+      [prevField]: values[prevIndex]
+    }));
+
+    let after;
+    if (direction === 1) {
+      after = value === null ? { [field]: { $ne: null } } : { [field]: { $gt: value } };
+    } else {
+      // Nothing sorts after null when descending
+      after = value === null ? null : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+    }
+
+    if (after) {
+      branches.push(equalPrefix.length > 0 ? { $and: [...equalPrefix, after] } : after);
+    }
+  });
+
+  return { $or: branches };
+};
+
+/**
+ * Run a paginated list query
+ *
+ * @param {Model} Model - Mongoose model
+ * @param {Object} baseFilter - Ownership + endpoint filters ({ userId, status, ... })
+ * @param {Object} query - req.query (already schema-validated)
+ * @param {Object} options
+ *   - sortable: fields allowed in ?sort= (default: none)
+ *   - defaultSort: sort string used without ?sort= (e.g. "-updatedAt")
+ *   - rangeFields: { field: 'date' | 'number' } allowed in field[op]=
+ *   - selectable: fields allowed in ?fields= (default: sortable fields)
+ *   - populate: path(s) to populate
+ *   - lean: return plain objects (default false)
+ *   - defaultLimit: page size without ?limit= (default DEFAULT_LIMIT);
+ *     null = no limit unless limit / page / cursor is given
+ * @returns {Promise<Object>} { data, pagination }
+ */
+const run = async (Model, baseFilter, query = {}, options = {}) => {
+  const {
+    sortable = [],
+    defaultSort = '-createdAt',
+    rangeFields = {},
+    selectable = sortable,
+    populate = null,
+    lean = false,
+    defaultLimit = DEFAULT_LIMIT
+  } = options;
+
+  const paginated = defaultLimit !== null || Boolean(query.limit || query.page || query.cursor);
+  const limit = paginated ? Math.min(parseInt(query.limit) || defaultLimit || DEFAULT_LIMIT, MAX_LIMIT) : null;
+  const page = parseInt(query.page) || 1;
+  const isTextSearch = Boolean(baseFilter.$text);
+
+  if (query.cursor && query.page) {
+    throw new ValidationError('Use either page or cursor, not both', [{
+      location: 'query',
+      field: 'cursor',
+      message: 'cannot be combined with page'
+    }]);
+  }
+
+  if (query.cursor && isTextSearch) {
+    throw new ValidationError('Cursor pagination is not supported with search', [{
+      location: 'query',
+      field: 'cursor',
+      message: 'use page with search'
+    }]);
+  }
+
+  // Range filters on a field the endpoint already filters are ANDed
+  const filter = { ...baseFilter };
+  Object.entries(parseRangeFilters(query, rangeFields)).forEach(([field, condition]) => {
+    if (filter[field] === undefined) {
+      filter[field] = condition;
+    } else {
+      filter.$and = [...(filter.$and || []), { [field]: condition }];
+    }
+  });
+
+  // Fields of the default sort are always sortable; _id is always the
+  // last sort key so the order (and therefore cursors) is stable
+  const defaultFields = defaultSort.split(',').map(part => part.trim().replace(/^[-+]/, ''));
+  const sort = parseSort(query.sort || defaultSort, [...sortable, ...defaultFields])
+    .filter(([field]) => field !== '_id');
+  sort.push(['_id', 1]);
+
+  const pageFilter = query.cursor
+    ? { $and: [filter, buildCursorFilter(sort, decodeCursor(query.cursor, sort))] }
+    : filter;
+
+  let sortSpec = Object.fromEntries(sort);
+  let projection = null;
+
+  // Text search: best matches first unless a sort was asked for
+  if (isTextSearch && !query.sort) {
+    projection = { score: { $meta: 'textScore' } };
+    sortSpec = { score: { $meta: 'textScore' }, ...sortSpec };
+  }
+
+  let finder = Model.find(pageFilter, projection).sort(sortSpec);
+
+  if (paginated) {
+    finder = finder.limit(limit + 1);
+  }
+
+  if (!query.cursor && page > 1) {
+    finder = finder.skip((page - 1) * limit);
+  }
+
+  if (query.fields) {
+    // Sort fields are always included (needed for nextCursor)
+    const fields = parseFields(query.fields, selectable);
+    finder = finder.select([fields, ...sort.map(([field]) => field)].join(' ')).lean();
+  } else if (lean) {
+    finder = finder.lean();
+  }
+
+  if (populate) {
+    finder = finder.populate(populate);
+  }
+
+  const [docs, total] = await Promise.all([
+    finder,
+    Model.countDocuments(filter)
+  ]);
+
+  const hasMore = paginated && docs.length > limit;
+  const data = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    data,
+    pagination: {
+      total,
+      limit,
+      page: query.cursor ? null : page,
+      hasMore,
+      nextCursor: hasMore && !isTextSearch ? encodeCursor(data[data.length - 1], sort) : null
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseSort,
+  parseRangeFilters,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  run
+};
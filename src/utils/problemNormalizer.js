@@ -0,0 +1,133 @@
+/**
+ * Problem Normalizer
+ *
+ * PURPOSE: Turn problem data from outside (CSV / JSON imports, sheet
+ * data) into the catalog's spelling before it's compared or saved
+ *
+ * - platform: "gfg", "GFG", "geeks for geeks" → "GeeksforGeeks";
+ *   missing → guessed from the URL's host
+ * - difficulty: "easy", "MED", "h" → "Easy" / "Medium" / "Hard"
+ * - numbers given as strings ("49.5%", "1,200") → numbers
+ * - lists given as one string ("Google|Amazon") → arrays
+ *
+ * Values it doesn't recognise are passed through, so the model's
+ * validation can report them.
+ */
+
+/**
+ * Lowercase letters and digits only ("Geeks for Geeks" → "geeksforgeeks")
+ */
+const key = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const PLATFORMS = {
+  leetcode: 'LeetCode',
+  lc: 'LeetCode',
+  geeksforgeeks: 'GeeksforGeeks',
+  gfg: 'GeeksforGeeks',
+  codeforces: 'CodeForces',
+  cf: 'CodeForces',
+  hackerrank: 'HackerRank',
+  interviewbit: 'InterviewBit',
+  codingninjas: 'Coding Ninjas',
+  codestudio: 'Coding Ninjas',
+  naukricode360: 'Coding Ninjas',
+  spoj: 'SPOJ',
+  other: 'Other'
+};
+
+/**
+ * URL host → platform (for entries without one)
+ */
+const PLATFORM_HOSTS = {
+  'leetcode.com': 'LeetCode',
+  'geeksforgeeks.org': 'GeeksforGeeks',
+  'practice.geeksforgeeks.org': 'GeeksforGeeks',
+  'codeforces.com': 'CodeForces',
+  'hackerrank.com': 'HackerRank',
+  'interviewbit.com': 'InterviewBit',
+  'codingninjas.com': 'Coding Ninjas',
+  'naukri.com': 'Coding Ninjas',
+  'spoj.com': 'SPOJ'
+};
+
+const DIFFICULTIES = {
+  easy: 'Easy',
+  e: 'Easy',
+  medium: 'Medium',
+  med: 'Medium',
+  m: 'Medium',
+  hard: 'Hard',
+  h: 'Hard'
+};
+
+const NUMBER_FIELDS = ['problemNumber', 'acceptance', 'likes'];
+const LIST_FIELDS = ['subtopics', 'companies', 'hints'];
+
+/**
+ * Separator for lists written as one string (CSV cells)
+ */
+const LIST_SEPARATOR = '|';
+
+const normalizePlatform = (platform) => PLATFORMS[key(platform)] || platform;
+
+const normalizeDifficulty = (difficulty) => DIFFICULTIES[key(difficulty)] || difficulty;
+
+const platformFromUrl = (url) => {
+  try {
+    const host = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    return PLATFORM_HOSTS[host] || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const toNumber = (value) => {
+  if (typeof value !== 'string') return value;
+  const number = Number(value.replace(/[%,\s]/g, ''));
+  return value.trim() === '' || Number.isNaN(number) ? value : number;
+};
+
+const toList = (value) => {
+  if (typeof value !== 'string') return value;
+  return value.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+};
+
+/**
+ * Normalized copy of a problem (fields that are empty are dropped)
+ *
+ * @param {Object} problem - Raw problem fields
+ * @returns {Object}
+ */
+const normalizeProblem = (problem) => {
+  const normalized = {};
+
+  Object.entries(problem).forEach(([field, value]) => {
+    if (value === undefined || value === null) return;
+    if (typeof value === 'string' && value.trim() === '') return;
+    normalized[field] = typeof value === 'string' ? value.trim() : value;
+  });
+
+  NUMBER_FIELDS.forEach(field => {
+    if (normalized[field] !== undefined) normalized[field] = toNumber(normalized[field]);
+  });
+  LIST_FIELDS.forEach(field => {
+    if (normalized[field] !== undefined) normalized[field] = toList(normalized[field]);
+  });
+
+  if (normalized.difficulty) normalized.difficulty = normalizeDifficulty(normalized.difficulty);
+
+  if (normalized.platform) {
+    normalized.platform = normalizePlatform(normalized.platform);
+  } else if (normalized.url && platformFromUrl(normalized.url)) {
+    normalized.platform = platformFromUrl(normalized.url);
+  }
+
+  return normalized;
+};
+
+module.exports = {
+  LIST_SEPARATOR,
+  normalizePlatform,
+  normalizeDifficulty,
+  normalizeProblem
+};
@@ -0,0 +1,69 @@
+/**
+ * Problem URLs
+ *
+ * PURPOSE: One spelling per problem link, so the same problem from two
+ * sources (sheet data, seed file, imports) is recognised as one
+ *
+ *   http://www.leetcode.com/problems/two-sum/description/?tab=x
+ *   https://leetcode.com/problems/two-sum
+ *     → https://leetcode.com/problems/two-sum
+ *
+ * - https, lowercase host without "www."
+ * - No query string, fragment or trailing slash
+ * - LeetCode: just /problems/<slug> (drops /description, /solutions, ...)
+ * - Codeforces: /problemset/problem/<contest>/<INDEX>, also for the
+ *   contest page of the same problem (/contest/<contest>/problem/<index>)
+ */
+
+const LEETCODE_PROBLEM = /^\/problems\/([^/]+)/;
+const CODEFORCES_PROBLEM = /^\/(?:problemset\/problem\/(\d+)|contest\/(\d+)\/problem)\/([a-z0-9]+)$/i;
+
+/**
+ * Canonical form of a problem URL
+ *
+ * @param {string} url
+ * @returns {string|null} null if empty or not a URL
+ */
+const canonicalUrl = (url) => {
+  if (typeof url !== 'string' || !url.trim()) return null;
+
+  const withProtocol = /^[a-z]+:\/\//i.test(url.trim()) ? url.trim() : `https://${url.trim()}`;
+
+  let parsed;
+  try {
+    parsed = new URL(withProtocol);
+  } catch (error) {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  let path = parsed.pathname.replace(/\/+$/, '');
+
+  if (host === 'leetcode.com') {
+    const match = path.match(LEETCODE_PROBLEM);
+    if (match) path = `/problems/${match[1].toLowerCase()}`;
+  }
+
+  if (host === 'codeforces.com') {
+    const match = path.match(CODEFORCES_PROBLEM);
+    if (match) path = `/problemset/problem/${match[1] || match[2]}/${match[3].toUpperCase()}`;
+  }
+
+  return `https://${host}${path}`;
+};
+
+/**
+ * LeetCode problem page from its slug ("two-sum")
+ */
+const leetcodeProblemUrl = (slug) => canonicalUrl(`https://leetcode.com/problems/${slug}`);
+
+/**
+ * Codeforces problem page from contest id + index (1520, "A")
+ */
+const codeforcesProblemUrl = (contestId, index) => canonicalUrl(`https://codeforces.com/problemset/problem/${contestId}/${index}`);
+
+module.exports = {
+  canonicalUrl,
+  leetcodeProblemUrl,
+  codeforcesProblemUrl
+};